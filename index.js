@@ -8,13 +8,13 @@ const multer = require('multer');
 const dotenv = require('dotenv');
 const axios = require('axios');
 const mongoose = require('mongoose');
-const { OpenAI } = require('openai');
 const cloudinary = require('cloudinary').v2;
 const qrcode = require('qrcode-terminal');
-const { Client, LocalAuth, MessageMedia, Buttons } = require('whatsapp-web.js');
+const { Client, LocalAuth, Buttons } = require('whatsapp-web.js');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
 const { exec } = require('child_process');
+const crypto = require('crypto');
 
 // Configurar ffmpeg
 ffmpeg.setFfmpegPath(ffmpegPath);
@@ -54,9 +54,50 @@ const {
   FormaPagamento,
   Conversa,
   Pedido,
+  Cliente,
+  Promocao,
   DeliveryConfig,
-  ApiKeys
+  HorarioFuncionamento,
+  ApiKeys,
+  Usuario,
+  ApiClient,
+  ReservaHorario
 } = require('./models');
+const { geocode, calcularDistanciaKm } = require('./services/geocoder');
+const { normalizeText, findBestMatch } = require('./services/textMatch');
+const { hasKeyword, buildFlavorIndex, findFlavorMentions } = require('./services/flavorIndex');
+const { OPENAI_TOOLS, parseToolCall } = require('./services/llmTools');
+const { getLlmProvider } = require('./services/llm');
+const { createTransport } = require('./services/transports');
+const { createMessageQueue, DEFAULT_DEBOUNCE_MS } = require('./services/messageQueue');
+const { placeOrder, findExistingOrder, calculateTotal } = require('./services/orderService');
+const customers = require('./services/customers');
+const promotions = require('./services/promotions');
+const {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  hashApiKey,
+  generateApiKey,
+  authenticate,
+  requireRole,
+  requireApiKey,
+  authenticateApiKeyOrUser,
+  ensureInitialOwner
+} = require('./services/auth');
+const analytics = require('./services/analytics');
+const {
+  isValidSessionId,
+  createSessionLimiter,
+  responseToParts,
+  conversationToHistory
+} = require('./services/webChat');
+const { openEventStream, keepStreamAlive } = require('./services/sse');
+const kitchen = require('./services/kitchen');
+const openingHours = require('./services/openingHours');
+const scheduling = require('./services/scheduling');
+const { parseDeliveryTime, isOpeningHoursQuestion, isAsapRequest, isAffirmative } = require('./services/timeParser');
 
 // ======== CONFIGURAÇÃO CLOUDINARY ==========
 cloudinary.config({
@@ -70,17 +111,54 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const API_URL = process.env.API_URL || 'http://localhost:3001';
 
+// Atrás do ngrok ou de um proxy reverso o IP do cliente vem em X-Forwarded-For.
+// TRUST_PROXY diz em quem confiar: "loopback" (ngrok na mesma máquina), o número
+// de proxies à frente ou a lista de endereços (valores de 'trust proxy' do Express)
+if (process.env.TRUST_PROXY) {
+  const confianca = process.env.TRUST_PROXY;
+  app.set('trust proxy', confianca === 'true' ? true : /^\d+$/.test(confianca) ? parseInt(confianca, 10) : confianca);
+}
+
 // Middleware Express
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Corpo bruto guardado para conferir assinaturas de webhooks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 app.use(bodyParser.json());
 app.use('/api/media', express.static(path.join(__dirname, 'public', 'media')));
 
-// Configurar OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+// Rotas da API que não exigem usuário autenticado
+const PUBLIC_ROUTES = [
+  'GET /api/health',
+  'POST /api/auth/login'
+];
+
+// Rotas de clientes de máquina: cada uma valida a chave de API na própria rota
+const MACHINE_ROUTES = [
+  'POST /api/message',
+  'POST /api/get-image-by-id',
+  'POST /api/validate-address',
+  'POST /api/generate-audio'
+];
+
+// Widget de chat do site: público, o id da sessão (UUID) identifica o cliente
+const WEBCHAT_PREFIX = '/api/webchat/';
+
+// Autenticação aplicada a toda a API (permissões por perfil ficam em cada rota)
+app.use('/api', (req, res, next) => {
+  const rota = `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, '');
+  if (PUBLIC_ROUTES.includes(rota) || MACHINE_ROUTES.includes(rota) ||
+    `${req.baseUrl}${req.path}`.startsWith(WEBCHAT_PREFIX)) {
+    return next();
+  }
+  return authenticate(req, res, next);
 });
+app.use('/qrcode', authenticate, requireRole('owner'));
 
 // Configurar upload de arquivos
 const storage = multer.diskStorage({
@@ -125,21 +203,88 @@ const client = new Client({
   }
 });
 
+// Transporte usado para conversar com os clientes: whatsapp-web (QR code) ou cloud-api
+const transport = createTransport(process.env.WHATSAPP_TRANSPORT || 'whatsapp-web', { client });
+
+// Canais atendidos pelo mesmo motor de pedidos (o WhatsApp é sempre o principal)
+const canais = [transport];
+if (process.env.TELEGRAM_BOT_TOKEN) {
+  canais.push(createTransport('telegram'));
+}
+const webChat = createTransport('web');
+canais.push(webChat);
+
+function buscarCanal(nome) {
+  return canais.find(canal => canal.name === nome) || null;
+}
+
+// Canal de um cliente a partir do identificador salvo na Conversa e no Pedido
+function canalDoCliente(telefone) {
+  return canais.find(canal => canal.handles && canal.handles(telefone)) || transport;
+}
+
 // Registrar primeiras interações para buscar mensagem de boas-vindas
 const userInteractions = new Map();
 
 // Armazenamento temporário de dados de pedido
 const tempPedidoData = new Map();
 
+// Status possíveis de um pedido
+const STATUS_PEDIDO = {
+  AGENDADO: 'Agendado',
+  CONFIRMADO: 'Confirmado',
+  EM_PREPARO: 'Em preparo',
+  SAIU_PARA_ENTREGA: 'Saiu para entrega',
+  ENTREGUE: 'Entregue',
+  CANCELADO: 'Cancelado'
+};
+
+// Prazo de entrega prometido ao cliente, usado também no painel da cozinha
+const PRAZO_ENTREGA_MINUTOS = parseInt(process.env.DELIVERY_PROMISE_MINUTES, 10) || 50;
+
+// Transições permitidas entre status (Entregue e Cancelado são finais)
+const TRANSICOES_STATUS_PEDIDO = {
+  [STATUS_PEDIDO.AGENDADO]: [STATUS_PEDIDO.CONFIRMADO, STATUS_PEDIDO.CANCELADO],
+  [STATUS_PEDIDO.CONFIRMADO]: [STATUS_PEDIDO.EM_PREPARO, STATUS_PEDIDO.CANCELADO],
+  [STATUS_PEDIDO.EM_PREPARO]: [STATUS_PEDIDO.SAIU_PARA_ENTREGA, STATUS_PEDIDO.CANCELADO],
+  [STATUS_PEDIDO.SAIU_PARA_ENTREGA]: [STATUS_PEDIDO.ENTREGUE, STATUS_PEDIDO.CANCELADO],
+  [STATUS_PEDIDO.ENTREGUE]: [],
+  [STATUS_PEDIDO.CANCELADO]: []
+};
+
 // Cache de dados comuns
 const dataCache = {
   botConfig: null,
   historia: null,
   cardapioBasico: null,
   formasPagamento: null,
+  deliveryConfig: null,
+  horarioFuncionamento: null,
+  // Sabores reconhecíveis nas mensagens, montado junto com o cardápio
+  indiceSabores: [],
   lastUpdated: 0
 };
 
+// Configuração de entrega usada quando não há DeliveryConfig no banco
+const DEFAULT_DELIVERY_CONFIG = {
+  enabled: true,
+  areas: [{ city: 'São Paulo', state: 'SP', active: true }],
+  store: {},
+  restrictions: {
+    limitToSpecificAreas: true,
+    maxDistance: null,
+    additionalFeePerKm: 0,
+    baseFee: 0,
+    feeMode: 'distance'
+  },
+  neighborhoodFees: [],
+  messages: {
+    outsideAreaMessage: 'Desculpe, só entregamos em {{AREAS}}. Este endereço ({{CIDADE}}-{{ESTADO}}) não está na nossa área de entrega.',
+    partialAddressMessage: 'Preciso do NÚMERO do seu endereço na {{RUA}} para prosseguir com a entrega.',
+    outsideRadiusMessage: 'Desculpe, este endereço fica a {{DISTANCIA}} km da pizzaria e só entregamos em um raio de {{MAX_DISTANCIA}} km.'
+  }
+};
+
 // ======== FUNÇÕES COMPARTILHADAS ==========
 
 // Inicializar banco de dados com dados padrão, se necessário
@@ -151,20 +296,47 @@ async function initialize() {
       useUnifiedTopology: true
     });
     console.log('✅ Conectado ao MongoDB');
+
+    // Garantir que exista ao menos um usuário administrador
+    await ensureInitialOwner();
+
+    // Mensagens que ficaram na fila quando o bot parou
+    const filasRetomadas = await filaMensagens.resume();
+    if (filasRetomadas > 0) {
+      console.log(`🔄 Retomando mensagens pendentes de ${filasRetomadas} cliente(s)`);
+    }
+
+    // Pedidos agendados chegam à cozinha quando faltar o prazo de entrega
+    jobAgendamentos.start();
     
-    // Inicializar o cliente WhatsApp
-    console.log('🔄 Inicializando cliente WhatsApp...');
-    client.initialize();
-    
-    // A função startServer será chamada quando o cliente estiver pronto
+    // Inicializar o transporte de mensagens
+    console.log(`🔄 Inicializando transporte de mensagens ${transport.name}...`);
+    await transport.start();
+
+    // Sem pareamento por QR code o servidor pode subir imediatamente;
+    // no whatsapp-web, startServer aguarda o evento 'ready' do cliente
+    if (!transport.requiresPairing) {
+      isClientReady = true;
+    }
+
+    // Canais adicionais (Telegram, chat web) não impedem o bot de subir se falharem
+    for (const canal of canais.slice(1)) {
+      try {
+        await canal.start();
+      } catch (error) {
+        console.error(`❌ Erro ao iniciar o canal ${canal.name}:`, error.message);
+      }
+    }
   } catch (error) {
     console.error('❌ Erro ao inicializar aplicação:', error);
     process.exit(1);
   }
 }
 
-// Iniciar a aplicação
-initialize();
+// Iniciar a aplicação (quando carregado pelos testes, o ambiente é montado pelo harness)
+if (require.main === module) {
+  initialize();
+}
 
 async function setupNgrok(port) { 
   try {
@@ -270,19 +442,24 @@ async function getCachedData() {
 
     // Se não temos nada em cache ou passou muito tempo, buscar tudo
     if (!dataCache.botConfig || !dataCache.historia || !dataCache.formasPagamento ||
-      !dataCache.cardapioItems || now - dataCache.lastUpdated > 300000) {
+      !dataCache.cardapioItems || !dataCache.deliveryConfig || !dataCache.horarioFuncionamento ||
+      now - dataCache.lastUpdated > 300000) {
 
       console.log('[CACHE] Carregando dados essenciais...');
 
       // Buscar apenas os campos necessários
-      dataCache.botConfig = await BotConfig.findOne().select('nome descricao personalidade systemPrompt welcomeMessage');
+      dataCache.botConfig = await BotConfig.findOne().select('nome descricao personalidade systemPrompt welcomeMessage maxFlavorsPerPizza responseProtocol llm');
       dataCache.historia = await PizzariaHistoria.findOne().select('titulo conteudo');
       dataCache.formasPagamento = await FormaPagamento.find({ ativo: true }).select('nome requerTroco ativo');
 
       // Carregar cardápio sem as imagens para economizar memória e tempo
       console.log('[CACHE] Carregando cardápio sem imagens...');
       dataCache.cardapioItems = await CardapioItem.find({ disponivel: true })
-        .select('nome descricao categoria preco identificador inspiracao');
+        .select('nome descricao categoria preco tamanhos identificador inspiracao apelidos');
+      dataCache.indiceSabores = buildFlavorIndex(dataCache.cardapioItems);
+
+      dataCache.deliveryConfig = mergeDeliveryConfig(await DeliveryConfig.findOne());
+      dataCache.horarioFuncionamento = openingHours.normalizeOpeningHours(await HorarioFuncionamento.findOne());
 
       dataCache.lastUpdated = now;
       console.log('[CACHE] Dados carregados com sucesso');
@@ -294,7 +471,10 @@ async function getCachedData() {
       botConfig: dataCache.botConfig,
       historia: dataCache.historia,
       formasPagamento: dataCache.formasPagamento,
-      cardapioItems: dataCache.cardapioItems
+      cardapioItems: dataCache.cardapioItems,
+      deliveryConfig: dataCache.deliveryConfig,
+      horarioFuncionamento: dataCache.horarioFuncionamento,
+      indiceSabores: dataCache.indiceSabores
     };
   } catch (error) {
     console.error('[CACHE] Erro ao carregar cache:', error);
@@ -304,11 +484,210 @@ async function getCachedData() {
       botConfig: null,
       historia: null,
       formasPagamento: [],
-      cardapioItems: []
+      cardapioItems: [],
+      deliveryConfig: mergeDeliveryConfig(null),
+      horarioFuncionamento: openingHours.normalizeOpeningHours(null),
+      indiceSabores: []
     };
   }
 }
 
+// Invalidar o cache para que o bot veja alterações imediatamente
+function invalidateDataCache() {
+  dataCache.botConfig = null;
+  dataCache.historia = null;
+  dataCache.cardapioItems = null;
+  dataCache.formasPagamento = null;
+  dataCache.deliveryConfig = null;
+  dataCache.horarioFuncionamento = null;
+  dataCache.indiceSabores = [];
+  dataCache.lastUpdated = 0;
+  console.log('[CACHE] Cache invalidado');
+}
+
+// Provedor de LLM (chat, voz e transcrição) configurado em BotConfig.llm
+async function getLlm() {
+  const { botConfig } = await getCachedData();
+  return getLlmProvider(botConfig && botConfig.llm);
+}
+
+// Completar a configuração de entrega do banco com os valores padrão
+function mergeDeliveryConfig(config) {
+  const obj = config && typeof config.toObject === 'function' ? config.toObject() : (config || {});
+
+  return {
+    enabled: obj.enabled !== undefined && obj.enabled !== null ? obj.enabled : DEFAULT_DELIVERY_CONFIG.enabled,
+    areas: Array.isArray(obj.areas) && obj.areas.length > 0 ? obj.areas : DEFAULT_DELIVERY_CONFIG.areas,
+    store: { ...DEFAULT_DELIVERY_CONFIG.store, ...(obj.store || {}) },
+    restrictions: { ...DEFAULT_DELIVERY_CONFIG.restrictions, ...(obj.restrictions || {}) },
+    neighborhoodFees: Array.isArray(obj.neighborhoodFees) ? obj.neighborhoodFees : DEFAULT_DELIVERY_CONFIG.neighborhoodFees,
+    messages: {
+      outsideAreaMessage: (obj.messages && obj.messages.outsideAreaMessage) || DEFAULT_DELIVERY_CONFIG.messages.outsideAreaMessage,
+      partialAddressMessage: (obj.messages && obj.messages.partialAddressMessage) || DEFAULT_DELIVERY_CONFIG.messages.partialAddressMessage,
+      outsideRadiusMessage: (obj.messages && obj.messages.outsideRadiusMessage) || DEFAULT_DELIVERY_CONFIG.messages.outsideRadiusMessage
+    }
+  };
+}
+
+// Listar as áreas ativas em texto (ex: "São Paulo-SP e Campinas-SP")
+function descreverAreasEntrega(deliveryConfig) {
+  const areas = deliveryConfig.areas
+    .filter(area => area.active !== false && area.city)
+    .map(area => area.state ? `${area.city}-${area.state}` : area.city);
+
+  if (areas.length <= 1) {
+    return areas[0] || 'nossa região';
+  }
+
+  return `${areas.slice(0, -1).join(', ')} e ${areas[areas.length - 1]}`;
+}
+
+// Verificar se a cidade/estado do CEP faz parte das áreas de entrega ativas
+function isAreaAtendida(city, state, deliveryConfig) {
+  if (!deliveryConfig.restrictions.limitToSpecificAreas) {
+    return true;
+  }
+
+  return deliveryConfig.areas.some(area =>
+    area.active !== false &&
+    normalizeText(area.city) === normalizeText(city) &&
+    (!area.state || normalizeText(area.state) === normalizeText(state))
+  );
+}
+
+// Substituir placeholders das mensagens de entrega
+function formatDeliveryMessage(template, values) {
+  return Object.entries(values).reduce(
+    (texto, [chave, valor]) => texto.replace(new RegExp(`\\{\\{${chave}\\}\\}`, 'g'), valor || ''),
+    template
+  );
+}
+
+// Mensagem para endereços além da distância máxima de entrega
+function formatOutsideRadiusMessage(distanciaKm, deliveryConfig) {
+  return formatDeliveryMessage(deliveryConfig.messages.outsideRadiusMessage, {
+    DISTANCIA: distanciaKm.toString().replace('.', ','),
+    MAX_DISTANCIA: deliveryConfig.restrictions.maxDistance.toString().replace('.', ',')
+  });
+}
+
+// Opções do geocodificador (chave do Google Maps cadastrada em ApiKeys)
+async function getGeocoderOptions() {
+  try {
+    const apiKeys = await ApiKeys.findOne().select('googleMaps');
+    return { apiKey: (apiKeys && apiKeys.googleMaps) || process.env.GOOGLE_MAPS_API_KEY };
+  } catch (error) {
+    console.error('Erro ao carregar chaves de API:', error);
+    return {};
+  }
+}
+
+// Coordenadas da loja (configuradas ou geocodificadas a partir do endereço)
+async function getStoreCoordinates(deliveryConfig, geocoderOptions) {
+  const { store } = deliveryConfig;
+
+  if (store && typeof store.lat === 'number' && typeof store.lng === 'number') {
+    return { lat: store.lat, lng: store.lng };
+  }
+
+  if (store && store.address) {
+    return geocode(store.address, geocoderOptions);
+  }
+
+  return null;
+}
+
+// Calcular a taxa de entrega por faixa de bairro ou pela distância até a loja
+async function calcularTaxaEntrega(endereco, components, deliveryConfig) {
+  const { restrictions } = deliveryConfig;
+  const baseFee = Number(restrictions.baseFee) || 0;
+  const resultado = {
+    taxa: baseFee,
+    distanciaKm: null,
+    foraDoRaio: false,
+    modo: restrictions.feeMode || 'distance'
+  };
+
+  // Faixas por bairro têm prioridade quando o modo é 'neighborhood'
+  let faixaEncontrada = false;
+  const bairro = components && (components.neighborhood || components.sublocality);
+  if (resultado.modo === 'neighborhood' && bairro) {
+    const faixa = (deliveryConfig.neighborhoodFees || []).find(f =>
+      (f.neighborhoods || []).some(nome => normalizeText(nome) === normalizeText(bairro))
+    );
+
+    if (faixa) {
+      resultado.taxa = Number(faixa.fee) || 0;
+      faixaEncontrada = true;
+      console.log(`Taxa de entrega pela faixa do bairro ${bairro}: R$${resultado.taxa.toFixed(2)}`);
+    } else {
+      console.log(`Bairro ${bairro} sem faixa configurada, usando a distância`);
+    }
+  }
+
+  // Sem limite de distância nem cobrança por km não é preciso geocodificar
+  if (!restrictions.maxDistance && !restrictions.additionalFeePerKm) {
+    return resultado;
+  }
+
+  const geocoderOptions = await getGeocoderOptions();
+  const origem = await getStoreCoordinates(deliveryConfig, geocoderOptions);
+  const destino = await geocode(endereco, geocoderOptions);
+
+  if (!origem || !destino) {
+    console.log('Não foi possível calcular a distância da entrega, aplicando apenas a taxa base');
+    return resultado;
+  }
+
+  const distancia = calcularDistanciaKm(origem, destino);
+  resultado.distanciaKm = Math.round(distancia * 10) / 10;
+
+  if (restrictions.maxDistance && distancia > restrictions.maxDistance) {
+    console.log(`Endereço fora do raio de entrega: ${resultado.distanciaKm}km (máximo ${restrictions.maxDistance}km)`);
+    resultado.foraDoRaio = true;
+    return resultado;
+  }
+
+  if (!faixaEncontrada) {
+    const taxaKm = Number(restrictions.additionalFeePerKm) || 0;
+    resultado.taxa = Math.round((baseFee + distancia * taxaKm) * 100) / 100;
+    console.log(`Taxa de entrega pela distância (${resultado.distanciaKm}km): R$${resultado.taxa.toFixed(2)}`);
+  }
+
+  return resultado;
+}
+
+// Calcular e gravar a taxa de entrega nos dados do pedido
+async function aplicarTaxaEntrega(pedidoData, conversa) {
+  const { deliveryConfig } = await getCachedData();
+
+  let components = conversa && conversa.addressData ? conversa.addressData.components : null;
+  if (typeof components === 'string') {
+    try {
+      components = JSON.parse(components);
+    } catch (e) {
+      components = null;
+    }
+  }
+
+  // Preferir o endereço validado pelo CEP quando ele já tem número
+  const formattedAddress = conversa && conversa.addressData && conversa.addressData.formattedAddress;
+  const endereco = formattedAddress && /\d+/.test(formattedAddress.replace(/\d{5}-?\d{3}/, ''))
+    ? formattedAddress
+    : pedidoData.endereco;
+
+  const resultado = await calcularTaxaEntrega(endereco, components, deliveryConfig);
+
+  pedidoData.taxaEntrega = resultado.taxa;
+  pedidoData.distanciaKm = resultado.distanciaKm;
+
+  if (resultado.foraDoRaio) {
+    resultado.message = formatOutsideRadiusMessage(resultado.distanciaKm, deliveryConfig);
+  }
+
+  return resultado;
+}
+
 // Validação e detecção de endereço 
 async function detectAndValidateCEP(message) {
   const cepMatch = message.match(/(\d{5})-?\s*?(\d{3})/);
@@ -356,6 +735,17 @@ async function validateAddress(address, isQuery = false) {
       };
     }
 
+    // Carregar áreas e mensagens de entrega configuradas
+    const { deliveryConfig } = await getCachedData();
+    const areasDescricao = descreverAreasEntrega(deliveryConfig);
+
+    if (deliveryConfig.enabled === false) {
+      return {
+        valid: false,
+        message: "Desculpe, no momento não estamos realizando entregas."
+      };
+    }
+
     // Extrair CEP - buscar padrão de 8 dígitos (com ou sem hífen)
     const cepMatch = address.match(/\b\d{5}-?\d{3}\b/g);
 
@@ -371,8 +761,8 @@ async function validateAddress(address, isQuery = false) {
           const cepData = response.data;
           console.log("Dados do CEP:", JSON.stringify(cepData));
 
-          // Verificar se está em São Paulo
-          if (cepData.city === "São Paulo" && cepData.state === "SP") {
+          // Verificar se está em uma das áreas de entrega configuradas
+          if (isAreaAtendida(cepData.city, cepData.state, deliveryConfig)) {
             // Extrair número do endereço, se existir
             const numeroMatch = address.match(/(R\.|Rua|Av\.|Avenida|Al\.|Alameda)\s+[^,]+,\s*(\d+)/i);
             const numero = numeroMatch ? numeroMatch[2] : '';
@@ -394,9 +784,25 @@ async function validateAddress(address, isQuery = false) {
 
             // Verificar se tem número para determinar validade
             if (numero || isQuery) {
+              // Calcular taxa e recusar endereços além da distância máxima
+              const taxaEntrega = await calcularTaxaEntrega(formattedAddress, {
+                neighborhood: cepData.neighborhood
+              }, deliveryConfig);
+
+              if (taxaEntrega.foraDoRaio) {
+                return {
+                  valid: false,
+                  outsideRadius: true,
+                  distanciaKm: taxaEntrega.distanciaKm,
+                  message: formatOutsideRadiusMessage(taxaEntrega.distanciaKm, deliveryConfig)
+                };
+              }
+
               return {
                 valid: true,
                 formattedAddress,
+                taxaEntrega: taxaEntrega.taxa,
+                distanciaKm: taxaEntrega.distanciaKm,
                 components: {
                   streetNumber: numero,
                   street: cepData.street,
@@ -422,14 +828,18 @@ async function validateAddress(address, isQuery = false) {
                   administrativeArea: cepData.state,
                   postalCode: cep
                 },
-                message: `Preciso do NÚMERO do seu endereço na ${cepData.street} para prosseguir com a entrega.`,
+                message: formatDeliveryMessage(deliveryConfig.messages.partialAddressMessage, { RUA: cepData.street }),
                 fromCep: true
               };
             }
           } else {
             return {
               valid: false,
-              message: `Desculpe, só entregamos em São Paulo capital. Este endereço (${cepData.city}-${cepData.state}) não está na nossa área de entrega.`
+              message: formatDeliveryMessage(deliveryConfig.messages.outsideAreaMessage, {
+                AREAS: areasDescricao,
+                CIDADE: cepData.city,
+                ESTADO: cepData.state
+              })
             };
           }
         }
@@ -437,7 +847,7 @@ async function validateAddress(address, isQuery = false) {
         console.error("Erro ao consultar API do CEP:", cepError);
         return {
           valid: false,
-          message: "Não consegui encontrar este endereço. Você poderia informar um CEP válido de São Paulo?"
+          message: `Não consegui encontrar este endereço. Você poderia informar um CEP válido de ${areasDescricao}?`
         };
       }
     }
@@ -447,7 +857,7 @@ async function validateAddress(address, isQuery = false) {
     if (isQuery) {
       return {
         valid: false,
-        message: "Não consegui encontrar este endereço. Você poderia informar um CEP válido de São Paulo?"
+        message: `Não consegui encontrar este endereço. Você poderia informar um CEP válido de ${areasDescricao}?`
       };
     }
 
@@ -467,7 +877,7 @@ async function validateAddress(address, isQuery = false) {
         valid: false,
         requiresNumber: true,
         streetName: nomeRua,
-        message: `Preciso do NÚMERO do seu endereço na ${nomeRua} para prosseguir com a entrega.`
+        message: formatDeliveryMessage(deliveryConfig.messages.partialAddressMessage, { RUA: nomeRua })
       };
     }
   } catch (error) {
@@ -538,6 +948,34 @@ async function getSystemPromptFromDatabase(botConfig, historia, cardapioItems, f
         }
       }
 
+      // Data, hora e situação da loja no fuso configurado
+      const { horarioFuncionamento } = await getCachedData();
+      const agora = new Date();
+      const situacaoLoja = openingHours.storeStatus(horarioFuncionamento, agora);
+      const proximaAbertura = situacaoLoja.proximaAbertura
+        ? openingHours.describeMoment(situacaoLoja.proximaAbertura, horarioFuncionamento.timezone, agora)
+        : null;
+
+      let statusLoja = 'aberta';
+      if (!situacaoLoja.aberto) {
+        statusLoja = proximaAbertura ? `fechada (abre ${proximaAbertura})` : 'fechada';
+      } else if (situacaoLoja.fechaEm) {
+        statusLoja = `aberta até ${openingHours.formatTime(situacaoLoja.fechaEm, horarioFuncionamento.timezone)}`;
+      }
+
+      // Cadastro do cliente (pedidos anteriores, endereço e pagamento de costume)
+      const cliente = conversa && conversa.telefone
+        ? await Cliente.findOne({ telefone: conversa.telefone })
+        : null;
+      const enderecoCliente = customers.usualAddress(cliente);
+      const perfilNoModelo = prompt.includes('{{CLIENTE_PERFIL}}');
+
+      // Promoções automáticas valendo agora (os cupons só aparecem quando o cliente informa)
+      const promocoesVigentes = promotions.describePromotions(
+        await Promocao.find({ ativo: true }), agora, horarioFuncionamento.timezone, cardapioItems || []
+      );
+      const promocoesNoModelo = prompt.includes('{{PROMOCOES}}');
+
       // Substituir todos os placeholders conhecidos
       console.time('prompt_replacements');
 
@@ -549,7 +987,18 @@ async function getSystemPromptFromDatabase(botConfig, historia, cardapioItems, f
         '{{REGRAS}}': botConfig.regras || '',
         '{{HISTORIA}}': historiaContent,
         '{{CURRENT_STATE}}': currentState.toString(),
-        '{{CURRENT_DATE}}': new Date().toISOString().split('T')[0],
+        '{{CURRENT_DATE}}': openingHours.localTime(agora, horarioFuncionamento.timezone).data,
+        '{{CURRENT_TIME}}': openingHours.formatTime(agora, horarioFuncionamento.timezone),
+        '{{HORARIO_FUNCIONAMENTO}}': openingHours.formatSchedule(horarioFuncionamento, agora),
+        '{{STATUS_LOJA}}': statusLoja,
+        '{{AGENDAMENTO}}': conversa && conversa.agendadoPara
+          ? `entrega agendada para ${descreverHorario(conversa.agendadoPara, agora)}`
+          : 'entrega o quanto antes',
+        '{{CLIENTE_NOME}}': (cliente && cliente.nome) || (conversa && conversa.nomeContato) || 'não informado',
+        '{{CLIENTE_PERFIL}}': customers.describeCustomer(cliente, horarioFuncionamento.timezone),
+        '{{CLIENTE_ENDERECO}}': enderecoCliente ? enderecoCliente.endereco : 'nenhum endereço salvo',
+        '{{CLIENTE_PAGAMENTO}}': (cliente && cliente.pagamentoPreferido) || 'não informado',
+        '{{PROMOCOES}}': promocoesVigentes || 'nenhuma promoção no momento',
         '{{ENDERECO_VALIDADO.cep}}': cepValue,
         '{{ENDERECO_VALIDADO.formattedAddress}}': conversa?.addressData?.formattedAddress || 'Endereço não informado'
       };
@@ -583,6 +1032,49 @@ async function getSystemPromptFromDatabase(botConfig, historia, cardapioItems, f
         - Se o pagamento for VR, PIX ou cartão, NÃO mencione troco.`;
       }
 
+      // Cliente que já pediu antes (quando o prompt não traz {{CLIENTE_PERFIL}})
+      if (cliente && cliente.totalPedidos > 0 && !perfilNoModelo) {
+        prompt += `\n\nCLIENTE RECORRENTE:\n${customers.describeCustomer(cliente, horarioFuncionamento.timezone)}
+        - Cumprimente o cliente pelo nome, se souber.
+        - Ao pedir endereço e pagamento, ofereça os de costume e confirme com o cliente antes de usar.`;
+      }
+
+      // Promoções vigentes (quando o prompt não traz {{PROMOCOES}})
+      if (promocoesVigentes && !promocoesNoModelo) {
+        prompt += `\n\nPROMOÇÕES VIGENTES:\n${promocoesVigentes}
+        - Divulgue as promoções quando fizer sentido no pedido.
+        - Os descontos e brindes são calculados pelo sistema e aparecem no resumo; não calcule descontos.`;
+      }
+
+      // Cupom já registrado pelo sistema
+      if (conversa && conversa.cupom) {
+        prompt += `\n\nO CLIENTE INFORMOU O CUPOM ${conversa.cupom}.
+        - O cupom já está registrado; o desconto aparece no resumo do pedido. Não calcule descontos.`;
+      }
+
+      // Horário citado numa frase que pode ser só o pedido ("quero as duas")
+      if (conversa && conversa.horarioSugerido && !conversa.agendadoPara) {
+        prompt += `\n\nA ÚLTIMA MENSAGEM PODE SER UM PEDIDO DE ENTREGA PARA ${descreverHorario(conversa.horarioSugerido, agora).toUpperCase()}.
+        - Responda normalmente e, ao final, pergunte se o cliente quer agendar a entrega para esse horário.
+        - Se a mensagem falar de quantidade ou de itens, e não de horário, ignore esta observação.`;
+      }
+
+      // Horário de entrega já registrado pelo sistema
+      if (conversa && conversa.agendadoPara) {
+        prompt += `\n\nO CLIENTE AGENDOU A ENTREGA PARA ${descreverHorario(conversa.agendadoPara, agora).toUpperCase()}.
+        - O horário já está registrado; não pergunte de novo.`;
+      }
+
+      // Loja fechada: o cliente pode consultar o cardápio, mas o pedido segue a regra do horário
+      if (!situacaoLoja.aberto && !(conversa && conversa.agendadoPara)) {
+        prompt += `\n\nA PIZZARIA ESTÁ FECHADA AGORA${proximaAbertura ? ` E ABRE ${proximaAbertura.toUpperCase()}` : ''}.
+        - Informe ao cliente quando abrimos${proximaAbertura ? ` (${proximaAbertura})` : ''}.
+        - Você pode apresentar o cardápio, os preços e tirar dúvidas normalmente.`;
+        prompt += horarioFuncionamento.foraDoHorario === 'agendar' && proximaAbertura
+          ? `\n        - O pedido pode ser feito agora: ele fica agendado e será preparado quando a loja abrir. Avise o cliente disso antes do resumo.`
+          : `\n        - NÃO monte nem confirme pedidos até a loja abrir.`;
+      }
+
       // Adicionar cardápio dinâmico se necessário
       if (prompt.includes('{{CARDAPIO}}') && cardapioItems.length > 0) {
         const cardapioText = formatCardapioForPrompt(cardapioItems);
@@ -638,7 +1130,16 @@ function formatCardapioForPrompt(items) {
     Object.keys(categorias).forEach(categoria => {
       result += `\n${categoria}:\n`;
       categorias[categoria].forEach(item => {
-        result += `- *${item.nome}*: ${item.descricao || ''} - R$${item.preco.toFixed(2)}\n`;
+        if (item.tamanhos && item.tamanhos.length > 0) {
+          // Itens com tamanhos: listar o preço de cada tamanho
+          result += `- *${item.nome}*: ${item.descricao || ''}\n`;
+          const tamanhosText = item.tamanhos.map(tamanho =>
+            `${tamanho.nome}${tamanho.fatias ? ` (${tamanho.fatias} fatias)` : ''} R$${tamanho.preco.toFixed(2)}`
+          ).join(' | ');
+          result += `  Tamanhos: ${tamanhosText}\n`;
+        } else {
+          result += `- *${item.nome}*: ${item.descricao || ''} - R$${item.preco.toFixed(2)}\n`;
+        }
         if (item.inspiracao) {
           result += `  Inspiração: ${item.inspiracao}\n`;
         }
@@ -667,103 +1168,285 @@ function formatPagamentoForPrompt(pagamentos) {
   }
 }
 
-// Detecta pedidos por imagens específicas
-function detectImageRequest(message) {
-  message = message.toLowerCase();
+// Localizar no cardápio o item correspondente a um item do pedido
+// Ordem: identificador, nome exato (sem acentos e sem "Pizza") e nome aproximado
+function resolverItemCardapio(item, cardapioItems) {
+  if (!item || !Array.isArray(cardapioItems)) {
+    return null;
+  }
 
-  // Verifica se mensagem contém palavras-chave relacionadas a imagens
-  const hasImageRequest = message.includes('imagem') ||
-    message.includes('foto') ||
-    message.includes('mostra') ||
-    message.includes('mostrar') ||
-    message.includes('ver') ||
-    message.includes('veja') ||
-    message.includes('como é');
+  if (item.identificador) {
+    const porIdentificador = cardapioItems.find(c => c.identificador === item.identificador);
+    if (porIdentificador) {
+      return porIdentificador;
+    }
+  }
 
-  // Se não há pedido de imagem, retorna null imediatamente
-  if (!hasImageRequest) {
+  const semPrefixo = texto => normalizeText(texto).replace(/^pizza\s+/, '');
+  const nome = semPrefixo(item.nome);
+  if (!nome) {
     return null;
   }
 
-  // Lista REAL das pizzas com seus identificadores corretos
-  const pizzaTypes = [
-    { name: 'amazonas', id: 'pizza-salgada_pizza-amazonas' },
-    { name: 'porco & pinhão', id: 'pizza-salgada_pizza-porco-e-pinhao' },
-    { name: 'porco e pinhão', id: 'pizza-salgada_pizza-porco-e-pinhao' },
-    { name: 'porco e pinhao', id: 'pizza-salgada_pizza-porco-e-pinhao' },
-    { name: 'tropicale', id: 'pizza-salgada_pizza-tropicale' },
-    { name: 'napolitana paulistana', id: 'pizza-salgada_pizza-napolitana-paulistana' },
-    { name: 'cerrado brasileiro', id: 'pizza-salgada_pizza-cerrado-brasileiro' },
-    { name: 'caprese tropical', id: 'pizza-salgada_pizza-caprese-tropical' },
-    { name: 'frutos do mar à paulista', id: 'pizza-salgada_pizza-frutos-do-mar-a-paulista' },
-    { name: 'frutos do mar', id: 'pizza-salgada_pizza-frutos-do-mar-a-paulista' },
-    { name: 'dolce banana', id: 'pizza-doce_pizza-dolce-banana' },
-    { name: 'banana', id: 'pizza-doce_pizza-dolce-banana' }
-  ];
+  const porNome = cardapioItems.find(c => semPrefixo(c.nome) === nome);
+  if (porNome) {
+    return porNome;
+  }
 
-  // Detectar pedido de cardápio
-  if (message.includes('cardápio') ||
-    message.includes('cardapio') ||
-    message.includes('menu') ||
-    (message.includes('opções') && message.includes('pizza'))) {
-    return ['cardapio'];
+  const aproximado = findBestMatch(nome, cardapioItems, c => [semPrefixo(c.nome), ...(c.apelidos || []).map(semPrefixo)]);
+  if (aproximado) {
+    console.log(`Item "${item.nome}" associado a "${aproximado.item.nome}" (similaridade ${aproximado.score.toFixed(2)})`);
+    return aproximado.item;
   }
 
-  // VERIFICAR PEDIDO DE MEIO A MEIO
-  // Buscar termos que indicam pizza meio a meio
-  if (message.includes('meio a meio') ||
-    message.includes('metade') ||
-    message.includes('meio') ||
-    (message.includes('meia') && message.includes('meia'))) {
+  return null;
+}
+
+// Encontrar o tamanho escolhido entre os tamanhos do item ("media" == "Média")
+function encontrarTamanho(itemCardapio, tamanhoNome) {
+  if (!tamanhoNome || !itemCardapio.tamanhos) {
+    return null;
+  }
+
+  return itemCardapio.tamanhos.find(t => normalizeText(t.nome) === normalizeText(tamanhoNome)) || null;
+}
+
+// Separar os sabores de um item meio a meio
+// Aceita a lista estruturada (item.sabores) ou o nome em texto ("Meio Amazonas / Meio Tropicale")
+// Retorna null para itens de um único sabor
+function extrairSaboresItem(item) {
+  if (Array.isArray(item.sabores) && item.sabores.length > 1) {
+    return item.sabores.map(sabor => (typeof sabor === 'string' ? { nome: sabor } : sabor));
+  }
+
+  const nome = (item.nome || '').replace(/\(?\s*meio\s+a\s+meio\s*\)?/ig, ' ').trim();
+
+  let partes = nome.split(/\s*[\/+]\s*/);
+  if (partes.length < 2) {
+    const match = nome.match(/(?:meio|metade|meia)\s+(.+?)\s+(?:e\s+)?(?:meio|metade|meia)\s+(.+)/i);
+    partes = match ? [match[1], match[2]] : [];
+  }
+
+  partes = partes
+    .map(parte => parte.replace(/^pizza\s+/i, '').replace(/^(meio|metade|meia)\s+/i, '').trim())
+    .filter(Boolean);
+
+  return partes.length >= 2 ? partes.map(parte => ({ nome: parte })) : null;
+}
+
+// Preço de um sabor no tamanho escolhido (ou o preço único quando não há tamanhos)
+// Retorna { preco, tamanho } ou { erro }
+function precoDoSabor(itemCardapio, tamanhoNome) {
+  if (!itemCardapio.tamanhos || itemCardapio.tamanhos.length === 0) {
+    return { preco: itemCardapio.preco };
+  }
+
+  const tamanho = encontrarTamanho(itemCardapio, tamanhoNome);
+  if (!tamanho) {
+    const opcoes = itemCardapio.tamanhos.map(t => t.nome).join(', ');
+    return { erro: `Qual o tamanho da *${itemCardapio.nome}*? Temos: ${opcoes}.` };
+  }
+
+  return { preco: tamanho.preco, tamanho: tamanho.nome };
+}
 
-    console.log('Possível pedido de pizza meio a meio detectado');
+// Frações de cada sabor: usa as informadas quando somam 1, senão divide igualmente
+function calcularFracoesSabores(sabores) {
+  const informadas = sabores.map(sabor => parseFloat(sabor.fracao));
+  const soma = informadas.reduce((total, fracao) => total + (Number.isFinite(fracao) ? fracao : 0), 0);
 
-    // Verificar todos os sabores para ver quais foram mencionados
-    const saboresMencionados = [];
+  if (informadas.every(fracao => Number.isFinite(fracao) && fracao > 0) && Math.abs(soma - 1) < 0.02) {
+    return informadas;
+  }
+
+  return sabores.map(() => 1 / sabores.length);
+}
+
+// Recalcular os itens do pedido com os preços do cardápio
+// Opções: regraMeioAMeio ('maior' ou 'media') e maxSabores (2 ou 3)
+// Retorna os itens corrigidos, os problemas que impedem o pedido e as correções feitas
+function precificarItensPedido(items, cardapioItems, opcoes = {}) {
+  const regraMeioAMeio = opcoes.regraMeioAMeio || 'maior';
+  const maxSabores = opcoes.maxSabores || 2;
+  const erros = [];
+  const ajustes = [];
+
+  const itensPrecificados = items.map(item => {
+    const quantidade = parseInt(item.quantidade, 10) > 0 ? parseInt(item.quantidade, 10) : 1;
+    const sabores = extrairSaboresItem(item) || [{ nome: item.nome, identificador: item.identificador }];
+
+    if (sabores.length > maxSabores) {
+      erros.push(`Aceitamos no máximo ${maxSabores} sabores por pizza.`);
+      return null;
+    }
 
-    for (const pizza of pizzaTypes) {
-      if (message.includes(pizza.name)) {
-        saboresMencionados.push(pizza);
+    // Resolver cada sabor no cardápio
+    const saboresCardapio = [];
+    for (const sabor of sabores) {
+      const itemCardapio = resolverItemCardapio(sabor, cardapioItems);
+      if (!itemCardapio) {
+        erros.push(`Não encontrei *${sabor.nome || sabor.identificador}* no nosso cardápio.`);
+        return null;
+      }
+      if (itemCardapio.disponivel === false) {
+        erros.push(`A *${itemCardapio.nome}* não está disponível no momento.`);
+        return null;
       }
+      saboresCardapio.push(itemCardapio);
     }
 
-    // Se dois ou mais sabores foram mencionados, provavelmente é um pedido meio a meio
-    if (saboresMencionados.length >= 2) {
-      console.log(`Encontrados ${saboresMencionados.length} sabores: ${saboresMencionados.map(s => s.name).join(', ')}`);
+    // Preço de cada sabor no tamanho escolhido
+    const precos = [];
+    let tamanho;
+    for (const itemCardapio of saboresCardapio) {
+      const resultado = precoDoSabor(itemCardapio, item.tamanho);
+      if (resultado.erro) {
+        erros.push(resultado.erro);
+        return null;
+      }
+      precos.push(resultado.preco);
+      tamanho = resultado.tamanho || tamanho;
+    }
 
-      // Usar os dois primeiros sabores mencionados para meio a meio
-      const sabor1 = saboresMencionados[0];
-      const sabor2 = saboresMencionados[1];
+    const fracoes = calcularFracoesSabores(sabores);
 
-      // Criar identificador composto
-      const meioAMeioId = `${sabor1.id}+${sabor2.id}`;
-      console.log(`ID de meio a meio gerado: ${meioAMeioId}`);
+    let preco = precos[0];
+    if (precos.length > 1) {
+      preco = regraMeioAMeio === 'media'
+        ? precos.reduce((soma, valor, i) => soma + valor * fracoes[i], 0)
+        : Math.max(...precos);
+    }
+    preco = Math.round(preco * 100) / 100;
+
+    const nome = saboresCardapio.length > 1
+      ? saboresCardapio.map((c, i) => `${formatarFracao(fracoes[i])} ${c.nome.replace(/^Pizza\s+/i, '')}`).join(' / ')
+      : saboresCardapio[0].nome;
+
+    const precoInformado = parseFloat(item.preco);
+    if (!Number.isFinite(precoInformado) || Math.abs(precoInformado - preco) > 0.009) {
+      ajustes.push({
+        item: nome,
+        motivo: 'Preço corrigido pelo cardápio',
+        valorInformado: item.preco,
+        valorCorrigido: preco
+      });
+    }
 
-      return [meioAMeioId];
+    const itemPrecificado = {
+      nome,
+      quantidade,
+      preco
+    };
+    if (tamanho) {
+      itemPrecificado.tamanho = tamanho;
+    }
+    if (saboresCardapio.length > 1) {
+      itemPrecificado.sabores = saboresCardapio.map((c, i) => ({
+        cardapioItem: c._id,
+        nome: c.nome,
+        identificador: c.identificador,
+        fracao: Math.round(fracoes[i] * 10000) / 10000
+      }));
+    } else {
+      itemPrecificado.cardapioItem = saboresCardapio[0]._id;
+      itemPrecificado.identificador = saboresCardapio[0].identificador;
     }
+
+    return itemPrecificado;
+  });
+
+  return { items: itensPrecificados, erros, ajustes };
+}
+
+// Registrar na conversa as correções feitas pelo servidor
+function registrarAjustesPedido(conversa, ajustes) {
+  if (!ajustes || ajustes.length === 0) {
+    return;
   }
 
-  // Verificar múltiplas pizzas mencionadas
-  // Verificar se a mensagem contém "e" ou vírgulas, indicando múltiplos pedidos
-  const multipleRequest = message.includes(' e ') ||
-    message.includes(',') ||
-    message.includes('também') ||
-    message.includes('ambas') ||
-    message.includes('duas') ||
-    message.includes('outra');
+  ajustes.forEach(ajuste => {
+    console.log(`[PREÇO] ${ajuste.item}: ${ajuste.motivo} (${ajuste.valorInformado} -> ${ajuste.valorCorrigido})`);
+  });
 
-  // Armazenar todos os IDs encontrados
-  const foundIds = [];
+  if (conversa && Array.isArray(conversa.ajustesPedido)) {
+    ajustes.forEach(ajuste => {
+      // O mesmo JSON pode ser processado mais de uma vez na mesma resposta
+      const jaRegistrado = conversa.ajustesPedido.some(existente =>
+        existente.item === ajuste.item &&
+        String(existente.valorInformado) === String(ajuste.valorInformado) &&
+        String(existente.valorCorrigido) === String(ajuste.valorCorrigido)
+      );
+
+      if (!jaRegistrado) {
+        conversa.ajustesPedido.push({ ...ajuste, data: new Date() });
+      }
+    });
+  }
+}
 
-  // Procurar por nomes de pizza na mensagem
-  for (const pizza of pizzaTypes) {
-    if (message.includes(pizza.name)) {
-      foundIds.push(pizza.id);
+// Cardápio (inclusive itens indisponíveis, para avisar o cliente) e regras de preço
+async function carregarPrecificacao() {
+  const cardapioItems = await CardapioItem.find()
+    .select('nome categoria preco tamanhos identificador disponivel');
+  const botConfig = await BotConfig.findOne().select('halfHalfPricing maxFlavorsPerPizza');
+
+  return {
+    cardapioItems,
+    opcoes: {
+      regraMeioAMeio: (botConfig && botConfig.halfHalfPricing) || 'maior',
+      maxSabores: (botConfig && botConfig.maxFlavorsPerPizza) || 2
     }
+  };
+}
+
+// Aplicar os preços do cardápio aos dados do pedido (o preço escrito pelo LLM nunca é usado)
+async function precificarPedido(pedidoData, conversa) {
+  const { cardapioItems, opcoes } = await carregarPrecificacao();
+  const resultado = precificarItensPedido(pedidoData.items, cardapioItems, opcoes);
+
+  if (resultado.erros.length === 0) {
+    pedidoData.items = resultado.items;
+    registrarAjustesPedido(conversa, resultado.ajustes);
+  }
+
+  return resultado;
+}
+
+// Palavras que indicam pedido de imagem (comparadas palavra a palavra, "ver" não casa com "verdade")
+const PALAVRAS_PEDIDO_IMAGEM = ['imagem', 'imagens', 'foto', 'fotos', 'mostra', 'mostrar', 'mostre', 'ver', 'veja', 'como é'];
+const PALAVRAS_CARDAPIO = ['cardápio', 'menu'];
+const PALAVRAS_MEIO_A_MEIO = ['meio a meio', 'metade', 'meio', 'meia'];
+
+// Detecta pedidos por imagens específicas usando o índice de sabores do cardápio
+function detectImageRequest(message, indiceSabores) {
+  // Se não há pedido de imagem, retorna null imediatamente
+  if (!hasKeyword(message, PALAVRAS_PEDIDO_IMAGEM)) {
+    return null;
+  }
+
+  // Detectar pedido de cardápio
+  if (hasKeyword(message, PALAVRAS_CARDAPIO) ||
+    (hasKeyword(message, ['opções']) && hasKeyword(message, ['pizza']))) {
+    return ['cardapio'];
+  }
+
+  const saboresMencionados = findFlavorMentions(message, indiceSabores);
+
+  // VERIFICAR PEDIDO DE MEIO A MEIO
+  // Se dois ou mais sabores foram mencionados junto com "meio", "metade" ou "meia"
+  if (hasKeyword(message, PALAVRAS_MEIO_A_MEIO) && saboresMencionados.length >= 2) {
+    console.log(`Possível pedido de pizza meio a meio: ${saboresMencionados.map(s => s.nome).join(', ')}`);
+
+    // Usar os dois primeiros sabores mencionados para meio a meio
+    const meioAMeioId = `${saboresMencionados[0].id}+${saboresMencionados[1].id}`;
+    console.log(`ID de meio a meio gerado: ${meioAMeioId}`);
+
+    return [meioAMeioId];
   }
 
-  // Se encontrou algum ID, retornar
-  if (foundIds.length > 0) {
+  // Se encontrou algum sabor, retornar os identificadores
+  if (saboresMencionados.length > 0) {
+    const foundIds = saboresMencionados.map(sabor => sabor.id);
     console.log(`Encontradas ${foundIds.length} referências de imagens: ${foundIds.join(', ')}`);
     return foundIds;
   }
@@ -829,59 +1512,613 @@ async function overlayImages(baseImageUrl, overlayImageUrl) {
   }
 }
 
-// Gerar texto de confirmação do pedido
-function gerarTextoConfirmacaoPedido(pedidoData, conversa) {
-  try {
-    if (!pedidoData || !pedidoData.items || !pedidoData.endereco || !pedidoData.pagamento) {
-      return "Pedido confirmado! Obrigado pela preferência.";
-    }
+// Representar a fração de um sabor ("1/2", "1/3", "2/3")
+function formatarFracao(fracao) {
+  const valor = parseFloat(fracao);
+  if (!Number.isFinite(valor) || valor >= 0.99) return '';
+  if (Math.abs(valor - 0.5) < 0.02) return '1/2';
+  if (Math.abs(valor - 1 / 3) < 0.02) return '1/3';
+  if (Math.abs(valor - 2 / 3) < 0.02) return '2/3';
+  if (Math.abs(valor - 0.25) < 0.02) return '1/4';
+  return `${Math.round(valor * 100)}%`;
+}
 
-    // Determinar o endereço mais completo disponível
-    let endereco = pedidoData.endereco;
-    if (conversa && conversa.addressData && conversa.addressData.formattedAddress) {
-      endereco = conversa.addressData.formattedAddress;
-    }
+// Linhas de um item do pedido, com os sabores quando for meio a meio
+function formatarItemPedido(item) {
+  const quantidade = item.quantidade || 1;
+  const preco = parseFloat(item.preco);
+  const subtotal = preco * quantidade;
+  const tamanho = item.tamanho ? ` (${item.tamanho})` : '';
+
+  if (item.sabores && item.sabores.length > 1) {
+    let texto = `- ${quantidade}x *Pizza ${item.sabores.length === 2 ? 'meio a meio' : `${item.sabores.length} sabores`}*${tamanho}: R$${preco.toFixed(2)} = R$${subtotal.toFixed(2)}\n`;
+    item.sabores.forEach(sabor => {
+      texto += `   ${formatarFracao(sabor.fracao) || '•'} ${sabor.nome}\n`;
+    });
+    return texto;
+  }
 
-    let texto = "🎉 *PEDIDO CONFIRMADO* 🎉\n\n";
-    texto += "*Itens:*\n";
+  return `- ${quantidade}x *${item.nome}*${tamanho}: R$${preco.toFixed(2)} = R$${subtotal.toFixed(2)}\n`;
+}
 
-    let total = 0;
-    pedidoData.items.forEach(item => {
-      const subtotal = parseFloat(item.preco) * (item.quantidade || 1);
-      texto += `- ${item.quantidade || 1}x *${item.nome}*: R$${parseFloat(item.preco).toFixed(2)} = R$${subtotal.toFixed(2)}\n`;
-      total += subtotal;
-    });
+// Número curto do pedido exibido para cliente e cozinha (últimos 6 caracteres do id)
+function numeroPedido(pedido) {
+  return pedido._id.toString().slice(-6).toUpperCase();
+}
 
-    texto += `\n*Valor Total:* R$${total.toFixed(2)}\n`;
-    texto += `*Endereço de Entrega:* ${endereco}\n`;
-    texto += `*Forma de Pagamento:* ${pedidoData.pagamento}\n\n`;
-    texto += "Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferência! 🍕";
+// Montar a visão da cozinha de um pedido: o que assar em cada pizza
+function montarComandaCozinha(pedido) {
+  const itens = (pedido.itens || []).map(item => {
+    const sabores = item.sabores && item.sabores.length > 1
+      ? item.sabores.map(sabor => ({
+        nome: sabor.nome,
+        identificador: sabor.identificador,
+        fracao: sabor.fracao,
+        descricao: `${formatarFracao(sabor.fracao)} ${sabor.nome}`.trim()
+      }))
+      : [{ nome: item.nome, identificador: item.identificador, fracao: 1, descricao: item.nome }];
 
-    return texto;
-  } catch (error) {
-    console.error('Erro ao gerar texto de confirmação:', error);
-    return "Pedido confirmado! Obrigado pela preferência.";
-  }
+    return {
+      quantidade: item.quantidade || 1,
+      tamanho: item.tamanho || null,
+      meioAMeio: sabores.length > 1,
+      sabores
+    };
+  });
+
+  return {
+    pedidoId: pedido._id,
+    numero: numeroPedido(pedido),
+    status: pedido.status,
+    data: pedido.data,
+    itens
+  };
 }
 
-// Checagem de avanço de estado no fluxo de conversa
-function checkIfShouldAdvanceState(botResponse, userMessage, currentState, conversa) {
-  try {
-    // Lógica básica para determinar se deve avançar de estado
-    const userMsg = userMessage ? userMessage.toLowerCase() : '';
+// Cartão do pedido no painel da cozinha: comanda, entrega, pagamento e tempo decorrido
+function montarCartaoCozinha(pedido, agora = new Date()) {
+  return {
+    ...montarComandaCozinha(pedido),
+    endereco: pedido.endereco,
+    pagamento: pedido.formaPagamento,
+    troco: kitchen.changeNeeded(pedido.formaPagamento, pedido.valorTotal),
+    valorTotal: pedido.valorTotal,
+    proximoStatus: kitchen.nextKitchenStatus(pedido.status),
+    tempo: kitchen.elapsedTime(pedido, PRAZO_ENTREGA_MINUTOS, agora)
+  };
+}
 
-    // Logs para debugging
-    console.log(`Verificando avanço de estado. Estado atual: ${currentState}`);
-    console.log(`Mensagem do usuário: "${userMsg.substring(0, 50)}..."`);
+// "hoje às 20:00", "sábado (25/10) às 19:30" no fuso da loja
+function descreverHorario(instante, agora = new Date()) {
+  const timezone = dataCache.horarioFuncionamento ? dataCache.horarioFuncionamento.timezone : openingHours.TIMEZONE_PADRAO;
+  return openingHours.describeMoment(new Date(instante), timezone, agora);
+}
+
+// Calendário, configuração de agendamento e pedidos já agendados por horário
+// (Map ISO do início do horário => quantidade) até o limite de antecedência
+async function contextoAgendamento(agora = new Date()) {
+  const { horarioFuncionamento } = await getCachedData();
+  const agendamento = scheduling.mergeSchedulingConfig(horarioFuncionamento.agendamento);
+  const limite = new Date(agora.getTime() + (agendamento.diasAntecedencia + 1) * 24 * 60 * 60000);
+
+  const pedidos = await Pedido.find({
+    agendadoPara: { $gte: agora, $lte: limite },
+    status: { $ne: STATUS_PEDIDO.CANCELADO }
+  }).select('agendadoPara');
+
+  const ocupacao = new Map();
+  pedidos.forEach(pedido => {
+    const chave = scheduling.slotStart(pedido.agendadoPara, agendamento.intervaloMinutos, horarioFuncionamento.timezone).toISOString();
+    ocupacao.set(chave, (ocupacao.get(chave) || 0) + 1);
+  });
+
+  return { horarioFuncionamento, agendamento, ocupacao };
+}
+
+// Conferir o horário de entrega pedido pelo cliente; quando não der, `mensagem`
+// explica o motivo e sugere os próximos horários livres
+async function verificarHorarioAgendamento(instante, agora = new Date()) {
+  const { horarioFuncionamento, agendamento, ocupacao } = await contextoAgendamento(agora);
+  const resultado = scheduling.checkSlot({
+    instante,
+    horario: horarioFuncionamento,
+    agendamento,
+    prazoMinutos: PRAZO_ENTREGA_MINUTOS,
+    ocupacao,
+    agora
+  });
+
+  if (resultado.disponivel) {
+    return resultado;
+  }
+
+  const quando = descreverHorario(instante, agora);
+  const motivos = {
+    desativado: 'No momento não estamos agendando entregas.',
+    antecedencia: `Para ${quando} não dá tempo: precisamos de pelo menos ${PRAZO_ENTREGA_MINUTOS} minutos para preparar e entregar.`,
+    distante: `Só agendamos entregas para os próximos ${agendamento.diasAntecedencia} dias.`,
+    fora_do_horario: `Não conseguimos entregar ${quando}, fora do nosso horário de funcionamento.`,
+    lotado: `O horário de ${quando} já está lotado.`
+  };
+
+  let mensagem = motivos[resultado.motivo];
+  if (resultado.sugestoes.length > 0) {
+    mensagem += ` Horários disponíveis: ${resultado.sugestoes.map(sugestao => descreverHorario(sugestao, agora)).join(', ')}.`;
+  }
+
+  return { ...resultado, mensagem };
+}
+
+// Pode registrar um pedido agora? Uma entrega agendada depende só da vaga no
+// horário escolhido. Sem agendamento e com a loja fechada, o pedido é recusado
+// ou, no modo "agendar", vai para o primeiro horário livre depois da abertura
+async function avaliarHorarioPedido(agendadoPara, agora = new Date()) {
+  if (agendadoPara) {
+    const vaga = await verificarHorarioAgendamento(new Date(agendadoPara), agora);
+    return vaga.disponivel
+      ? { permitido: true, agendadoPara: vaga.horario }
+      : { permitido: false, mensagem: vaga.mensagem };
+  }
+
+  const { horarioFuncionamento } = await getCachedData();
+  const situacao = openingHours.storeStatus(horarioFuncionamento, agora);
+
+  if (situacao.aberto) {
+    return { permitido: true, situacao };
+  }
+
+  if (horarioFuncionamento.foraDoHorario === 'agendar' && situacao.proximaAbertura) {
+    const { agendamento, ocupacao } = await contextoAgendamento(agora);
+    const [primeiroLivre] = scheduling.listSlots({
+      horario: horarioFuncionamento,
+      agendamento,
+      prazoMinutos: PRAZO_ENTREGA_MINUTOS,
+      ocupacao,
+      agora,
+      desde: situacao.proximaAbertura,
+      dias: agendamento.diasAntecedencia + 1
+    }).filter(slot => slot.vagas > 0);
+
+    if (primeiroLivre) {
+      return { permitido: true, agendadoPara: primeiroLivre.horario, situacao };
+    }
+  }
+
+  return {
+    permitido: false,
+    situacao,
+    mensagem: openingHours.closedMessage(horarioFuncionamento, situacao, agora)
+  };
+}
+
+// Início e fim do horário (slot) de uma entrega agendada, com a configuração de agendamento
+async function horarioDaEntrega(agendadoPara) {
+  const { horarioFuncionamento } = await getCachedData();
+  const agendamento = scheduling.mergeSchedulingConfig(horarioFuncionamento.agendamento);
+  const inicio = scheduling.slotStart(new Date(agendadoPara), agendamento.intervaloMinutos, horarioFuncionamento.timezone);
+  return { agendamento, inicio, fim: new Date(inicio.getTime() + agendamento.intervaloMinutos * 60000) };
+}
+
+// Ocupar uma vaga no horário da entrega agendada. A ocupação de contextoAgendamento é
+// lida antes da confirmação, então dois clientes podem ver a mesma última vaga; a
+// reserva (ReservaHorario) só sobe com vaga livre, num único $inc condicional.
+// Devolve false quando o horário lotou
+async function reservarHorario(agendadoPara) {
+  const { agendamento, inicio, fim } = await horarioDaEntrega(agendadoPara);
+
+  // O contador do horário começa com os pedidos que já estão nele
+  const ocupados = await Pedido.countDocuments({
+    agendadoPara: { $gte: inicio, $lt: fim },
+    status: { $ne: STATUS_PEDIDO.CANCELADO }
+  });
+  try {
+    await ReservaHorario.updateOne(
+      { _id: inicio },
+      { $setOnInsert: { quantidade: ocupados, expiraEm: new Date(fim.getTime() + 24 * 60 * 60000) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Outro processo criou o contador ao mesmo tempo
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const reserva = await ReservaHorario.findOneAndUpdate(
+    { _id: inicio, quantidade: { $lt: agendamento.capacidadePorHorario } },
+    { $inc: { quantidade: 1 } }
+  );
+  return Boolean(reserva);
+}
+
+// Devolver a vaga do horário (pedido não registrado ou cancelado)
+async function liberarHorario(agendadoPara) {
+  const { inicio } = await horarioDaEntrega(agendadoPara);
+  await ReservaHorario.updateOne({ _id: inicio, quantidade: { $gt: 0 } }, { $inc: { quantidade: -1 } });
+}
+
+// Registrar o pedido da conversa (placeOrder) reservando antes a vaga da entrega
+// agendada. Devolve { pedido, created } ou { lotado: mensagem } quando a vaga acabou
+// entre o resumo e a confirmação
+async function registrarPedidoNoHorario(conversa, pedidoData) {
+  const { agendadoPara } = pedidoData;
+  if (!agendadoPara || await findExistingOrder(conversa)) {
+    return placeOrder(conversa, pedidoData);
+  }
+
+  if (!(await reservarHorario(agendadoPara))) {
+    const vaga = await verificarHorarioAgendamento(new Date(agendadoPara));
+    return { lotado: vaga.mensagem || `O horário de ${descreverHorario(agendadoPara)} já está lotado.` };
+  }
+
+  try {
+    const resultado = await placeOrder(conversa, pedidoData);
+    // Outro processo registrou o pedido desta conversa: a vaga dele já foi reservada
+    if (!resultado.created) {
+      await liberarHorario(agendadoPara);
+    }
+    return resultado;
+  } catch (error) {
+    await liberarHorario(agendadoPara);
+    throw error;
+  }
+}
+
+// Frase de prazo da confirmação (pedido imediato ou entrega agendada)
+function textoPrazoEntrega(agendadoPara) {
+  if (agendadoPara) {
+    return `Sua entrega está agendada para ${descreverHorario(agendadoPara)}.`;
+  }
+  return `Seu pedido será entregue em aproximadamente ${PRAZO_ENTREGA_MINUTOS} minutos.`;
+}
+
+// Resposta montada pelo servidor, sem passar pelo LLM
+async function responderSemLLM(conversa, texto, extras = {}) {
+  conversa.mensagens.push({
+    tipo: 'bot',
+    conteudo: texto,
+    data: new Date().toISOString()
+  });
+  await salvarConversa(conversa);
+  return { success: true, text: texto, state: conversa.state, ...extras };
+}
+
+// Montar de novo o último pedido do cliente com os preços de hoje e levar direto ao
+// resumo (estado 6) com o endereço e o pagamento usados nele. Itens que saíram do
+// cardápio ou estão indisponíveis ficam de fora e o cliente é avisado
+async function repetirUltimoPedido(conversa) {
+  const responder = (texto, extras) => responderSemLLM(conversa, texto, extras);
+
+  const ultimo = await Pedido.findOne({
+    telefone: conversa.telefone,
+    status: { $ne: STATUS_PEDIDO.CANCELADO }
+  }).sort({ data: -1 });
+
+  if (!ultimo) {
+    return responder('[TEXT_FORMAT]Não encontrei nenhum pedido anterior seu por aqui. Me conta o que vai querer hoje que eu anoto! 🍕[/END]');
+  }
+
+  // Cada item precificado separadamente: um item indisponível não derruba os outros
+  const { cardapioItems, opcoes } = await carregarPrecificacao();
+  const items = [];
+  const indisponiveis = [];
+  const ajustes = [];
+  ultimo.itens.forEach(itemPedido => {
+    const item = typeof itemPedido.toObject === 'function' ? itemPedido.toObject() : itemPedido;
+    const resultado = precificarItensPedido([item], cardapioItems, opcoes);
+    if (resultado.erros.length > 0) {
+      indisponiveis.push(item.nome);
+    } else {
+      items.push(resultado.items[0]);
+      ajustes.push(...resultado.ajustes);
+    }
+  });
+
+  const { horarioFuncionamento } = await getCachedData();
+  const [, mes, dia] = openingHours.localTime(ultimo.data, horarioFuncionamento.timezone).data.split('-');
+  const listaIndisponiveis = indisponiveis.map(nome => `*${nome}*`).join(', ');
+  console.log(`Repetindo o pedido ${ultimo._id} para ${conversa.telefone} (${items.length} itens, ${indisponiveis.length} indisponíveis)`);
+
+  if (items.length === 0) {
+    return responder(`[TEXT_FORMAT]Os itens do seu último pedido (de ${dia}/${mes}) não estão disponíveis hoje: ${listaIndisponiveis}. O que gostaria de pedir?[/END]`);
+  }
+
+  // Endereço do último pedido, com os componentes salvos no cadastro para a taxa de entrega
+  const cliente = await Cliente.findOne({ telefone: conversa.telefone });
+  const enderecoSalvo = customers.findAddress(cliente, ultimo.endereco);
+  if (enderecoSalvo && enderecoSalvo.components) {
+    conversa.addressData = {
+      formattedAddress: enderecoSalvo.formattedAddress || ultimo.endereco,
+      components: enderecoSalvo.components
+    };
+  } else {
+    // Sem componentes salvos: descartar o endereço validado antes nesta conversa, que é
+    // de outro lugar; a taxa sai do texto do último pedido
+    conversa.addressData = undefined;
+  }
+
+  const pedidoData = {
+    items,
+    endereco: ultimo.endereco,
+    pagamento: ultimo.formaPagamento
+  };
+
+  const taxaEntrega = await aplicarTaxaEntrega(pedidoData, conversa);
+  if (taxaEntrega.foraDoRaio) {
+    conversa.state = 4;
+    return responder(`[TEXT_FORMAT]${taxaEntrega.message} Gostaria de informar outro endereço?[/END]`);
+  }
+
+  await aplicarPromocoes(pedidoData, conversa);
+  registrarAjustesPedido(conversa, ajustes);
+  conversa.pedidoData = pedidoData;
+  conversa.state = 6;
+  tempPedidoData.set(conversa.telefone, pedidoData);
+
+  const avisos = [`Montei de novo o seu último pedido, de ${dia}/${mes}, com os preços de hoje.`];
+  if (indisponiveis.length > 0) {
+    avisos.push(`${indisponiveis.length === 1 ? 'Este item ficou' : 'Estes itens ficaram'} de fora porque não ${indisponiveis.length === 1 ? 'está disponível' : 'estão disponíveis'} hoje: ${listaIndisponiveis}.`);
+  }
+
+  const { texto: resumo, valorTotal } = gerarTextoResumoPedido(pedidoData, conversa);
+  return responder(`[TEXT_FORMAT]${avisos.join(' ')}[/END]\n${resumo}`, {
+    pedido: { ...pedidoData, valorTotal, agendadoPara: conversa.agendadoPara || undefined }
+  });
+}
+
+// Registrar na conversa o horário de entrega pedido na mensagem ("pode entregar às 20h?").
+// Devolve a resposta ao cliente quando o horário não pode ser atendido; senão o atendimento segue
+async function registrarAgendamento(conversa, message) {
+  // Horário de uma frase ambígua, perguntado na resposta anterior: vale só com um "sim"
+  const sugerido = conversa.horarioSugerido;
+  conversa.horarioSugerido = undefined;
+
+  if (conversa.state >= 7 || isOpeningHoursQuestion(message)) {
+    return null;
+  }
+
+  if (conversa.agendadoPara && isAsapRequest(message)) {
+    console.log(`Agendamento removido da conversa ${conversa._id}`);
+    conversa.agendadoPara = undefined;
+    return null;
+  }
+
+  const { horarioFuncionamento } = await getCachedData();
+  const confirmado = sugerido && sugerido > new Date() && isAffirmative(message);
+  const pedido = confirmado
+    ? { data: sugerido }
+    : parseDeliveryTime(message, new Date(), horarioFuncionamento.timezone);
+  if (!pedido) {
+    return null;
+  }
+
+  // "quero as duas": o atendimento segue e o cliente confirma se quis dizer um horário
+  if (pedido.confirmar) {
+    conversa.horarioSugerido = pedido.data;
+    console.log(`Horário ${pedido.data.toISOString()} a confirmar na conversa ${conversa._id}`);
+    return null;
+  }
+
+  const vaga = await verificarHorarioAgendamento(pedido.data);
+  if (!vaga.disponivel) {
+    return responderSemLLM(conversa, `[TEXT_FORMAT]${vaga.mensagem}[/END]`);
+  }
+
+  conversa.agendadoPara = vaga.horario;
+  console.log(`Entrega agendada para ${vaga.horario.toISOString()} na conversa ${conversa._id}`);
+
+  // O "sim" respondeu à pergunta do horário, não ao resumo: mostrar o resumo de novo
+  if (confirmado && conversa.state === 6 && conversa.pedidoData && conversa.pedidoData.items) {
+    const { texto: resumo, valorTotal } = gerarTextoResumoPedido(conversa.pedidoData, conversa);
+    return responderSemLLM(conversa, resumo, {
+      pedido: { ...conversa.pedidoData, valorTotal, agendadoPara: conversa.agendadoPara }
+    });
+  }
+  return null;
+}
+
+// Cardápio com o nome da categoria de cada item (categoria salva como nome ou como id)
+async function cardapioComCategorias() {
+  const [{ cardapioItems }, categorias] = await Promise.all([carregarPrecificacao(), Categoria.find().select('nome')]);
+  const idParaNome = {};
+  categorias.forEach(cat => {
+    idParaNome[cat._id.toString()] = cat.nome;
+  });
+
+  return cardapioItems.map(item => {
+    const obj = item.toObject();
+    const categoria = item.categoria ? item.categoria.toString() : '';
+    obj.categoria = idParaNome[categoria] || categoria;
+    return obj;
+  });
+}
+
+// Pedidos do cliente (não cancelados) que já usaram cada promoção: Map id => quantidade
+async function contarUsosPromocoes(telefone, promocoes) {
+  const usos = new Map();
+  if (!telefone || !promocoes.some(promocao => promocao.limitePorCliente)) {
+    return usos;
+  }
+
+  const pedidos = await Pedido.find({
+    telefone,
+    status: { $ne: STATUS_PEDIDO.CANCELADO }
+  }).select('descontos');
+  pedidos.forEach(pedido => {
+    (pedido.descontos || []).forEach(desconto => {
+      const id = String(desconto.promocao);
+      usos.set(id, (usos.get(id) || 0) + 1);
+    });
+  });
+  return usos;
+}
+
+// Aplicar as promoções vigentes e o cupom da conversa aos itens já precificados.
+// Preenche pedidoData.descontos (e inclui brindes em pedidoData.items); quando o cupom
+// não vale para este pedido, o motivo fica em pedidoData.avisoCupom
+async function aplicarPromocoes(pedidoData, conversa) {
+  const promocoes = await Promocao.find({ ativo: true });
+  const cupom = conversa && conversa.cupom;
+  pedidoData.descontos = [];
+  pedidoData.avisoCupom = undefined;
+  if (promocoes.length === 0 && !cupom) {
+    return;
+  }
+
+  const { horarioFuncionamento } = await getCachedData();
+  const resultado = promotions.applyPromotions({
+    promocoes,
+    cupom,
+    items: pedidoData.items,
+    cardapioItems: await cardapioComCategorias(),
+    usos: await contarUsosPromocoes(conversa && conversa.telefone, promocoes),
+    timezone: horarioFuncionamento.timezone
+  });
+
+  pedidoData.items = resultado.items;
+  pedidoData.descontos = resultado.descontos;
+  if (resultado.cupom && !resultado.cupom.aplicado) {
+    pedidoData.avisoCupom = promotions.couponMessage(resultado.cupom);
+  }
+  if (resultado.descontos.length > 0) {
+    console.log(`Promoções aplicadas para ${conversa && conversa.telefone}: ${resultado.descontos.map(d => `${d.nome} (-R$ ${d.valor.toFixed(2)})`).join(', ')}`);
+  }
+}
+
+// Registrar o cupom citado na mensagem ("tenho o cupom PIZZA10"). Devolve a resposta ao
+// cliente quando o cupom não existe ou quando o resumo precisa ser refeito com o desconto
+async function registrarCupom(conversa, message) {
+  if (conversa.state >= 7) {
+    return null;
+  }
+
+  const comCupom = (await Promocao.find({ ativo: true }).select('codigo')).filter(promocao => promocao.codigo);
+  const codigo = promotions.extractCouponCode(message, comCupom.map(promocao => promocao.codigo));
+  if (!codigo) {
+    return null;
+  }
+
+  if (!comCupom.some(promocao => promocao.codigo === codigo)) {
+    console.log(`Cupom desconhecido "${codigo}" na conversa ${conversa._id}`);
+    return responderSemLLM(conversa, `[TEXT_FORMAT]Não encontrei o cupom *${codigo}*. Confira se está escrito certinho e me mande de novo.[/END]`);
+  }
+
+  conversa.cupom = codigo;
+  console.log(`Cupom ${codigo} registrado na conversa ${conversa._id}`);
+
+  // Já no resumo: refazer o resumo com o desconto
+  if (conversa.state === 6 && conversa.pedidoData && conversa.pedidoData.items) {
+    const pedidoData = { ...conversa.pedidoData };
+    await aplicarPromocoes(pedidoData, conversa);
+    conversa.pedidoData = pedidoData;
+    tempPedidoData.set(conversa.telefone, pedidoData);
+
+    const { texto: resumo, valorTotal } = gerarTextoResumoPedido(pedidoData, conversa);
+    const aviso = pedidoData.avisoCupom ? '' : `[TEXT_FORMAT]Cupom *${codigo}* aplicado![/END]\n`;
+    return responderSemLLM(conversa, `${aviso}${resumo}`, {
+      pedido: { ...pedidoData, valorTotal, agendadoPara: conversa.agendadoPara || undefined }
+    });
+  }
+
+  return null;
+}
+
+// Linhas de desconto das promoções e o aviso do cupom não aplicado, para os textos do pedido
+function linhasDescontos(descontos, avisoCupom, recuo = '') {
+  const linhas = (descontos || []).map(desconto =>
+    `\n${recuo}*Desconto (${desconto.codigo ? `cupom ${desconto.codigo}` : desconto.nome}):* -R$ ${desconto.valor.toFixed(2)}`
+  );
+  if (avisoCupom) {
+    linhas.push(`\n${recuo}${avisoCupom}`);
+  }
+  return linhas.join('');
+}
+
+// Resumo do pedido para o cliente conferir (estado 6). Devolve { texto, valorTotal }
+function gerarTextoResumoPedido(pedidoData, conversa) {
+  const valorTotal = calculateTotal(pedidoData);
+
+  const linhaTaxaEntrega = (pedidoData.taxaEntrega > 0
+    ? `\n        *Taxa de entrega:* R$ ${pedidoData.taxaEntrega.toFixed(2)}`
+    : '') + linhasDescontos(pedidoData.descontos, pedidoData.avisoCupom, '        ');
+  const agendadoPara = conversa && conversa.agendadoPara;
+  const linhaAgendamento = agendadoPara
+    ? `\n        *Entrega agendada:* ${descreverHorario(agendadoPara)}`
+    : '';
+
+  const texto = `
+        [TEXT_FORMAT]Vamos conferir seu pedido:
+        
+        ${pedidoData.items.map(formatarItemPedido).join('').trim()}${linhaTaxaEntrega}
+        
+        *Endereço de entrega:* ${pedidoData.endereco}
+        *Forma de pagamento:* ${pedidoData.pagamento}${linhaAgendamento}
+        
+        *Total:* R$ ${valorTotal.toFixed(2)}
+        
+        Está tudo correto? Responda SIM para confirmar ou me diga o que gostaria de modificar.[/END]
+          `.trim();
+
+  return { texto, valorTotal };
+}
+
+// Gerar texto de confirmação do pedido
+function gerarTextoConfirmacaoPedido(pedidoData, conversa) {
+  try {
+    if (!pedidoData || !pedidoData.items || !pedidoData.endereco || !pedidoData.pagamento) {
+      return "Pedido confirmado! Obrigado pela preferência.";
+    }
+
+    // Determinar o endereço mais completo disponível
+    let endereco = pedidoData.endereco;
+    if (conversa && conversa.addressData && conversa.addressData.formattedAddress) {
+      endereco = conversa.addressData.formattedAddress;
+    }
+
+    let texto = "🎉 *PEDIDO CONFIRMADO* 🎉\n\n";
+    texto += "*Itens:*\n";
+
+    pedidoData.items.forEach(item => {
+      texto += formatarItemPedido(item);
+    });
+
+    const taxaEntrega = parseFloat(pedidoData.taxaEntrega) || 0;
+    if (taxaEntrega > 0) {
+      texto += `- Taxa de entrega: R$${taxaEntrega.toFixed(2)}\n`;
+    }
+    (pedidoData.descontos || []).forEach(desconto => {
+      texto += `- Desconto (${desconto.codigo ? `cupom ${desconto.codigo}` : desconto.nome}): -R$${desconto.valor.toFixed(2)}\n`;
+    });
+    const total = calculateTotal({ ...pedidoData, taxaEntrega });
+
+    texto += `\n*Valor Total:* R$${total.toFixed(2)}\n`;
+    texto += `*Endereço de Entrega:* ${endereco}\n`;
+    texto += `*Forma de Pagamento:* ${pedidoData.pagamento}\n\n`;
+    texto += `${textoPrazoEntrega(pedidoData.agendadoPara)} Obrigado pela preferência! 🍕`;
+
+    return texto;
+  } catch (error) {
+    console.error('Erro ao gerar texto de confirmação:', error);
+    return "Pedido confirmado! Obrigado pela preferência.";
+  }
+}
+
+// Checagem de avanço de estado no fluxo de conversa
+function checkIfShouldAdvanceState(botResponse, userMessage, currentState, conversa) {
+  try {
+    // Lógica básica para determinar se deve avançar de estado
+    const userMsg = userMessage ? userMessage.toLowerCase() : '';
+
+    // Logs para debugging
+    console.log(`Verificando avanço de estado. Estado atual: ${currentState}`);
+    console.log(`Mensagem do usuário: "${userMsg.substring(0, 50)}..."`);
 
     // Retornar valores concretos em vez de undefined
     switch (currentState) {
       case 0: // Escolha de sabor
         // Verificar sabores específicos ou pedido direto
         const hasPizzaRequest = userMsg.includes('pizza') ||
-          userMsg.includes('tropicale') ||
-          userMsg.includes('amazonas') ||
-          userMsg.includes('napolitana') ||
+          findFlavorMentions(userMsg, dataCache.indiceSabores).length > 0 ||
           userMsg.includes('pedido') ||
           userMsg.includes('quero') ||
           userMsg.includes('manda');
@@ -1406,8 +2643,11 @@ async function processTaggedResponse(botResponse, userMessage, conversa, botConf
             // Salvar apenas se for um documento Mongoose
             if (typeof conversa.save === 'function') {
               try {
-                await conversa.save();
+                await salvarConversa(conversa);
               } catch (saveError) {
+                if (saveError instanceof mongoose.Error.VersionError) {
+                  throw saveError;
+                }
                 console.error("Erro ao salvar conversa (verificação de endereço):", saveError);
               }
             }
@@ -1420,7 +2660,69 @@ async function processTaggedResponse(botResponse, userMessage, conversa, botConf
           };
         }
 
+        // Recalcular preços pelo cardápio e recusar itens indisponíveis ou sem tamanho
+        const { erros: errosPedido } = await precificarPedido(pedidoData, conversa);
+        if (errosPedido.length > 0) {
+          console.log('Pedido com itens inválidos:', errosPedido);
+
+          if (conversa && typeof conversa === 'object') {
+            conversa.pedidoData = null;
+            if (conversa.state > 5) {
+              conversa.state = 5; // Não seguir para a confirmação
+            }
+
+            if (typeof conversa.save === 'function') {
+              try {
+                await salvarConversa(conversa);
+              } catch (saveError) {
+                if (saveError instanceof mongoose.Error.VersionError) {
+                  throw saveError;
+                }
+                console.error("Erro ao salvar conversa (verificação de itens):", saveError);
+              }
+            }
+          }
+
+          if (conversa && conversa.telefone) {
+            tempPedidoData.delete(conversa.telefone);
+          }
+
+          return {
+            success: true,
+            state: conversa ? conversa.state : undefined,
+            text: `[TEXT_FORMAT]${errosPedido.join('\n')}[/END]`
+          };
+        }
+
+        // Calcular a taxa de entrega e recusar endereços fora do raio
+        const taxaEntrega = await aplicarTaxaEntrega(pedidoData, conversa);
+        if (taxaEntrega.foraDoRaio) {
+          if (conversa && typeof conversa === 'object') {
+            conversa.state = 4; // Voltar para estado de endereço
+
+            if (typeof conversa.save === 'function') {
+              try {
+                await salvarConversa(conversa);
+              } catch (saveError) {
+                if (saveError instanceof mongoose.Error.VersionError) {
+                  throw saveError;
+                }
+                console.error("Erro ao salvar conversa (verificação de distância):", saveError);
+              }
+            }
+          }
+
+          return {
+            success: true,
+            state: 4,
+            text: `[TEXT_FORMAT]${taxaEntrega.message} Gostaria de informar outro endereço?[/END]`
+          };
+        }
+
         try {
+          // Descontos das promoções vigentes e do cupom informado
+          await aplicarPromocoes(pedidoData, conversa);
+
           // Armazenar dados do pedido na conversa para referência
           if (conversa && typeof conversa === 'object') {
             conversa.pedidoData = pedidoData;
@@ -1433,9 +2735,12 @@ async function processTaggedResponse(botResponse, userMessage, conversa, botConf
             // Salvar a conversa com os dados do pedido, mas sem criar no banco ainda
             if (typeof conversa.save === 'function') {
               try {
-                await conversa.save();
+                await salvarConversa(conversa);
                 console.log(`Dados do pedido armazenados na conversa ${conversa._id || 'desconhecida'}`);
               } catch (saveError) {
+                if (saveError instanceof mongoose.Error.VersionError) {
+                  throw saveError;
+                }
                 console.error("Erro ao salvar conversa (armazenamento de dados):", saveError);
               }
             }
@@ -1448,33 +2753,18 @@ async function processTaggedResponse(botResponse, userMessage, conversa, botConf
           }
 
           // Gerar texto de resumo para confirmação
-          let textoResumo = "";
-
-          // Calcular valor total
-          let valorTotal = 0;
-          pedidoData.items.forEach(item => {
-            const quantidade = item.quantidade || 1;
-            const preco = parseFloat(item.preco);
-            valorTotal += preco * quantidade;
-          });
-
-          textoResumo = `
-        [TEXT_FORMAT]Vamos conferir seu pedido:
-        
-        *Pizza ${pedidoData.items[0].nome}* - R$ ${parseFloat(pedidoData.items[0].preco).toFixed(2)}
-        
-        *Endereço de entrega:* ${pedidoData.endereco}
-        *Forma de pagamento:* ${pedidoData.pagamento}
-        
-        *Total:* R$ ${valorTotal.toFixed(2)}
-        
-        Está tudo correto? Responda SIM para confirmar ou me diga o que gostaria de modificar.[/END]
-          `.trim();
+          const { texto: textoResumo, valorTotal } = gerarTextoResumoPedido(pedidoData, conversa);
+          const agendadoPara = conversa && conversa.agendadoPara;
 
           // Atualizar resposta com o texto de resumo
           responseObj.text = textoResumo;
+          // Resumo estruturado para canais que exibem o pedido como cartão (chat web)
+          responseObj.pedido = { ...pedidoData, valorTotal, agendadoPara: agendadoPara || undefined };
 
         } catch (pedidoError) {
+          if (pedidoError instanceof mongoose.Error.VersionError) {
+            throw pedidoError;
+          }
           console.error("Erro no processamento do pedido:", pedidoError);
 
           // Informar erro ao usuário
@@ -1482,6 +2772,10 @@ async function processTaggedResponse(botResponse, userMessage, conversa, botConf
         }
       }
     } catch (jsonError) {
+      // Conflito de versão que salvarConversa não resolveu: sobe para o turno ser refeito
+      if (jsonError instanceof mongoose.Error.VersionError) {
+        throw jsonError;
+      }
       console.error('Erro ao processar resposta JSON:', jsonError);
     }
   }
@@ -1531,58 +2825,71 @@ async function processTaggedResponse(botResponse, userMessage, conversa, botConf
 
             // Tentar reverter para o estado de coleta de endereço
             conversa.state = 4;
-            await conversa.save();
+            await salvarConversa(conversa);
 
             return responseObj; // Sair da função para evitar processamento adicional
           }
         }
 
         try {
-          // Calcular valor total
-          let valorTotal = 0;
-          savedPedidoData.items.forEach(item => {
-            const quantidade = item.quantidade || 1;
-            const preco = parseFloat(item.preco);
-            if (isNaN(preco)) {
-              throw new Error(`Preço inválido para o item ${item.nome}`);
+          // Recalcular os preços pelo cardápio antes de registrar o pedido
+          const { erros: errosPedido } = await precificarPedido(savedPedidoData, conversa);
+          if (errosPedido.length > 0) {
+            console.error('Itens inválidos na confirmação final:', errosPedido);
+            responseObj.text = `[TEXT_FORMAT]${errosPedido.join('\n')}[/END]`;
+            conversa.state = 5;
+            await salvarConversa(conversa);
+            return responseObj;
+          }
+
+          // Calcular a taxa de entrega caso ainda não tenha sido calculada no resumo
+          if (savedPedidoData.taxaEntrega === undefined) {
+            const taxaEntrega = await aplicarTaxaEntrega(savedPedidoData, conversa);
+            if (taxaEntrega.foraDoRaio) {
+              responseObj.text = taxaEntrega.message;
+              conversa.state = 4;
+              await salvarConversa(conversa);
+              return responseObj;
             }
-            valorTotal += preco * quantidade;
-          });
+          }
 
-          // Log detalhado antes da criação do pedido
-          console.log('=== DADOS PARA CRIAÇÃO DO PEDIDO ===');
-          console.log(`Telefone: ${conversa.telefone}`);
-          console.log(`Itens: ${JSON.stringify(savedPedidoData.items)}`);
-          console.log(`Endereço: ${savedPedidoData.endereco}`);
-          console.log(`Pagamento: ${savedPedidoData.pagamento}`);
-          console.log(`Valor Total: ${valorTotal}`);
-          console.log('======================================');
-
-          // Criar novo pedido
-          const novoPedido = new Pedido({
-            telefone: conversa.telefone,
-            itens: savedPedidoData.items.map(item => ({
-              nome: item.nome,
-              quantidade: item.quantidade || 1,
-              preco: parseFloat(item.preco)
-            })),
-            valorTotal: valorTotal,
-            endereco: savedPedidoData.endereco,
-            formaPagamento: savedPedidoData.pagamento,
-            status: 'Confirmado',
-            data: new Date().toISOString()
-          });
+          // Promoções conferidas de novo: podem ter vencido desde o resumo
+          await aplicarPromocoes(savedPedidoData, conversa);
 
-          const pedidoSalvo = await novoPedido.save();
-          console.log(`[CONFIRMAÇÃO FINAL] Pedido salvo com sucesso: ${pedidoSalvo._id}`);
+          // Horário agendado sem vaga ou loja fechada: recusar ou agendar para a próxima
+          // abertura (uma confirmação repetida de pedido já registrado segue normalmente)
+          const horario = await avaliarHorarioPedido(conversa.agendadoPara);
+          if (!horario.permitido && !(await findExistingOrder(conversa))) {
+            console.log(`[CONFIRMAÇÃO FINAL] Horário indisponível, pedido de ${conversa.telefone} não registrado`);
+            responseObj.text = horario.mensagem;
+            return responseObj;
+          }
 
-          // Atualizar conversa
-          conversa.pedidoId = pedidoSalvo._id;
-          conversa.state = 7; // Estado de pedido confirmado
-          await conversa.save();
+          // Registrar o pedido e vincular à conversa (estado 7)
+          const registro = await registrarPedidoNoHorario(conversa, {
+            ...savedPedidoData,
+            agendadoPara: horario.agendadoPara
+          });
+          if (registro.lotado) {
+            console.log(`[CONFIRMAÇÃO FINAL] Horário lotado na confirmação, pedido de ${conversa.telefone} não registrado`);
+            responseObj.text = registro.lotado;
+            return responseObj;
+          }
+          const { pedido: pedidoSalvo, created } = registro;
+          if (created) {
+            publicarPedidoCozinha(pedidoSalvo);
+            await registrarPedidoCliente(pedidoSalvo, conversa);
+          }
+          console.log(`[CONFIRMAÇÃO FINAL] Pedido ${created ? 'salvo' : 'já registrado'}: ${pedidoSalvo._id} (total R$ ${pedidoSalvo.valorTotal})`);
 
           // Adicionar texto de confirmação à resposta
           responseObj.text = confirmationMatch[1];
+          if (pedidoSalvo.valorDesconto > 0) {
+            responseObj.text += `\n${linhasDescontos(pedidoSalvo.descontos)}\n*Total com desconto:* R$ ${pedidoSalvo.valorTotal.toFixed(2)}`;
+          }
+          if (pedidoSalvo.agendadoPara) {
+            responseObj.text += `\n\n${textoPrazoEntrega(pedidoSalvo.agendadoPara)}`;
+          }
 
           // Se tiver imagem de confirmação configurada
           if (botConfig && botConfig.confirmationImage) {
@@ -1590,6 +2897,11 @@ async function processTaggedResponse(botResponse, userMessage, conversa, botConf
             responseObj.imageCaption = botConfig.confirmationImageCaption || 'Pedido Confirmado';
           }
         } catch (error) {
+          // Pedido montado de uma conversa que outro processo alterou (placeOrder): o turno
+          // é refeito sobre a versão atual (processarTurnoTexto)
+          if (error instanceof mongoose.Error.VersionError) {
+            throw error;
+          }
           console.error('Erro ao processar confirmação final do pedido:', error);
           responseObj.text = "Houve um problema ao confirmar seu pedido. Por favor, tente novamente ou entre em contato por telefone.";
         }
@@ -1652,6 +2964,13 @@ async function extractPedidoData(text, conversa) {
         return null;
       }
 
+      // Substituir os preços pelos do cardápio
+      const { erros } = await precificarPedido(pedidoData, conversa);
+      if (erros.length > 0) {
+        console.log("Itens inválidos detectados, não atualizando dados:", erros);
+        return null;
+      }
+
       console.log(`Dados de pedido válidos extraídos: ${pedidoData.items.length} itens`);
       return pedidoData;
     }
@@ -1663,6 +2982,251 @@ async function extractPedidoData(text, conversa) {
   }
 }
 
+// ======== FERRAMENTAS DO LLM ==========
+// Com o protocolo 'tools' o modelo monta o pedido chamando ferramentas
+// (add_item, set_address, set_payment, confirm_order...). O servidor valida
+// cada chamada, guarda o pedido em montagem em conversa.pedidoData e converte
+// o resultado nas mesmas tags tratadas por processTaggedResponse.
+
+// Rodadas de chamadas de ferramentas por mensagem antes de exigir resposta em texto
+const MAX_RODADAS_FERRAMENTAS = 3;
+
+const TAGS_RESPOSTA = ['[TEXT_FORMAT]', '[VOICE_FORMAT]', '[IMAGE_FORMAT]', '[JSON_FORMAT]', '[CONFIRMATION_FORMAT]'];
+
+function usaProtocoloFerramentas(botConfig) {
+  return !botConfig || botConfig.responseProtocol !== 'tags';
+}
+
+// Pedido em montagem na conversa
+function obterRascunhoPedido(conversa) {
+  const rascunho = conversa.pedidoData && typeof conversa.pedidoData === 'object' ? conversa.pedidoData : {};
+  if (!Array.isArray(rascunho.items)) {
+    rascunho.items = [];
+  }
+  return rascunho;
+}
+
+function salvarRascunhoPedido(conversa, rascunho) {
+  conversa.pedidoData = rascunho;
+  if (typeof conversa.markModified === 'function') {
+    conversa.markModified('pedidoData');
+  }
+
+  // Pedido alterado depois do resumo: o cliente precisa conferir de novo
+  if (conversa.state === 6) {
+    conversa.state = 5;
+  }
+}
+
+function subtotalRascunho(rascunho) {
+  return rascunho.items.reduce((total, item) => total + (parseFloat(item.preco) || 0) * (item.quantidade || 1), 0);
+}
+
+// Executar uma ferramenta já validada; o retorno é enviado de volta ao modelo
+// `saidas` acumula o que será enviado ao cliente (imagens, áudio, resumo, confirmação)
+async function executarFerramenta(nome, args, conversa, saidas) {
+  const rascunho = obterRascunhoPedido(conversa);
+
+  switch (nome) {
+    case 'add_item': {
+      const novoItem = { items: [{ ...args }] };
+      const { erros } = await precificarPedido(novoItem, conversa);
+      if (erros.length > 0) {
+        return { ok: false, erros };
+      }
+
+      rascunho.items.push(novoItem.items[0]);
+      salvarRascunhoPedido(conversa, rascunho);
+
+      const item = novoItem.items[0];
+      return {
+        ok: true,
+        item: { nome: item.nome, tamanho: item.tamanho, quantidade: item.quantidade, preco: item.preco },
+        subtotal: subtotalRascunho(rascunho)
+      };
+    }
+
+    case 'remove_item': {
+      const alvo = normalizeText(args.nome);
+      const indice = rascunho.items.findIndex(item =>
+        normalizeText(item.nome) === alvo || normalizeText(item.identificador) === alvo);
+      const aproximado = indice === -1 ? findBestMatch(args.nome, rascunho.items, item => [item.nome]) : null;
+      const removerIndice = indice !== -1 ? indice : (aproximado ? rascunho.items.indexOf(aproximado.item) : -1);
+
+      if (removerIndice === -1) {
+        return { ok: false, erro: `Item "${args.nome}" não está no pedido`, itens: rascunho.items.map(item => item.nome) };
+      }
+
+      const [removido] = rascunho.items.splice(removerIndice, 1);
+      salvarRascunhoPedido(conversa, rascunho);
+      return { ok: true, removido: removido.nome, subtotal: subtotalRascunho(rascunho) };
+    }
+
+    case 'set_address': {
+      const validacao = await validateAddress(args.endereco);
+      if (!validacao.valid) {
+        return { ok: false, mensagem: validacao.message, requerNumero: !!validacao.requiresNumber };
+      }
+
+      rascunho.endereco = validacao.formattedAddress || args.endereco;
+      conversa.addressData = {
+        formattedAddress: validacao.formattedAddress || args.endereco,
+        components: validacao.components
+      };
+
+      // A taxa é recalculada no resumo a partir do endereço validado
+      delete rascunho.taxaEntrega;
+      delete rascunho.distanciaKm;
+      salvarRascunhoPedido(conversa, rascunho);
+
+      return { ok: true, endereco: rascunho.endereco, taxaEntrega: validacao.taxaEntrega };
+    }
+
+    case 'set_payment': {
+      const { formasPagamento } = await getCachedData();
+      const formas = formasPagamento || [];
+      const forma = formas.find(f => normalizeText(f.nome) === normalizeText(args.forma_pagamento)) ||
+        (findBestMatch(args.forma_pagamento, formas, f => [f.nome], 0.7) || {}).item;
+
+      if (!forma) {
+        return { ok: false, erro: 'Forma de pagamento não aceita', formasAceitas: formas.map(f => f.nome) };
+      }
+
+      rascunho.pagamento = forma.requerTroco && args.troco_para
+        ? `${forma.nome} (troco para R$ ${args.troco_para.toFixed(2)})`
+        : forma.nome;
+      salvarRascunhoPedido(conversa, rascunho);
+
+      return { ok: true, pagamento: rascunho.pagamento, requerTroco: !!forma.requerTroco };
+    }
+
+    case 'show_image':
+      saidas.imagens.push(...args.identificadores);
+      return { ok: true };
+
+    case 'send_voice':
+      saidas.voz = args.texto;
+      return { ok: true };
+
+    case 'confirm_order': {
+      const faltando = [];
+      if (rascunho.items.length === 0) faltando.push('itens');
+      if (!rascunho.endereco) faltando.push('endereço');
+      if (!rascunho.pagamento) faltando.push('forma de pagamento');
+
+      if (faltando.length > 0) {
+        return { ok: false, erro: `Faltam dados do pedido: ${faltando.join(', ')}` };
+      }
+
+      // Estado 6: o cliente já viu o resumo, então esta chamada registra o pedido
+      if (conversa.state === 6) {
+        const horario = await avaliarHorarioPedido(conversa.agendadoPara);
+        if (!horario.permitido) {
+          return { ok: false, erro: 'O pedido não pode ser registrado neste horário', mensagem: horario.mensagem };
+        }
+
+        saidas.confirmacao = args.mensagem || 'Pedido confirmado! Obrigado pela preferência! 🍕';
+        return { ok: true, etapa: 'pedido registrado' };
+      }
+
+      saidas.resumo = rascunho;
+      return { ok: true, etapa: 'resumo enviado ao cliente para conferência' };
+    }
+
+    default:
+      return { ok: false, erro: `Ferramenta desconhecida: ${nome}` };
+  }
+}
+
+// Converter a resposta do modelo e as saídas das ferramentas no formato de tags
+function montarRespostaFerramentas(textoFinal, saidas) {
+  const partes = [];
+  const texto = (textoFinal || '').trim();
+
+  if (texto) {
+    // Prompts antigos ainda podem fazer o modelo responder com tags
+    partes.push(TAGS_RESPOSTA.some(tag => texto.includes(tag)) ? texto : `[TEXT_FORMAT]${texto}[/END]`);
+  }
+
+  if (saidas.voz) {
+    partes.push(`[VOICE_FORMAT]${saidas.voz}[/END]`);
+  }
+
+  saidas.imagens.forEach(id => partes.push(`[IMAGE_FORMAT]${id}[/END]`));
+
+  if (saidas.resumo) {
+    partes.push(`[JSON_FORMAT]${JSON.stringify({ pedido: saidas.resumo })}[/END]`);
+  }
+
+  if (saidas.confirmacao) {
+    partes.push(`[CONFIRMATION_FORMAT]${saidas.confirmacao}[/END]`);
+  }
+
+  // O modelo só chamou ferramentas e não escreveu nada para o cliente
+  if (partes.length === 0) {
+    partes.push('[TEXT_FORMAT]Certo! Posso ajudar com mais alguma coisa?[/END]');
+  }
+
+  return partes.join('\n');
+}
+
+// Chamar o modelo com as ferramentas do pedido até obter a resposta final
+async function gerarRespostaComFerramentas(systemMessage, historico, conversa) {
+  const llm = await getLlm();
+  const messages = [{ role: 'system', content: systemMessage }, ...historico];
+  const saidas = { imagens: [], voz: null, resumo: null, confirmacao: null };
+  let textoFinal = '';
+  let aguardandoResposta = false;
+
+  for (let rodada = 0; rodada < MAX_RODADAS_FERRAMENTAS; rodada++) {
+    const resposta = await llm.chat({ messages, tools: OPENAI_TOOLS });
+    textoFinal = resposta.content || textoFinal;
+    aguardandoResposta = resposta.toolCalls.length > 0;
+
+    if (!aguardandoResposta) {
+      break;
+    }
+
+    messages.push(resposta.message);
+
+    for (const toolCall of resposta.toolCalls) {
+      const { nome, args, erros } = parseToolCall(toolCall);
+      let resultado;
+
+      if (erros.length > 0) {
+        console.log(`[FERRAMENTA] ${nome} recusada:`, erros);
+        resultado = { ok: false, erros };
+      } else {
+        try {
+          resultado = await executarFerramenta(nome, args, conversa, saidas);
+          console.log(`[FERRAMENTA] ${nome}:`, JSON.stringify(resultado).substring(0, 200));
+        } catch (error) {
+          console.error(`[FERRAMENTA] Erro ao executar ${nome}:`, error);
+          resultado = { ok: false, erro: 'Erro interno ao executar a ferramenta' };
+        }
+      }
+
+      messages.push({ role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(resultado) });
+    }
+
+    // Resumo e confirmação já têm texto próprio, não é preciso outra rodada
+    if (saidas.resumo || saidas.confirmacao) {
+      aguardandoResposta = false;
+      break;
+    }
+  }
+
+  // Rodadas esgotadas com o modelo ainda chamando ferramentas: uma última chamada
+  // sem ferramentas para ele responder ao cliente com o resultado delas
+  if (aguardandoResposta) {
+    console.warn(`[FERRAMENTA] ${MAX_RODADAS_FERRAMENTAS} rodadas de ferramentas sem resposta, pedindo o texto final`);
+    const resposta = await llm.chat({ messages });
+    textoFinal = resposta.content || textoFinal;
+  }
+
+  return montarRespostaFerramentas(textoFinal, saidas);
+}
+
 // Gerar áudio a partir de texto
 async function generateAudio(text) {
   try {
@@ -1680,17 +3244,9 @@ async function generateAudio(text) {
       .replace(/\*\*/g, "") // Remove negrito markdown
       .replace(/\*/g, ""); // Remove itálico markdown
 
-    // Gerar áudio com OpenAI
-    const speech = await openai.audio.speech.create({
-      model: "tts-1",
-      voice: "ash",
-      input: `\u200B ${cleanedText}`,
-      response_format: "mp3"
-    });
-
-    // Processar resultado
-    const arrayBuffer = await speech.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
+    // Gerar áudio com o provedor configurado
+    const llm = await getLlm();
+    const buffer = await llm.speech(`\u200B ${cleanedText}`);
 
     if (buffer.length === 0) {
       throw new Error("API retornou um buffer vazio");
@@ -1721,41 +3277,73 @@ async function generateAudio(text) {
 
 // ======== FUNÇÕES ESPECÍFICAS DO WHATSAPP BOT ==========
 
-// Processar mensagem de texto para o WhatsApp
-async function processTextMessage(userPhone, text) {
+// Enviar uma imagem (URL ou data URI em base64) pelo transporte
+async function enviarImagem(canal, userPhone, url, legenda) {
+  if (url.startsWith('data:image')) {
+    const matches = url.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
+    if (matches && matches.length === 3) {
+      await canal.sendImage(userPhone, { mimetype: matches[1], data: matches[2] }, legenda || '');
+      return true;
+    }
+    return false;
+  }
+
+  const imagePath = await downloadMedia(url, 'image');
+  if (!imagePath) {
+    return false;
+  }
+
+  try {
+    await canal.sendImage(userPhone, { path: imagePath, mimetype: 'image/jpeg' }, legenda || '');
+  } finally {
+    fs.unlinkSync(imagePath);
+  }
+  return true;
+}
+
+// Baixar um áudio gerado e enviar como nota de voz
+async function enviarAudio(canal, userPhone, audioUrl) {
+  const audioPath = await downloadMedia(audioUrl, 'audio');
+  if (!audioPath) {
+    return false;
+  }
+
+  try {
+    await canal.sendVoice(userPhone, audioPath);
+  } finally {
+    // Limpar arquivo temporário
+    fs.unlinkSync(audioPath);
+  }
+  return true;
+}
+
+// Processar mensagem de texto recebida por qualquer transporte
+async function processTextMessage(userPhone, text, canal = canalDoCliente(userPhone)) {
   // Conjunto para rastrear imagens já enviadas
   const sentImages = new Set();
 
   try {
     // Verificar primeiro se é um pedido específico de áudio
-    const audioProcessed = await handleAudioRequest(userPhone, text);
+    const audioProcessed = await handleAudioRequest(userPhone, text, canal);
     if (audioProcessed) {
       console.log('Pedido de áudio processado com sucesso');
       return;
     }
 
-    // Buscar ou criar conversa para o usuário
-    let conversa = await getOrCreateConversation(userPhone, text);
-    if (!conversa) {
-      console.error('Não foi possível criar ou obter uma conversa válida');
-      await client.sendMessage(userPhone, "Desculpe, ocorreu um erro ao processar sua mensagem. Por favor, tente novamente.");
-      return;
-    }
-
     // Verificar se há um pedido de reinicialização
     if (text.toLowerCase() === 'reiniciar' ||
       text.toLowerCase() === 'começar de novo' ||
       text.toLowerCase() === 'novo pedido') {
-      await handleResetRequest(userPhone);
+      await handleResetRequest(userPhone, canal);
       return;
     }
 
     // Processar a mensagem com a API interna
-    const apiResponse = await processMessageInternally(userPhone, text, false, 'text', conversa);
+    const apiResponse = await processarTurnoTexto(userPhone, text);
 
     // Verificar se temos uma resposta válida
     if (!apiResponse || !apiResponse.success) {
-      await client.sendMessage(userPhone, "Desculpe, ocorreu um erro ao processar sua mensagem. Por favor, tente novamente.");
+      await canal.sendText(userPhone, "Desculpe, ocorreu um erro ao processar sua mensagem. Por favor, tente novamente.");
       return;
     }
 
@@ -1766,7 +3354,7 @@ async function processTextMessage(userPhone, text) {
       for (const block of textBlocks) {
         const cleanText = block.replace(/\[TEXT_FORMAT\]|\[\/END\]/g, '').trim();
         if (cleanText) {
-          await client.sendMessage(userPhone, cleanText);
+          await canal.sendText(userPhone, cleanText);
         }
       }
     }
@@ -1774,17 +3362,7 @@ async function processTextMessage(userPhone, text) {
     // Processar áudio
     if (apiResponse.audio) {
       try {
-        const audioPath = await downloadMedia(apiResponse.audio, 'audio');
-        if (audioPath) {
-          const media = MessageMedia.fromFilePath(audioPath);
-          await client.sendMessage(userPhone, media, {
-            sendAudioAsVoice: true,
-            mimetype: 'audio/mp3'
-          });
-
-          // Limpar arquivo temporário
-          fs.unlinkSync(audioPath);
-        }
+        await enviarAudio(canal, userPhone, apiResponse.audio);
       } catch (audioError) {
         console.error('Erro ao processar áudio:', audioError);
       }
@@ -1793,25 +3371,8 @@ async function processTextMessage(userPhone, text) {
     // Processar imagem principal
     if (apiResponse.image && !sentImages.has(apiResponse.image)) {
       try {
-        if (apiResponse.image.startsWith('data:image')) {
-          const matches = apiResponse.image.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-          if (matches && matches.length === 3) {
-            const mediaType = matches[1];
-            const mediaData = matches[2];
-            const caption = apiResponse.imageCaption || '';
-
-            const media = new MessageMedia(mediaType, mediaData);
-            await client.sendMessage(userPhone, media, { caption });
-            sentImages.add(apiResponse.image);
-          }
-        } else {
-          const imagePath = await downloadMedia(apiResponse.image, 'image');
-          if (imagePath) {
-            const media = MessageMedia.fromFilePath(imagePath);
-            await client.sendMessage(userPhone, media, { caption: apiResponse.imageCaption || '' });
-            sentImages.add(apiResponse.image);
-            fs.unlinkSync(imagePath);
-          }
+        if (await enviarImagem(canal, userPhone, apiResponse.image, apiResponse.imageCaption)) {
+          sentImages.add(apiResponse.image);
         }
       } catch (imageError) {
         console.error('Erro ao enviar imagem principal:', imageError);
@@ -1823,25 +3384,8 @@ async function processTextMessage(userPhone, text) {
       for (const imgData of apiResponse.allImages) {
         if (imgData.url && !sentImages.has(imgData.url)) {
           try {
-            if (imgData.url.startsWith('data:image')) {
-              const matches = imgData.url.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-              if (matches && matches.length === 3) {
-                const mediaType = matches[1];
-                const mediaData = matches[2];
-                const caption = imgData.caption || '';
-
-                const media = new MessageMedia(mediaType, mediaData);
-                await client.sendMessage(userPhone, media, { caption });
-                sentImages.add(imgData.url);
-              }
-            } else {
-              const imagePath = await downloadMedia(imgData.url, 'image');
-              if (imagePath) {
-                const media = MessageMedia.fromFilePath(imagePath);
-                await client.sendMessage(userPhone, media, { caption: imgData.caption || '' });
-                sentImages.add(imgData.url);
-                fs.unlinkSync(imagePath);
-              }
+            if (await enviarImagem(canal, userPhone, imgData.url, imgData.caption)) {
+              sentImages.add(imgData.url);
             }
           } catch (error) {
             console.error(`Erro ao processar imagem adicional ${imgData.id}:`, error);
@@ -1851,13 +3395,74 @@ async function processTextMessage(userPhone, text) {
     }
   } catch (error) {
     console.error('Erro ao processar mensagem de texto:', error);
-    await client.sendMessage(userPhone, 'Desculpe, ocorreu um erro ao processar sua mensagem.');
+    await canal.sendText(userPhone, 'Desculpe, ocorreu um erro ao processar sua mensagem.');
   } finally {
     // Limpar o conjunto de imagens enviadas
     sentImages.clear();
   }
 }
 
+// Tentativas de um turno quando outro processo salvou a mesma conversa antes (VersionError)
+const MAX_TENTATIVAS_TURNO = 3;
+
+// Salvar a conversa do turno. Se outro processo a salvou antes (VersionError), relê a
+// versão atual e aplica só o que este turno mudou: as mensagens novas entram no
+// histórico e os demais campos alterados ficam com o valor deste turno. Assim o
+// turno não é refeito (nem o LLM chamado de novo) por causa de um conflito de versão.
+async function salvarConversa(conversa) {
+  for (let tentativa = 1; ; tentativa++) {
+    try {
+      return await conversa.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || tentativa >= MAX_TENTATIVAS_TURNO) {
+        throw error;
+      }
+
+      const atual = await Conversa.findById(conversa._id);
+      if (!atual) throw error;
+
+      // Mudanças deste turno, guardadas antes de carregar a versão atual
+      const campos = [...new Set(conversa.directModifiedPaths().map(caminho => caminho.split('.')[0]))]
+        .filter(campo => campo !== 'mensagens');
+      const valores = campos.map(campo => conversa.get(campo));
+      const existentes = new Set(atual.mensagens.map(mensagem => String(mensagem._id)));
+      const novas = conversa.mensagens
+        .filter(mensagem => !existentes.has(String(mensagem._id)))
+        .map(mensagem => mensagem.toObject());
+
+      console.warn(`Conversa ${conversa._id} alterada por outro processo, juntando as mudanças do turno (tentativa ${tentativa + 1})`);
+      conversa.init(atual.toObject());
+      campos.forEach((campo, i) => {
+        conversa.set(campo, valores[i]);
+        conversa.markModified(campo);
+      });
+      novas.forEach(mensagem => conversa.mensagens.push(mensagem));
+    }
+  }
+}
+
+// Processar uma mensagem de texto sobre a versão mais recente da conversa. O turno só é
+// refeito quando o pedido foi montado de uma versão antiga da conversa ou quando
+// salvarConversa não conseguiu juntar as mudanças
+async function processarTurnoTexto(userPhone, text) {
+  for (let tentativa = 1; ; tentativa++) {
+    const conversa = await getOrCreateConversation(userPhone, text);
+    if (!conversa) {
+      console.error('Não foi possível criar ou obter uma conversa válida');
+      return null;
+    }
+
+    try {
+      return await processMessageInternally(userPhone, text, false, 'text', conversa);
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || tentativa >= MAX_TENTATIVAS_TURNO) {
+        throw error;
+      }
+      console.warn(`Conversa ${conversa._id} alterada por outro processo, refazendo o turno (tentativa ${tentativa + 1})`);
+    }
+  }
+}
+
 // Buscar ou criar conversa para um usuário
 async function getOrCreateConversation(userPhone, message) {
   try {
@@ -1880,7 +3485,7 @@ async function getOrCreateConversation(userPhone, message) {
         state: 0,
         mensagens: []
       });
-      await conversa.save();
+      await salvarConversa(conversa);
       novaConversaCriada = true;
       console.log('Nova conversa criada por pedido de reinício:', conversa._id);
     }
@@ -1895,7 +3500,7 @@ async function getOrCreateConversation(userPhone, message) {
           state: 0,
           mensagens: []
         });
-        await conversa.save();
+        await salvarConversa(conversa);
         novaConversaCriada = true;
         console.log('Nova conversa criada (última finalizada ou antiga):', conversa._id);
       }
@@ -1909,11 +3514,20 @@ async function getOrCreateConversation(userPhone, message) {
         state: 0,
         mensagens: []
       });
-      await conversa.save();
+      await salvarConversa(conversa);
       novaConversaCriada = true;
       console.log('Primeira conversa criada:', conversa._id);
     }
 
+    // Nome do perfil do canal, guardado no cadastro do cliente
+    if (!conversa.nomeContato) {
+      const cliente = await Cliente.findOne({ telefone: userPhone }).select('nome');
+      if (cliente && cliente.nome) {
+        conversa.nomeContato = cliente.nome;
+        await salvarConversa(conversa);
+      }
+    }
+
     return conversa;
   } catch (error) {
     console.error('Erro ao buscar/criar conversa:', error);
@@ -1922,7 +3536,7 @@ async function getOrCreateConversation(userPhone, message) {
 }
 
 // Tratar pedido de áudio 
-async function handleAudioRequest(userPhone, message) {
+async function handleAudioRequest(userPhone, message, canal = canalDoCliente(userPhone)) {
   try {
     // Verificar se é um pedido explícito de áudio
     if (!message.toLowerCase().includes('audio') &&
@@ -1944,7 +3558,7 @@ async function handleAudioRequest(userPhone, message) {
       // Buscar a conversa atual
       const conversa = await Conversa.findOne({ telefone: userPhone }).sort({ inicio: -1 });
       if (!conversa || !conversa.pedidoData) {
-        await client.sendMessage(userPhone,
+        await canal.sendText(userPhone,
           "Desculpe, não encontrei dados de pedido para gerar o áudio. Por favor, faça seu pedido primeiro.");
         return true;
       }
@@ -1955,21 +3569,11 @@ async function handleAudioRequest(userPhone, message) {
       // Gerar áudio
       const audioUrl = await generateAudio(confirmationText);
       if (audioUrl) {
-        const audioPath = await downloadMedia(audioUrl, 'audio');
-        if (audioPath) {
-          const media = MessageMedia.fromFilePath(audioPath);
-          await client.sendMessage(userPhone, media, {
-            sendAudioAsVoice: true,
-            mimetype: 'audio/mp3'
-          });
-
-          // Limpar arquivo temporário
-          fs.unlinkSync(audioPath);
-        }
+        await enviarAudio(canal, userPhone, audioUrl);
       } else {
-        await client.sendMessage(userPhone,
+        await canal.sendText(userPhone,
           "Desculpe, não consegui gerar o áudio da confirmação neste momento. " +
-          "Seu pedido foi registrado e será entregue em aproximadamente 50 minutos.");
+          `Seu pedido foi registrado e será entregue em aproximadamente ${PRAZO_ENTREGA_MINUTOS} minutos.`);
       }
 
       return true;
@@ -1982,14 +3586,15 @@ async function handleAudioRequest(userPhone, message) {
   }
 }
 
-// Processar mensagem de áudio no WhatsApp
-async function processAudioMessage(userPhone, media) {
+// Processar mensagem de áudio recebida por qualquer transporte
+async function processAudioMessage(userPhone, media, canal = canalDoCliente(userPhone)) {
   console.log(`Nova mensagem de áudio de ${userPhone}`);
 
   try {
-    // Verificar se a API Key da OpenAI está configurada
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error("API key da OpenAI não configurada");
+    // Verificar se o provedor de transcrição está configurado
+    const llm = await getLlm();
+    if (!llm.isConfigured()) {
+      throw new Error(`Provedor de LLM ${llm.name} não configurado`);
     }
 
     // Salvar o áudio temporariamente
@@ -2010,19 +3615,15 @@ async function processAudioMessage(userPhone, media) {
 
     console.log(`Áudio salvo em: ${audioPath}`);
 
-    // Transcrever o áudio com OpenAI
+    // Transcrever o áudio com o provedor configurado
     try {
-      const transcript = await openai.audio.transcriptions.create({
-        file: fs.createReadStream(audioPath),
-        model: "whisper-1",
-        response_format: "json"
-      });
+      const transcript = await llm.transcribe(audioPath);
 
-      console.log(`Áudio transcrito com sucesso: ${transcript.text}`);
+      console.log(`Áudio transcrito com sucesso: ${transcript}`);
 
       // Processar a transcrição como mensagem de texto
-      if (transcript && transcript.text) {
-        await processTextMessage(userPhone, transcript.text);
+      if (transcript) {
+        await processTextMessage(userPhone, transcript, canal);
       } else {
         throw new Error("Transcrição vazia ou inválida");
       }
@@ -2040,70 +3641,86 @@ async function processAudioMessage(userPhone, media) {
     }
   } catch (error) {
     console.error('Erro ao processar áudio:', error);
-    await client.sendMessage(userPhone, 'Não consegui entender o áudio. Pode tentar novamente ou enviar uma mensagem de texto?');
+    await canal.sendText(userPhone, 'Não consegui entender o áudio. Pode tentar novamente ou enviar uma mensagem de texto?');
   }
 }
 
-// Processar reinicialização de pedido
-async function handleResetRequest(userPhone) {
-  try {
-    // Criar nova conversa
-    const conversa = new Conversa({
-      telefone: userPhone,
-      inicio: new Date().toISOString(),
-      duracao: 0,
-      state: 0,
-      mensagens: []
-    });
+// Abrir uma conversa nova já com a mensagem de boas-vindas no histórico
+async function iniciarConversaComBoasVindas(userPhone, mensagemUsuario = 'reiniciar') {
+  // Criar nova conversa
+  const conversa = new Conversa({
+    telefone: userPhone,
+    inicio: new Date().toISOString(),
+    duracao: 0,
+    state: 0,
+    mensagens: []
+  });
 
-    // Salvar a nova conversa
-    await conversa.save();
-    console.log('Nova conversa criada por pedido de reinício:', conversa._id);
+  // Salvar a nova conversa
+  await salvarConversa(conversa);
+  console.log(`Nova conversa criada (${mensagemUsuario || 'sessão nova'}):`, conversa._id);
 
-    // Buscar a mensagem de boas-vindas
-    const botConfig = await BotConfig.findOne().select('welcomeMessage');
-    const welcomeMessage = (botConfig && botConfig.welcomeMessage)
-      ? botConfig.welcomeMessage
-      : "Olá! Sou o atendente virtual da pizzaria. Como posso ajudar?";
+  // Buscar a mensagem de boas-vindas
+  const botConfig = await BotConfig.findOne().select('welcomeMessage');
+  const welcomeMessage = (botConfig && botConfig.welcomeMessage)
+    ? botConfig.welcomeMessage
+    : "Olá! Sou o atendente virtual da pizzaria. Como posso ajudar?";
 
-    // Garantir que a mensagem de boas-vindas tem o formato correto
-    let formattedWelcome = welcomeMessage;
-    if (!formattedWelcome.includes('[TEXT_FORMAT]')) {
-      formattedWelcome = `[TEXT_FORMAT]${formattedWelcome}[/END]`;
-    }
+  // Garantir que a mensagem de boas-vindas tem o formato correto
+  let formattedWelcome = welcomeMessage;
+  if (!formattedWelcome.includes('[TEXT_FORMAT]')) {
+    formattedWelcome = `[TEXT_FORMAT]${formattedWelcome}[/END]`;
+  }
 
-    // Adicionar mensagem do usuário
+  // Loja fechada: avisar já na saudação quando abrimos
+  const { horarioFuncionamento } = await getCachedData();
+  const situacaoLoja = openingHours.storeStatus(horarioFuncionamento);
+  if (!situacaoLoja.aberto) {
+    const aviso = openingHours.closedMessage(horarioFuncionamento, situacaoLoja);
+    formattedWelcome = formattedWelcome.replace('[/END]', `\n\n${aviso}[/END]`);
+  }
+
+  // Adicionar mensagem do usuário (sessões do chat web começam sem mensagem)
+  if (mensagemUsuario) {
     conversa.mensagens.push({
       tipo: 'user',
-      conteudo: 'reiniciar',
+      conteudo: mensagemUsuario,
       data: new Date().toISOString()
     });
+  }
 
-    // Adicionar mensagem de resposta ao histórico
-    conversa.mensagens.push({
-      tipo: 'bot',
-      conteudo: formattedWelcome,
-      data: new Date().toISOString()
-    });
+  // Adicionar mensagem de resposta ao histórico
+  conversa.mensagens.push({
+    tipo: 'bot',
+    conteudo: formattedWelcome,
+    data: new Date().toISOString()
+  });
 
-    await conversa.save();
+  await salvarConversa(conversa);
 
-    // Processar a mensagem para enviar ao usuário
-    const processedResponse = await processTaggedResponse(formattedWelcome, 'reiniciar', conversa, botConfig);
+  // Processar a mensagem para enviar ao usuário
+  const processedResponse = await processTaggedResponse(formattedWelcome, mensagemUsuario || '', conversa, botConfig);
+  return { conversa, processedResponse };
+}
+
+// Processar reinicialização de pedido
+async function handleResetRequest(userPhone, canal = canalDoCliente(userPhone)) {
+  try {
+    const { processedResponse } = await iniciarConversaComBoasVindas(userPhone);
 
     // Texto principal
     const textBlocks = processedResponse.text.match(/\[TEXT_FORMAT\]([\s\S]*?)\[\/END\]/g) || [];
     for (const block of textBlocks) {
       const cleanText = block.replace(/\[TEXT_FORMAT\]|\[\/END\]/g, '').trim();
       if (cleanText) {
-        await client.sendMessage(userPhone, cleanText);
+        await canal.sendText(userPhone, cleanText);
       }
     }
 
     return true;
   } catch (error) {
     console.error('Erro ao reiniciar conversa:', error);
-    await client.sendMessage(userPhone, 'Desculpe, ocorreu um erro ao reiniciar. Por favor, tente novamente.');
+    await canal.sendText(userPhone, 'Desculpe, ocorreu um erro ao reiniciar. Por favor, tente novamente.');
     return false;
   }
 }
@@ -2150,7 +3767,7 @@ async function processMessageInternally(userPhone, message, isAudio = false, mes
       };
 
       // Salvar imediatamente para garantir persistência
-      await conversa.save();
+      await salvarConversa(conversa);
       console.log("Endereço validado e armazenado na conversa");
     }
 
@@ -2161,6 +3778,23 @@ async function processMessageInternally(userPhone, message, isAudio = false, mes
       data: new Date().toISOString()
     });
 
+    // Horário de entrega pedido pelo cliente ("pode entregar às 20h?", "sábado às 19h")
+    const respostaAgendamento = await registrarAgendamento(conversa, message);
+    if (respostaAgendamento) {
+      return respostaAgendamento;
+    }
+
+    // Cupom de desconto informado pelo cliente ("tenho o cupom PIZZA10")
+    const respostaCupom = await registrarCupom(conversa, message);
+    if (respostaCupom) {
+      return respostaCupom;
+    }
+
+    // "O mesmo de sempre": último pedido do cliente direto na confirmação, sem passar pelo LLM
+    if (conversa.state < 7 && customers.isRepeatOrderRequest(message)) {
+      return await repetirUltimoPedido(conversa);
+    }
+
     // Verificação forçada para estado de endereço (sem número)
     if (conversa.state === 4) {
       // Verificar se a mensagem é apenas um número
@@ -2199,12 +3833,13 @@ async function processMessageInternally(userPhone, message, isAudio = false, mes
             // Se temos pedidoData, atualizar o endereço lá também
             if (conversa.pedidoData) {
               conversa.pedidoData.endereco = formattedAddress;
+              conversa.markModified('pedidoData');
             }
 
             // Avançar para o próximo estado
             conversa.state = 5;
 
-            await conversa.save();
+            await salvarConversa(conversa);
 
             // Responder diretamente, sem chamar a API
             const confirmationMessage = `Perfeito! Endereço registrado: ${formattedAddress}. Qual será a forma de pagamento? Temos as opções: Dinheiro, Cartão de crédito, Cartão de débito, PIX ou VR.`;
@@ -2216,7 +3851,7 @@ async function processMessageInternally(userPhone, message, isAudio = false, mes
               data: new Date().toISOString()
             });
 
-            await conversa.save();
+            await salvarConversa(conversa);
 
             return {
               success: true,
@@ -2253,7 +3888,7 @@ async function processMessageInternally(userPhone, message, isAudio = false, mes
             data: new Date().toISOString()
           });
 
-          await conversa.save();
+          await salvarConversa(conversa);
 
           return {
             success: true,
@@ -2281,7 +3916,7 @@ async function processMessageInternally(userPhone, message, isAudio = false, mes
               data: new Date().toISOString()
             });
 
-            await conversa.save();
+            await salvarConversa(conversa);
 
             // Não avançar o estado até especificar o tipo
             return {
@@ -2365,44 +4000,85 @@ async function processMessageInternally(userPhone, message, isAudio = false, mes
           }
         }
 
-        // Calcular valor total para garantir
-        let valorTotal = 0;
-        pedidoData.items.forEach(item => {
-          const quantidade = item.quantidade || 1;
-          const preco = parseFloat(item.preco);
-          valorTotal += preco * quantidade;
-        });
+        // Recalcular os preços pelo cardápio antes de registrar o pedido
+        const { erros: errosPedido } = await precificarPedido(pedidoData, conversa);
+        if (errosPedido.length > 0) {
+          console.error('Itens inválidos na confirmação:', errosPedido);
+          conversa.state = 5;
+          await salvarConversa(conversa);
+          return {
+            success: true,
+            text: `[TEXT_FORMAT]${errosPedido.join('\n')}[/END]`,
+            state: 5
+          };
+        }
 
-        // Criar e salvar o pedido
-        const novoPedido = new Pedido({
-          telefone: conversa.telefone,
-          itens: pedidoData.items,
-          valorTotal: valorTotal,
-          endereco: enderecoCompleto, // Usar o endereço com número
-          formaPagamento: pedidoData.pagamento,
-          status: 'Confirmado',
-          data: new Date().toISOString()
-        });
+        // Calcular a taxa de entrega caso ainda não tenha sido calculada no resumo
+        if (pedidoData.taxaEntrega === undefined) {
+          const resultadoTaxa = await aplicarTaxaEntrega({ ...pedidoData, endereco: enderecoCompleto }, conversa);
+
+          if (resultadoTaxa.foraDoRaio) {
+            conversa.state = 4;
+            await salvarConversa(conversa);
+            return {
+              success: true,
+              text: `[TEXT_FORMAT]${resultadoTaxa.message} Gostaria de informar outro endereço?[/END]`,
+              state: 4
+            };
+          }
 
-        const pedidoSalvo = await novoPedido.save();
-        console.log(`Pedido confirmado e salvo: ${pedidoSalvo._id}`);
+          pedidoData.taxaEntrega = resultadoTaxa.taxa;
+          pedidoData.distanciaKm = resultadoTaxa.distanciaKm;
+        }
+
+        // Promoções conferidas de novo: podem ter vencido desde o resumo
+        await aplicarPromocoes(pedidoData, conversa);
+
+        // Horário agendado sem vaga ou loja fechada: recusar ou agendar para a próxima abertura
+        const horario = await avaliarHorarioPedido(conversa.agendadoPara);
+        if (!horario.permitido && !(await findExistingOrder(conversa))) {
+          console.log(`Horário indisponível, pedido de ${userPhone} não registrado`);
+          return {
+            success: true,
+            text: `[TEXT_FORMAT]${horario.mensagem}[/END]`,
+            state: 6
+          };
+        }
 
-        // Atualizar a conversa atual
-        conversa.pedidoId = pedidoSalvo._id;
-        conversa.state = 7;  // Estado de pedido finalizado
+        // Registrar o pedido (uma confirmação repetida devolve o pedido já registrado)
+        const registro = await registrarPedidoNoHorario(conversa, {
+          ...pedidoData,
+          endereco: enderecoCompleto, // Usar o endereço com número
+          agendadoPara: horario.agendadoPara
+        });
+        if (registro.lotado) {
+          console.log(`Horário lotado na confirmação, pedido de ${userPhone} não registrado`);
+          return {
+            success: true,
+            text: `[TEXT_FORMAT]${registro.lotado}[/END]`,
+            state: 6
+          };
+        }
+        const { pedido: pedidoSalvo, created } = registro;
+        console.log(`Pedido confirmado ${created ? 'e salvo' : '(já registrado)'}: ${pedidoSalvo._id}`);
+        if (created) {
+          publicarPedidoCozinha(pedidoSalvo);
+          await registrarPedidoCliente(pedidoSalvo, conversa);
+        }
+        const valorTotal = pedidoSalvo.valorTotal;
 
         // Preparar mensagem de confirmação
         const confirmacao = `
 [TEXT_FORMAT]🎉 *PEDIDO CONFIRMADO* 🎉
 
-*Pizza ${pedidoData.items[0].nome}* - R$ ${parseFloat(pedidoData.items[0].preco).toFixed(2)}
+${pedidoData.items.map(formatarItemPedido).join('').trim()}${pedidoSalvo.taxaEntrega > 0 ? `\n*Taxa de entrega:* R$ ${pedidoSalvo.taxaEntrega.toFixed(2)}` : ''}${linhasDescontos(pedidoSalvo.descontos)}
 
-*Endereço de entrega:* ${enderecoCompleto}
-*Forma de pagamento:* ${novoPedido.formaPagamento}
+*Endereço de entrega:* ${pedidoSalvo.endereco}
+*Forma de pagamento:* ${pedidoSalvo.formaPagamento}
 
 *Total:* R$ ${valorTotal.toFixed(2)}
 
-Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferência! 🍕[/END]
+${textoPrazoEntrega(pedidoSalvo.agendadoPara)} Obrigado pela preferência! 🍕[/END]
     `.trim();
 
         // Adicionar a mensagem de confirmação à conversa atual
@@ -2413,20 +4089,22 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
         });
 
         // Salvar a conversa atual com estado 7 (finalizado)
-        await conversa.save();
+        await salvarConversa(conversa);
 
-        // Criar nova conversa para próximas interações
-        const novaConversa = new Conversa({
-          telefone: conversa.telefone,
-          inicio: new Date().toISOString(),
-          duracao: 0,
-          state: 0, // Estado inicial
-          mensagens: [] // Começar com uma lista vazia de mensagens
-        });
+        // Criar nova conversa para próximas interações (na repetição ela já existe)
+        if (created) {
+          const novaConversa = new Conversa({
+            telefone: conversa.telefone,
+            inicio: new Date().toISOString(),
+            duracao: 0,
+            state: 0, // Estado inicial
+            mensagens: [] // Começar com uma lista vazia de mensagens
+          });
 
-        // Salvar a nova conversa
-        await novaConversa.save();
-        console.log(`Nova conversa criada para futuras interações: ${novaConversa._id}`);
+          // Salvar a nova conversa
+          await novaConversa.save();
+          console.log(`Nova conversa criada para futuras interações: ${novaConversa._id}`);
+        }
 
         // Verificar se temos o objeto de resposta gerado pelo LLM
         const botResponse = await processTaggedResponse(confirmacao, message, conversa, null);
@@ -2434,6 +4112,9 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
         return botResponse;
 
       } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+          throw error;
+        }
         console.error('Erro ao confirmar pedido:', error);
         return {
           success: true,
@@ -2444,7 +4125,8 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
     }
 
     // Verificar pedido de imagem específica
-    const imageRequestIds = detectImageRequest(message);
+    const { indiceSabores } = await getCachedData();
+    const imageRequestIds = detectImageRequest(message, indiceSabores);
     if (imageRequestIds && imageRequestIds.length > 0) {
       console.log(`Pedido de imagem detectado: ${imageRequestIds.join(', ')}`);
 
@@ -2477,7 +4159,7 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
         data: new Date().toISOString()
       });
 
-      await conversa.save();
+      await salvarConversa(conversa);
 
       // Processar resposta diretamente
       const processedResponse = await processTaggedResponse(responseText, message, conversa, await BotConfig.findOne());
@@ -2538,10 +4220,24 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
       }
     });
 
-    // MODIFICAÇÃO: Adicionar lembrete explícito sobre o formato esperado
-    if (mensagens.length > 1) {
+    const usarFerramentas = usaProtocoloFerramentas(botConfig);
+
+    // Com ferramentas, o formato da resposta é garantido pelo servidor
+    if (usarFerramentas && mensagens.length > 1) {
+      // A mensagem que estamos respondendo é a última do cliente
+      const lastUserMsgIndex = mensagens.map(m => m.role).lastIndexOf('user');
+
+      if (lastUserMsgIndex !== -1) {
+        mensagens[lastUserMsgIndex].content = `${mensagens[lastUserMsgIndex].content}\n\nLEMBRETE:
+1. Registre o pedido com as ferramentas: add_item para cada item (com o identificador do cardápio; para meio a meio use a lista "sabores"), set_address, set_payment e confirm_order quando o pedido estiver completo.
+2. Use show_image para mostrar fotos de pizzas ou do cardápio ("cardapio"). Nunca diga que não pode mostrar imagens.
+3. Use send_voice APENAS quando o cliente pedir resposta em áudio.
+4. Responda ao cliente em texto simples, sem tags de formatação.`;
+      }
+    } else if (mensagens.length > 1) {
+      // MODIFICAÇÃO: Adicionar lembrete explícito sobre o formato esperado
       // Obter a última mensagem do usuário (a que estamos respondendo agora)
-      const lastUserMsgIndex = mensagens.findIndex(m => m.role === 'user');
+      const lastUserMsgIndex = mensagens.map(m => m.role).lastIndexOf('user');
 
       if (lastUserMsgIndex !== -1) {
         // Modificar a mensagem do usuário para incluir o lembrete de formato
@@ -2559,12 +4255,16 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
 [JSON_FORMAT]
 {
   "pedido": {
-    "items": [{"nome": "Nome da Pizza", "quantidade": 1, "preco": 00.00}],
+    "items": [{"nome": "Nome da Pizza", "identificador": "identificador-do-cardapio", "tamanho": "Tamanho escolhido (se o item tiver tamanhos)", "quantidade": 1, "preco": 00.00}],
     "endereco": "Endereço completo com número",
     "pagamento": "Forma de pagamento"
   }
 }
-[/END]`;
+[/END]
+10. Para pizza meio a meio, NÃO junte os sabores no nome. Use um único item com a lista "sabores":
+{"nome": "Pizza meio a meio", "tamanho": "Grande", "quantidade": 1, "preco": 00.00, "sabores": [{"identificador": "pizza-salgada_pizza-SABOR1", "nome": "Sabor 1", "fracao": 0.5}, {"identificador": "pizza-salgada_pizza-SABOR2", "nome": "Sabor 2", "fracao": 0.5}]}${botConfig && botConfig.maxFlavorsPerPizza === 3
+          ? '\n11. Pizzas de 3 sabores são permitidas: use três sabores com "fracao": 0.3333.'
+          : ''}`;
       }
     }
 
@@ -2589,17 +4289,19 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
         });
 
       try {
-        // Chamar a API GPT-4 e obter a resposta
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4-turbo",
-          messages: [
-            { role: "system", content: systemMessage },
-            ...allMessages
-          ],
-          max_tokens: 1000,
-          temperature: 0.7
-        });
-        botResponse = completion.choices[0].message.content;
+        if (usarFerramentas) {
+          botResponse = await gerarRespostaComFerramentas(systemMessage, allMessages, conversa);
+        } else {
+          // Chamar o LLM e obter a resposta
+          const llm = await getLlm();
+          const completion = await llm.chat({
+            messages: [
+              { role: "system", content: systemMessage },
+              ...allMessages
+            ]
+          });
+          botResponse = completion.content;
+        }
 
         if (conversa && botResponse) {
           const extractedPedido = await extractPedidoData(botResponse, conversa);
@@ -2616,7 +4318,7 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
             }
 
             try {
-              await conversa.save();
+              await salvarConversa(conversa);
               console.log('Dados do pedido atualizados com sucesso na conversa');
             } catch (saveError) {
               console.error('Erro ao salvar dados do pedido na conversa:', saveError);
@@ -2646,7 +4348,7 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
               tempPedidoData.set(conversa.telefone, jsonData.pedido || jsonData);
               conversa.pedidoData = jsonData.pedido || jsonData;
               conversa.state = 6; // Mudar para estado de confirmação (não 7 ainda)
-              await conversa.save();
+              await salvarConversa(conversa);
 
               console.log('Dados de pedido armazenados temporariamente para', conversa.telefone);
             }
@@ -2709,11 +4411,9 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
               Lembre-se de formatar sua resposta com [TEXT_FORMAT], [VOICE_FORMAT], [IMAGE_FORMAT] ou [JSON_FORMAT] e terminar com [/END].
             `;
 
-            // Fazer nova consulta à API 
-            const enrichedCompletion = await openai.chat.completions.create({
-              model: "gpt-4-turbo",
-              max_tokens: 1000,
-              temperature: 0.7,
+            // Fazer nova consulta ao LLM
+            const llm = await getLlm();
+            const enrichedCompletion = await llm.chat({
               messages: [
                 { role: "system", content: enrichedPrompt },
                 { role: "user", content: message }
@@ -2721,7 +4421,7 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
             });
 
             // Substituir a resposta original pela resposta enriquecida
-            botResponse = enrichedCompletion.choices[0].message.content;
+            botResponse = enrichedCompletion.content;
             console.log('Resposta enriquecida obtida com sucesso');
 
             // Verificar se a resposta contém pelo menos uma das tags exigidas
@@ -2785,7 +4485,7 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
             data: new Date().toISOString()
           });
 
-          await conversa.save();
+          await salvarConversa(conversa);
 
           return {
             success: true,
@@ -2819,9 +4519,14 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
 
     // Salvar conversa atualizada
     try {
-      await conversa.save();
+      await salvarConversa(conversa);
       console.log('Conversa salva com sucesso');
     } catch (saveError) {
+      // salvarConversa já juntou o turno a conflitos pontuais; se eles persistem, o turno
+      // é refeito (processarTurnoTexto)
+      if (saveError instanceof mongoose.Error.VersionError) {
+        throw saveError;
+      }
       console.error('Erro ao salvar conversa:', saveError);
       // Continuar mesmo se falhar ao salvar
     }
@@ -2838,6 +4543,10 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
     // Retornar a resposta
     return responseObj;
   } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw error;
+    }
+
     // Tratamento de erro global
     console.error('ERRO CRÍTICO no processamento da mensagem:', error);
     return {
@@ -2848,27 +4557,385 @@ Seu pedido será entregue em aproximadamente 50 minutos. Obrigado pela preferên
   }
 }
 
-// ======== ROTAS DA API ==========
+// Verificar se um pedido pode passar de um status para outro
+function isTransicaoStatusValida(statusAtual, novoStatus) {
+  const permitidos = TRANSICOES_STATUS_PEDIDO[statusAtual || STATUS_PEDIDO.CONFIRMADO] || [];
+  return permitidos.includes(novoStatus);
+}
 
-// Endpoint de verificação de saúde
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', time: new Date().toISOString() });
-});
+// Montar a mensagem de status a partir do template configurado no BotConfig
+function gerarMensagemStatusPedido(pedido, status, observacao, statusMessages) {
+  const template = statusMessages && statusMessages[status];
+  if (!template) {
+    return null;
+  }
 
-// Endpoint para buscar imagem por ID
-app.post('/api/get-image-by-id', async (req, res) => {
+  return template
+    .replace(/\{\{PEDIDO_ID\}\}/g, numeroPedido(pedido))
+    .replace(/\{\{STATUS\}\}/g, status)
+    .replace(/\{\{OBSERVACAO\}\}/g, observacao || '')
+    .trim();
+}
+
+// Notificar o cliente pelo transporte de mensagens sobre a mudança de status
+async function notificarStatusPedido(pedido, status, observacao) {
   try {
-    const { imageId } = req.body;
+    const botConfig = await BotConfig.findOne().select('statusMessages');
+    const statusMessages = (botConfig && botConfig.statusMessages) ||
+      BotConfig.schema.path('statusMessages').defaultValue;
 
-    if (!imageId) {
-      return res.status(400).json({
-        success: false,
-        message: 'ID de imagem não fornecido'
-      });
+    const mensagem = gerarMensagemStatusPedido(pedido, status, observacao, statusMessages);
+    if (!mensagem) {
+      console.log(`Nenhuma mensagem configurada para o status "${status}"`);
+      return false;
     }
 
-    console.log(`Processando solicitação de imagem por ID: ${imageId}`);
-
+    if (!pedido.telefone) {
+      console.error(`Pedido ${pedido._id} sem telefone para notificação`);
+      return false;
+    }
+
+    await canalDoCliente(pedido.telefone).sendText(pedido.telefone, mensagem);
+    console.log(`Cliente ${pedido.telefone} notificado sobre o status "${status}" do pedido ${pedido._id}`);
+    return true;
+  } catch (error) {
+    console.error('Erro ao notificar cliente sobre status do pedido:', error);
+    return false;
+  }
+}
+
+// Pedido novo soma ao cadastro do cliente; uma falha aqui não desfaz o pedido
+async function registrarPedidoCliente(pedido, conversa) {
+  try {
+    await customers.recordOrder(pedido, conversa);
+  } catch (error) {
+    console.error(`Erro ao atualizar o cadastro do cliente ${pedido.telefone}:`, error);
+  }
+}
+
+// Telas da cozinha conectadas em /api/cozinha/stream
+const painelCozinha = kitchen.createKitchenFeed();
+
+// Enviar às telas da cozinha um pedido novo ou alterado (status finais removem o cartão)
+function publicarPedidoCozinha(pedido) {
+  // Agendados chegam à cozinha quando forem liberados (liberarPedidosAgendados)
+  if (painelCozinha.size() === 0 || pedido.status === STATUS_PEDIDO.AGENDADO) return;
+  painelCozinha.publish('pedido', montarCartaoCozinha(pedido));
+}
+
+// Pedidos em andamento agrupados por status
+async function montarPainelCozinha() {
+  const pedidos = await Pedido.find({ status: { $in: kitchen.STATUS_ATIVOS } }).sort({ data: 1 });
+  const agora = new Date();
+
+  return {
+    prazoMinutos: PRAZO_ENTREGA_MINUTOS,
+    geradoEm: agora,
+    grupos: kitchen.groupByStatus(pedidos.map(pedido => montarCartaoCozinha(pedido, agora)))
+  };
+}
+
+// Alterar o status de um pedido, registrando o histórico e notificando o cliente
+async function atualizarStatusPedido(pedido, novoStatus, alteradoPor, observacao) {
+  const statusAnterior = pedido.status || STATUS_PEDIDO.CONFIRMADO;
+
+  if (!isTransicaoStatusValida(statusAnterior, novoStatus)) {
+    const error = new Error(`Transição de status inválida: ${statusAnterior} -> ${novoStatus}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  pedido.status = novoStatus;
+  pedido.historicoStatus.push({
+    status: novoStatus,
+    statusAnterior,
+    alteradoPor: alteradoPor || 'desconhecido',
+    observacao,
+    data: new Date()
+  });
+  await pedido.save();
+  publicarPedidoCozinha(pedido);
+
+  // Pedido agendado cancelado devolve a vaga do horário
+  if (novoStatus === STATUS_PEDIDO.CANCELADO && pedido.agendadoPara) {
+    await liberarHorario(pedido.agendadoPara);
+  }
+
+  const notificado = await notificarStatusPedido(pedido, novoStatus, observacao);
+  if (notificado) {
+    pedido.historicoStatus[pedido.historicoStatus.length - 1].notificado = true;
+    await pedido.save();
+  }
+
+  return { pedido, notificado };
+}
+
+// Liberar para a cozinha os pedidos agendados cujo preparo já deve começar
+async function liberarPedidosAgendados(agora = new Date()) {
+  const limite = new Date(agora.getTime() + PRAZO_ENTREGA_MINUTOS * 60000);
+  const devidos = await Pedido.find({
+    status: STATUS_PEDIDO.AGENDADO,
+    agendadoPara: { $lte: limite }
+  }).sort({ agendadoPara: 1 });
+
+  let liberados = 0;
+  for (const pedido of devidos) {
+    // Condição no status: com vários processos, cada pedido é liberado uma única vez
+    const liberado = await Pedido.findOneAndUpdate(
+      { _id: pedido._id, status: STATUS_PEDIDO.AGENDADO },
+      {
+        $set: { status: STATUS_PEDIDO.CONFIRMADO },
+        $push: {
+          historicoStatus: {
+            status: STATUS_PEDIDO.CONFIRMADO,
+            statusAnterior: STATUS_PEDIDO.AGENDADO,
+            alteradoPor: 'agendamento',
+            data: agora
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (liberado) {
+      liberados++;
+      console.log(`Pedido agendado ${liberado._id} liberado para a cozinha (entrega ${liberado.agendadoPara.toISOString()})`);
+      publicarPedidoCozinha(liberado);
+    }
+  }
+
+  return liberados;
+}
+
+const jobAgendamentos = scheduling.createReleaseJob({ run: () => liberarPedidosAgendados() });
+
+// ======== ROTAS DA API ==========
+
+// Endpoint de verificação de saúde
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', time: new Date().toISOString() });
+});
+
+// Autenticação
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, senha } = req.body;
+
+    if (!email || !senha) {
+      return res.status(400).json({ success: false, message: 'E-mail e senha são obrigatórios' });
+    }
+
+    const usuario = await Usuario.findOne({ email: email.toString().toLowerCase().trim() });
+    if (!usuario || !usuario.ativo || !(await verifyPassword(senha, usuario.senhaHash))) {
+      return res.status(401).json({ success: false, message: 'E-mail ou senha inválidos' });
+    }
+
+    usuario.ultimoLogin = new Date();
+    await usuario.save();
+
+    res.json({
+      success: true,
+      token: signToken(usuario),
+      usuario: { _id: usuario._id, nome: usuario.nome, email: usuario.email, role: usuario.role }
+    });
+  } catch (error) {
+    console.error('Erro ao fazer login:', error);
+    res.status(500).json({ success: false, message: 'Erro ao fazer login' });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, usuario: req.user });
+});
+
+// Usuários do painel
+app.get('/api/usuarios', requireRole('owner'), async (req, res) => {
+  try {
+    const usuarios = await Usuario.find().select('-senhaHash').sort({ createdAt: 1 });
+    res.json(usuarios);
+  } catch (error) {
+    console.error('Erro ao buscar usuários:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar usuários' });
+  }
+});
+
+app.post('/api/usuarios', requireRole('owner'), async (req, res) => {
+  try {
+    const { nome, email, senha, role } = req.body;
+
+    if (!email || !senha) {
+      return res.status(400).json({ success: false, message: 'E-mail e senha são obrigatórios' });
+    }
+
+    if (senha.length < 8) {
+      return res.status(400).json({ success: false, message: 'A senha deve ter pelo menos 8 caracteres' });
+    }
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Perfil inválido. Valores aceitos: ${ROLES.join(', ')}` });
+    }
+
+    const existente = await Usuario.findOne({ email: email.toString().toLowerCase().trim() });
+    if (existente) {
+      return res.status(400).json({ success: false, message: 'Já existe um usuário com este e-mail' });
+    }
+
+    const usuario = await Usuario.create({
+      nome,
+      email,
+      senhaHash: await hashPassword(senha),
+      role: role || 'attendant'
+    });
+
+    res.status(201).json({
+      success: true,
+      usuario: { _id: usuario._id, nome: usuario.nome, email: usuario.email, role: usuario.role, ativo: usuario.ativo }
+    });
+  } catch (error) {
+    console.error('Erro ao criar usuário:', error);
+    res.status(500).json({ success: false, message: 'Erro ao criar usuário' });
+  }
+});
+
+app.patch('/api/usuarios/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nome, senha, role, ativo } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+    }
+
+    const usuario = await Usuario.findById(id);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Perfil inválido. Valores aceitos: ${ROLES.join(', ')}` });
+    }
+
+    if (senha !== undefined && senha.length < 8) {
+      return res.status(400).json({ success: false, message: 'A senha deve ter pelo menos 8 caracteres' });
+    }
+
+    // Evitar que o owner remova o próprio acesso
+    if (usuario._id.equals(req.user._id) && ((role && role !== 'owner') || ativo === false)) {
+      return res.status(400).json({ success: false, message: 'Você não pode remover o seu próprio acesso de owner' });
+    }
+
+    if (nome !== undefined) usuario.nome = nome;
+    if (role !== undefined) usuario.role = role;
+    if (ativo !== undefined) usuario.ativo = ativo;
+    if (senha !== undefined) usuario.senhaHash = await hashPassword(senha);
+
+    await usuario.save();
+
+    res.json({
+      success: true,
+      usuario: { _id: usuario._id, nome: usuario.nome, email: usuario.email, role: usuario.role, ativo: usuario.ativo }
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar usuário:', error);
+    res.status(500).json({ success: false, message: 'Erro ao atualizar usuário' });
+  }
+});
+
+app.delete('/api/usuarios/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+    }
+
+    if (req.user._id.equals(id)) {
+      return res.status(400).json({ success: false, message: 'Você não pode remover o seu próprio usuário' });
+    }
+
+    const usuario = await Usuario.findByIdAndDelete(id);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erro ao remover usuário:', error);
+    res.status(500).json({ success: false, message: 'Erro ao remover usuário' });
+  }
+});
+
+// Chaves de API para clientes de máquina (a chave só é exibida na criação)
+app.get('/api/api-clients', requireRole('owner'), async (req, res) => {
+  try {
+    const clients = await ApiClient.find().select('-keyHash').sort({ createdAt: 1 });
+    res.json(clients);
+  } catch (error) {
+    console.error('Erro ao buscar chaves de API:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar chaves de API' });
+  }
+});
+
+app.post('/api/api-clients', requireRole('owner'), async (req, res) => {
+  try {
+    const { nome } = req.body;
+
+    if (!nome) {
+      return res.status(400).json({ success: false, message: 'Nome do cliente é obrigatório' });
+    }
+
+    const key = generateApiKey();
+    const apiClient = await ApiClient.create({
+      nome,
+      prefixo: key.slice(0, 10),
+      keyHash: hashApiKey(key)
+    });
+
+    res.status(201).json({
+      success: true,
+      apiClient: { _id: apiClient._id, nome: apiClient.nome, prefixo: apiClient.prefixo, ativo: apiClient.ativo },
+      key
+    });
+  } catch (error) {
+    console.error('Erro ao criar chave de API:', error);
+    res.status(500).json({ success: false, message: 'Erro ao criar chave de API' });
+  }
+});
+
+app.delete('/api/api-clients/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Chave de API não encontrada' });
+    }
+
+    const apiClient = await ApiClient.findByIdAndDelete(id);
+    if (!apiClient) {
+      return res.status(404).json({ success: false, message: 'Chave de API não encontrada' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erro ao remover chave de API:', error);
+    res.status(500).json({ success: false, message: 'Erro ao remover chave de API' });
+  }
+});
+
+// Endpoint para buscar imagem por ID
+app.post('/api/get-image-by-id', authenticateApiKeyOrUser, async (req, res) => {
+  try {
+    const { imageId } = req.body;
+
+    if (!imageId) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de imagem não fornecido'
+      });
+    }
+
+    console.log(`Processando solicitação de imagem por ID: ${imageId}`);
+
     // Buscar a imagem no banco de dados
     let item = await CardapioItem.findOne({
       identificador: imageId,
@@ -2920,7 +4987,7 @@ app.post('/api/get-image-by-id', async (req, res) => {
 });
 
 // Endpoint para processamento de mensagem
-app.post('/api/message', async (req, res) => {
+app.post('/api/message', requireApiKey, async (req, res) => {
   try {
     const { phone, message, isAudio, messageType, isFirstMessage, timestamp } = req.body;
 
@@ -2964,7 +5031,7 @@ app.post('/api/message', async (req, res) => {
 });
 
 // Endpoint para validação de endereço
-app.post('/api/validate-address', async (req, res) => {
+app.post('/api/validate-address', authenticateApiKeyOrUser, async (req, res) => {
   const { address } = req.body;
 
   if (!address) {
@@ -2988,7 +5055,7 @@ app.post('/api/validate-address', async (req, res) => {
 });
 
 // Endpoint para gerar áudio
-app.post('/api/generate-audio', async (req, res) => {
+app.post('/api/generate-audio', authenticateApiKeyOrUser, async (req, res) => {
   try {
     const { text, pedidoId } = req.body;
 
@@ -3010,7 +5077,9 @@ app.post('/api/generate-audio', async (req, res) => {
           audioText = gerarTextoConfirmacaoPedido({
             items: pedido.itens,
             endereco: pedido.endereco,
-            pagamento: pedido.formaPagamento
+            pagamento: pedido.formaPagamento,
+            taxaEntrega: pedido.taxaEntrega,
+            agendadoPara: pedido.agendadoPara
           });
         }
       } catch (pedidoError) {
@@ -3032,9 +5101,10 @@ app.post('/api/generate-audio', async (req, res) => {
       .replace(/\*/g, "") // Remove itálico markdown
       .substring(0, 4000); // Limitar para evitar erro da API
 
-    // Verificar se temos a API KEY da OpenAI configurada
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('API key da OpenAI não configurada');
+    // Verificar se o provedor de voz está configurado
+    const llm = await getLlm();
+    if (!llm.isConfigured()) {
+      console.error(`Provedor de LLM ${llm.name} não configurado`);
       return res.status(500).json({
         success: false,
         error: 'Serviço de áudio não configurado'
@@ -3076,7 +5146,7 @@ app.get('/api/categorias', async (req, res) => {
   }
 });
 
-app.post('/api/categorias', async (req, res) => {
+app.post('/api/categorias', requireRole('owner'), async (req, res) => {
   try {
     const { nome } = req.body;
 
@@ -3171,7 +5241,7 @@ app.get('/qrcode', (req, res) => {
 });
 
 // Configuração do Bot
-app.get('/api/bot-config', async (req, res) => {
+app.get('/api/bot-config', requireRole('owner', 'attendant'), async (req, res) => {
   try {
     const config = await BotConfig.findOne();
     res.json(config || {});
@@ -3181,25 +5251,206 @@ app.get('/api/bot-config', async (req, res) => {
   }
 });
 
-app.put('/api/bot-config', async (req, res) => {
+app.put('/api/bot-config', requireRole('owner'), async (req, res) => {
   try {
     const config = await BotConfig.findOne();
+    let salva;
 
     if (config) {
-      // Atualizar configuração existente
-      const updatedConfig = await BotConfig.findOneAndUpdate({}, req.body, { new: true });
-      res.json(updatedConfig);
+      // Atualizar configuração existente; os validadores do schema valem também para
+      // operadores ($set) e recusam, por exemplo, o provedor de LLM dos testes
+      salva = await BotConfig.findOneAndUpdate({}, req.body, { new: true, runValidators: true });
     } else {
       // Criar nova configuração se não existir
-      const newConfig = await BotConfig.create(req.body);
-      res.json(newConfig);
+      salva = await BotConfig.create(req.body);
     }
+
+    // Troca de provedor, prompt ou protocolo vale já na próxima mensagem
+    invalidateDataCache();
+    res.json(salva);
   } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ success: false, message: `Configuração inválida: ${error.message}` });
+    }
     console.error('Erro ao atualizar configuração do bot:', error);
     res.status(500).json({ success: false, message: 'Erro ao atualizar configuração' });
   }
 });
 
+// Configuração de entrega
+app.get('/api/delivery-config', requireRole('owner', 'attendant'), async (req, res) => {
+  try {
+    const config = await DeliveryConfig.findOne();
+
+    // Retornar a configuração efetiva (com os valores padrão preenchidos)
+    res.json({
+      ...mergeDeliveryConfig(config),
+      _id: config ? config._id : undefined
+    });
+  } catch (error) {
+    console.error('Erro ao buscar configuração de entrega:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar configuração de entrega' });
+  }
+});
+
+app.put('/api/delivery-config', requireRole('owner'), async (req, res) => {
+  try {
+    const { areas } = req.body;
+
+    if (areas !== undefined) {
+      if (!Array.isArray(areas) || areas.some(area => !area || !area.city || !area.city.toString().trim())) {
+        return res.status(400).json({ success: false, message: 'Cada área de entrega precisa de uma cidade' });
+      }
+    }
+
+    const config = await DeliveryConfig.findOneAndUpdate({}, req.body, {
+      new: true,
+      upsert: true,
+      runValidators: true
+    });
+
+    invalidateDataCache();
+    console.log('Configuração de entrega atualizada');
+
+    res.json(config);
+  } catch (error) {
+    console.error('Erro ao atualizar configuração de entrega:', error);
+    res.status(500).json({ success: false, message: 'Erro ao atualizar configuração de entrega' });
+  }
+});
+
+// Horário de funcionamento
+// Calendário efetivo e a situação atual da loja (aberta, fecha às, próxima abertura)
+async function responderHorarioFuncionamento(res, config) {
+  const horario = openingHours.normalizeOpeningHours(config);
+  const situacao = openingHours.storeStatus(horario);
+
+  res.json({
+    ...horario,
+    _id: config ? config._id : undefined,
+    situacao: {
+      ...situacao,
+      mensagem: situacao.aberto ? null : openingHours.closedMessage(horario, situacao)
+    }
+  });
+}
+
+app.get('/api/horario-funcionamento', requireRole('owner', 'attendant'), async (req, res) => {
+  try {
+    await responderHorarioFuncionamento(res, await HorarioFuncionamento.findOne());
+  } catch (error) {
+    console.error('Erro ao buscar horário de funcionamento:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar horário de funcionamento' });
+  }
+});
+
+app.put('/api/horario-funcionamento', requireRole('owner'), async (req, res) => {
+  try {
+    const erros = openingHours.validateOpeningHours(req.body || {});
+    if (erros.length > 0) {
+      return res.status(400).json({ success: false, message: erros.join('; ') });
+    }
+
+    const config = await HorarioFuncionamento.findOneAndUpdate({}, req.body, {
+      new: true,
+      upsert: true,
+      runValidators: true
+    });
+
+    invalidateDataCache();
+    console.log('Horário de funcionamento atualizado');
+
+    await responderHorarioFuncionamento(res, config);
+  } catch (error) {
+    console.error('Erro ao atualizar horário de funcionamento:', error);
+    res.status(500).json({ success: false, message: 'Erro ao atualizar horário de funcionamento' });
+  }
+});
+
+// Feriados e horários especiais: cadastrar ou substituir a exceção de uma data
+app.put('/api/horario-funcionamento/excecoes/:data', requireRole('owner'), async (req, res) => {
+  try {
+    const excecao = {
+      data: req.params.data,
+      descricao: req.body.descricao,
+      fechado: req.body.fechado !== false,
+      intervalos: req.body.fechado === false ? req.body.intervalos : []
+    };
+
+    const erros = openingHours.validateException(excecao);
+    if (erros.length > 0) {
+      return res.status(400).json({ success: false, message: erros.join('; ') });
+    }
+
+    const config = await HorarioFuncionamento.findOne() || new HorarioFuncionamento();
+    config.excecoes = [...config.excecoes.filter(e => e.data !== excecao.data), excecao]
+      .sort((a, b) => a.data.localeCompare(b.data));
+    await config.save();
+
+    invalidateDataCache();
+    console.log(`Exceção de horário salva para ${excecao.data}`);
+
+    await responderHorarioFuncionamento(res, config);
+  } catch (error) {
+    console.error('Erro ao salvar exceção de horário:', error);
+    res.status(500).json({ success: false, message: 'Erro ao salvar exceção de horário' });
+  }
+});
+
+app.delete('/api/horario-funcionamento/excecoes/:data', requireRole('owner'), async (req, res) => {
+  try {
+    const config = await HorarioFuncionamento.findOne();
+    if (!config || !config.excecoes.some(e => e.data === req.params.data)) {
+      return res.status(404).json({ success: false, message: 'Exceção não encontrada' });
+    }
+
+    config.excecoes = config.excecoes.filter(e => e.data !== req.params.data);
+    await config.save();
+
+    invalidateDataCache();
+    console.log(`Exceção de horário removida: ${req.params.data}`);
+
+    await responderHorarioFuncionamento(res, config);
+  } catch (error) {
+    console.error('Erro ao remover exceção de horário:', error);
+    res.status(500).json({ success: false, message: 'Erro ao remover exceção de horário' });
+  }
+});
+
+// Horários de entrega disponíveis para agendamento em uma data (padrão: hoje)
+app.get('/api/agendamento/horarios', requireRole('owner', 'attendant'), async (req, res) => {
+  try {
+    if (req.query.data && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.data)) {
+      return res.status(400).json({ success: false, message: 'Data inválida (use AAAA-MM-DD)' });
+    }
+
+    const agora = new Date();
+    const { horarioFuncionamento, agendamento, ocupacao } = await contextoAgendamento(agora);
+    const data = req.query.data || openingHours.localTime(agora, horarioFuncionamento.timezone).data;
+
+    const horarios = scheduling.listSlots({
+      horario: horarioFuncionamento,
+      agendamento,
+      prazoMinutos: PRAZO_ENTREGA_MINUTOS,
+      ocupacao,
+      agora,
+      desde: openingHours.instanteLocal(data, 0, horarioFuncionamento.timezone)
+    }).filter(slot => openingHours.localTime(slot.horario, horarioFuncionamento.timezone).data === data);
+
+    res.json({
+      success: true,
+      data,
+      ativo: agendamento.ativo,
+      intervaloMinutos: agendamento.intervaloMinutos,
+      capacidadePorHorario: agendamento.capacidadePorHorario,
+      horarios
+    });
+  } catch (error) {
+    console.error('Erro ao listar horários de agendamento:', error);
+    res.status(500).json({ success: false, message: 'Erro ao listar horários de agendamento' });
+  }
+});
+
 // Cardápio
 app.get('/api/cardapio', async (req, res) => {
   try {
@@ -3270,20 +5521,437 @@ async function uploadToCloudinary(file, folder = 'pizzaria') {
   }
 }
 
-// Pedidos
-app.get('/api/pedidos', async (req, res) => {
-  try {
-    const pedidos = await Pedido.find().sort({ data: -1 });
-    res.json(pedidos);
-  } catch (error) {
-    console.error('Erro ao buscar pedidos:', error);
-    res.status(500).json({ success: false, message: 'Erro ao buscar pedidos' });
+// Campos de imagem aceitos nos itens do cardápio
+const CAMPOS_IMAGEM_CARDAPIO = ['imagemGeral', 'imagemEsquerda', 'imagemDireita'];
+
+const uploadCardapio = upload.fields(CAMPOS_IMAGEM_CARDAPIO.map(name => ({ name, maxCount: 1 })));
+
+// Converter texto em slug (ex: "Porco & Pinhão" -> "porco-e-pinhao")
+function slugify(texto) {
+  return (texto || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' e ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Gerar identificador do item a partir da categoria e do nome (ex: pizza-salgada_pizza-amazonas)
+async function gerarIdentificadorCardapio(categoria, nome) {
+  let categoriaNome = categoria ? categoria.toString() : '';
+
+  // A categoria pode ser o nome ou o ObjectId de uma Categoria
+  if (categoriaNome && mongoose.Types.ObjectId.isValid(categoriaNome)) {
+    const categoriaDoc = await Categoria.findById(categoriaNome);
+    if (categoriaDoc) {
+      categoriaNome = categoriaDoc.nome;
+    }
   }
-});
 
-app.get('/api/pedidos/:id', async (req, res) => {
+  return `${slugify(categoriaNome)}_${slugify(nome)}`;
+}
+
+// Validar e normalizar o preço (aceita "39,90" vindo de formulários)
+function parsePreco(valor) {
+  if (valor === undefined || valor === null || valor === '') {
+    return null;
+  }
+
+  const preco = typeof valor === 'string'
+    ? parseFloat(valor.replace(',', '.'))
+    : Number(valor);
+
+  if (!Number.isFinite(preco) || preco < 0) {
+    return null;
+  }
+
+  return Math.round(preco * 100) / 100;
+}
+
+// Converter valores booleanos vindos de multipart ("true", "false", "1", "0")
+function parseBoolean(valor) {
+  if (typeof valor === 'boolean') return valor;
+  if (valor === undefined || valor === null) return undefined;
+  return ['true', '1', 'sim', 'on'].includes(valor.toString().toLowerCase());
+}
+
+// Validar a lista de tamanhos (array ou JSON em texto, vindo de multipart)
+function parseTamanhos(valor) {
+  let tamanhos = valor;
+
+  if (typeof tamanhos === 'string') {
+    if (!tamanhos.trim()) {
+      return [];
+    }
+    try {
+      tamanhos = JSON.parse(tamanhos);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(tamanhos)) {
+    return null;
+  }
+
+  const resultado = [];
+  for (const tamanho of tamanhos) {
+    const preco = parsePreco(tamanho && tamanho.preco);
+    if (!tamanho || !tamanho.nome || !tamanho.nome.toString().trim() || preco === null) {
+      return null;
+    }
+
+    const fatias = parseInt(tamanho.fatias, 10);
+    resultado.push({
+      nome: tamanho.nome.toString().trim(),
+      preco,
+      fatias: Number.isInteger(fatias) && fatias > 0 ? fatias : undefined
+    });
+  }
+
+  return resultado;
+}
+
+// Apelidos do sabor: lista JSON, array ou texto separado por vírgulas
+function parseApelidos(valor) {
+  let apelidos = valor;
+
+  if (typeof apelidos === 'string') {
+    try {
+      apelidos = JSON.parse(apelidos);
+    } catch (e) {
+      apelidos = apelidos.split(',');
+    }
+  }
+
+  if (!Array.isArray(apelidos)) {
+    apelidos = [apelidos];
+  }
+
+  return apelidos
+    .filter(apelido => apelido !== null && apelido !== undefined)
+    .map(apelido => apelido.toString().trim())
+    .filter(Boolean);
+}
+
+// Remover arquivos temporários do multer quando a requisição é rejeitada
+function removerArquivosTemporarios(files) {
+  if (!files) return;
+
+  Object.values(files).flat().forEach(file => {
+    try {
+      if (file && file.path && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    } catch (error) {
+      console.error('Erro ao remover arquivo temporário:', error);
+    }
+  });
+}
+
+// Montar os dados de um item do cardápio a partir do corpo da requisição
+// Em atualizações parciais (PATCH) apenas os campos enviados são considerados
+function montarDadosCardapio(body, parcial = false) {
+  const dados = {};
+
+  if (body.nome !== undefined || !parcial) {
+    if (!body.nome || !body.nome.toString().trim()) {
+      return { erro: 'Nome do item é obrigatório' };
+    }
+    dados.nome = body.nome.toString().trim();
+  }
+
+  if (body.categoria !== undefined || !parcial) {
+    if (!body.categoria || !body.categoria.toString().trim()) {
+      return { erro: 'Categoria do item é obrigatória' };
+    }
+    dados.categoria = body.categoria.toString().trim();
+  }
+
+  if (body.preco !== undefined || !parcial) {
+    const preco = parsePreco(body.preco);
+    if (preco === null) {
+      return { erro: 'Preço inválido. Informe um valor numérico maior ou igual a zero' };
+    }
+    dados.preco = preco;
+  }
+
+  ['descricao', 'inspiracao'].forEach(campo => {
+    if (body[campo] !== undefined) {
+      dados[campo] = body[campo];
+    }
+  });
+
+  if (body.disponivel !== undefined) {
+    dados.disponivel = parseBoolean(body.disponivel);
+  }
+
+  if (body.apelidos !== undefined) {
+    dados.apelidos = parseApelidos(body.apelidos);
+  }
+
+  if (body.tamanhos !== undefined) {
+    const tamanhos = parseTamanhos(body.tamanhos);
+    if (tamanhos === null) {
+      return { erro: 'Tamanhos inválidos. Informe nome e preço de cada tamanho' };
+    }
+    dados.tamanhos = tamanhos;
+  }
+
+  return { dados };
+}
+
+// Enviar as imagens recebidas para o Cloudinary
+// Campos enviados como texto são mantidos como URL (string vazia remove a imagem)
+async function processarImagensCardapio(req) {
+  const imagens = {};
+
+  for (const campo of CAMPOS_IMAGEM_CARDAPIO) {
+    const arquivo = req.files && req.files[campo] && req.files[campo][0];
+
+    if (arquivo) {
+      imagens[campo] = await uploadToCloudinary(arquivo, 'pizzaria/cardapio');
+      console.log(`Imagem ${campo} enviada para o Cloudinary: ${imagens[campo]}`);
+    } else if (typeof req.body[campo] === 'string') {
+      imagens[campo] = req.body[campo];
+    }
+  }
+
+  return imagens;
+}
+
+// Atualizar item do cardápio (PUT substitui os campos principais, PATCH altera apenas os enviados)
+async function atualizarItemCardapio(req, res, parcial) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      removerArquivosTemporarios(req.files);
+      return res.status(404).json({ success: false, message: 'Item não encontrado' });
+    }
+
+    const item = await CardapioItem.findById(id);
+    if (!item) {
+      removerArquivosTemporarios(req.files);
+      return res.status(404).json({ success: false, message: 'Item não encontrado' });
+    }
+
+    const { erro, dados } = montarDadosCardapio(req.body, parcial);
+    if (erro) {
+      removerArquivosTemporarios(req.files);
+      return res.status(400).json({ success: false, message: erro });
+    }
+
+    // Regerar identificador se nome ou categoria mudaram
+    if (dados.nome !== undefined || dados.categoria !== undefined) {
+      const identificador = await gerarIdentificadorCardapio(
+        dados.categoria !== undefined ? dados.categoria : item.categoria,
+        dados.nome !== undefined ? dados.nome : item.nome
+      );
+
+      if (identificador !== item.identificador) {
+        const existente = await CardapioItem.findOne({ identificador, _id: { $ne: item._id } });
+        if (existente) {
+          removerArquivosTemporarios(req.files);
+          return res.status(400).json({ success: false, message: 'Já existe um item com este nome nesta categoria' });
+        }
+        dados.identificador = identificador;
+      }
+    }
+
+    const imagens = await processarImagensCardapio(req);
+
+    item.set({ ...dados, ...imagens });
+    await item.save();
+
+    invalidateDataCache();
+    console.log(`Item do cardápio atualizado: ${item.identificador}`);
+
+    res.json({ success: true, item });
+  } catch (error) {
+    removerArquivosTemporarios(req.files);
+    console.error('Erro ao atualizar item do cardápio:', error);
+    res.status(500).json({ success: false, message: 'Erro ao atualizar item do cardápio' });
+  }
+}
+
+app.post('/api/cardapio', requireRole('owner'), uploadCardapio, async (req, res) => {
+  try {
+    const { erro, dados } = montarDadosCardapio(req.body);
+    if (erro) {
+      removerArquivosTemporarios(req.files);
+      return res.status(400).json({ success: false, message: erro });
+    }
+
+    dados.identificador = await gerarIdentificadorCardapio(dados.categoria, dados.nome);
+
+    const existente = await CardapioItem.findOne({ identificador: dados.identificador });
+    if (existente) {
+      removerArquivosTemporarios(req.files);
+      return res.status(400).json({ success: false, message: 'Já existe um item com este nome nesta categoria' });
+    }
+
+    const imagens = await processarImagensCardapio(req);
+
+    const novoItem = await CardapioItem.create({ ...dados, ...imagens });
+
+    invalidateDataCache();
+    console.log(`Item do cardápio criado: ${novoItem.identificador}`);
+
+    res.status(201).json({ success: true, item: novoItem });
+  } catch (error) {
+    removerArquivosTemporarios(req.files);
+    console.error('Erro ao adicionar item ao cardápio:', error);
+    res.status(500).json({ success: false, message: 'Erro ao adicionar item ao cardápio' });
+  }
+});
+
+app.put('/api/cardapio/:id', requireRole('owner'), uploadCardapio, (req, res) => atualizarItemCardapio(req, res, false));
+
+app.patch('/api/cardapio/:id', requireRole('owner'), uploadCardapio, (req, res) => atualizarItemCardapio(req, res, true));
+
+app.delete('/api/cardapio/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Item não encontrado' });
+    }
+
+    const item = await CardapioItem.findByIdAndDelete(id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item não encontrado' });
+    }
+
+    invalidateDataCache();
+    console.log(`Item do cardápio removido: ${item.identificador}`);
+
+    res.json({ success: true, item });
+  } catch (error) {
+    console.error('Erro ao remover item do cardápio:', error);
+    res.status(500).json({ success: false, message: 'Erro ao remover item do cardápio' });
+  }
+});
+
+// ======== LISTAGENS PAGINADAS ==========
+// Parâmetros comuns: page, limit, de, ate (datas ISO) e q (busca em texto)
+
+const LIMITE_PADRAO_LISTAGEM = 20;
+const LIMITE_MAXIMO_LISTAGEM = 100;
+
+// Escapar texto do usuário para uso em expressões regulares
+function escapeRegex(texto) {
+  return texto.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parsePaginacao(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || LIMITE_PADRAO_LISTAGEM, 1), LIMITE_MAXIMO_LISTAGEM);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Filtro de período; datas sem horário em `ate` incluem o dia inteiro
+function montarFiltroPeriodo(de, ate) {
+  const periodo = {};
+
+  if (de) {
+    const inicio = new Date(de);
+    if (isNaN(inicio.getTime())) {
+      throw Object.assign(new Error('Data inicial inválida'), { statusCode: 400 });
+    }
+    periodo.$gte = inicio;
+  }
+
+  if (ate) {
+    const fim = new Date(ate);
+    if (isNaN(fim.getTime())) {
+      throw Object.assign(new Error('Data final inválida'), { statusCode: 400 });
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(ate)) {
+      fim.setUTCHours(23, 59, 59, 999);
+    }
+    periodo.$lte = fim;
+  }
+
+  return Object.keys(periodo).length > 0 ? periodo : null;
+}
+
+// Telefone pode ser informado só com parte dos dígitos
+function montarFiltroTelefone(telefone) {
+  const digitos = telefone.toString().replace(/\D/g, '');
+  return digitos ? { $regex: escapeRegex(digitos) } : null;
+}
+
+async function listarPaginado(model, filtro, { projecao, ordem, page, limit, skip }) {
+  const [data, total] = await Promise.all([
+    model.find(filtro).select(projecao).sort(ordem).skip(skip).limit(limit).lean(),
+    model.countDocuments(filtro)
+  ]);
+
+  return {
+    success: true,
+    data,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+}
+
+// Pedidos
+// Filtros: status, telefone, formaPagamento, de, ate e q (endereço ou nome de item)
+app.get('/api/pedidos', async (req, res) => {
+  try {
+    const { status, telefone, formaPagamento, de, ate, q } = req.query;
+    const filtro = {};
+
+    if (status) {
+      filtro.status = { $in: status.toString().split(',') };
+    }
+
+    if (telefone) {
+      const filtroTelefone = montarFiltroTelefone(telefone);
+      if (filtroTelefone) filtro.telefone = filtroTelefone;
+    }
+
+    if (formaPagamento) {
+      filtro.formaPagamento = { $regex: `^${escapeRegex(formaPagamento)}$`, $options: 'i' };
+    }
+
+    const periodo = montarFiltroPeriodo(de, ate);
+    if (periodo) {
+      filtro.data = periodo;
+    }
+
+    if (q) {
+      const busca = { $regex: escapeRegex(q), $options: 'i' };
+      filtro.$or = [{ endereco: busca }, { 'itens.nome': busca }];
+    }
+
+    // Histórico de status só no detalhe (/api/pedidos/:id)
+    const resultado = await listarPaginado(Pedido, filtro, {
+      ...parsePaginacao(req.query),
+      projecao: '-historicoStatus',
+      ordem: { data: -1 }
+    });
+
+    res.json(resultado);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Erro ao buscar pedidos:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar pedidos' });
+  }
+});
+
+app.get('/api/pedidos/:id', async (req, res) => {
   try {
     const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Pedido não encontrado' });
+    }
+
     const pedido = await Pedido.findById(id);
 
     if (!pedido) {
@@ -3297,20 +5965,374 @@ app.get('/api/pedidos/:id', async (req, res) => {
   }
 });
 
+// Comanda da cozinha: itens com os sabores de cada pizza separados
+app.get('/api/pedidos/:id/comanda', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Pedido não encontrado' });
+    }
+
+    const pedido = await Pedido.findById(id);
+    if (!pedido) {
+      return res.status(404).json({ success: false, message: 'Pedido não encontrado' });
+    }
+
+    res.json(montarComandaCozinha(pedido));
+  } catch (error) {
+    console.error('Erro ao montar comanda do pedido:', error);
+    res.status(500).json({ success: false, message: 'Erro ao montar comanda do pedido' });
+  }
+});
+
+app.patch('/api/pedidos/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, observacao } = req.body;
+    const alteradoPor = req.user ? req.user.email : req.body.alteradoPor;
+
+    if (!status || !Object.values(STATUS_PEDIDO).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status inválido. Valores aceitos: ${Object.values(STATUS_PEDIDO).join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Pedido não encontrado' });
+    }
+
+    const pedido = await Pedido.findById(id);
+    if (!pedido) {
+      return res.status(404).json({ success: false, message: 'Pedido não encontrado' });
+    }
+
+    if (!isTransicaoStatusValida(pedido.status, status)) {
+      const permitidos = TRANSICOES_STATUS_PEDIDO[pedido.status || STATUS_PEDIDO.CONFIRMADO] || [];
+      return res.status(400).json({
+        success: false,
+        message: `Não é possível alterar o status de "${pedido.status}" para "${status}"`,
+        permitidos
+      });
+    }
+
+    const resultado = await atualizarStatusPedido(pedido, status, alteradoPor, observacao);
+
+    res.json({ success: true, pedido: resultado.pedido, notificado: resultado.notificado });
+  } catch (error) {
+    console.error('Erro ao atualizar status do pedido:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erro ao atualizar status do pedido'
+    });
+  }
+});
+
+// ======== PAINEL DA COZINHA ==========
+
+const PERFIS_COZINHA = ['owner', 'attendant', 'kitchen'];
+const INTERVALO_SNAPSHOT_COZINHA_MS = 60000;
+
+// Pedidos em andamento, agrupados por status
+app.get('/api/cozinha/pedidos', requireRole(...PERFIS_COZINHA), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await montarPainelCozinha()) });
+  } catch (error) {
+    console.error('Erro ao montar painel da cozinha:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar pedidos da cozinha' });
+  }
+});
+
+// Feed em tempo real (SSE; o token pode ir em ?access_token=, já que EventSource não envia headers)
+//   snapshot => painel completo, na conexão e a cada minuto (atualiza os tempos)
+//   pedido   => cartão de um pedido novo ou alterado
+app.get('/api/cozinha/stream', requireRole(...PERFIS_COZINHA), async (req, res) => {
+  let painel;
+  try {
+    painel = await montarPainelCozinha();
+  } catch (error) {
+    console.error('Erro ao abrir feed da cozinha:', error);
+    return res.status(500).json({ success: false, message: 'Erro ao abrir feed da cozinha' });
+  }
+
+  const enviar = openEventStream(res);
+  enviar('snapshot', painel);
+
+  const cancelar = painelCozinha.subscribe(enviar);
+  keepStreamAlive(req, res);
+
+  const snapshots = setInterval(() => {
+    montarPainelCozinha()
+      .then(atualizado => enviar('snapshot', atualizado))
+      .catch(error => console.error('Erro ao atualizar painel da cozinha:', error));
+  }, INTERVALO_SNAPSHOT_COZINHA_MS);
+
+  req.on('close', () => {
+    clearInterval(snapshots);
+    cancelar();
+  });
+});
+
+// "Bump": avançar o pedido para a próxima etapa (Confirmado -> Em preparo -> Saiu para entrega -> Entregue)
+app.post('/api/cozinha/pedidos/:id/bump', requireRole(...PERFIS_COZINHA), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Pedido não encontrado' });
+    }
+
+    const pedido = await Pedido.findById(id);
+    if (!pedido) {
+      return res.status(404).json({ success: false, message: 'Pedido não encontrado' });
+    }
+
+    const proximoStatus = kitchen.nextKitchenStatus(pedido.status);
+    if (!proximoStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `O pedido está "${pedido.status}" e não tem próxima etapa`
+      });
+    }
+
+    const resultado = await atualizarStatusPedido(pedido, proximoStatus, req.user.email, req.body && req.body.observacao);
+
+    res.json({
+      success: true,
+      pedido: montarCartaoCozinha(resultado.pedido),
+      notificado: resultado.notificado
+    });
+  } catch (error) {
+    console.error('Erro ao avançar pedido na cozinha:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erro ao avançar pedido'
+    });
+  }
+});
+
+// Clientes
+// Filtros: telefone e q (nome)
+app.get('/api/clientes', requireRole('owner', 'attendant'), async (req, res) => {
+  try {
+    const { telefone, q } = req.query;
+    const filtro = {};
+
+    if (telefone) {
+      const filtroTelefone = montarFiltroTelefone(telefone);
+      if (filtroTelefone) filtro.telefone = filtroTelefone;
+    }
+
+    if (q) {
+      filtro.nome = { $regex: escapeRegex(q), $options: 'i' };
+    }
+
+    const resultado = await listarPaginado(Cliente, filtro, {
+      ...parsePaginacao(req.query),
+      ordem: { ultimoPedido: -1, createdAt: -1 }
+    });
+
+    res.json(resultado);
+  } catch (error) {
+    console.error('Erro ao buscar clientes:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar clientes' });
+  }
+});
+
+// Cadastro do cliente com os últimos pedidos
+app.get('/api/clientes/:telefone', requireRole('owner', 'attendant'), async (req, res) => {
+  try {
+    const cliente = await Cliente.findOne({ telefone: req.params.telefone }).lean();
+    if (!cliente) {
+      return res.status(404).json({ success: false, message: 'Cliente não encontrado' });
+    }
+
+    const pedidos = await Pedido.find({ telefone: cliente.telefone }).sort({ data: -1 }).limit(10).lean();
+    res.json({ success: true, data: { ...cliente, pedidos } });
+  } catch (error) {
+    console.error('Erro ao buscar cliente:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar cliente' });
+  }
+});
+
+// A equipe edita apenas o nome e as observações; o restante vem dos pedidos
+app.patch('/api/clientes/:telefone', requireRole('owner', 'attendant'), async (req, res) => {
+  try {
+    const alteracoes = {};
+    ['nome', 'observacoes'].forEach(campo => {
+      if (req.body[campo] !== undefined) {
+        alteracoes[campo] = typeof req.body[campo] === 'string' ? req.body[campo].trim() : req.body[campo];
+      }
+    });
+
+    if (Object.values(alteracoes).some(valor => typeof valor !== 'string')) {
+      return res.status(400).json({ success: false, message: 'Nome e observações devem ser texto' });
+    }
+
+    const cliente = await Cliente.findOneAndUpdate({ telefone: req.params.telefone }, { $set: alteracoes }, { new: true });
+    if (!cliente) {
+      return res.status(404).json({ success: false, message: 'Cliente não encontrado' });
+    }
+
+    res.json({ success: true, data: cliente });
+  } catch (error) {
+    console.error('Erro ao atualizar cliente:', error);
+    res.status(500).json({ success: false, message: 'Erro ao atualizar cliente' });
+  }
+});
+
+// Promoções e cupons (regras em services/promotions)
+app.get('/api/promocoes', requireRole('owner', 'attendant'), async (req, res) => {
+  try {
+    const promocoes = await Promocao.find().sort({ ativo: -1, createdAt: -1 });
+    res.json({ success: true, data: promocoes });
+  } catch (error) {
+    console.error('Erro ao buscar promoções:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar promoções' });
+  }
+});
+
+// Cupom repetido em outra promoção
+async function cupomEmUso(codigo, idAtual) {
+  if (!codigo) return false;
+  const existente = await Promocao.findOne({ codigo });
+  return !!existente && !existente._id.equals(idAtual);
+}
+
+app.post('/api/promocoes', requireRole('owner'), async (req, res) => {
+  try {
+    const dados = promotions.sanitizePromotion(req.body || {});
+    const erros = promotions.validatePromotion(dados);
+    if (erros.length > 0) {
+      return res.status(400).json({ success: false, message: erros.join('; ') });
+    }
+
+    if (await cupomEmUso(dados.codigo)) {
+      return res.status(400).json({ success: false, message: `Já existe uma promoção com o cupom ${dados.codigo}` });
+    }
+
+    const promocao = await Promocao.create(dados);
+    console.log(`Promoção criada: ${promocao.nome}${promocao.codigo ? ` (cupom ${promocao.codigo})` : ''}`);
+    res.status(201).json({ success: true, data: promocao });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Já existe uma promoção com este cupom' });
+    }
+    console.error('Erro ao criar promoção:', error);
+    res.status(500).json({ success: false, message: 'Erro ao criar promoção' });
+  }
+});
+
+app.patch('/api/promocoes/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Promoção não encontrada' });
+    }
+
+    const promocao = await Promocao.findById(id);
+    if (!promocao) {
+      return res.status(404).json({ success: false, message: 'Promoção não encontrada' });
+    }
+
+    // Validar a promoção como fica depois da alteração
+    const alteracoes = promotions.sanitizePromotion(req.body || {});
+    const erros = promotions.validatePromotion({ ...promocao.toObject(), ...alteracoes });
+    if (erros.length > 0) {
+      return res.status(400).json({ success: false, message: erros.join('; ') });
+    }
+
+    if (await cupomEmUso(alteracoes.codigo, promocao._id)) {
+      return res.status(400).json({ success: false, message: `Já existe uma promoção com o cupom ${alteracoes.codigo}` });
+    }
+
+    Object.entries(alteracoes).forEach(([campo, valor]) => promocao.set(campo, valor));
+    await promocao.save();
+    res.json({ success: true, data: promocao });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Já existe uma promoção com este cupom' });
+    }
+    console.error('Erro ao atualizar promoção:', error);
+    res.status(500).json({ success: false, message: 'Erro ao atualizar promoção' });
+  }
+});
+
+// Os pedidos guardam nome e valor do desconto, então remover a promoção não altera o histórico
+app.delete('/api/promocoes/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Promoção não encontrada' });
+    }
+
+    const promocao = await Promocao.findByIdAndDelete(id);
+    if (!promocao) {
+      return res.status(404).json({ success: false, message: 'Promoção não encontrada' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erro ao remover promoção:', error);
+    res.status(500).json({ success: false, message: 'Erro ao remover promoção' });
+  }
+});
+
 // Conversas
-app.get('/api/conversas', async (req, res) => {
+// Filtros: telefone, state, de, ate e q (texto dentro das mensagens)
+app.get('/api/conversas', requireRole('owner', 'attendant'), async (req, res) => {
   try {
-    const conversas = await Conversa.find().sort({ inicio: -1 });
-    res.json(conversas);
+    const { telefone, state, de, ate, q } = req.query;
+    const filtro = {};
+
+    if (telefone) {
+      const filtroTelefone = montarFiltroTelefone(telefone);
+      if (filtroTelefone) filtro.telefone = filtroTelefone;
+    }
+
+    if (state !== undefined && state !== '') {
+      const estados = state.toString().split(',').map(Number);
+      if (estados.some(isNaN)) {
+        return res.status(400).json({ success: false, message: 'Estado inválido' });
+      }
+      filtro.state = { $in: estados };
+    }
+
+    const periodo = montarFiltroPeriodo(de, ate);
+    if (periodo) {
+      filtro.inicio = periodo;
+    }
+
+    if (q) {
+      filtro['mensagens.conteudo'] = { $regex: escapeRegex(q), $options: 'i' };
+    }
+
+    // Mensagens só no detalhe (/api/conversas/:id)
+    const resultado = await listarPaginado(Conversa, filtro, {
+      ...parsePaginacao(req.query),
+      projecao: '-mensagens',
+      ordem: { inicio: -1 }
+    });
+
+    res.json(resultado);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Erro ao buscar conversas:', error);
     res.status(500).json({ success: false, message: 'Erro ao buscar conversas' });
   }
 });
 
-app.get('/api/conversas/:id', async (req, res) => {
+app.get('/api/conversas/:id', requireRole('owner', 'attendant'), async (req, res) => {
   try {
     const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ success: false, message: 'Conversa não encontrada' });
+    }
+
     const conversa = await Conversa.findById(id);
 
     if (!conversa) {
@@ -3324,6 +6346,61 @@ app.get('/api/conversas/:id', async (req, res) => {
   }
 });
 
+// Relatórios de vendas
+// Parâmetros: de, ate (padrão: últimos 30 dias), agrupamento (dia, semana ou mes) e limite
+const DIAS_PADRAO_ANALYTICS = 30;
+
+function parsePeriodoAnalytics(query) {
+  const { de, ate } = query;
+  if (!de && !ate) {
+    const inicio = new Date();
+    inicio.setDate(inicio.getDate() - DIAS_PADRAO_ANALYTICS);
+    return { $gte: inicio };
+  }
+  return montarFiltroPeriodo(de, ate);
+}
+
+function parseLimiteAnalytics(query) {
+  return Math.min(Math.max(parseInt(query.limite, 10) || 10, 1), 50);
+}
+
+// Envolver as rotas de relatório com o mesmo tratamento de erro
+function rotaAnalytics(gerarRelatorio) {
+  return async (req, res) => {
+    try {
+      const periodo = parsePeriodoAnalytics(req.query);
+      const dados = await gerarRelatorio(periodo, req.query);
+      res.json({ success: true, periodo: { de: periodo && periodo.$gte, ate: periodo && periodo.$lte }, ...dados });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Erro ao gerar relatório:', error);
+      res.status(500).json({ success: false, message: 'Erro ao gerar relatório' });
+    }
+  };
+}
+
+app.get('/api/analytics', requireRole('owner'), rotaAnalytics((periodo, query) =>
+  analytics.painel(periodo, query.agrupamento || 'dia')));
+
+app.get('/api/analytics/resumo', requireRole('owner'), rotaAnalytics(async periodo =>
+  ({ resumo: await analytics.resumoVendas(periodo) })));
+
+app.get('/api/analytics/faturamento', requireRole('owner'), rotaAnalytics(async (periodo, query) =>
+  ({ faturamento: await analytics.faturamentoPorPeriodo(periodo, query.agrupamento || 'dia') })));
+
+app.get('/api/analytics/sabores', requireRole('owner'), rotaAnalytics(async (periodo, query) => ({
+  sabores: await analytics.saboresMaisVendidos(periodo, parseLimiteAnalytics(query)),
+  combinacoes: await analytics.combinacoesMeioAMeio(periodo, parseLimiteAnalytics(query))
+})));
+
+app.get('/api/analytics/pagamentos', requireRole('owner'), rotaAnalytics(async periodo =>
+  ({ pagamentos: await analytics.formasPagamento(periodo) })));
+
+app.get('/api/analytics/funil', requireRole('owner'), rotaAnalytics(async periodo =>
+  ({ funil: await analytics.funilConversas(periodo) })));
+
 // ======== INICIALIZAÇÃO ==========
 
 client.on('qr', (qr) => {
@@ -3364,45 +6441,265 @@ client.on('disconnected', (reason) => {
   }, 10000); // Tentar reconectar após 10 segundos
 });
 
-// Processar mensagens recebidas no WhatsApp
-client.on('message', async (message) => {
+// Atender um turno da fila: uma ou mais mensagens seguidas do mesmo cliente
+async function atenderTurno(telefone, turno) {
+  const canal = buscarCanal(turno.canal) || canalDoCliente(telefone);
+
   try {
-    const messageStartTime = Date.now();
-    console.log(`[${new Date().toISOString()}] Mensagem WhatsApp recebida de ${message.from}. ID: ${message.id.id}`);
+    if (turno.ids.length > 1) {
+      console.log(`[${new Date().toISOString()}] ${turno.ids.length} mensagens seguidas de ${telefone} atendidas em um único turno`);
+    }
 
-    // Ignorar mensagens de grupos
-    const chat = await message.getChat();
-    if (chat.isGroup) return;
+    // Se for áudio ou nota de voz
+    if (turno.type === 'audio') {
+      await processAudioMessage(telefone, turno.media, canal);
+      return;
+    }
 
-    // Extrair informações da mensagem
-    const userPhone = message.from;
+    await processTextMessage(telefone, turno.text, canal);
 
-    // Verificar tipo de mídia
-    if (message.hasMedia) {
-      const media = await message.downloadMedia();
+  } catch (error) {
+    console.error(`Erro ao processar mensagem ${canal.name}:`, error);
+    try {
+      await canal.sendText(telefone, 'Desculpe, ocorreu um erro. Por favor, tente novamente mais tarde.');
+    } catch (e) {
+      console.error('Não foi possível enviar mensagem de erro:', e);
+    }
+  }
+}
 
-      // Se for áudio ou nota de voz
-      if (message.type === 'audio' || message.type === 'ptt') {
-        await processAudioMessage(userPhone, media);
-        return;
-      }
+// Mensagens seguidas do mesmo cliente são atendidas uma vez, em ordem (services/messageQueue)
+const filaMensagens = createMessageQueue({
+  processTurn: atenderTurno,
+  debounceMs: process.env.MESSAGE_DEBOUNCE_MS !== undefined
+    ? parseInt(process.env.MESSAGE_DEBOUNCE_MS, 10)
+    : DEFAULT_DEBOUNCE_MS
+});
 
-      // Se for outro tipo de mídia, enviar para a API informando o tipo
-      await processTextMessage(userPhone, `[${message.type}]`);
-      return;
-    }
+// Receber uma mensagem já normalizada pelo transporte e colocá-la na fila do cliente
+async function receberMensagem(canal, mensagem) {
+  try {
+    console.log(`[${new Date().toISOString()}] Mensagem ${canal.name} recebida de ${mensagem.from}. ID: ${mensagem.id}`);
 
-    // Processar mensagem de texto normal
-    await processTextMessage(userPhone, message.body);
+    // Nome do perfil no canal vai para o cadastro do cliente
+    if (mensagem.contactName) {
+      await customers.rememberName(mensagem.from, mensagem.contactName)
+        .catch(error => console.error(`Erro ao guardar o nome de ${mensagem.from}:`, error));
+    }
 
+    await filaMensagens.enqueue(mensagem.from, {
+      canal: canal.name,
+      id: mensagem.id,
+      type: mensagem.type,
+      // Outros tipos de mídia seguem para o bot apenas com o tipo informado
+      text: mensagem.type === 'text' || mensagem.type === 'audio' ? mensagem.text : `[${mensagem.type}]`,
+      media: mensagem.type === 'audio' ? mensagem.media : undefined
+    });
   } catch (error) {
-    console.error('Erro ao processar mensagem WhatsApp:', error);
+    console.error(`Erro ao enfileirar mensagem ${canal.name}:`, error);
     try {
-      await client.sendMessage(message.from, 'Desculpe, ocorreu um erro. Por favor, tente novamente mais tarde.');
+      await canal.sendText(mensagem.from, 'Desculpe, ocorreu um erro. Por favor, tente novamente mais tarde.');
     } catch (e) {
       console.error('Não foi possível enviar mensagem de erro:', e);
     }
   }
+}
+
+canais.forEach(canal => canal.onMessage(mensagem => receberMensagem(canal, mensagem)));
+
+// ======== WEBHOOK WHATSAPP CLOUD API ==========
+
+// Verificação do webhook feita pela Meta ao cadastrar a URL
+app.get('/webhooks/whatsapp', (req, res) => {
+  if (!transport.verifySubscription) {
+    return res.status(404).json({ success: false, message: 'Transporte cloud-api não está ativo' });
+  }
+
+  const challenge = transport.verifySubscription(req.query);
+  if (challenge === null) {
+    return res.status(403).json({ success: false, message: 'Token de verificação inválido' });
+  }
+
+  res.status(200).type('text/plain').send(String(challenge));
+});
+
+// Eventos da Cloud API (mensagens recebidas e status de entrega)
+app.post('/webhooks/whatsapp', (req, res) => {
+  if (!transport.handleWebhook) {
+    return res.status(404).json({ success: false, message: 'Transporte cloud-api não está ativo' });
+  }
+
+  if (!transport.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    console.error('Webhook da Cloud API com assinatura inválida');
+    return res.status(401).json({ success: false, message: 'Assinatura inválida' });
+  }
+
+  // Responder logo: a Meta reenvia o evento se a resposta demorar
+  res.sendStatus(200);
+
+  transport.handleWebhook(req.body).catch(error => {
+    console.error('Erro ao processar webhook da Cloud API:', error);
+  });
+});
+
+// ======== WEBHOOK TELEGRAM ==========
+
+// Atualizações do Telegram quando TELEGRAM_WEBHOOK_URL está configurada
+app.post('/webhooks/telegram', (req, res) => {
+  // Em long polling a rota não existe: as atualizações só chegam por getUpdates
+  const telegram = buscarCanal('telegram');
+  if (!telegram || !telegram.usesWebhook()) {
+    return res.status(404).json({ success: false, message: 'Webhook do Telegram não está ativo' });
+  }
+
+  if (!telegram.verifySecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    console.error('Webhook do Telegram com token secreto inválido');
+    return res.status(401).json({ success: false, message: 'Token secreto inválido' });
+  }
+
+  res.sendStatus(200);
+
+  telegram.handleWebhook(req.body).catch(error => {
+    console.error('Erro ao processar webhook do Telegram:', error);
+  });
+});
+
+// ======== CHAT WEB (WIDGET DO SITE) ==========
+
+// Endereço deste servidor para as URLs relativas de mídia (o widget roda no site)
+function urlBaseWebChat(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// Cliente da sessão do widget, ou null se a sessão não existe
+async function buscarClienteWebChat(sessionId) {
+  if (!isValidSessionId(sessionId)) {
+    return null;
+  }
+
+  const telefone = webChat.sessionToClient(sessionId);
+  const existe = await Conversa.exists({ telefone });
+  return existe ? telefone : null;
+}
+
+// Sessões novas por IP a cada 10 minutos (WEBCHAT_SESSIONS_PER_IP); atrás de proxy
+// o IP só é o do visitante com TRUST_PROXY configurado
+const limiteSessoesWebChat = createSessionLimiter({
+  limite: parseInt(process.env.WEBCHAT_SESSIONS_PER_IP, 10) || 10,
+  janelaMs: 10 * 60 * 1000
+});
+
+// Abrir uma sessão: cria a conversa e devolve a mensagem de boas-vindas
+app.post('/api/webchat/sessions', async (req, res) => {
+  const { permitido, tenteEmMs } = limiteSessoesWebChat.registrar(req.ip);
+  if (!permitido) {
+    res.set('Retry-After', String(Math.ceil(tenteEmMs / 1000)));
+    return res.status(429).json({ success: false, message: 'Muitas sessões abertas. Tente novamente em alguns minutos.' });
+  }
+
+  try {
+    const sessionId = crypto.randomUUID();
+    const { conversa, processedResponse } = await iniciarConversaComBoasVindas(webChat.sessionToClient(sessionId), null);
+
+    res.status(201).json({
+      success: true,
+      sessionId,
+      state: conversa.state,
+      parts: responseToParts(processedResponse, urlBaseWebChat(req))
+    });
+  } catch (error) {
+    console.error('Erro ao criar sessão do chat web:', error);
+    res.status(500).json({ success: false, message: 'Erro ao iniciar o chat' });
+  }
+});
+
+// Histórico da conversa atual da sessão
+app.get('/api/webchat/sessions/:sessionId/messages', async (req, res) => {
+  try {
+    const telefone = await buscarClienteWebChat(req.params.sessionId);
+    if (!telefone) {
+      return res.status(404).json({ success: false, message: 'Sessão não encontrada' });
+    }
+
+    const conversa = await Conversa.findOne({ telefone }).sort({ inicio: -1 });
+    res.json({
+      success: true,
+      state: conversa.state,
+      messages: conversationToHistory(conversa)
+    });
+  } catch (error) {
+    console.error('Erro ao buscar histórico do chat web:', error);
+    res.status(500).json({ success: false, message: 'Erro ao buscar mensagens' });
+  }
+});
+
+// Mensagem do cliente: a resposta chega como Server-Sent Events
+//   typing => o bot está processando
+//   part   => uma parte tipada da resposta (texto, imagem, áudio, resumo do pedido)
+//   done   => { state } estado da conversa após a resposta
+//   error  => { message }
+app.post('/api/webchat/sessions/:sessionId/messages', async (req, res) => {
+  const { message } = req.body;
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ success: false, message: 'Mensagem é obrigatória' });
+  }
+
+  let telefone;
+  try {
+    telefone = await buscarClienteWebChat(req.params.sessionId);
+  } catch (error) {
+    console.error('Erro ao buscar sessão do chat web:', error);
+    return res.status(500).json({ success: false, message: 'Erro ao processar mensagem' });
+  }
+  if (!telefone) {
+    return res.status(404).json({ success: false, message: 'Sessão não encontrada' });
+  }
+
+  const enviar = openEventStream(res);
+  enviar('typing', {});
+
+  try {
+    let response;
+    const texto = message.trim();
+
+    // Reinício explícito abre uma conversa nova com as boas-vindas, como no WhatsApp
+    if (['reiniciar', 'começar de novo', 'novo pedido'].includes(texto.toLowerCase())) {
+      ({ processedResponse: response } = await iniciarConversaComBoasVindas(telefone, texto));
+    } else {
+      response = await processarTurnoTexto(telefone, texto);
+    }
+
+    if (!response || !response.success) {
+      enviar('error', { message: 'Desculpe, ocorreu um erro ao processar sua mensagem. Por favor, tente novamente.' });
+    } else {
+      responseToParts(response, urlBaseWebChat(req)).forEach(parte => enviar('part', parte));
+      enviar('done', { state: response.state });
+    }
+  } catch (error) {
+    console.error('Erro ao processar mensagem do chat web:', error);
+    enviar('error', { message: 'Desculpe, ocorreu um erro ao processar sua mensagem.' });
+  } finally {
+    res.end();
+  }
+});
+
+// Stream aberto pela página para mensagens enviadas fora de uma resposta (status do pedido)
+app.get('/api/webchat/sessions/:sessionId/events', async (req, res) => {
+  try {
+    const telefone = await buscarClienteWebChat(req.params.sessionId);
+    if (!telefone) {
+      return res.status(404).json({ success: false, message: 'Sessão não encontrada' });
+    }
+
+    const enviar = openEventStream(res);
+    const cancelar = webChat.subscribe(telefone, enviar);
+    keepStreamAlive(req, res);
+
+    req.on('close', cancelar);
+  } catch (error) {
+    console.error('Erro ao abrir eventos do chat web:', error);
+    res.status(500).json({ success: false, message: 'Erro ao abrir eventos' });
+  }
 });
 
 // Inicialização do servidor e aplicativos
@@ -3561,13 +6858,18 @@ function startServer() {
 }
 
 // Iniciar o servidor
-startServer();
+if (require.main === module) {
+  startServer();
+}
 
 // Exportar variáveis e funções importantes para uso em outros módulos
 module.exports = {
   app,
   client,
+  getOrCreateConversation,
   processMessageInternally,
   processTaggedResponse,
-  generateAudio
+  generateAudio,
+  invalidateDataCache,
+  liberarPedidosAgendados
 };
@@ -18,6 +18,42 @@ const BotConfigSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // Regra de preço da pizza meio a meio: 'maior' (sabor mais caro) ou 'media'
+    halfHalfPricing: {
+        type: String,
+        enum: ['maior', 'media'],
+        default: 'maior'
+    },
+    // Quantidade máxima de sabores por pizza (2 = meio a meio, 3 = permite terços)
+    maxFlavorsPerPizza: {
+        type: Number,
+        min: 1,
+        max: 3,
+        default: 2
+    },
+    // Como o LLM devolve ações: 'tools' (function calling) ou 'tags' ([JSON_FORMAT]...[/END])
+    responseProtocol: {
+        type: String,
+        enum: ['tools', 'tags'],
+        default: 'tools'
+    },
+    // Provedor de LLM usado no chat, na geração de voz e na transcrição de áudios
+    // (a chave do provedor compatível fica na variável LLM_API_KEY). O provedor mock
+    // dos testes só entra pela variável LLM_PROVIDER, nunca pela configuração salva
+    llm: {
+        provider: {
+            type: String,
+            enum: ['openai', 'openai-compatible'],
+            default: 'openai'
+        },
+        chatModel: String,
+        maxTokens: Number,
+        temperature: Number,
+        ttsModel: String,
+        ttsVoice: String,
+        transcriptionModel: String,
+        baseUrl: String
+    },
     formatInstruction: {
         type: String,
         default: '[TEXT_FORMAT], [VOICE_FORMAT], [IMAGE_FORMAT] ou [JSON_FORMAT] seguido de [/END]'
@@ -40,6 +76,17 @@ const BotConfigSchema = new mongoose.Schema({
                 defaultResponse: "Desculpe, não entendi o pedido de pizza meio a meio."
             }
         }
+    },
+    // Mensagens enviadas ao cliente a cada mudança de status do pedido
+    // Placeholders: {{PEDIDO_ID}}, {{STATUS}}, {{OBSERVACAO}}
+    statusMessages: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {
+            'Em preparo': "Seu pedido #{{PEDIDO_ID}} já está sendo preparado! 🍕",
+            'Saiu para entrega': "Seu pedido #{{PEDIDO_ID}} saiu para entrega e logo chega até você! 🛵",
+            'Entregue': "Seu pedido #{{PEDIDO_ID}} foi entregue. Bom apetite e obrigado pela preferência! 😋",
+            'Cancelado': "Seu pedido #{{PEDIDO_ID}} foi cancelado. {{OBSERVACAO}}"
+        }
     }
 });
 
@@ -50,6 +97,21 @@ const PizzariaHistoriaSchema = new mongoose.Schema({
     imagem: String
 });
 
+// Schema para tamanhos de um item do cardápio (ex: Pequena, Média, Grande)
+const TamanhoSchema = new mongoose.Schema({
+    nome: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    preco: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    fatias: Number
+});
+
 // Schema para itens do cardápio
 const CardapioItemSchema = new mongoose.Schema({
     nome: {
@@ -74,6 +136,10 @@ const CardapioItemSchema = new mongoose.Schema({
       required: true,
       min: 0
     },
+    // Variações de tamanho com preço próprio; quando vazio vale o preço único
+    tamanhos: [TamanhoSchema],
+    // Outros nomes pelos quais o cliente chama o sabor (ex: "frutos do mar")
+    apelidos: [String],
     imagemGeral: String,
     imagemEsquerda: String,
     imagemDireita: String,
@@ -118,9 +184,19 @@ const MensagemSchema = new mongoose.Schema({
     data: { type: Date, default: Date.now }
 });
 
+// Correções feitas pelo servidor nos itens informados pelo LLM
+const AjustePedidoSchema = new mongoose.Schema({
+    item: String,
+    motivo: String,
+    valorInformado: mongoose.Schema.Types.Mixed,
+    valorCorrigido: mongoose.Schema.Types.Mixed,
+    data: { type: Date, default: Date.now }
+});
+
 const ConversaSchema = new mongoose.Schema({
     telefone: String,
-    nomeContato: String, 
+    // Nome do perfil no canal (WhatsApp, Telegram), copiado do cadastro do cliente
+    nomeContato: String,
     inicio: { type: Date, default: Date.now },
     duracao: Number,
     state: { type: Number, default: 0 },
@@ -132,14 +208,61 @@ const ConversaSchema = new mongoose.Schema({
     // Novo campo para armazenar dados do pedido processados
     pedidoData: mongoose.Schema.Types.Mixed,
     // Referência ao pedido finalizado
-    pedidoId: mongoose.Schema.Types.ObjectId
+    pedidoId: mongoose.Schema.Types.ObjectId,
+    // Horário de entrega pedido pelo cliente (vazio = o quanto antes)
+    agendadoPara: Date,
+    // Horário citado numa frase ambígua ("pode ser as duas"), à espera da confirmação do cliente
+    horarioSugerido: Date,
+    // Cupom de desconto informado pelo cliente (services/promotions)
+    cupom: String,
+    // Histórico de correções de preço e itens feitas pelo servidor
+    ajustesPedido: [AjustePedidoSchema]
+}, {
+    // Dois processos salvando a mesma conversa: o segundo recebe VersionError em vez de sobrescrever
+    optimisticConcurrency: true
 });
 
+// Índices usados pelas listagens do painel
+ConversaSchema.index({ inicio: -1 });
+ConversaSchema.index({ telefone: 1, inicio: -1 });
+
 // Schema para pedidos
+// Sabor de uma pizza com mais de um sabor (fracao: 0.5 para meio a meio, 1/3 para terços)
+const SaborItemSchema = new mongoose.Schema({
+    cardapioItem: { type: mongoose.Schema.Types.ObjectId, ref: 'CardapioItem' },
+    nome: String,
+    identificador: String,
+    fracao: Number
+}, { _id: false });
+
 const ItemPedidoSchema = new mongoose.Schema({
     nome: String,
+    cardapioItem: { type: mongoose.Schema.Types.ObjectId, ref: 'CardapioItem' },
+    identificador: String,
+    tamanho: String,
     quantidade: Number,
-    preco: Number
+    preco: Number,
+    // Preenchido apenas para pizzas com mais de um sabor
+    sabores: [SaborItemSchema]
+});
+
+// Desconto de uma promoção aplicado ao pedido
+const DescontoPedidoSchema = new mongoose.Schema({
+    promocao: { type: mongoose.Schema.Types.ObjectId, ref: 'Promocao' },
+    nome: String,
+    codigo: String, // cupom usado, quando a promoção não é automática
+    tipo: String,
+    valor: Number
+}, { _id: false });
+
+// Histórico de mudanças de status do pedido
+const HistoricoStatusSchema = new mongoose.Schema({
+    status: String,
+    statusAnterior: String,
+    alteradoPor: String,
+    observacao: String,
+    notificado: { type: Boolean, default: false },
+    data: { type: Date, default: Date.now }
 });
 
 const PedidoSchema = new mongoose.Schema({
@@ -149,9 +272,26 @@ const PedidoSchema = new mongoose.Schema({
     valorTotal: Number,
     endereco: String,
     formaPagamento: String,
-    itens: [ItemPedidoSchema]
+    taxaEntrega: { type: Number, default: 0 },
+    distanciaKm: Number,
+    itens: [ItemPedidoSchema],
+    // Promoções aplicadas; valorTotal já vem com o desconto
+    descontos: [DescontoPedidoSchema],
+    valorDesconto: { type: Number, default: 0 },
+    historicoStatus: [HistoricoStatusSchema],
+    // "conversa:<id>": impede que a mesma conversa gere dois pedidos (services/orderService)
+    chaveIdempotencia: String,
+    // Entrega agendada: o pedido fica "Agendado" até ser liberado para a cozinha
+    agendadoPara: Date
 });
 
+PedidoSchema.index({ chaveIdempotencia: 1 }, { unique: true, sparse: true });
+PedidoSchema.index({ data: -1 });
+PedidoSchema.index({ status: 1, data: -1 });
+PedidoSchema.index({ telefone: 1, data: -1 });
+PedidoSchema.index({ status: 1, agendadoPara: 1 });
+PedidoSchema.index({ telefone: 1, 'descontos.promocao': 1 });
+
 // Schema para configuração de área de entrega
 const AreaEntregaSchema = new mongoose.Schema({
     city: String,
@@ -159,17 +299,70 @@ const AreaEntregaSchema = new mongoose.Schema({
     active: Boolean
 });
 
+// Faixa de taxa de entrega por bairro
+const FaixaBairroSchema = new mongoose.Schema({
+    neighborhoods: [String],
+    fee: Number
+});
+
 const DeliveryConfigSchema = new mongoose.Schema({
     enabled: Boolean,
     areas: [AreaEntregaSchema],
+    // Localização da loja, origem para o cálculo da distância
+    store: {
+        address: String,
+        lat: Number,
+        lng: Number
+    },
     restrictions: {
         limitToSpecificAreas: Boolean,
         maxDistance: Number,
-        additionalFeePerKm: Number
+        additionalFeePerKm: Number,
+        baseFee: Number,
+        // 'distance' (taxa base + km) ou 'neighborhood' (faixas por bairro)
+        feeMode: { type: String, enum: ['distance', 'neighborhood'], default: 'distance' }
     },
+    neighborhoodFees: [FaixaBairroSchema],
     messages: {
         outsideAreaMessage: String,
-        partialAddressMessage: String
+        partialAddressMessage: String,
+        outsideRadiusMessage: String
+    }
+});
+
+// Horário de funcionamento da loja (services/openingHours)
+const IntervaloHorarioSchema = new mongoose.Schema({
+    abre: { type: String, required: true },  // 'HH:MM'
+    fecha: { type: String, required: true }  // antes de "abre" = fecha no dia seguinte
+}, { _id: false });
+
+const DiaFuncionamentoSchema = new mongoose.Schema({
+    diaSemana: { type: Number, min: 0, max: 6, required: true }, // 0 = domingo
+    intervalos: [IntervaloHorarioSchema]
+}, { _id: false });
+
+// Feriados e datas com horário especial
+const ExcecaoHorarioSchema = new mongoose.Schema({
+    data: { type: String, required: true }, // 'AAAA-MM-DD' no fuso da loja
+    descricao: String,
+    fechado: { type: Boolean, default: true },
+    intervalos: [IntervaloHorarioSchema]     // usados quando fechado = false
+}, { _id: false });
+
+const HorarioFuncionamentoSchema = new mongoose.Schema({
+    timezone: { type: String, default: 'America/Sao_Paulo' },
+    dias: [DiaFuncionamentoSchema],
+    excecoes: [ExcecaoHorarioSchema],
+    // Pedidos com a loja fechada: recusados ou agendados para a próxima abertura
+    foraDoHorario: { type: String, enum: ['bloquear', 'agendar'], default: 'bloquear' },
+    // Aviso ao cliente; {{PROXIMA_ABERTURA}} é substituído ("hoje às 18:00")
+    mensagemFechado: String,
+    // Entregas agendadas (services/scheduling); campos vazios usam os valores padrão
+    agendamento: {
+        ativo: Boolean,
+        intervaloMinutos: Number,
+        capacidadePorHorario: Number,
+        diasAntecedencia: Number
     }
 });
 
@@ -178,6 +371,142 @@ const ApiKeysSchema = new mongoose.Schema({
     googleMaps: String
 });
 
+// Schema para usuários do painel administrativo
+const UsuarioSchema = new mongoose.Schema({
+    nome: String,
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    senhaHash: {
+        type: String,
+        required: true
+    },
+    // owner: acesso total, attendant: pedidos e conversas, kitchen: pedidos
+    role: {
+        type: String,
+        enum: ['owner', 'attendant', 'kitchen'],
+        default: 'attendant'
+    },
+    ativo: { type: Boolean, default: true },
+    ultimoLogin: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Schema para clientes de máquina que usam /api/message (chave guardada como hash)
+const ApiClientSchema = new mongoose.Schema({
+    nome: String,
+    prefixo: String,
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    ativo: { type: Boolean, default: true },
+    ultimoUso: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Mensagens recebidas aguardando o atendimento do cliente (fila por telefone)
+const MensagemPendenteSchema = new mongoose.Schema({
+    telefone: { type: String, required: true },
+    canal: String,
+    mensagemId: String,
+    tipo: { type: String, default: 'text' }, // 'text' ou 'audio'
+    texto: String,
+    media: {
+        data: String,
+        mimetype: String
+    },
+    recebidaEm: { type: Date, default: Date.now }
+});
+
+MensagemPendenteSchema.index({ telefone: 1, recebidaEm: 1 });
+
+// Trava de atendimento por telefone, compartilhada entre processos do bot
+const TravaConversaSchema = new mongoose.Schema({
+    _id: String, // telefone do cliente
+    dono: String,
+    expiraEm: Date
+});
+
+// Travas de processos que caíram são removidas pelo próprio MongoDB
+TravaConversaSchema.index({ expiraEm: 1 }, { expireAfterSeconds: 0 });
+
+// Vagas ocupadas em cada horário de entrega agendada (_id: início do horário). O contador
+// só sobe com um $inc condicional à capacidade, então confirmações simultâneas não lotam
+// o horário além do limite
+const ReservaHorarioSchema = new mongoose.Schema({
+    _id: Date,
+    quantidade: Number,
+    expiraEm: Date
+});
+
+// Horários que já passaram são removidos pelo próprio MongoDB
+ReservaHorarioSchema.index({ expiraEm: 1 }, { expireAfterSeconds: 0 });
+
+// Cadastro do cliente (chave: telefone ou identificador do canal), atualizado a cada pedido confirmado
+const EnderecoClienteSchema = new mongoose.Schema({
+    endereco: String, // texto usado no pedido
+    formattedAddress: String,
+    components: mongoose.Schema.Types.Mixed, // componentes validados (rua, número, bairro, cep...)
+    vezesUsado: { type: Number, default: 0 },
+    ultimoUso: Date
+}, { _id: false });
+
+const ClienteSchema = new mongoose.Schema({
+    telefone: { type: String, required: true, unique: true },
+    nome: String,
+    // Ordenados pelo uso: o primeiro é o endereço de costume
+    enderecos: [EnderecoClienteSchema],
+    pagamentoPreferido: String,
+    contagemPagamentos: [{
+        _id: false,
+        forma: String,
+        vezes: Number
+    }],
+    totalPedidos: { type: Number, default: 0 },
+    valorTotalGasto: { type: Number, default: 0 },
+    primeiroPedido: Date,
+    ultimoPedido: Date,
+    ultimoPedidoId: mongoose.Schema.Types.ObjectId,
+    observacoes: String,
+    createdAt: { type: Date, default: Date.now }
+}, {
+    // Dois pedidos do mesmo cliente somados ao mesmo tempo: o segundo recebe VersionError
+    // e refaz a soma (services/customers.recordOrder) em vez de sobrescrever o primeiro
+    optimisticConcurrency: true
+});
+
+ClienteSchema.index({ ultimoPedido: -1 });
+
+// Promoções e cupons (regras em services/promotions)
+const PromocaoSchema = new mongoose.Schema({
+    nome: { type: String, required: true },
+    descricao: String,
+    // Cupom que o cliente informa na conversa; sem código, a promoção é automática
+    codigo: String,
+    tipo: { type: String, enum: ['percentual', 'valor_fixo', 'brinde'], required: true },
+    valor: Number, // percentual (0-100) ou valor em reais
+    categorias: [String], // nomes das categorias com desconto; vazio = todos os itens
+    quantidadeMinima: Number, // brinde: a cada N itens elegíveis, um brinde
+    brinde: String, // identificador do item do cardápio dado de brinde
+    inicio: Date,
+    fim: Date,
+    diasSemana: [Number], // 0 = domingo; vazio = todos os dias
+    horaInicio: String, // "HH:MM" no fuso da loja
+    horaFim: String,
+    limitePorCliente: Number, // pedidos por cliente; vazio = sem limite
+    valorMinimo: Number, // valor mínimo dos itens, sem a taxa de entrega
+    ativo: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+PromocaoSchema.index({ codigo: 1 }, { unique: true, sparse: true });
+
 // Modelos
 const BotConfig = mongoose.model('BotConfig', BotConfigSchema);
 const PizzariaHistoria = mongoose.model('PizzariaHistoria', PizzariaHistoriaSchema);
@@ -186,8 +515,16 @@ const Categoria = mongoose.model('Categoria', CategoriaSchema);
 const FormaPagamento = mongoose.model('FormaPagamento', FormaPagamentoSchema);
 const Conversa = mongoose.model('Conversa', ConversaSchema);
 const Pedido = mongoose.model('Pedido', PedidoSchema);
+const Cliente = mongoose.model('Cliente', ClienteSchema);
+const Promocao = mongoose.model('Promocao', PromocaoSchema);
 const DeliveryConfig = mongoose.model('DeliveryConfig', DeliveryConfigSchema);
+const HorarioFuncionamento = mongoose.model('HorarioFuncionamento', HorarioFuncionamentoSchema);
 const ApiKeys = mongoose.model('ApiKeys', ApiKeysSchema);
+const Usuario = mongoose.model('Usuario', UsuarioSchema);
+const ApiClient = mongoose.model('ApiClient', ApiClientSchema);
+const MensagemPendente = mongoose.model('MensagemPendente', MensagemPendenteSchema);
+const TravaConversa = mongoose.model('TravaConversa', TravaConversaSchema);
+const ReservaHorario = mongoose.model('ReservaHorario', ReservaHorarioSchema);
 
 module.exports = {
     BotConfig,
@@ -197,6 +534,14 @@ module.exports = {
     FormaPagamento,
     Conversa,
     Pedido,
+    Cliente,
+    Promocao,
     DeliveryConfig,
-    ApiKeys
+    HorarioFuncionamento,
+    ApiKeys,
+    Usuario,
+    ApiClient,
+    MensagemPendente,
+    TravaConversa,
+    ReservaHorario
 };
\ No newline at end of file
@@ -0,0 +1,253 @@
+const { Pedido, Conversa } = require('../models');
+
+// ======== RELATÓRIOS DE VENDAS ==========
+// Agregações sobre Pedido e Conversa para o painel. Todas as funções recebem
+// um filtro de período ({ $gte, $lte } ou null) e ignoram pedidos cancelados
+// no faturamento.
+
+const FUSO_HORARIO = process.env.TIMEZONE || 'America/Sao_Paulo';
+
+// Formato da chave de agrupamento para cada granularidade
+const FORMATOS_PERIODO = {
+  dia: '%Y-%m-%d',
+  semana: '%G-W%V',
+  mes: '%Y-%m'
+};
+
+// Nomes das etapas da conversa (ver checkIfShouldAdvanceState)
+const ETAPAS_CONVERSA = {
+  0: 'Escolha de sabor',
+  1: 'Inteira ou meio a meio',
+  2: 'Mais pizza ou finalizar',
+  3: 'Bebidas',
+  4: 'Endereço',
+  5: 'Pagamento',
+  6: 'Confirmação',
+  7: 'Pedido confirmado'
+};
+
+const ESTADO_CONFIRMADO = 7;
+
+function filtroPedidosValidos(periodo) {
+  const filtro = { status: { $ne: 'Cancelado' } };
+  if (periodo) {
+    filtro.data = periodo;
+  }
+  return filtro;
+}
+
+function arredondar(valor) {
+  return Math.round((valor || 0) * 100) / 100;
+}
+
+// Faturamento total, quantidade de pedidos e ticket médio
+async function resumoVendas(periodo) {
+  const [resultado] = await Pedido.aggregate([
+    { $match: filtroPedidosValidos(periodo) },
+    {
+      $group: {
+        _id: null,
+        faturamento: { $sum: '$valorTotal' },
+        taxasEntrega: { $sum: { $ifNull: ['$taxaEntrega', 0] } },
+        pedidos: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const faturamento = resultado ? resultado.faturamento : 0;
+  const pedidos = resultado ? resultado.pedidos : 0;
+
+  return {
+    faturamento: arredondar(faturamento),
+    taxasEntrega: arredondar(resultado ? resultado.taxasEntrega : 0),
+    pedidos,
+    ticketMedio: pedidos > 0 ? arredondar(faturamento / pedidos) : 0
+  };
+}
+
+// Faturamento agrupado por dia, semana (ISO) ou mês
+async function faturamentoPorPeriodo(periodo, granularidade = 'dia') {
+  const formato = FORMATOS_PERIODO[granularidade];
+  if (!formato) {
+    throw Object.assign(
+      new Error(`Granularidade inválida. Valores aceitos: ${Object.keys(FORMATOS_PERIODO).join(', ')}`),
+      { statusCode: 400 }
+    );
+  }
+
+  const grupos = await Pedido.aggregate([
+    { $match: filtroPedidosValidos(periodo) },
+    {
+      $group: {
+        _id: { $dateToString: { format: formato, date: '$data', timezone: FUSO_HORARIO } },
+        faturamento: { $sum: '$valorTotal' },
+        pedidos: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return grupos.map(grupo => ({
+    periodo: grupo._id,
+    faturamento: arredondar(grupo.faturamento),
+    pedidos: grupo.pedidos,
+    ticketMedio: arredondar(grupo.faturamento / grupo.pedidos)
+  }));
+}
+
+// Sabores mais vendidos; pizzas meio a meio contam a fração de cada sabor
+async function saboresMaisVendidos(periodo, limite = 10) {
+  const sabores = await Pedido.aggregate([
+    { $match: filtroPedidosValidos(periodo) },
+    { $unwind: '$itens' },
+    {
+      $project: {
+        quantidade: { $ifNull: ['$itens.quantidade', 1] },
+        sabores: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$itens.sabores', []] } }, 0] },
+            '$itens.sabores',
+            [{ nome: '$itens.nome', fracao: 1 }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$sabores' },
+    {
+      $group: {
+        _id: { $toLower: '$sabores.nome' },
+        nome: { $first: '$sabores.nome' },
+        quantidade: { $sum: { $multiply: ['$quantidade', { $ifNull: ['$sabores.fracao', 1] }] } },
+        pedidos: { $addToSet: '$_id' }
+      }
+    },
+    { $project: { _id: 0, nome: 1, quantidade: 1, pedidos: { $size: '$pedidos' } } },
+    { $sort: { quantidade: -1 } },
+    { $limit: limite }
+  ]);
+
+  return sabores.map(sabor => ({ ...sabor, quantidade: arredondar(sabor.quantidade) }));
+}
+
+// Combinações de sabores mais pedidas nas pizzas com mais de um sabor
+async function combinacoesMeioAMeio(periodo, limite = 10) {
+  const itens = await Pedido.aggregate([
+    { $match: { ...filtroPedidosValidos(periodo), 'itens.sabores.1': { $exists: true } } },
+    { $unwind: '$itens' },
+    { $match: { 'itens.sabores.1': { $exists: true } } },
+    { $project: { _id: 0, sabores: '$itens.sabores.nome', quantidade: { $ifNull: ['$itens.quantidade', 1] } } }
+  ]);
+
+  // A ordem dos sabores não importa: "Calabresa + Mussarela" == "Mussarela + Calabresa"
+  const combinacoes = new Map();
+  itens.forEach(item => {
+    const sabores = item.sabores.filter(Boolean).sort((a, b) => a.localeCompare(b, 'pt-BR'));
+    const chave = sabores.join(' + ');
+    const atual = combinacoes.get(chave) || { sabores, quantidade: 0 };
+    atual.quantidade += item.quantidade;
+    combinacoes.set(chave, atual);
+  });
+
+  return Array.from(combinacoes.values())
+    .sort((a, b) => b.quantidade - a.quantidade)
+    .slice(0, limite);
+}
+
+// Distribuição dos pedidos por forma de pagamento
+async function formasPagamento(periodo) {
+  const grupos = await Pedido.aggregate([
+    { $match: filtroPedidosValidos(periodo) },
+    {
+      $group: {
+        _id: { $ifNull: ['$formaPagamento', 'Não informado'] },
+        pedidos: { $sum: 1 },
+        faturamento: { $sum: '$valorTotal' }
+      }
+    },
+    { $sort: { pedidos: -1 } }
+  ]);
+
+  const total = grupos.reduce((soma, grupo) => soma + grupo.pedidos, 0);
+
+  return grupos.map(grupo => ({
+    formaPagamento: grupo._id,
+    pedidos: grupo.pedidos,
+    faturamento: arredondar(grupo.faturamento),
+    percentual: total > 0 ? arredondar(grupo.pedidos / total * 100) : 0
+  }));
+}
+
+// Funil de conversas: quantas chegaram a cada etapa, onde pararam e duração média.
+// Cada conversa termina no estado 7 (pedido confirmado) ou na etapa em que o cliente desistiu.
+async function funilConversas(periodo) {
+  const filtro = periodo ? { inicio: periodo } : {};
+
+  const grupos = await Conversa.aggregate([
+    { $match: filtro },
+    {
+      $group: {
+        _id: { $ifNull: ['$state', 0] },
+        conversas: { $sum: 1 },
+        duracaoMedia: { $avg: '$duracao' }
+      }
+    }
+  ]);
+
+  const porEstado = new Map(grupos.map(grupo => [grupo._id, grupo]));
+  const total = grupos.reduce((soma, grupo) => soma + grupo.conversas, 0);
+
+  let alcancaram = total;
+  const etapas = Object.entries(ETAPAS_CONVERSA).map(([estado, nome]) => {
+    const grupo = porEstado.get(Number(estado));
+    const pararam = grupo ? grupo.conversas : 0;
+    const etapa = {
+      estado: Number(estado),
+      nome,
+      alcancaram,
+      pararam,
+      percentualAbandono: Number(estado) === ESTADO_CONFIRMADO || alcancaram === 0
+        ? 0
+        : arredondar(pararam / alcancaram * 100),
+      duracaoMedia: grupo && grupo.duracaoMedia !== null ? arredondar(grupo.duracaoMedia) : null
+    };
+    alcancaram -= pararam;
+    return etapa;
+  });
+
+  const confirmadas = porEstado.get(ESTADO_CONFIRMADO);
+  const somaDuracao = grupos.reduce((soma, grupo) => soma + (grupo.duracaoMedia || 0) * grupo.conversas, 0);
+
+  return {
+    totalConversas: total,
+    pedidosConfirmados: confirmadas ? confirmadas.conversas : 0,
+    taxaConversao: total > 0 && confirmadas ? arredondar(confirmadas.conversas / total * 100) : 0,
+    duracaoMedia: total > 0 ? arredondar(somaDuracao / total) : 0,
+    etapas
+  };
+}
+
+// Painel completo em uma única chamada
+async function painel(periodo, granularidade = 'dia') {
+  const [resumo, faturamento, sabores, combinacoes, pagamentos, funil] = await Promise.all([
+    resumoVendas(periodo),
+    faturamentoPorPeriodo(periodo, granularidade),
+    saboresMaisVendidos(periodo),
+    combinacoesMeioAMeio(periodo),
+    formasPagamento(periodo),
+    funilConversas(periodo)
+  ]);
+
+  return { resumo, faturamento, sabores, combinacoes, pagamentos, funil };
+}
+
+module.exports = {
+  FORMATOS_PERIODO,
+  ETAPAS_CONVERSA,
+  resumoVendas,
+  faturamentoPorPeriodo,
+  saboresMaisVendidos,
+  combinacoesMeioAMeio,
+  formasPagamento,
+  funilConversas,
+  painel
+};
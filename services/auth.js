@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { Usuario, ApiClient } = require('../models');
+
+// ======== AUTENTICAÇÃO E PERMISSÕES ==========
+// Usuários do painel usam token JWT (header Authorization: Bearer <token>).
+// Clientes de máquina (ex: /api/message) usam chave de API no header x-api-key.
+
+const ROLES = ['owner', 'attendant', 'kitchen'];
+const TOKEN_EXPIRATION = process.env.JWT_EXPIRES_IN || '12h';
+
+// Segredo para assinar os tokens; sem ele os tokens deixam de valer a cada reinício
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET não configurado. Usando segredo temporário (tokens expiram ao reiniciar).');
+}
+
+async function hashPassword(senha) {
+  return bcrypt.hash(senha, 10);
+}
+
+async function verifyPassword(senha, senhaHash) {
+  if (!senha || !senhaHash) return false;
+  return bcrypt.compare(senha, senhaHash);
+}
+
+function signToken(usuario) {
+  return jwt.sign(
+    { sub: usuario._id.toString(), email: usuario.email, role: usuario.role },
+    jwtSecret,
+    { expiresIn: TOKEN_EXPIRATION }
+  );
+}
+
+// Chaves de API são guardadas apenas como hash SHA-256
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateApiKey() {
+  return `pz_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Token pelo header Authorization ou pelo parâmetro access_token (páginas como /qrcode)
+function extractToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.query && req.query.access_token ? req.query.access_token : null;
+}
+
+// Middleware: exige usuário autenticado e ativo
+async function authenticate(req, res, next) {
+  const token = extractToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Autenticação necessária' });
+  }
+
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    const usuario = await Usuario.findById(payload.sub).select('nome email role ativo');
+
+    if (!usuario || !usuario.ativo) {
+      return res.status(401).json({ success: false, message: 'Usuário inválido ou desativado' });
+    }
+
+    req.user = usuario;
+    next();
+  } catch (error) {
+    return res.status(401).json({ success: false, message: 'Token inválido ou expirado' });
+  }
+}
+
+// Middleware: exige um dos perfis informados (usar depois de authenticate)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Autenticação necessária' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Permissão insuficiente' });
+    }
+
+    next();
+  };
+}
+
+// Middleware: exige chave de API válida no header x-api-key
+async function requireApiKey(req, res, next) {
+  const key = req.get('x-api-key');
+  if (!key) {
+    return res.status(401).json({ success: false, message: 'Chave de API necessária' });
+  }
+
+  try {
+    const apiClient = await ApiClient.findOne({ keyHash: hashApiKey(key), ativo: true });
+    if (!apiClient) {
+      return res.status(401).json({ success: false, message: 'Chave de API inválida' });
+    }
+
+    apiClient.ultimoUso = new Date();
+    apiClient.save().catch(error => console.error('Erro ao registrar uso da chave de API:', error));
+
+    req.apiClient = apiClient;
+    next();
+  } catch (error) {
+    console.error('Erro ao validar chave de API:', error);
+    return res.status(500).json({ success: false, message: 'Erro ao validar chave de API' });
+  }
+}
+
+// Middleware: aceita chave de API ou usuário autenticado
+function authenticateApiKeyOrUser(req, res, next) {
+  if (req.get('x-api-key')) {
+    return requireApiKey(req, res, next);
+  }
+  return authenticate(req, res, next);
+}
+
+// Criar o primeiro usuário owner a partir de ADMIN_EMAIL e ADMIN_PASSWORD
+async function ensureInitialOwner() {
+  try {
+    const total = await Usuario.countDocuments();
+    if (total > 0) {
+      return;
+    }
+
+    const email = process.env.ADMIN_EMAIL;
+    const senha = process.env.ADMIN_PASSWORD;
+    if (!email || !senha) {
+      console.warn('⚠️ Nenhum usuário cadastrado. Defina ADMIN_EMAIL e ADMIN_PASSWORD para criar o primeiro owner.');
+      return;
+    }
+
+    await Usuario.create({
+      nome: 'Administrador',
+      email,
+      senhaHash: await hashPassword(senha),
+      role: 'owner'
+    });
+    console.log(`✅ Usuário owner inicial criado: ${email}`);
+  } catch (error) {
+    console.error('Erro ao criar usuário inicial:', error);
+  }
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  hashApiKey,
+  generateApiKey,
+  authenticate,
+  requireRole,
+  requireApiKey,
+  authenticateApiKeyOrUser,
+  ensureInitialOwner
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const { Cliente } = require('../models');
+const { normalizeText } = require('./textMatch');
+const { TIMEZONE_PADRAO, localTime } = require('./openingHours');
+
+// ======== CADASTRO DE CLIENTES ==========
+// Perfil de cada cliente, chaveado pelo telefone (ou identificador do canal, como
+// "telegram:123"), montado a partir dos pedidos confirmados: endereços usados com
+// os componentes validados, forma de pagamento preferida, número de pedidos e
+// valor total gasto. O nome vem do perfil do canal; as observações, da equipe.
+// O perfil entra no prompt para o bot reconhecer quem já é cliente.
+
+const LIMITE_ENDERECOS = 5;
+
+// Tentativas de somar um pedido quando outro processo salvou o mesmo cadastro antes
+const MAX_TENTATIVAS_PEDIDO = 5;
+
+// "Dinheiro (troco para R$ 100.00)" => "Dinheiro"
+function basePagamento(formaPagamento) {
+  return (formaPagamento || '').replace(/\s*\(.*\)\s*$/, '').trim();
+}
+
+function chaveEndereco(endereco) {
+  return normalizeText(endereco).replace(/[^a-z0-9]/g, '');
+}
+
+function componentesEndereco(addressData) {
+  if (!addressData || !addressData.components) return undefined;
+  if (typeof addressData.components !== 'string') return addressData.components;
+  try {
+    return JSON.parse(addressData.components);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// "2026-10-19" => "19/10/2026"
+function formatarData(data, timezone) {
+  const [ano, mes, dia] = localTime(data, timezone).data.split('-');
+  return `${dia}/${mes}/${ano}`;
+}
+
+function aplicarPedido(cliente, pedido, conversa) {
+  const data = pedido.data ? new Date(pedido.data) : new Date();
+
+  if (!cliente.nome && conversa.nomeContato) {
+    cliente.nome = conversa.nomeContato;
+  }
+
+  cliente.totalPedidos = (cliente.totalPedidos || 0) + 1;
+  cliente.valorTotalGasto = Math.round(((cliente.valorTotalGasto || 0) + (pedido.valorTotal || 0)) * 100) / 100;
+  cliente.primeiroPedido = cliente.primeiroPedido || data;
+  cliente.ultimoPedido = data;
+  cliente.ultimoPedidoId = pedido._id;
+
+  if (pedido.endereco) {
+    const chave = chaveEndereco(pedido.endereco);
+    let salvo = cliente.enderecos.find(endereco => chaveEndereco(endereco.endereco) === chave);
+    if (!salvo) {
+      cliente.enderecos.push({ endereco: pedido.endereco });
+      salvo = cliente.enderecos[cliente.enderecos.length - 1];
+    }
+    salvo.vezesUsado = (salvo.vezesUsado || 0) + 1;
+    salvo.ultimoUso = data;
+
+    // Componentes validados pelo geocoder na conversa do pedido
+    const components = componentesEndereco(conversa.addressData);
+    if (components) {
+      salvo.formattedAddress = conversa.addressData.formattedAddress;
+      salvo.components = components;
+    }
+
+    // Endereço de costume primeiro; os menos usados saem da lista
+    const ordenados = cliente.enderecos
+      .map(endereco => endereco.toObject ? endereco.toObject() : endereco)
+      .sort((a, b) => (b.vezesUsado - a.vezesUsado) || (new Date(b.ultimoUso) - new Date(a.ultimoUso)))
+      .slice(0, LIMITE_ENDERECOS);
+    cliente.enderecos = ordenados;
+  }
+
+  const forma = basePagamento(pedido.formaPagamento);
+  if (forma) {
+    let atual = cliente.contagemPagamentos.find(item => normalizeText(item.forma) === normalizeText(forma));
+    if (atual) {
+      atual.vezes += 1;
+    } else {
+      cliente.contagemPagamentos.push({ forma, vezes: 1 });
+      atual = cliente.contagemPagamentos[cliente.contagemPagamentos.length - 1];
+    }
+
+    // A forma mais usada; no empate, a do pedido mais recente
+    const maisUsada = cliente.contagemPagamentos.reduce((melhor, item) => (item.vezes > melhor.vezes ? item : melhor));
+    cliente.pagamentoPreferido = atual.vezes >= maisUsada.vezes ? atual.forma : maisUsada.forma;
+  }
+}
+
+// Somar um pedido confirmado ao cadastro do cliente (criado no primeiro pedido)
+async function recordOrder(pedido, conversa = {}) {
+  for (let tentativa = 0; ; tentativa++) {
+    const cliente = await Cliente.findOne({ telefone: pedido.telefone }) || new Cliente({ telefone: pedido.telefone });
+    aplicarPedido(cliente, pedido, conversa);
+
+    try {
+      await cliente.save();
+      return cliente;
+    } catch (error) {
+      // Dois pedidos do mesmo cliente ao mesmo tempo (cadastro criado ou alterado por outro
+      // processo, ver optimisticConcurrency em models): o segundo relê e soma de novo
+      const conflito = error.code === 11000 || error instanceof mongoose.Error.VersionError;
+      if (!conflito || tentativa + 1 >= MAX_TENTATIVAS_PEDIDO) throw error;
+    }
+  }
+}
+
+// Guardar o nome do perfil do canal; um nome já cadastrado (ou editado pela equipe) é mantido
+async function rememberName(telefone, nome) {
+  const limpo = (nome || '').trim();
+  if (!telefone || !limpo) return null;
+
+  try {
+    const cliente = await Cliente.findOneAndUpdate(
+      { telefone },
+      { $setOnInsert: { telefone, nome: limpo } },
+      { upsert: true, new: true }
+    );
+    if (!cliente.nome) {
+      // Atualização direta: não disputa a versão do cadastro com recordOrder
+      await Cliente.updateOne({ _id: cliente._id, nome: { $in: [null, ''] } }, { $set: { nome: limpo } });
+      cliente.nome = limpo;
+    }
+    return cliente;
+  } catch (error) {
+    if (error.code === 11000) return Cliente.findOne({ telefone });
+    throw error;
+  }
+}
+
+// "o mesmo de sempre", "repete o último pedido", "quero o mesmo da última vez"
+function isRepeatOrderRequest(mensagem) {
+  return /\b(o\s+(mesmo\s+)?de\s+sempre|(repete|repetir|repita)\s+(o\s+)?(meu\s+)?(ultimo\s+)?pedido|(repete|repetir|repita)\s+o\s+ultimo|o\s+mesmo\s+(pedido\s+)?da\s+ultima\s+vez)\b/
+    .test(normalizeText(mensagem));
+}
+
+// Endereço salvo que corresponde ao texto do endereço de um pedido, ou null
+function findAddress(cliente, endereco) {
+  if (!cliente || !endereco) return null;
+  const chave = chaveEndereco(endereco);
+  return cliente.enderecos.find(item => chaveEndereco(item.endereco) === chave) || null;
+}
+
+// Endereço usado com mais frequência, ou null
+function usualAddress(cliente) {
+  return cliente && cliente.enderecos && cliente.enderecos.length > 0 ? cliente.enderecos[0] : null;
+}
+
+// Resumo do cliente para o prompt
+function describeCustomer(cliente, timezone = TIMEZONE_PADRAO) {
+  if (!cliente || !cliente.totalPedidos) {
+    return cliente && cliente.nome
+      ? `${cliente.nome}, primeiro pedido conosco.`
+      : 'Cliente novo, primeiro pedido conosco.';
+  }
+
+  const linhas = [
+    `${cliente.nome || 'Cliente'} já fez ${cliente.totalPedidos} ${cliente.totalPedidos === 1 ? 'pedido' : 'pedidos'} conosco ` +
+    `(último em ${formatarData(cliente.ultimoPedido, timezone)}, total de R$ ${cliente.valorTotalGasto.toFixed(2)}).`
+  ];
+
+  const endereco = usualAddress(cliente);
+  if (endereco) {
+    linhas.push(`Endereço de costume: ${endereco.endereco}.`);
+  }
+  if (cliente.pagamentoPreferido) {
+    linhas.push(`Pagamento preferido: ${cliente.pagamentoPreferido}.`);
+  }
+  if (cliente.observacoes) {
+    linhas.push(`Observações da equipe: ${cliente.observacoes}`);
+  }
+
+  return linhas.join('\n');
+}
+
+module.exports = {
+  recordOrder,
+  rememberName,
+  isRepeatOrderRequest,
+  findAddress,
+  usualAddress,
+  describeCustomer
+};
@@ -0,0 +1,149 @@
+const { normalizeText, similarity } = require('./textMatch');
+
+// ======== ÍNDICE DE SABORES DO CARDÁPIO ==========
+// Monta, a partir do cardápio do banco, as chaves usadas para reconhecer
+// sabores citados pelo cliente (nome, identificador e apelidos de cada item)
+// e procura essas chaves na mensagem palavra por palavra, tolerando acentos
+// e pequenos erros de digitação.
+
+// Palavras que sozinhas não identificam um sabor
+const PALAVRAS_GENERICAS = new Set([
+  'pizza', 'pizzas', 'sabor', 'sabores', 'doce', 'salgada', 'especial', 'tradicional',
+  'de', 'do', 'da', 'dos', 'das', 'e', 'com', 'a', 'o', 'ao', 'em', 'na', 'no',
+  'meia', 'meio', 'inteira', 'grande', 'media', 'pequena', 'broto', 'familia'
+]);
+
+// Palavras com até este tamanho só são aceitas sem erros de digitação
+const TAMANHO_MINIMO_APROXIMADO = 5;
+const SIMILARIDADE_MINIMA = 0.8;
+
+// Quebrar o texto em palavras normalizadas ("Porco & Pinhão" => ['porco', 'e', 'pinhao'])
+function tokenize(texto) {
+  return normalizeText(texto)
+    .replace(/&/g, ' e ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Verificar se alguma palavra-chave (ou expressão de várias palavras) aparece na mensagem
+function hasKeyword(texto, palavrasChave) {
+  const frase = ` ${tokenize(texto).join(' ')} `;
+  return palavrasChave.some(palavra => frase.includes(` ${tokenize(palavra).join(' ')} `));
+}
+
+function removerPrefixoPizza(tokens) {
+  return tokens[0] === 'pizza' && tokens.length > 1 ? tokens.slice(1) : tokens;
+}
+
+// Montar o índice a partir dos itens do cardápio (apenas itens com identificador têm imagem)
+function buildFlavorIndex(cardapioItems) {
+  const entradas = (cardapioItems || [])
+    .filter(item => item && item.identificador)
+    .map(item => {
+      // "pizza-salgada_pizza-porco-e-pinhao" => "porco e pinhao"
+      const slug = item.identificador.split('_').pop().replace(/-/g, ' ');
+      const textos = [item.nome, slug, ...(item.apelidos || [])];
+
+      const chaves = [];
+      textos.forEach(texto => {
+        const tokens = removerPrefixoPizza(tokenize(texto));
+        if (tokens.length > 0 && !chaves.some(chave => chave.join(' ') === tokens.join(' '))) {
+          chaves.push(tokens);
+        }
+      });
+
+      return { id: item.identificador, nome: item.nome, chaves };
+    });
+
+  // Palavras isoladas do nome valem como chave quando só aparecem em um item
+  // ("napolitana" => Napolitana Paulistana), para o cliente não precisar do nome completo
+  const ocorrencias = new Map();
+  entradas.forEach(entrada => {
+    const palavras = new Set(entrada.chaves.flat());
+    palavras.forEach(palavra => ocorrencias.set(palavra, (ocorrencias.get(palavra) || 0) + 1));
+  });
+
+  entradas.forEach(entrada => {
+    const palavras = new Set(entrada.chaves.filter(chave => chave.length > 1).flat());
+    palavras.forEach(palavra => {
+      if (ocorrencias.get(palavra) === 1 && palavra.length >= 4 && !PALAVRAS_GENERICAS.has(palavra) &&
+        !entrada.chaves.some(chave => chave.length === 1 && chave[0] === palavra)) {
+        entrada.chaves.push([palavra]);
+      }
+    });
+  });
+
+  return entradas;
+}
+
+function compararTrecho(trecho, chave) {
+  const texto = chave.join(' ');
+  if (trecho === texto) {
+    return 1;
+  }
+  if (texto.length < TAMANHO_MINIMO_APROXIMADO) {
+    return 0;
+  }
+  const score = similarity(trecho, texto);
+  return score >= SIMILARIDADE_MINIMA ? score : 0;
+}
+
+// Encontrar os sabores citados na mensagem, na ordem em que aparecem e sem repetição.
+// Chaves com mais palavras são procuradas primeiro e consomem as palavras encontradas,
+// assim "caprese tropical" não é lido também como "tropicale".
+function findFlavorMentions(texto, indice) {
+  const tokens = tokenize(texto);
+  if (!tokens.length || !Array.isArray(indice) || !indice.length) {
+    return [];
+  }
+
+  const usados = new Array(tokens.length).fill(false);
+  const encontrados = [];
+  const maiorChave = Math.max(...indice.map(entrada => Math.max(...entrada.chaves.map(chave => chave.length))));
+
+  for (let tamanho = Math.min(maiorChave, tokens.length); tamanho >= 1; tamanho--) {
+    for (let inicio = 0; inicio + tamanho <= tokens.length; inicio++) {
+      if (usados.slice(inicio, inicio + tamanho).some(Boolean)) {
+        continue;
+      }
+
+      const trecho = tokens.slice(inicio, inicio + tamanho).join(' ');
+      let melhor = null;
+      let melhorScore = 0;
+
+      indice.forEach(entrada => {
+        entrada.chaves
+          .filter(chave => chave.length === tamanho)
+          .forEach(chave => {
+            const score = compararTrecho(trecho, chave);
+            if (score > melhorScore) {
+              melhorScore = score;
+              melhor = entrada;
+            }
+          });
+      });
+
+      if (melhor) {
+        usados.fill(true, inicio, inicio + tamanho);
+        encontrados.push({ entrada: melhor, posicao: inicio });
+      }
+    }
+  }
+
+  const vistos = new Set();
+  return encontrados
+    .sort((a, b) => a.posicao - b.posicao)
+    .map(encontrado => encontrado.entrada)
+    .filter(entrada => {
+      if (vistos.has(entrada.id)) return false;
+      vistos.add(entrada.id);
+      return true;
+    });
+}
+
+module.exports = {
+  tokenize,
+  hasKeyword,
+  buildFlavorIndex,
+  findFlavorMentions
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const axios = require('axios');
+
+// ======== GEOCODIFICAÇÃO DE ENDEREÇOS ==========
+// Cada provedor recebe um endereço em texto e retorna { lat, lng } ou null
+// quando o endereço não é encontrado. O provedor é escolhido pela opção
+// `provider` ou pela variável GEOCODER_PROVIDER (google, nominatim ou fixture).
+
+// Normalizar chaves para busca no arquivo de fixture
+function normalizeKey(texto) {
+  return (texto || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Google Geocoding API (requer chave, ApiKeys.googleMaps ou GOOGLE_MAPS_API_KEY)
+async function googleGeocoder(address, options = {}) {
+  const apiKey = options.apiKey || process.env.GOOGLE_MAPS_API_KEY;
+  if (!apiKey) {
+    throw new Error('Chave da API do Google Maps não configurada');
+  }
+
+  const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+    params: { address, key: apiKey, region: 'br', language: 'pt-BR' },
+    timeout: 10000
+  });
+
+  const result = response.data && response.data.results && response.data.results[0];
+  if (!result) {
+    return null;
+  }
+
+  return {
+    lat: result.geometry.location.lat,
+    lng: result.geometry.location.lng
+  };
+}
+
+// OpenStreetMap Nominatim (sem chave, uso moderado)
+async function nominatimGeocoder(address) {
+  const response = await axios.get('https://nominatim.openstreetmap.org/search', {
+    params: { q: address, format: 'json', limit: 1, countrycodes: 'br' },
+    headers: { 'User-Agent': 'pizzaria-api/1.0' },
+    timeout: 10000
+  });
+
+  const result = response.data && response.data[0];
+  if (!result) {
+    return null;
+  }
+
+  return {
+    lat: parseFloat(result.lat),
+    lng: parseFloat(result.lon)
+  };
+}
+
+// Arquivo JSON local: { "01310100": { "lat": -23.56, "lng": -46.65 }, "rua x, 10": {...} }
+// As chaves podem ser CEPs (apenas dígitos) ou endereços completos
+async function fixtureGeocoder(address, options = {}) {
+  const fixturePath = options.fixturePath || process.env.GEOCODER_FIXTURE;
+  if (!fixturePath || !fs.existsSync(fixturePath)) {
+    throw new Error(`Arquivo de fixture do geocodificador não encontrado: ${fixturePath}`);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const entries = Object.entries(fixture);
+
+  // Procurar primeiro pelo CEP contido no endereço
+  const cepMatch = address.match(/\d{5}-?\d{3}/);
+  if (cepMatch) {
+    const cep = cepMatch[0].replace('-', '');
+    const porCep = entries.find(([key]) => key.replace('-', '') === cep);
+    if (porCep) {
+      return porCep[1];
+    }
+  }
+
+  const normalized = normalizeKey(address);
+  const porEndereco = entries.find(([key]) => normalizeKey(key) === normalized);
+  return porEndereco ? porEndereco[1] : null;
+}
+
+const providers = {
+  google: googleGeocoder,
+  nominatim: nominatimGeocoder,
+  fixture: fixtureGeocoder
+};
+
+// Geocodificador personalizado (ex: testes), tem prioridade sobre os provedores
+let customGeocoder = null;
+
+function setGeocoder(geocoder) {
+  customGeocoder = geocoder;
+}
+
+// Geocodificar um endereço com o provedor configurado
+async function geocode(address, options = {}) {
+  if (!address) {
+    return null;
+  }
+
+  try {
+    if (customGeocoder) {
+      return await customGeocoder(address, options);
+    }
+
+    const providerName = options.provider || process.env.GEOCODER_PROVIDER ||
+      (options.apiKey || process.env.GOOGLE_MAPS_API_KEY ? 'google' : 'nominatim');
+    const provider = providers[providerName];
+
+    if (!provider) {
+      throw new Error(`Provedor de geocodificação desconhecido: ${providerName}`);
+    }
+
+    const coords = await provider(address, options);
+    console.log(`[GEOCODER] ${providerName}: "${address}" =>`, coords ? `${coords.lat},${coords.lng}` : 'não encontrado');
+    return coords;
+  } catch (error) {
+    console.error('[GEOCODER] Erro ao geocodificar endereço:', error.message);
+    return null;
+  }
+}
+
+// Distância em linha reta entre duas coordenadas (fórmula de Haversine), em km
+function calcularDistanciaKm(origem, destino) {
+  const toRad = graus => graus * Math.PI / 180;
+  const raioTerraKm = 6371;
+
+  const dLat = toRad(destino.lat - origem.lat);
+  const dLng = toRad(destino.lng - origem.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(origem.lat)) * Math.cos(toRad(destino.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return raioTerraKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = {
+  geocode,
+  setGeocoder,
+  calcularDistanciaKm,
+  providers
+};
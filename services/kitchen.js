@@ -0,0 +1,120 @@
+// ======== PAINEL DA COZINHA ==========
+// Cartões dos pedidos em andamento para a tela da cozinha, agrupados por status,
+// com o tempo decorrido contra o prazo prometido ao cliente. As alterações chegam
+// às telas abertas pelo feed (SSE em /api/cozinha/stream, rotas em index.js).
+//
+// O feed é do processo: com várias instâncias do bot, cada tela recebe os pedidos
+// criados ou alterados pela instância em que está conectada e se atualiza por
+// completo a cada novo snapshot.
+
+// Sequência de trabalho da cozinha; "bump" avança o pedido para o próximo status
+const FLUXO_COZINHA = ['Confirmado', 'Em preparo', 'Saiu para entrega', 'Entregue'];
+
+// Status exibidos no painel (os demais já saíram da cozinha)
+const STATUS_ATIVOS = FLUXO_COZINHA.slice(0, -1);
+
+// Fração do prazo a partir da qual o pedido é destacado
+const LIMITE_ATENCAO = 0.75;
+
+function nextKitchenStatus(status) {
+  const indice = FLUXO_COZINHA.indexOf(status || FLUXO_COZINHA[0]);
+  return indice >= 0 && indice < FLUXO_COZINHA.length - 1 ? FLUXO_COZINHA[indice + 1] : null;
+}
+
+// Tempo desde a confirmação do pedido em relação ao prazo prometido; pedidos
+// agendados contam a partir da liberação (prazo antes do horário combinado)
+function elapsedTime(pedido, prazoMinutos, agora = new Date()) {
+  const inicio = pedido.agendadoPara
+    ? new Date(new Date(pedido.agendadoPara).getTime() - prazoMinutos * 60000)
+    : new Date(pedido.data || agora);
+  const decorridoMinutos = Math.max(0, Math.floor((agora - inicio) / 60000));
+  const entregaPrevista = new Date(inicio.getTime() + prazoMinutos * 60000);
+
+  let nivel = 'ok';
+  if (decorridoMinutos >= prazoMinutos) {
+    nivel = 'atrasado';
+  } else if (decorridoMinutos >= prazoMinutos * LIMITE_ATENCAO) {
+    nivel = 'atencao';
+  }
+
+  return {
+    inicio,
+    entregaPrevista,
+    decorridoMinutos,
+    prazoMinutos,
+    restanteMinutos: prazoMinutos - decorridoMinutos,
+    nivel
+  };
+}
+
+// "Dinheiro (troco para R$ 100.00)" => troco que o entregador precisa levar
+function changeNeeded(formaPagamento, valorTotal) {
+  const match = /troco para R\$\s*([\d.,]+)/i.exec(formaPagamento || '');
+  if (!match) {
+    return null;
+  }
+
+  const numero = match[1].includes(',') ? match[1].replace(/\./g, '').replace(',', '.') : match[1];
+  const trocoPara = parseFloat(numero);
+  if (!Number.isFinite(trocoPara)) {
+    return null;
+  }
+
+  return {
+    trocoPara,
+    troco: Math.max(0, Math.round((trocoPara - (valorTotal || 0)) * 100) / 100)
+  };
+}
+
+function groupByStatus(cartoes) {
+  const grupos = {};
+  STATUS_ATIVOS.forEach(status => {
+    grupos[status] = [];
+  });
+
+  cartoes.forEach(cartao => {
+    if (grupos[cartao.status]) {
+      grupos[cartao.status].push(cartao);
+    }
+  });
+
+  // Mais antigos primeiro: é a ordem em que a cozinha trabalha
+  Object.values(grupos).forEach(lista => lista.sort((a, b) => new Date(a.tempo.inicio) - new Date(b.tempo.inicio)));
+  return grupos;
+}
+
+// Telas conectadas ao feed
+function createKitchenFeed() {
+  const telas = new Set();
+
+  return {
+    subscribe(enviar) {
+      telas.add(enviar);
+      return () => telas.delete(enviar);
+    },
+
+    publish(evento, dados) {
+      telas.forEach(enviar => {
+        try {
+          enviar(evento, dados);
+        } catch (error) {
+          console.error('Erro ao enviar evento ao painel da cozinha:', error);
+        }
+      });
+    },
+
+    size() {
+      return telas.size;
+    }
+  };
+}
+
+module.exports = {
+  FLUXO_COZINHA,
+  STATUS_ATIVOS,
+  nextKitchenStatus,
+  elapsedTime,
+  changeNeeded,
+  groupByStatus,
+  createKitchenFeed
+};
@@ -0,0 +1,89 @@
+const { createOpenAIProvider } = require('./openai');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+// ======== PROVEDORES DE LLM ==========
+// Todo provedor implementa a mesma interface:
+//   chat({ messages, tools }) => { content, toolCalls, message }
+//   speech(texto)             => Buffer (mp3)
+//   transcribe(caminho)       => texto transcrito
+//   isConfigured()            => boolean
+// O provedor e os modelos vêm de BotConfig.llm; as variáveis LLM_PROVIDER,
+// LLM_BASE_URL e LLM_MOCK_SCRIPT têm prioridade (ex: CI com o provedor mock).
+
+const DEFAULT_LLM_CONFIG = {
+  provider: 'openai',
+  chatModel: 'gpt-4-turbo',
+  maxTokens: 1000,
+  temperature: 0.7,
+  ttsModel: 'tts-1',
+  ttsVoice: 'ash',
+  transcriptionModel: 'whisper-1',
+  baseUrl: ''
+};
+
+const providers = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+// Completar a configuração do banco com os valores padrão e as variáveis de ambiente
+function resolveLlmConfig(config) {
+  const salvo = config && typeof config.toObject === 'function' ? config.toObject() : (config || {});
+  const resolvido = { ...DEFAULT_LLM_CONFIG };
+
+  Object.entries(salvo).forEach(([campo, valor]) => {
+    if (valor !== undefined && valor !== null && valor !== '') {
+      resolvido[campo] = valor;
+    }
+  });
+
+  if (process.env.LLM_PROVIDER) resolvido.provider = process.env.LLM_PROVIDER;
+  if (process.env.LLM_BASE_URL) resolvido.baseUrl = process.env.LLM_BASE_URL;
+  if (process.env.LLM_MOCK_SCRIPT) resolvido.mockScript = process.env.LLM_MOCK_SCRIPT;
+
+  return resolvido;
+}
+
+// Provedor definido pelo código (ex: testes), tem prioridade sobre a configuração
+let customProvider = null;
+
+function setLlmProvider(provider) {
+  customProvider = provider;
+}
+
+// Reaproveitar a instância enquanto a configuração não mudar
+let instancia = null;
+let chaveInstancia = null;
+
+function getLlmProvider(config) {
+  if (customProvider) {
+    return customProvider;
+  }
+
+  const resolvido = resolveLlmConfig(config);
+  const chave = JSON.stringify(resolvido);
+
+  if (!instancia || chave !== chaveInstancia) {
+    const criar = providers[resolvido.provider];
+    if (!criar) {
+      throw new Error(`Provedor de LLM desconhecido: ${resolvido.provider}`);
+    }
+
+    instancia = criar(resolvido);
+    chaveInstancia = chave;
+    console.log(`[LLM] Usando provedor ${resolvido.provider} (${resolvido.chatModel})`);
+  }
+
+  return instancia;
+}
+
+module.exports = {
+  DEFAULT_LLM_CONFIG,
+  providers,
+  resolveLlmConfig,
+  getLlmProvider,
+  setLlmProvider,
+  createMockProvider
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+
+// Provedor simulado e determinístico, para testes e CI sem acesso à OpenAI.
+//
+// O roteiro (objeto ou arquivo JSON em `mockScript` / LLM_MOCK_SCRIPT) tem o formato:
+// {
+//   "rules": [
+//     { "match": "amazonas", "response": { "content": "Anotado!", "tool_calls": [...] }, "afterTools": "Algo mais?" }
+//   ],
+//   "steps": [{ "content": "..." }],
+//   "default": { "content": "[TEXT_FORMAT]Resposta simulada[/END]" },
+//   "transcriptions": ["quero uma pizza"]
+// }
+//
+// Cada chamada de chat consome o próximo item de `steps`; sem steps, usa a primeira
+// regra cujo `match` (regex, sem diferenciar maiúsculas) casa com a última mensagem
+// do cliente. Depois de uma rodada de ferramentas responde com `afterTools`.
+// Em `tool_calls`, `arguments` pode ser objeto: ele é convertido para JSON.
+
+const AUDIO_SIMULADO = Buffer.from('ID3 audio simulado');
+
+function carregarRoteiro(roteiro) {
+  if (!roteiro) {
+    return {};
+  }
+
+  if (typeof roteiro === 'string') {
+    return JSON.parse(fs.readFileSync(roteiro, 'utf8'));
+  }
+
+  return roteiro;
+}
+
+// Texto que o cliente escreveu, sem o LEMBRETE acrescentado ao prompt
+function ultimaMensagemCliente(messages) {
+  const mensagem = [...messages].reverse().find(m => m.role === 'user');
+  return mensagem ? String(mensagem.content || '').split('\n\nLEMBRETE:')[0] : '';
+}
+
+function createMockProvider(config = {}) {
+  const roteiro = carregarRoteiro(config.mockScript || process.env.LLM_MOCK_SCRIPT);
+  const steps = [...(roteiro.steps || [])];
+  const transcriptions = [...(roteiro.transcriptions || [])];
+  let contadorChamadas = 0;
+  let ultimaRegra = null;
+
+  const provider = {
+    name: 'mock',
+
+    // Chamadas recebidas, para conferência nos testes
+    calls: [],
+
+    isConfigured() {
+      return true;
+    },
+
+    // Acrescentar respostas ao roteiro durante o teste
+    enqueue(...respostas) {
+      steps.push(...respostas);
+    },
+
+    // Respostas do roteiro ainda não consumidas
+    remaining() {
+      return steps.length;
+    },
+
+    // Descartar respostas pendentes entre um teste e outro
+    reset() {
+      steps.length = 0;
+      provider.calls.length = 0;
+      ultimaRegra = null;
+    },
+
+    async chat({ messages, tools }) {
+      provider.calls.push({ type: 'chat', messages, tools });
+
+      let resposta;
+      const ultima = messages[messages.length - 1];
+
+      if (steps.length > 0) {
+        resposta = steps.shift();
+      } else if (ultima && ultima.role === 'tool') {
+        resposta = { content: ultimaRegra && ultimaRegra.afterTools ? ultimaRegra.afterTools : '' };
+      } else {
+        const texto = ultimaMensagemCliente(messages);
+        ultimaRegra = (roteiro.rules || []).find(regra => new RegExp(regra.match, 'i').test(texto)) || null;
+        resposta = ultimaRegra ? ultimaRegra.response : (roteiro.default || { content: '[TEXT_FORMAT]Resposta simulada[/END]' });
+      }
+
+      const toolCalls = (resposta.tool_calls || []).map(call => ({
+        id: call.id || `call_mock_${++contadorChamadas}`,
+        type: 'function',
+        function: {
+          name: call.function ? call.function.name : call.name,
+          arguments: (() => {
+            const args = call.function ? call.function.arguments : call.arguments;
+            return typeof args === 'string' ? args : JSON.stringify(args || {});
+          })()
+        }
+      }));
+
+      const message = { role: 'assistant', content: resposta.content || null };
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+      }
+
+      return { content: resposta.content || '', toolCalls, message };
+    },
+
+    async speech(text) {
+      provider.calls.push({ type: 'speech', text });
+      return AUDIO_SIMULADO;
+    },
+
+    async transcribe(filePath) {
+      provider.calls.push({ type: 'transcribe', filePath });
+      return transcriptions.length > 0 ? transcriptions.shift() : (roteiro.defaultTranscription || 'áudio de teste');
+    }
+  };
+
+  return provider;
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const { OpenAI } = require('openai');
+
+// Provedor OpenAI oficial (chat, voz e transcrição)
+function createOpenAIProvider(config) {
+  const client = new OpenAI({ apiKey: config.apiKey || process.env.OPENAI_API_KEY });
+
+  return {
+    name: 'openai',
+
+    isConfigured() {
+      return !!(config.apiKey || process.env.OPENAI_API_KEY);
+    },
+
+    async chat({ messages, tools }) {
+      const completion = await client.chat.completions.create({
+        model: config.chatModel,
+        messages,
+        ...(tools ? { tools, tool_choice: 'auto' } : {}),
+        max_tokens: config.maxTokens,
+        temperature: config.temperature
+      });
+
+      const message = completion.choices[0].message;
+      return { content: message.content || '', toolCalls: message.tool_calls || [], message };
+    },
+
+    async speech(text) {
+      const speech = await client.audio.speech.create({
+        model: config.ttsModel,
+        voice: config.ttsVoice,
+        input: text,
+        response_format: 'mp3'
+      });
+
+      return Buffer.from(await speech.arrayBuffer());
+    },
+
+    async transcribe(filePath) {
+      const transcript = await client.audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model: config.transcriptionModel,
+        response_format: 'json'
+      });
+
+      return transcript ? transcript.text : '';
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
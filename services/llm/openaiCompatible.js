@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Provedor para servidores compatíveis com a API da OpenAI (vLLM, Ollama,
+// LocalAI, LM Studio...). Usa HTTP direto em `baseUrl` (ex: http://localhost:11434/v1).
+function createOpenAICompatibleProvider(config) {
+  const baseUrl = (config.baseUrl || process.env.LLM_BASE_URL || '').replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.LLM_API_KEY;
+
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const http = axios.create({ baseURL: baseUrl, headers, timeout: config.timeoutMs || 60000 });
+
+  return {
+    name: 'openai-compatible',
+
+    isConfigured() {
+      return !!baseUrl;
+    },
+
+    async chat({ messages, tools }) {
+      const response = await http.post('/chat/completions', {
+        model: config.chatModel,
+        messages,
+        ...(tools ? { tools, tool_choice: 'auto' } : {}),
+        max_tokens: config.maxTokens,
+        temperature: config.temperature
+      });
+
+      const choice = response.data && response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message) {
+        throw new Error('Resposta inválida do servidor de LLM');
+      }
+
+      const message = { role: 'assistant', ...choice.message };
+      return { content: message.content || '', toolCalls: message.tool_calls || [], message };
+    },
+
+    async speech(text) {
+      const response = await http.post('/audio/speech', {
+        model: config.ttsModel,
+        voice: config.ttsVoice,
+        input: text,
+        response_format: 'mp3'
+      }, { responseType: 'arraybuffer' });
+
+      return Buffer.from(response.data);
+    },
+
+    async transcribe(filePath) {
+      const form = new FormData();
+      form.append('file', fs.createReadStream(filePath), path.basename(filePath));
+      form.append('model', config.transcriptionModel);
+      form.append('response_format', 'json');
+
+      const response = await http.post('/audio/transcriptions', form, { headers: form.getHeaders() });
+      return response.data ? response.data.text : '';
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,194 @@
+// ======== FERRAMENTAS DO LLM ==========
+// Definições das ferramentas (function calling) oferecidas ao modelo e a
+// validação dos argumentos recebidos. Os argumentos vêm do modelo como texto
+// JSON e são conferidos aqui antes de qualquer alteração no pedido.
+
+const SABOR_SCHEMA = {
+  type: 'object',
+  properties: {
+    identificador: { type: 'string', description: 'Identificador do sabor no cardápio' },
+    nome: { type: 'string', description: 'Nome do sabor' },
+    fracao: { type: 'number', minimum: 0.01, maximum: 1, description: 'Fração da pizza (0.5 para meio a meio)' }
+  },
+  required: ['nome'],
+  additionalProperties: false
+};
+
+const TOOL_DEFINITIONS = [
+  {
+    name: 'add_item',
+    description: 'Adiciona um item ao pedido do cliente. Use o identificador do cardápio. Para pizza meio a meio, informe um único item com a lista "sabores". O preço é calculado pelo sistema.',
+    parameters: {
+      type: 'object',
+      properties: {
+        nome: { type: 'string', description: 'Nome do item como aparece no cardápio' },
+        identificador: { type: 'string', description: 'Identificador do item no cardápio' },
+        tamanho: { type: 'string', description: 'Tamanho escolhido, quando o item tiver tamanhos' },
+        quantidade: { type: 'integer', minimum: 1, maximum: 20 },
+        sabores: { type: 'array', items: SABOR_SCHEMA, minItems: 2, maxItems: 3 }
+      },
+      required: ['nome', 'quantidade'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'remove_item',
+    description: 'Remove do pedido um item adicionado antes, quando o cliente desistir dele.',
+    parameters: {
+      type: 'object',
+      properties: {
+        nome: { type: 'string', description: 'Nome ou identificador do item a remover' }
+      },
+      required: ['nome'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'set_address',
+    description: 'Registra o endereço de entrega. O sistema valida a área de entrega e calcula a taxa.',
+    parameters: {
+      type: 'object',
+      properties: {
+        endereco: { type: 'string', description: 'Endereço completo com rua, número, bairro e CEP se houver' }
+      },
+      required: ['endereco'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'set_payment',
+    description: 'Registra a forma de pagamento escolhida pelo cliente.',
+    parameters: {
+      type: 'object',
+      properties: {
+        forma_pagamento: { type: 'string', description: 'Uma das formas de pagamento aceitas' },
+        troco_para: { type: 'number', minimum: 0, description: 'Valor para troco, apenas para pagamento em dinheiro' }
+      },
+      required: ['forma_pagamento'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'show_image',
+    description: 'Envia ao cliente a foto de itens do cardápio. Use "cardapio" para o cardápio completo e "SABOR1+SABOR2" (identificadores) para pizza meio a meio.',
+    parameters: {
+      type: 'object',
+      properties: {
+        identificadores: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 4 }
+      },
+      required: ['identificadores'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'send_voice',
+    description: 'Responde ao cliente por áudio. Use APENAS quando o cliente pedir resposta em áudio. Seja conciso.',
+    parameters: {
+      type: 'object',
+      properties: {
+        texto: { type: 'string', maxLength: 600, description: 'Texto que será convertido em áudio' }
+      },
+      required: ['texto'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'confirm_order',
+    description: 'Chame quando o pedido tiver itens, endereço e pagamento: o sistema envia o resumo para o cliente conferir. Chame novamente depois que o cliente aprovar o resumo para registrar o pedido.',
+    parameters: {
+      type: 'object',
+      properties: {
+        mensagem: { type: 'string', description: 'Mensagem de agradecimento enviada após o registro do pedido' }
+      },
+      additionalProperties: false
+    }
+  }
+];
+
+// Formato esperado pela API de chat da OpenAI
+const OPENAI_TOOLS = TOOL_DEFINITIONS.map(tool => ({ type: 'function', function: tool }));
+
+function tipoDoValor(valor) {
+  if (Array.isArray(valor)) return 'array';
+  if (valor === null) return 'null';
+  if (Number.isInteger(valor)) return 'integer';
+  return typeof valor;
+}
+
+// Validar um valor contra o subconjunto de JSON Schema usado nas definições acima
+function validateSchema(schema, valor, caminho = 'argumentos') {
+  const erros = [];
+  const tipo = tipoDoValor(valor);
+  const tipoAceito = schema.type === 'number' ? ['number', 'integer'] : [schema.type];
+
+  if (schema.type && !tipoAceito.includes(tipo)) {
+    return [`${caminho} deve ser do tipo ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(valor)) {
+    erros.push(`${caminho} deve ser um de: ${schema.enum.join(', ')}`);
+  }
+
+  if (tipo === 'string') {
+    if (!valor.trim()) erros.push(`${caminho} não pode ser vazio`);
+    if (schema.maxLength !== undefined && valor.length > schema.maxLength) {
+      erros.push(`${caminho} deve ter no máximo ${schema.maxLength} caracteres`);
+    }
+  }
+
+  if (tipo === 'number' || tipo === 'integer') {
+    if (schema.minimum !== undefined && valor < schema.minimum) erros.push(`${caminho} deve ser no mínimo ${schema.minimum}`);
+    if (schema.maximum !== undefined && valor > schema.maximum) erros.push(`${caminho} deve ser no máximo ${schema.maximum}`);
+  }
+
+  if (tipo === 'array') {
+    if (schema.minItems !== undefined && valor.length < schema.minItems) erros.push(`${caminho} deve ter ao menos ${schema.minItems} itens`);
+    if (schema.maxItems !== undefined && valor.length > schema.maxItems) erros.push(`${caminho} deve ter no máximo ${schema.maxItems} itens`);
+    if (schema.items) {
+      valor.forEach((item, i) => erros.push(...validateSchema(schema.items, item, `${caminho}[${i}]`)));
+    }
+  }
+
+  if (tipo === 'object') {
+    const propriedades = schema.properties || {};
+    (schema.required || []).forEach(campo => {
+      if (valor[campo] === undefined) erros.push(`${caminho}.${campo} é obrigatório`);
+    });
+    Object.entries(valor).forEach(([campo, valorCampo]) => {
+      if (propriedades[campo]) {
+        erros.push(...validateSchema(propriedades[campo], valorCampo, `${caminho}.${campo}`));
+      } else if (schema.additionalProperties === false) {
+        erros.push(`${caminho}.${campo} não é permitido`);
+      }
+    });
+  }
+
+  return erros;
+}
+
+// Ler e validar uma chamada de ferramenta vinda do modelo
+// Retorna { nome, args, erros }; com erros, a chamada não deve ser executada
+function parseToolCall(toolCall) {
+  const nome = toolCall && toolCall.function ? toolCall.function.name : undefined;
+  const definicao = TOOL_DEFINITIONS.find(tool => tool.name === nome);
+
+  if (!definicao) {
+    return { nome, args: null, erros: [`Ferramenta desconhecida: ${nome}`] };
+  }
+
+  let args;
+  try {
+    args = JSON.parse(toolCall.function.arguments || '{}');
+  } catch (error) {
+    return { nome, args: null, erros: ['Argumentos não são um JSON válido'] };
+  }
+
+  return { nome, args, erros: validateSchema(definicao.parameters, args) };
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  OPENAI_TOOLS,
+  validateSchema,
+  parseToolCall
+};
@@ -0,0 +1,166 @@
+const os = require('os');
+const crypto = require('crypto');
+const { MensagemPendente, TravaConversa } = require('../models');
+
+// ======== FILA DE MENSAGENS POR CLIENTE ==========
+// Clientes costumam mandar várias mensagens seguidas ("oi", "quero uma pizza", "grande").
+// Cada mensagem recebida é gravada em MensagemPendente e o atendimento só começa depois
+// de `debounceMs` sem mensagens novas do mesmo telefone: os textos acumulados viram um
+// único turno da conversa. A trava por telefone (TravaConversa) garante que apenas um
+// processo do bot atende cada cliente por vez, mesmo com várias instâncias recebendo
+// webhooks; a trava expira sozinha se o processo cair no meio do atendimento.
+
+const DEFAULT_DEBOUNCE_MS = 1500;
+const DEFAULT_LOCK_TTL_MS = 2 * 60 * 1000;
+const DEFAULT_RETRY_MS = 1000;
+
+// Mensagens que abrem uma conversa nova nunca são misturadas com as vizinhas
+const PALAVRAS_REINICIO = ['reiniciar', 'começar de novo', 'novo pedido'];
+
+function isReinicio(pendente) {
+  return pendente.tipo === 'text' && PALAVRAS_REINICIO.includes((pendente.texto || '').trim().toLowerCase());
+}
+
+// Mensagens pendentes (em ordem de chegada) => turnos: textos seguidos do mesmo canal
+// são unidos; áudios e pedidos de reinício são turnos próprios
+function agruparTurnos(pendentes) {
+  const turnos = [];
+
+  pendentes.forEach(pendente => {
+    const anterior = turnos[turnos.length - 1];
+    const podeUnir = anterior && anterior.type === 'text' && !anterior.reinicio &&
+      pendente.tipo === 'text' && !isReinicio(pendente) && anterior.canal === pendente.canal;
+
+    if (podeUnir) {
+      anterior.text += `\n${pendente.texto || ''}`;
+      anterior.ids.push(pendente.mensagemId);
+      return;
+    }
+
+    turnos.push({
+      canal: pendente.canal,
+      type: pendente.tipo,
+      text: pendente.texto || '',
+      media: pendente.media,
+      ids: [pendente.mensagemId],
+      reinicio: isReinicio(pendente)
+    });
+  });
+
+  return turnos.map(({ reinicio, ...turno }) => turno);
+}
+
+function createMessageQueue({ processTurn, debounceMs = DEFAULT_DEBOUNCE_MS, lockTtlMs = DEFAULT_LOCK_TTL_MS, retryMs = DEFAULT_RETRY_MS }) {
+  // Identifica este processo como dono das travas que adquirir
+  const dono = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  const timers = new Map();
+  const emAtendimento = new Set();
+
+  function agendar(telefone, atrasoMs) {
+    clearTimeout(timers.get(telefone));
+    timers.set(telefone, setTimeout(() => {
+      timers.delete(telefone);
+      atender(telefone).catch(error => {
+        console.error(`Erro no atendimento da fila de ${telefone}:`, error);
+      });
+    }, atrasoMs));
+  }
+
+  // Adquirir (ou renovar) a trava do telefone; false se outro processo está atendendo
+  async function adquirirTrava(telefone) {
+    const agora = new Date();
+    try {
+      await TravaConversa.findOneAndUpdate(
+        { _id: telefone, $or: [{ expiraEm: { $lte: agora } }, { dono }] },
+        { dono, expiraEm: new Date(agora.getTime() + lockTtlMs) },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // A trava existe e é de outro processo: o upsert colide com o _id
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async function liberarTrava(telefone) {
+    await TravaConversa.deleteOne({ _id: telefone, dono });
+  }
+
+  async function atender(telefone) {
+    // Um turno deste cliente ainda está em andamento: tentar de novo depois
+    if (emAtendimento.has(telefone)) {
+      agendar(telefone, retryMs);
+      return;
+    }
+
+    emAtendimento.add(telefone);
+    try {
+      if (!(await adquirirTrava(telefone))) {
+        agendar(telefone, retryMs);
+        return;
+      }
+
+      try {
+        const pendentes = await MensagemPendente.find({ telefone }).sort({ recebidaEm: 1, _id: 1 }).lean();
+        if (pendentes.length === 0) {
+          return;
+        }
+
+        // Retirar da fila antes de responder: uma falha no meio não repete respostas já enviadas
+        await MensagemPendente.deleteMany({ _id: { $in: pendentes.map(pendente => pendente._id) } });
+
+        for (const turno of agruparTurnos(pendentes)) {
+          if (!(await adquirirTrava(telefone))) {
+            console.warn(`Trava de ${telefone} expirou durante o atendimento; o controle de versão da conversa evita sobrescritas`);
+          }
+
+          try {
+            await processTurn(telefone, turno);
+          } catch (error) {
+            console.error(`Erro ao processar turno de ${telefone}:`, error);
+          }
+        }
+      } finally {
+        await liberarTrava(telefone);
+      }
+    } finally {
+      emAtendimento.delete(telefone);
+    }
+  }
+
+  return {
+    // Guardar a mensagem e (re)iniciar a espera por mensagens seguidas do mesmo cliente
+    async enqueue(telefone, mensagem) {
+      await MensagemPendente.create({
+        telefone,
+        canal: mensagem.canal,
+        mensagemId: mensagem.id,
+        tipo: mensagem.type === 'audio' ? 'audio' : 'text',
+        texto: mensagem.text,
+        media: mensagem.media
+      });
+      agendar(telefone, debounceMs);
+    },
+
+    // Atender mensagens que ficaram na fila quando o processo anterior parou
+    async resume() {
+      const telefones = await MensagemPendente.distinct('telefone');
+      telefones.forEach(telefone => agendar(telefone, debounceMs));
+      return telefones.length;
+    },
+
+    // Nenhuma mensagem esperando nem turno em andamento neste processo
+    isIdle() {
+      return timers.size === 0 && emAtendimento.size === 0;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE_MS,
+  agruparTurnos,
+  createMessageQueue
+};
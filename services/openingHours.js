@@ -0,0 +1,374 @@
+// ======== HORÁRIO DE FUNCIONAMENTO ==========
+// Calendário da loja (HorarioFuncionamento): intervalos por dia da semana e
+// exceções por data (feriados fechados ou com horário especial), no fuso da loja.
+// Um intervalo que fecha antes de abrir (18:00 às 02:00) termina no dia seguinte.
+//
+// Sem calendário cadastrado a loja é considerada sempre aberta.
+
+const TIMEZONE_PADRAO = 'America/Sao_Paulo';
+
+// Dias procurados à frente ao calcular a próxima abertura
+const DIAS_BUSCA_ABERTURA = 14;
+
+const NOMES_DIAS = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'];
+const DIAS_INGLES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Ordem de exibição: a semana da loja começa na segunda
+const ORDEM_EXIBICAO = [1, 2, 3, 4, 5, 6, 0];
+
+const FORMATO_HORA = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const FORMATO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatadores = new Map();
+
+function formatador(timezone) {
+  if (!formatadores.has(timezone)) {
+    formatadores.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatadores.get(timezone);
+}
+
+function timezoneValido(timezone) {
+  try {
+    formatador(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Data ('AAAA-MM-DD'), dia da semana e minutos do dia no fuso da loja
+function localTime(data, timezone = TIMEZONE_PADRAO) {
+  const partes = {};
+  formatador(timezone).formatToParts(data).forEach(parte => {
+    partes[parte.type] = parte.value;
+  });
+
+  return {
+    data: `${partes.year}-${partes.month}-${partes.day}`,
+    diaSemana: DIAS_INGLES.indexOf(partes.weekday),
+    minutos: parseInt(partes.hour, 10) * 60 + parseInt(partes.minute, 10)
+  };
+}
+
+function paraMinutos(hora) {
+  const [h, m] = hora.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function formatarMinutos(minutos) {
+  const h = Math.floor(minutos / 60) % 24;
+  const m = minutos % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+function somarDias(data, dias) {
+  const [a, m, d] = data.split('-').map(Number);
+  return new Date(Date.UTC(a, m - 1, d + dias)).toISOString().slice(0, 10);
+}
+
+function diaDaSemana(data) {
+  const [a, m, d] = data.split('-').map(Number);
+  return new Date(Date.UTC(a, m - 1, d)).getUTCDay();
+}
+
+// Instante correspondente a data + minutos no relógio da loja
+function instanteLocal(data, minutos, timezone) {
+  const [a, m, d] = data.split('-').map(Number);
+  const alvo = Date.UTC(a, m - 1, d, 0, minutos);
+  let instante = alvo;
+
+  // Duas correções bastam para acertar o deslocamento, mesmo perto de horário de verão
+  for (let i = 0; i < 2; i++) {
+    const visto = localTime(new Date(instante), timezone);
+    const [va, vm, vd] = visto.data.split('-').map(Number);
+    instante += alvo - Date.UTC(va, vm - 1, vd, 0, visto.minutos);
+  }
+
+  return new Date(instante);
+}
+
+// Completar o calendário do banco com os valores padrão
+function normalizeOpeningHours(config) {
+  const obj = config && typeof config.toObject === 'function' ? config.toObject() : (config || {});
+  const dias = Array.isArray(obj.dias) ? obj.dias : [];
+
+  return {
+    configurado: dias.length > 0,
+    timezone: obj.timezone || TIMEZONE_PADRAO,
+    dias,
+    excecoes: Array.isArray(obj.excecoes) ? obj.excecoes : [],
+    foraDoHorario: obj.foraDoHorario || 'bloquear',
+    mensagemFechado: obj.mensagemFechado || '',
+    agendamento: obj.agendamento || {}
+  };
+}
+
+// Aceita o documento do banco ou um calendário já normalizado
+function comoHorario(config) {
+  return config && config.configurado !== undefined ? config : normalizeOpeningHours(config);
+}
+
+// Intervalos de uma data em minutos ({ inicio, fim }, fim pode passar de 1440)
+function intervalosDaData(horario, data) {
+  const excecao = horario.excecoes.find(e => e.data === data);
+  let intervalos;
+
+  if (excecao) {
+    intervalos = excecao.fechado === false ? (excecao.intervalos || []) : [];
+  } else {
+    intervalos = horario.dias
+      .filter(dia => dia.diaSemana === diaDaSemana(data))
+      .flatMap(dia => dia.intervalos || []);
+  }
+
+  return intervalos
+    .map(({ abre, fecha }) => {
+      const inicio = paraMinutos(abre);
+      let fim = paraMinutos(fecha);
+      if (fim <= inicio) fim += 24 * 60;
+      return { inicio, fim };
+    })
+    .sort((a, b) => a.inicio - b.inicio);
+}
+
+// Situação da loja no instante informado: { aberto, fechaEm, proximaAbertura }
+function storeStatus(config, agora = new Date()) {
+  const horario = comoHorario(config);
+
+  if (!horario.configurado) {
+    return { configurado: false, aberto: true, fechaEm: null, proximaAbertura: null, timezone: horario.timezone };
+  }
+
+  const local = localTime(agora, horario.timezone);
+  const ontem = somarDias(local.data, -1);
+
+  // Intervalo de hoje ou que começou ontem e atravessa a meia-noite
+  const candidatos = [
+    ...intervalosDaData(horario, ontem).map(intervalo => ({ ...intervalo, data: ontem, deslocamento: 24 * 60 })),
+    ...intervalosDaData(horario, local.data).map(intervalo => ({ ...intervalo, data: local.data, deslocamento: 0 }))
+  ];
+
+  const atual = candidatos.find(({ inicio, fim, deslocamento }) =>
+    local.minutos + deslocamento >= inicio && local.minutos + deslocamento < fim);
+
+  if (atual) {
+    return {
+      configurado: true,
+      aberto: true,
+      fechaEm: instanteLocal(atual.data, atual.fim, horario.timezone),
+      proximaAbertura: null,
+      timezone: horario.timezone
+    };
+  }
+
+  return {
+    configurado: true,
+    aberto: false,
+    fechaEm: null,
+    proximaAbertura: nextOpening(horario, agora),
+    timezone: horario.timezone
+  };
+}
+
+function nextOpening(config, agora = new Date()) {
+  const horario = comoHorario(config);
+  const hoje = localTime(agora, horario.timezone).data;
+
+  for (let i = 0; i <= DIAS_BUSCA_ABERTURA; i++) {
+    const data = somarDias(hoje, i);
+    for (const intervalo of intervalosDaData(horario, data)) {
+      const abertura = instanteLocal(data, intervalo.inicio, horario.timezone);
+      if (abertura > agora) {
+        return abertura;
+      }
+    }
+  }
+
+  return null;
+}
+
+// 'HH:MM' no relógio da loja
+function formatTime(instante, timezone = TIMEZONE_PADRAO) {
+  return formatarMinutos(localTime(instante, timezone).minutos);
+}
+
+// "hoje às 18:00", "amanhã às 18:00", "sábado (25/10) às 18:00"
+function describeMoment(instante, timezone = TIMEZONE_PADRAO, agora = new Date()) {
+  const local = localTime(instante, timezone);
+  const hoje = localTime(agora, timezone).data;
+  const hora = formatarMinutos(local.minutos);
+
+  if (local.data === hoje) return `hoje às ${hora}`;
+  if (local.data === somarDias(hoje, 1)) return `amanhã às ${hora}`;
+
+  const [, mes, dia] = local.data.split('-');
+  return `${NOMES_DIAS[local.diaSemana]} (${dia}/${mes}) às ${hora}`;
+}
+
+// Horário da semana em texto para o prompt e para o cliente
+function formatSchedule(config, agora = new Date(), diasExcecoes = 30) {
+  const horario = comoHorario(config);
+  if (!horario.configurado) {
+    return 'Aberto todos os dias, 24 horas.';
+  }
+
+  const descreverIntervalos = intervalos => intervalos.length > 0
+    ? intervalos.map(({ abre, fecha }) => `${abre} às ${fecha}`).join(' e ')
+    : 'fechado';
+
+  const linhas = ORDEM_EXIBICAO.map(diaSemana => {
+    const intervalos = horario.dias
+      .filter(dia => dia.diaSemana === diaSemana)
+      .flatMap(dia => dia.intervalos || []);
+    const nome = NOMES_DIAS[diaSemana];
+    return `${nome.charAt(0).toUpperCase()}${nome.slice(1)}: ${descreverIntervalos(intervalos)}`;
+  });
+
+  const hoje = localTime(agora, horario.timezone).data;
+  const limite = somarDias(hoje, diasExcecoes);
+  const proximas = horario.excecoes
+    .filter(e => e.data >= hoje && e.data <= limite)
+    .sort((a, b) => a.data.localeCompare(b.data));
+
+  proximas.forEach(excecao => {
+    const [, mes, dia] = excecao.data.split('-');
+    const descricao = excecao.descricao ? ` (${excecao.descricao})` : '';
+    const intervalos = excecao.fechado === false ? excecao.intervalos || [] : [];
+    linhas.push(`${dia}/${mes}${descricao}: ${descreverIntervalos(intervalos)}`);
+  });
+
+  return linhas.join('\n');
+}
+
+// Aviso enviado ao cliente com a loja fechada; {{PROXIMA_ABERTURA}} na mensagem configurada
+function closedMessage(config, situacao, agora = new Date()) {
+  const horario = comoHorario(config);
+  const proxima = situacao.proximaAbertura
+    ? describeMoment(situacao.proximaAbertura, horario.timezone, agora)
+    : null;
+
+  if (horario.mensagemFechado) {
+    return horario.mensagemFechado.replace(/\{\{PROXIMA_ABERTURA\}\}/g, proxima || 'em breve');
+  }
+
+  let texto = proxima
+    ? `No momento estamos fechados. Abrimos ${proxima}.`
+    : 'No momento estamos fechados.';
+
+  texto += horario.foraDoHorario === 'agendar' && proxima
+    ? ' Você já pode fazer seu pedido: ele será preparado assim que abrirmos.'
+    : ' Enquanto isso, fique à vontade para conhecer o cardápio!';
+
+  return texto;
+}
+
+function validarIntervalos(intervalos, caminho, erros) {
+  if (!Array.isArray(intervalos)) {
+    erros.push(`${caminho}: intervalos deve ser uma lista`);
+    return;
+  }
+
+  intervalos.forEach((intervalo, i) => {
+    const { abre, fecha } = intervalo || {};
+    if (!FORMATO_HORA.test(abre || '') || !FORMATO_HORA.test(fecha || '')) {
+      erros.push(`${caminho}.intervalos[${i}]: use o formato HH:MM em "abre" e "fecha"`);
+    } else if (abre === fecha) {
+      erros.push(`${caminho}.intervalos[${i}]: abertura e fechamento iguais`);
+    }
+  });
+}
+
+function validateException(excecao, caminho = 'excecao') {
+  const erros = [];
+  const data = excecao && excecao.data;
+
+  if (!FORMATO_DATA.test(data || '') || somarDias(data, 0) !== data) {
+    erros.push(`${caminho}: data inválida (use AAAA-MM-DD)`);
+  }
+  if (excecao && excecao.fechado === false) {
+    validarIntervalos(excecao.intervalos, caminho, erros);
+  }
+
+  return erros;
+}
+
+// Erros de um calendário enviado pela API (lista vazia quando válido)
+function validateOpeningHours(dados) {
+  const erros = [];
+
+  if (dados.timezone !== undefined && !timezoneValido(dados.timezone)) {
+    erros.push(`Fuso horário desconhecido: ${dados.timezone}`);
+  }
+
+  if (dados.foraDoHorario !== undefined && !['bloquear', 'agendar'].includes(dados.foraDoHorario)) {
+    erros.push('foraDoHorario deve ser "bloquear" ou "agendar"');
+  }
+
+  if (dados.dias !== undefined) {
+    if (!Array.isArray(dados.dias)) {
+      erros.push('dias deve ser uma lista');
+    } else {
+      dados.dias.forEach((dia, i) => {
+        if (!dia || !Number.isInteger(dia.diaSemana) || dia.diaSemana < 0 || dia.diaSemana > 6) {
+          erros.push(`dias[${i}]: diaSemana deve ser de 0 (domingo) a 6 (sábado)`);
+        }
+        validarIntervalos(dia && dia.intervalos, `dias[${i}]`, erros);
+      });
+    }
+  }
+
+  if (dados.agendamento !== undefined) {
+    const { ativo, intervaloMinutos, capacidadePorHorario, diasAntecedencia } = dados.agendamento || {};
+    const inteiroEntre = (valor, min, max) => valor === undefined || (Number.isInteger(valor) && valor >= min && valor <= max);
+
+    if (ativo !== undefined && typeof ativo !== 'boolean') {
+      erros.push('agendamento.ativo deve ser verdadeiro ou falso');
+    }
+    if (!inteiroEntre(intervaloMinutos, 5, 240)) {
+      erros.push('agendamento.intervaloMinutos deve ser um número inteiro de 5 a 240');
+    }
+    if (!inteiroEntre(capacidadePorHorario, 1, 1000)) {
+      erros.push('agendamento.capacidadePorHorario deve ser um número inteiro maior que zero');
+    }
+    if (!inteiroEntre(diasAntecedencia, 0, 60)) {
+      erros.push('agendamento.diasAntecedencia deve ser um número inteiro de 0 a 60');
+    }
+  }
+
+  if (dados.excecoes !== undefined) {
+    if (!Array.isArray(dados.excecoes)) {
+      erros.push('excecoes deve ser uma lista');
+    } else {
+      dados.excecoes.forEach((excecao, i) => erros.push(...validateException(excecao, `excecoes[${i}]`)));
+    }
+  }
+
+  return erros;
+}
+
+module.exports = {
+  TIMEZONE_PADRAO,
+  localTime,
+  somarDias,
+  instanteLocal,
+  intervalsForDate: intervalosDaData,
+  formatTime,
+  normalizeOpeningHours,
+  storeStatus,
+  nextOpening,
+  describeMoment,
+  formatSchedule,
+  closedMessage,
+  validateOpeningHours,
+  validateException
+};
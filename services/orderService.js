@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { Pedido } = require('../models');
+
+// ======== REGISTRO DE PEDIDOS ==========
+// Único ponto de criação de Pedido a partir de uma Conversa. Cada conversa gera no
+// máximo um pedido: a chave de idempotência "conversa:<id>" é única em Pedido, então
+// um "ok" repetido, um turno refeito ou dois processos confirmando ao mesmo tempo
+// recebem o pedido já registrado em vez de criar outro.
+//
+// O pedido e a atualização da conversa (pedidoId, estado 7) são gravados na mesma
+// transação quando o MongoDB permite (replica set / Atlas). Em um servidor isolado o
+// registro segue sem transação e a chave única continua impedindo duplicidade; se a
+// conversa não chegar a ser salva, a próxima confirmação encontra o pedido pela chave.
+
+const ESTADO_CONFIRMADO = 7;
+// Mesmos valores de STATUS_PEDIDO.CONFIRMADO e STATUS_PEDIDO.AGENDADO em index.js
+const STATUS_INICIAL = 'Confirmado';
+const STATUS_AGENDADO = 'Agendado';
+
+let transacoesDisponiveis = true;
+
+function idempotencyKey(conversa) {
+  return `conversa:${conversa._id}`;
+}
+
+function transacaoNaoSuportada(error) {
+  return !!error && (error.code === 20 || /replica set|Transaction numbers/i.test(error.message || ''));
+}
+
+// Soma dos descontos de promoções do pedido (services/promotions)
+function calculateDiscount(pedidoData) {
+  const desconto = (pedidoData.descontos || []).reduce((soma, item) => soma + (item.valor || 0), 0);
+  return Math.round(desconto * 100) / 100;
+}
+
+function calculateTotal(pedidoData) {
+  let valorTotal = 0;
+  pedidoData.items.forEach(item => {
+    const preco = parseFloat(item.preco);
+    if (isNaN(preco)) {
+      throw new Error(`Preço inválido para o item ${item.nome}`);
+    }
+    valorTotal += preco * (item.quantidade || 1);
+  });
+  // O desconto vale só sobre os itens; a taxa de entrega é cobrada inteira
+  const itens = Math.max(0, valorTotal - calculateDiscount(pedidoData));
+  return Math.round((itens + (pedidoData.taxaEntrega || 0)) * 100) / 100;
+}
+
+function montarPedido(conversa, pedidoData) {
+  // Entregas agendadas aguardam o job de liberação antes de chegar à cozinha
+  const status = pedidoData.agendadoPara ? STATUS_AGENDADO : STATUS_INICIAL;
+
+  return {
+    telefone: conversa.telefone,
+    chaveIdempotencia: idempotencyKey(conversa),
+    itens: pedidoData.items.map(item => ({
+      nome: item.nome,
+      cardapioItem: item.cardapioItem,
+      identificador: item.identificador,
+      tamanho: item.tamanho,
+      quantidade: item.quantidade || 1,
+      preco: parseFloat(item.preco),
+      sabores: item.sabores
+    })),
+    valorTotal: calculateTotal(pedidoData),
+    descontos: pedidoData.descontos || [],
+    valorDesconto: calculateDiscount(pedidoData),
+    taxaEntrega: pedidoData.taxaEntrega || 0,
+    distanciaKm: pedidoData.distanciaKm,
+    endereco: pedidoData.endereco,
+    formaPagamento: pedidoData.pagamento,
+    status,
+    historicoStatus: [{ status, alteradoPor: 'bot' }],
+    agendadoPara: pedidoData.agendadoPara,
+    data: new Date().toISOString()
+  };
+}
+
+async function vincularConversa(conversa, pedido, session) {
+  conversa.pedidoId = pedido._id;
+  conversa.state = ESTADO_CONFIRMADO;
+  await conversa.save(session ? { session } : undefined);
+}
+
+async function registrar(conversa, dados, session) {
+  const [pedido] = await Pedido.create([dados], session ? { session } : undefined);
+  await vincularConversa(conversa, pedido, session);
+  return pedido;
+}
+
+// Pedido já registrado para a conversa (pelo vínculo ou pela chave), ou null
+async function findExistingOrder(conversa) {
+  if (conversa.pedidoId) {
+    const pedido = await Pedido.findById(conversa.pedidoId);
+    if (pedido) return pedido;
+  }
+  return Pedido.findOne({ chaveIdempotencia: idempotencyKey(conversa) });
+}
+
+// Registrar o pedido da conversa com os dados já precificados (items, endereco,
+// pagamento, taxaEntrega, distanciaKm e agendadoPara). Devolve { pedido, created }.
+async function placeOrder(conversa, pedidoData) {
+  const existente = await findExistingOrder(conversa);
+  if (existente) {
+    console.log(`Pedido ${existente._id} já registrado para a conversa ${conversa._id}; devolvendo o existente`);
+    if (!conversa.pedidoId || conversa.state !== ESTADO_CONFIRMADO) {
+      await vincularConversa(conversa, existente);
+    }
+    return { pedido: existente, created: false };
+  }
+
+  const dados = montarPedido(conversa, pedidoData);
+
+  try {
+    if (transacoesDisponiveis) {
+      try {
+        const session = await mongoose.startSession();
+        try {
+          let pedido;
+          await session.withTransaction(async () => {
+            pedido = await registrar(conversa, dados, session);
+          });
+          return { pedido, created: true };
+        } finally {
+          await session.endSession();
+        }
+      } catch (error) {
+        if (!transacaoNaoSuportada(error)) {
+          throw error;
+        }
+        transacoesDisponiveis = false;
+        console.warn('MongoDB sem suporte a transações: pedidos registrados apenas com a chave de idempotência');
+      }
+    }
+
+    return { pedido: await registrar(conversa, dados), created: true };
+  } catch (error) {
+    // Outro processo registrou o mesmo pedido primeiro
+    if (error.code === 11000) {
+      const pedido = await Pedido.findOne({ chaveIdempotencia: dados.chaveIdempotencia });
+      if (pedido) {
+        await vincularConversa(conversa, pedido);
+        return { pedido, created: false };
+      }
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  idempotencyKey,
+  calculateDiscount,
+  calculateTotal,
+  findExistingOrder,
+  placeOrder
+};
@@ -0,0 +1,332 @@
+const { normalizeText } = require('./textMatch');
+const { TIMEZONE_PADRAO, localTime } = require('./openingHours');
+
+// ======== PROMOÇÕES E CUPONS ==========
+// Descontos calculados pelo servidor sobre os itens já precificados pelo cardápio:
+//   percentual => `valor`% dos itens elegíveis
+//   valor_fixo => R$ `valor`, limitado ao total dos itens elegíveis
+//   brinde     => a cada `quantidadeMinima` itens elegíveis, um `brinde` (identificador
+//                 de item do cardápio) sai de graça; o brinde entra no pedido se faltar
+// Itens elegíveis são os das `categorias` da promoção (todos, quando vazio). Promoções
+// com `codigo` só valem com o cupom informado pelo cliente; as demais são automáticas.
+// Restrições: período (inicio/fim), dias da semana e faixa de horário no fuso da loja,
+// pedido mínimo em itens (`valorMinimo`) e usos por cliente (`limitePorCliente`).
+// O desconto total nunca passa do valor dos itens; a taxa de entrega não tem desconto.
+
+const TIPOS_PROMOCAO = ['percentual', 'valor_fixo', 'brinde'];
+const HORARIO = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const CODIGO = /^[A-Z0-9_-]{3,20}$/;
+
+const arredondar = valor => Math.round(valor * 100) / 100;
+
+function normalizeCoupon(codigo) {
+  return (codigo || '').toString().trim().toUpperCase().replace(/\s+/g, '');
+}
+
+function minutosDoHorario(horario) {
+  const [horas, minutos] = horario.split(':').map(Number);
+  return horas * 60 + minutos;
+}
+
+// Cupom citado na mensagem ("cupom PIZZA10", "código de desconto: FRETE5") ou um código
+// ativo escrito sozinho. Palavras soltas depois de "cupom" ("o cupom não funcionou")
+// só contam quando são um código ativo ou têm algum número
+function extractCouponCode(mensagem, codigosAtivos = []) {
+  const ativos = codigosAtivos.map(normalizeCoupon);
+  const texto = normalizeText(mensagem);
+
+  const explicito = /\b(cupom|cupon|codigo|voucher)(\s+de\s+desconto)?(?:\s+e)?\s*:?\s*([a-z0-9][a-z0-9_-]{2,19})\b/.exec(texto);
+  if (explicito) {
+    const codigo = normalizeCoupon(explicito[3]);
+    // Código desconhecido só depois de "cupom"/"voucher": "codigo: 4589 no portão" é o do portão
+    const pedeDesconto = explicito[1] !== 'codigo' || Boolean(explicito[2]);
+    if (ativos.includes(codigo) || (pedeDesconto && /\d/.test(codigo))) {
+      return codigo;
+    }
+  }
+
+  // Sem "cupom" antes, só a mensagem inteira: o código PIZZA não pode casar com "quero uma pizza"
+  const sozinho = texto.replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+  const codigo = normalizeCoupon(sozinho);
+  return /^[a-z0-9_-]+$/.test(sozinho) && ativos.includes(codigo) ? codigo : null;
+}
+
+// A promoção vale neste momento (ativa, dentro do período, do dia e do horário)?
+function isPromotionActive(promocao, agora = new Date(), timezone = TIMEZONE_PADRAO) {
+  if (!promocao || promocao.ativo === false) return false;
+  if (promocao.inicio && agora < new Date(promocao.inicio)) return false;
+  if (promocao.fim && agora > new Date(promocao.fim)) return false;
+
+  const local = localTime(agora, timezone);
+  if (promocao.diasSemana && promocao.diasSemana.length > 0 && !promocao.diasSemana.includes(local.diaSemana)) {
+    return false;
+  }
+
+  if (promocao.horaInicio && promocao.horaFim) {
+    const inicio = minutosDoHorario(promocao.horaInicio);
+    const fim = minutosDoHorario(promocao.horaFim);
+    // Faixas que passam da meia-noite (ex: 22:00 às 02:00)
+    const dentro = inicio <= fim
+      ? local.minutos >= inicio && local.minutos < fim
+      : local.minutos >= inicio || local.minutos < fim;
+    if (!dentro) return false;
+  }
+
+  return true;
+}
+
+// Item do cardápio de um item do pedido (pelo id, pelo identificador ou pelo primeiro sabor)
+function itemDoCardapio(item, cardapioItems) {
+  const referencia = item.sabores && item.sabores.length > 0 ? item.sabores[0] : item;
+  return cardapioItems.find(c =>
+    (referencia.cardapioItem && String(c._id) === String(referencia.cardapioItem)) ||
+    (referencia.identificador && c.identificador === referencia.identificador)
+  ) || null;
+}
+
+function noEscopo(promocao, item, cardapioItems) {
+  if (!promocao.categorias || promocao.categorias.length === 0) return true;
+  const cardapio = itemDoCardapio(item, cardapioItems);
+  if (!cardapio) return false;
+  const categoria = normalizeText(cardapio.categoria);
+  return promocao.categorias.some(nome => normalizeText(nome) === categoria);
+}
+
+const ehBrinde = (promocao, item) => promocao.tipo === 'brinde' && !!promocao.brinde && item.identificador === promocao.brinde;
+const valorItens = items => items.reduce((soma, item) => soma + parseFloat(item.preco) * (item.quantidade || 1), 0);
+const quantidadeItens = items => items.reduce((soma, item) => soma + (item.quantidade || 1), 0);
+
+// Preço do brinde no cardápio (o primeiro tamanho, quando houver)
+function itemBrinde(promocao, cardapioItems) {
+  const cardapio = cardapioItems.find(c => c.identificador === promocao.brinde);
+  if (!cardapio || cardapio.disponivel === false) return null;
+
+  const tamanho = cardapio.tamanhos && cardapio.tamanhos.length > 0 ? cardapio.tamanhos[0] : null;
+  const item = {
+    nome: cardapio.nome,
+    cardapioItem: cardapio._id,
+    identificador: cardapio.identificador,
+    quantidade: 1,
+    preco: tamanho ? tamanho.preco : cardapio.preco
+  };
+  if (tamanho) item.tamanho = tamanho.nome;
+  return item;
+}
+
+// Desconto de uma promoção sobre os itens. Brindes que faltam no pedido são incluídos
+// em `items`. Devolve { valor, items } ou { motivo } quando não se aplica
+function calcularDesconto(promocao, items, cardapioItems) {
+  const elegiveis = items.filter(item => !ehBrinde(promocao, item) && noEscopo(promocao, item, cardapioItems));
+  if (elegiveis.length === 0) {
+    return { motivo: 'sem_itens' };
+  }
+
+  if (promocao.tipo === 'percentual') {
+    return { valor: arredondar(valorItens(elegiveis) * promocao.valor / 100), items };
+  }
+
+  if (promocao.tipo === 'valor_fixo') {
+    return { valor: arredondar(Math.min(promocao.valor, valorItens(elegiveis))), items };
+  }
+
+  const brindes = Math.floor(quantidadeItens(elegiveis) / (promocao.quantidadeMinima || 1));
+  const modelo = itemBrinde(promocao, cardapioItems);
+  if (brindes === 0 || !modelo) {
+    return { motivo: brindes === 0 ? 'quantidade_minima' : 'brinde_indisponivel' };
+  }
+
+  let atualizados = items;
+  const noPedido = items.filter(item => ehBrinde(promocao, item));
+  const faltando = brindes - quantidadeItens(noPedido);
+  if (faltando > 0) {
+    atualizados = [...items, { ...modelo, quantidade: faltando }];
+  }
+
+  // Os brindes mais baratos do pedido saem de graça
+  const precos = atualizados
+    .filter(item => ehBrinde(promocao, item))
+    .flatMap(item => Array(item.quantidade || 1).fill(parseFloat(item.preco)))
+    .sort((a, b) => a - b)
+    .slice(0, brindes);
+
+  return { valor: arredondar(precos.reduce((soma, preco) => soma + preco, 0)), items: atualizados };
+}
+
+// Aplicar as promoções automáticas e o cupom da conversa aos itens do pedido.
+// `usos`: Map id da promoção => pedidos do cliente que já a usaram.
+// Devolve { items, descontos: [{ promocao, nome, codigo, tipo, valor }], cupom }, com
+// cupom = { codigo, aplicado, motivo?, promocao? } quando a conversa tem um cupom
+function applyPromotions({ promocoes, cupom, items, cardapioItems, usos = new Map(), agora = new Date(), timezone = TIMEZONE_PADRAO }) {
+  const codigo = normalizeCoupon(cupom);
+  const subtotal = valorItens(items);
+  let atualizados = items;
+  const descontos = [];
+  let resultadoCupom = codigo ? { codigo, aplicado: false, motivo: 'invalido' } : null;
+
+  const candidatas = promocoes.filter(promocao => !promocao.codigo || normalizeCoupon(promocao.codigo) === codigo);
+
+  candidatas.forEach(promocao => {
+    const doCupom = !!promocao.codigo;
+    const recusar = motivo => {
+      if (doCupom) resultadoCupom = { codigo, aplicado: false, motivo, promocao };
+    };
+
+    if (!isPromotionActive(promocao, agora, timezone)) return recusar('fora_do_periodo');
+    if (promocao.valorMinimo && subtotal < promocao.valorMinimo) return recusar('valor_minimo');
+    if (promocao.limitePorCliente && (usos.get(String(promocao._id)) || 0) >= promocao.limitePorCliente) {
+      return recusar('limite');
+    }
+
+    const resultado = calcularDesconto(promocao, atualizados, cardapioItems);
+    if (resultado.motivo) return recusar(resultado.motivo);
+
+    // O desconto total não passa do valor dos itens
+    const jaDescontado = descontos.reduce((soma, desconto) => soma + desconto.valor, 0);
+    const valor = arredondar(Math.min(resultado.valor, valorItens(resultado.items) - jaDescontado));
+    if (valor <= 0) return recusar('sem_itens');
+
+    atualizados = resultado.items;
+    descontos.push({
+      promocao: promocao._id,
+      nome: promocao.nome,
+      codigo: promocao.codigo || undefined,
+      tipo: promocao.tipo,
+      valor
+    });
+    if (doCupom) resultadoCupom = { codigo, aplicado: true, promocao };
+  });
+
+  return { items: atualizados, descontos, cupom: resultadoCupom };
+}
+
+// Explicação para o cliente de um cupom que não foi aplicado
+function couponMessage(cupom) {
+  const { codigo, motivo, promocao } = cupom;
+  switch (motivo) {
+    case 'fora_do_periodo':
+      return `O cupom *${codigo}* não vale neste horário.`;
+    case 'valor_minimo':
+      return `O cupom *${codigo}* vale para pedidos a partir de R$ ${promocao.valorMinimo.toFixed(2)} em itens.`;
+    case 'limite':
+      return `Você já usou o cupom *${codigo}* o número máximo de vezes.`;
+    case 'sem_itens':
+      return `O cupom *${codigo}* vale só para ${(promocao.categorias || []).join(', ') || 'outros itens'}.`;
+    case 'quantidade_minima':
+      return `O cupom *${codigo}* vale a partir de ${promocao.quantidadeMinima} itens${promocao.categorias && promocao.categorias.length > 0 ? ` de ${promocao.categorias.join(', ')}` : ''}.`;
+    case 'brinde_indisponivel':
+      return `O brinde do cupom *${codigo}* não está disponível hoje.`;
+    default:
+      return `Não encontrei o cupom *${codigo}*.`;
+  }
+}
+
+// Promoções automáticas valendo agora, uma por linha, para o prompt (o brinde pelo nome no cardápio)
+function describePromotions(promocoes, agora = new Date(), timezone = TIMEZONE_PADRAO, cardapioItems = []) {
+  return promocoes
+    .filter(promocao => !promocao.codigo && isPromotionActive(promocao, agora, timezone))
+    .map(promocao => {
+      const escopo = promocao.categorias && promocao.categorias.length > 0 ? ` em ${promocao.categorias.join(', ')}` : '';
+      let regra;
+      if (promocao.tipo === 'percentual') regra = `${promocao.valor}% de desconto${escopo}`;
+      else if (promocao.tipo === 'valor_fixo') regra = `R$ ${promocao.valor.toFixed(2)} de desconto${escopo}`;
+      else {
+        const brinde = cardapioItems.find(item => item.identificador === promocao.brinde);
+        regra = `a cada ${promocao.quantidadeMinima} itens${escopo}, ganhe ${brinde ? brinde.nome : promocao.brinde}`;
+      }
+
+      const minimo = promocao.valorMinimo ? ` (pedido mínimo de R$ ${promocao.valorMinimo.toFixed(2)})` : '';
+      return `- ${promocao.nome}: ${regra}${minimo}${promocao.descricao ? `. ${promocao.descricao}` : ''}`;
+    })
+    .join('\n');
+}
+
+// Campos aceitos na criação/edição, já normalizados
+function sanitizePromotion(dados) {
+  const campos = [
+    'nome', 'descricao', 'codigo', 'tipo', 'valor', 'categorias', 'quantidadeMinima', 'brinde',
+    'inicio', 'fim', 'diasSemana', 'horaInicio', 'horaFim', 'limitePorCliente', 'valorMinimo', 'ativo'
+  ];
+  const promocao = {};
+  campos.forEach(campo => {
+    if (dados[campo] !== undefined) promocao[campo] = dados[campo];
+  });
+
+  if (typeof promocao.codigo === 'string') {
+    promocao.codigo = normalizeCoupon(promocao.codigo) || undefined;
+  }
+  if (typeof promocao.nome === 'string') {
+    promocao.nome = promocao.nome.trim();
+  }
+  return promocao;
+}
+
+// Validar uma promoção completa; devolve a lista de erros (vazia quando válida)
+function validatePromotion(promocao) {
+  const erros = [];
+  const numero = valor => typeof valor === 'number' && Number.isFinite(valor);
+
+  if (!promocao.nome || typeof promocao.nome !== 'string') erros.push('Nome da promoção é obrigatório');
+  if (!TIPOS_PROMOCAO.includes(promocao.tipo)) erros.push(`Tipo inválido (use ${TIPOS_PROMOCAO.join(', ')})`);
+
+  if (promocao.tipo === 'percentual' && !(numero(promocao.valor) && promocao.valor > 0 && promocao.valor <= 100)) {
+    erros.push('Percentual deve estar entre 0 e 100');
+  }
+  if (promocao.tipo === 'valor_fixo' && !(numero(promocao.valor) && promocao.valor > 0)) {
+    erros.push('Valor do desconto deve ser maior que zero');
+  }
+  if (promocao.tipo === 'brinde') {
+    if (!promocao.brinde || typeof promocao.brinde !== 'string') erros.push('Informe o identificador do item de brinde');
+    if (!(Number.isInteger(promocao.quantidadeMinima) && promocao.quantidadeMinima >= 1)) {
+      erros.push('Quantidade mínima para o brinde deve ser um número inteiro a partir de 1');
+    }
+  }
+
+  if (promocao.codigo !== undefined && promocao.codigo !== null && !CODIGO.test(promocao.codigo)) {
+    erros.push('Cupom deve ter de 3 a 20 letras, números, "-" ou "_"');
+  }
+  if (promocao.categorias !== undefined && !(Array.isArray(promocao.categorias) && promocao.categorias.every(c => typeof c === 'string'))) {
+    erros.push('Categorias devem ser uma lista de nomes');
+  }
+
+  ['inicio', 'fim'].forEach(campo => {
+    if (promocao[campo] && isNaN(new Date(promocao[campo]).getTime())) erros.push(`Data de ${campo} inválida`);
+  });
+  if (promocao.inicio && promocao.fim && new Date(promocao.inicio) > new Date(promocao.fim)) {
+    erros.push('O início deve ser antes do fim');
+  }
+
+  if (promocao.diasSemana !== undefined &&
+    !(Array.isArray(promocao.diasSemana) && promocao.diasSemana.every(dia => Number.isInteger(dia) && dia >= 0 && dia <= 6))) {
+    erros.push('Dias da semana devem ser números de 0 (domingo) a 6 (sábado)');
+  }
+
+  const temInicio = !!promocao.horaInicio;
+  const temFim = !!promocao.horaFim;
+  if (temInicio !== temFim) {
+    erros.push('Informe o horário de início e de fim');
+  } else if (temInicio && !(HORARIO.test(promocao.horaInicio) && HORARIO.test(promocao.horaFim))) {
+    erros.push('Horários devem estar no formato HH:MM');
+  }
+
+  if (promocao.limitePorCliente !== undefined && promocao.limitePorCliente !== null &&
+    !(Number.isInteger(promocao.limitePorCliente) && promocao.limitePorCliente >= 1)) {
+    erros.push('Limite por cliente deve ser um número inteiro a partir de 1');
+  }
+  if (promocao.valorMinimo !== undefined && promocao.valorMinimo !== null && !(numero(promocao.valorMinimo) && promocao.valorMinimo >= 0)) {
+    erros.push('Pedido mínimo inválido');
+  }
+
+  return erros;
+}
+
+module.exports = {
+  TIPOS_PROMOCAO,
+  normalizeCoupon,
+  extractCouponCode,
+  isPromotionActive,
+  applyPromotions,
+  couponMessage,
+  describePromotions,
+  sanitizePromotion,
+  validatePromotion
+};
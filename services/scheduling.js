@@ -0,0 +1,160 @@
+const { localTime, somarDias, instanteLocal, intervalsForDate, normalizeOpeningHours } = require('./openingHours');
+
+// ======== AGENDAMENTO DE ENTREGAS ==========
+// Horários de entrega que o cliente pode escolher: a cada `intervaloMinutos`,
+// dentro do horário de funcionamento (com o preparo começando com a loja aberta),
+// a partir do prazo de entrega e até `diasAntecedencia` dias à frente. Cada
+// horário aceita até `capacidadePorHorario` pedidos.
+//
+// Pedidos agendados ficam com status "Agendado" e são liberados para a cozinha
+// pelo job (createReleaseJob) quando faltar o prazo de entrega para o horário.
+
+const DEFAULT_SCHEDULING = {
+  ativo: true,
+  intervaloMinutos: 30,
+  capacidadePorHorario: 5,
+  diasAntecedencia: 7
+};
+
+const MINUTOS_DIA = 24 * 60;
+
+function mergeSchedulingConfig(config) {
+  const obj = config && typeof config.toObject === 'function' ? config.toObject() : (config || {});
+  const definidos = Object.fromEntries(Object.entries(obj).filter(([, valor]) => valor !== undefined && valor !== null));
+  return { ...DEFAULT_SCHEDULING, ...definidos };
+}
+
+// Início do horário (slot) que contém o instante
+function slotStart(instante, intervaloMinutos, timezone) {
+  const local = localTime(instante, timezone);
+  return instanteLocal(local.data, Math.floor(local.minutos / intervaloMinutos) * intervaloMinutos, timezone);
+}
+
+// Horários de entrega de uma data local ('AAAA-MM-DD'), sem considerar ocupação
+function daySlots(horario, data, { prazoMinutos, intervaloMinutos }) {
+  const calendario = normalizeOpeningHours(horario);
+  const intervalos = calendario.configurado
+    ? intervalsForDate(calendario, data)
+    : [{ inicio: 0, fim: MINUTOS_DIA }];
+
+  const horarios = [];
+  intervalos.forEach(({ inicio, fim }) => {
+    // O preparo começa depois da abertura; a entrega acontece até o fechamento
+    const primeiro = Math.ceil((inicio + prazoMinutos) / intervaloMinutos) * intervaloMinutos;
+    for (let minutos = primeiro; minutos <= fim; minutos += intervaloMinutos) {
+      if (!calendario.configurado && minutos >= MINUTOS_DIA) break;
+      horarios.push(instanteLocal(data, minutos, calendario.timezone));
+    }
+  });
+
+  return horarios;
+}
+
+// Horários a partir de `desde`, com as vagas restantes; `ocupacao` conta os pedidos por
+// início de horário (Map ISO => quantidade)
+function listSlots({ horario, agendamento, prazoMinutos, ocupacao = new Map(), agora = new Date(), desde = agora, dias = 1 }) {
+  const config = mergeSchedulingConfig(agendamento);
+  const calendario = normalizeOpeningHours(horario);
+  const minimo = new Date(agora.getTime() + prazoMinutos * 60000);
+  const maximo = new Date(agora.getTime() + config.diasAntecedencia * MINUTOS_DIA * 60000);
+  const primeiroDia = localTime(desde, calendario.timezone).data;
+
+  const horarios = [];
+  // Começa no dia anterior: intervalos que passam da meia-noite
+  for (let i = -1; i < dias; i++) {
+    daySlots(calendario, somarDias(primeiroDia, i), { prazoMinutos, intervaloMinutos: config.intervaloMinutos })
+      .filter(slot => slot >= desde && slot >= minimo && slot <= maximo)
+      .forEach(slot => {
+        const ocupados = ocupacao.get(slot.toISOString()) || 0;
+        horarios.push({ horario: slot, ocupados, vagas: Math.max(0, config.capacidadePorHorario - ocupados) });
+      });
+  }
+
+  return horarios.sort((a, b) => a.horario - b.horario);
+}
+
+// Conferir o horário pedido pelo cliente. Devolve { disponivel, horario } ou
+// { disponivel: false, motivo, sugestoes } com os próximos horários livres
+function checkSlot({ instante, horario, agendamento, prazoMinutos, ocupacao = new Map(), agora = new Date(), quantidadeSugestoes = 3 }) {
+  const config = mergeSchedulingConfig(agendamento);
+  const calendario = normalizeOpeningHours(horario);
+  const livres = desde => listSlots({ horario: calendario, agendamento: config, prazoMinutos, ocupacao, agora, desde, dias: config.diasAntecedencia + 1 })
+    .filter(slot => slot.vagas > 0)
+    .map(slot => slot.horario);
+
+  // Próximos horários livres depois do pedido (ou, se não houver, os primeiros a partir de agora)
+  const sugerir = () => {
+    const depois = livres(instante);
+    return (depois.length > 0 ? depois : livres(agora)).slice(0, quantidadeSugestoes);
+  };
+
+  if (!config.ativo) {
+    return { disponivel: false, motivo: 'desativado', sugestoes: [] };
+  }
+
+  if (instante < new Date(agora.getTime() + prazoMinutos * 60000)) {
+    return { disponivel: false, motivo: 'antecedencia', sugestoes: sugerir() };
+  }
+
+  if (instante > new Date(agora.getTime() + config.diasAntecedencia * MINUTOS_DIA * 60000)) {
+    return { disponivel: false, motivo: 'distante', sugestoes: [] };
+  }
+
+  const inicio = slotStart(instante, config.intervaloMinutos, calendario.timezone);
+  const local = localTime(inicio, calendario.timezone);
+  const validos = [somarDias(local.data, -1), local.data]
+    .flatMap(data => daySlots(calendario, data, { prazoMinutos, intervaloMinutos: config.intervaloMinutos }));
+
+  if (!validos.some(slot => slot.getTime() === inicio.getTime())) {
+    return { disponivel: false, motivo: 'fora_do_horario', sugestoes: sugerir() };
+  }
+
+  if ((ocupacao.get(inicio.toISOString()) || 0) >= config.capacidadePorHorario) {
+    return { disponivel: false, motivo: 'lotado', sugestoes: sugerir() };
+  }
+
+  return { disponivel: true, horario: instante, slot: inicio };
+}
+
+// Job periódico que executa `run` sem sobreposição (um ciclo por vez)
+function createReleaseJob({ run, intervalMs = 60000 }) {
+  let timer = null;
+  let executando = null;
+
+  async function runNow() {
+    if (executando) return executando;
+    executando = Promise.resolve()
+      .then(run)
+      .catch(error => console.error('Erro ao liberar pedidos agendados:', error))
+      .finally(() => {
+        executando = null;
+      });
+    return executando;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(runNow, intervalMs);
+      if (typeof timer.unref === 'function') timer.unref();
+      runNow();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    runNow
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULING,
+  mergeSchedulingConfig,
+  slotStart,
+  daySlots,
+  listSlots,
+  checkSlot,
+  createReleaseJob
+};
@@ -0,0 +1,34 @@
+// ======== SERVER-SENT EVENTS ==========
+// Streams usados pelo chat web e pelo painel da cozinha.
+
+const KEEPALIVE_MS = 25000;
+
+// Preparar a resposta HTTP como um stream; devolve a função enviar(evento, dados)
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (evento, dados) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+    }
+  };
+}
+
+// Comentários periódicos para proxies não encerrarem um stream ocioso;
+// o intervalo é limpo quando o cliente se desconecta
+function keepStreamAlive(req, res, intervaloMs = KEEPALIVE_MS) {
+  const timer = setInterval(() => res.write(': ping\n\n'), intervaloMs);
+  req.on('close', () => clearInterval(timer));
+  return timer;
+}
+
+module.exports = {
+  openEventStream,
+  keepStreamAlive
+};
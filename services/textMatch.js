@@ -0,0 +1,78 @@
+// ======== COMPARAÇÃO DE TEXTOS ==========
+// Funções para comparar nomes digitados pelo cliente (ou escritos pelo LLM)
+// com os nomes do cardápio, ignorando acentos, maiúsculas e pequenos erros.
+
+// Normalizar texto para comparação sem acentos e maiúsculas ("São Paulo" == "sao paulo")
+function normalizeText(texto) {
+  return (texto || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+// Distância de edição entre duas palavras (inserções, remoções, trocas e
+// letras vizinhas invertidas, como "amazonsa" => "amazonas")
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let antesDoAnterior = null;
+  let anterior = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const atual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+      atual[j] = Math.min(atual[j - 1] + 1, anterior[j] + 1, anterior[j - 1] + custo);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        atual[j] = Math.min(atual[j], antesDoAnterior[j - 2] + 1);
+      }
+    }
+    antesDoAnterior = anterior;
+    anterior = atual;
+  }
+
+  return anterior[b.length];
+}
+
+// Similaridade entre 0 e 1 (1 = textos iguais após normalização)
+function similarity(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  const maior = Math.max(x.length, y.length);
+
+  if (maior === 0) return 1;
+  return 1 - levenshtein(x, y) / maior;
+}
+
+// Encontrar o candidato mais parecido com o texto
+// `getKeys` retorna os textos de cada candidato (ex: nome e apelidos)
+function findBestMatch(texto, candidatos, getKeys, minSimilarity = 0.8) {
+  let melhor = null;
+  let melhorScore = 0;
+
+  candidatos.forEach(candidato => {
+    getKeys(candidato).forEach(chave => {
+      if (!chave) return;
+
+      const score = similarity(texto, chave);
+      if (score > melhorScore) {
+        melhorScore = score;
+        melhor = candidato;
+      }
+    });
+  });
+
+  return melhorScore >= minSimilarity ? { item: melhor, score: melhorScore } : null;
+}
+
+module.exports = {
+  normalizeText,
+  levenshtein,
+  similarity,
+  findBestMatch
+};
@@ -0,0 +1,207 @@
+const { normalizeText } = require('./textMatch');
+const { TIMEZONE_PADRAO, localTime, somarDias, instanteLocal } = require('./openingHours');
+
+// ======== HORÁRIOS EM LINGUAGEM NATURAL ==========
+// Reconhece o horário de entrega pedido pelo cliente: "daqui a uma hora",
+// "em 40 minutos", "às 20h", "20h30", "sábado às 19h", "amanhã às 8 da noite",
+// "dia 25 às 19:30". Os horários são interpretados no fuso da loja.
+//
+// Sem período ("às 8") horas de 1 a 11 são lidas como da noite/tarde, o
+// horário de uma pizzaria; "da manhã" mantém a hora como está.
+//
+// "às/pras N" sem mais nada também é frase de pedido ("quero as duas", "vou querer
+// as 2"): só vale direto com uma pista de agendamento (entregar, para, horário,
+// hoje/amanhã, dia da semana, período); sem pista o horário volta com `confirmar`.
+// "N horas" também: só é horário depois de preposição ou pista ("às 20h", "entrega
+// 20h"); depois de "demora", "leva", "mais de" é duração e não vira horário.
+
+const NUMEROS = {
+  um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5, seis: 6, sete: 7, oito: 8,
+  nove: 9, dez: 10, onze: 11, doze: 12, quinze: 15, vinte: 20, trinta: 30, quarenta: 40
+};
+
+const DIAS_SEMANA = {
+  domingo: 0, segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6
+};
+
+const PALAVRA_NUMERO = Object.keys(NUMEROS).join('|');
+
+// "daqui a uma hora", "daqui 2 horas e meia", "em 40 minutos", "daqui a meia hora"
+const RELATIVO = new RegExp(
+  `\\b(?:daqui\\s+(?:a\\s+)?|em\\s+)(meia|\\d{1,3}|${PALAVRA_NUMERO})\\s+(hora|horas|minuto|minutos|min)\\b(\\s+e\\s+meia)?`
+);
+
+// "20:30", "20h30", "20h", "20 horas" ("1h de espera" é duração, não horário)
+const HORA_EXPLICITA = /\b([01]?\d|2[0-3])\s*(?::|h)\s*([0-5]\d)\b|\b([01]?\d|2[0-3])\s*(?:h|horas?)\b(?!\s+de\s+(?:espera|atraso|demora|antecedencia))/;
+
+// "N h" logo depois de uma preposição ou pista ("às 20h", "entrega 20h", "para as 20 horas")
+const ANTES_HORA_CHEIA = /\b(?:as|pras|pelas|ate(?:\s+as)?|para(?:\s+as)?|pra|entreg\w*|cheg\w*|agend\w*|hoje|amanha)\s*$/;
+
+// "demora 1 hora?", "leva 2 horas pra entregar?", "não pode demorar mais de 1 hora"
+const DURACAO = /\b(?:demor\w*|lev\w*|dur\w*|tempo|espera\w*|mais\s+de|menos\s+de|cerca\s+de|quase|umas?)\s+(?:\w+\s+){0,2}$/;
+
+// "às 8", "pras sete", "lá pelas 9 e meia" (só quando a frase termina ou segue um período)
+const HORA_APOS_PREPOSICAO = new RegExp(
+  `\\b(as|pras|pelas|ate as)\\s+(\\d{1,2}|${PALAVRA_NUMERO})(?=\\s*(?:$|[,.!?;]|e\\s+meia|da\\s+(?:manha|tarde|noite)|\\s+(?:hoje|amanha|de\\s|no\\s|na\\s)))`
+);
+
+// Pistas de que "às N" é mesmo um horário de entrega
+const PISTA_AGENDAMENTO = new RegExp(
+  `\\b(?:entreg\\w*|cheg\\w*|agend\\w*|para|pra|horario|hoje|amanha|${Object.keys(DIAS_SEMANA).join('|')}|da\\s+(?:manha|tarde|noite))\\b`
+);
+
+const PERIODO = /\bda\s+(manha|tarde|noite)\b/;
+
+function paraNumero(valor) {
+  if (/^\d+$/.test(valor)) return parseInt(valor, 10);
+  return NUMEROS[valor];
+}
+
+function horarioRelativo(texto, agora) {
+  const match = RELATIVO.exec(texto);
+  if (!match) return null;
+
+  const quantidade = match[1] === 'meia' ? 0.5 : paraNumero(match[1]);
+  const emHoras = match[2].startsWith('hora');
+  let minutos = emHoras ? quantidade * 60 : quantidade;
+  if (match[3] && emHoras) minutos += 30;
+
+  return new Date(agora.getTime() + Math.round(minutos) * 60000);
+}
+
+// Hora do dia { minutos, confirmar }, ou null quando a frase não tem horário.
+// `confirmar`: "às N" sem pista de agendamento, que pode ser só o pedido ("quero as duas")
+function horaDoDia(texto) {
+  if (/\bmeio[\s-]dia\b/.test(texto)) return { minutos: 12 * 60 + (/\bmeio[\s-]dia\s+e\s+meia\b/.test(texto) ? 30 : 0), confirmar: false };
+  if (/\bmeia[\s-]noite\b/.test(texto)) return { minutos: 0, confirmar: false };
+
+  let hora = null;
+  let minutos = 0;
+  let confirmar = false;
+
+  const explicita = HORA_EXPLICITA.exec(texto);
+  if (explicita) {
+    if (explicita[1] !== undefined) {
+      hora = parseInt(explicita[1], 10);
+      minutos = parseInt(explicita[2], 10);
+    } else {
+      // "N horas" também é duração: só vale direto depois de preposição ou pista
+      const antes = texto.slice(0, explicita.index);
+      if (DURACAO.test(antes)) return null;
+      hora = parseInt(explicita[3], 10);
+      confirmar = !ANTES_HORA_CHEIA.test(antes);
+    }
+  } else {
+    const preposicao = HORA_APOS_PREPOSICAO.exec(texto);
+    if (!preposicao) return null;
+    hora = paraNumero(preposicao[2]);
+    if (hora === undefined || hora > 23) return null;
+    // "lá pelas 9" e "até as 9" já falam de horário; "as 9" e "pras 9" precisam de pista
+    confirmar = ['as', 'pras'].includes(preposicao[1]) && !PISTA_AGENDAMENTO.test(texto);
+  }
+
+  if (minutos === 0 && /\be\s+meia\b/.test(texto)) {
+    minutos = 30;
+  }
+
+  const periodo = PERIODO.exec(texto);
+  if (periodo) {
+    if (periodo[1] !== 'manha' && hora < 12) hora += 12;
+  } else if (hora >= 1 && hora <= 11) {
+    hora += 12;
+  }
+
+  return { minutos: hora * 60 + minutos, confirmar };
+}
+
+// Data local pedida ("amanhã", "sábado", "dia 25", "25/10"), ou null
+function diaPedido(texto, hoje, diaSemanaHoje) {
+  if (/\bdepois\s+de\s+amanha\b/.test(texto)) return { data: somarDias(hoje, 2), explicito: true };
+  if (/\bamanha\b/.test(texto)) return { data: somarDias(hoje, 1), explicito: true };
+  if (/\bhoje\b/.test(texto)) return { data: hoje, explicito: true };
+
+  const dataCompleta = /\b(\d{1,2})\/(\d{1,2})\b/.exec(texto);
+  const diaDoMes = dataCompleta ? null : /\bdia\s+(\d{1,2})\b/.exec(texto);
+  if (dataCompleta || diaDoMes) {
+    const [ano, mesAtual] = hoje.split('-').map(Number);
+    const dia = parseInt((dataCompleta || diaDoMes)[1], 10);
+    let mes = dataCompleta ? parseInt(dataCompleta[2], 10) : mesAtual;
+    let anoPedido = ano;
+
+    let data = `${anoPedido}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+    if (data < hoje) {
+      // Já passou: mesmo dia no próximo mês (ou ano, quando o mês foi informado)
+      if (dataCompleta) {
+        anoPedido++;
+      } else if (++mes > 12) {
+        mes = 1;
+        anoPedido++;
+      }
+      data = `${anoPedido}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+    }
+
+    // Datas inexistentes (31/02) são descartadas
+    return somarDias(data, 0) === data ? { data, explicito: true } : null;
+  }
+
+  const nomeDia = Object.keys(DIAS_SEMANA).find(dia => new RegExp(`\\b${dia}(?:-feira)?\\b`).test(texto));
+  if (nomeDia) {
+    const diferenca = (DIAS_SEMANA[nomeDia] - diaSemanaHoje + 7) % 7;
+    return { data: somarDias(hoje, diferenca), explicito: true, semanal: true };
+  }
+
+  return null;
+}
+
+// Horário de entrega pedido na mensagem, ou null
+function parseDeliveryTime(mensagem, agora = new Date(), timezone = TIMEZONE_PADRAO) {
+  const texto = normalizeText(mensagem);
+
+  const relativo = horarioRelativo(texto, agora);
+  if (relativo) {
+    return { data: relativo, relativo: true };
+  }
+
+  const hora = horaDoDia(texto);
+  if (hora === null) {
+    return null;
+  }
+  const { minutos, confirmar } = hora;
+
+  const local = localTime(agora, timezone);
+  const dia = diaPedido(texto, local.data, local.diaSemana) || { data: local.data, explicito: false };
+  let data = instanteLocal(dia.data, minutos, timezone);
+
+  // Horário que já passou: sem dia informado vale amanhã; "sábado" vale o próximo sábado
+  if (data <= agora && (!dia.explicito || dia.semanal)) {
+    data = instanteLocal(somarDias(dia.data, dia.semanal ? 7 : 1), minutos, timezone);
+  }
+
+  return { data, relativo: false, confirmar };
+}
+
+// Mensagens sobre o horário da loja ("vocês abrem às 18h?") não são pedidos de agendamento
+function isOpeningHoursQuestion(mensagem) {
+  return /\b(abre|abrem|abrir|fecha|fecham|fechar|funciona|funcionam|aberto|aberta|abertos|fechado|fechada)\b/
+    .test(normalizeText(mensagem));
+}
+
+// "o quanto antes", "pode ser agora", "cancela o agendamento"
+function isAsapRequest(mensagem) {
+  return /\b(o\s+quanto\s+antes|assim\s+que\s+(possivel|der)|pode\s+ser\s+agora|agora\s+mesmo|sem\s+agendamento|cancela\w*\s+o\s+agendamento)\b/
+    .test(normalizeText(mensagem));
+}
+
+// "sim", "isso", "pode ser" em resposta a uma pergunta do atendimento
+function isAffirmative(mensagem) {
+  const texto = normalizeText(mensagem).replace(/[^a-z\s]/g, ' ').trim();
+  return /^(sim|isso|isso mesmo|pode ser|pode|confirmo|exato|claro|quero|certo|ok)\b/.test(texto) &&
+    !/\bnao\b/.test(texto) && texto.split(/\s+/).length <= 6;
+}
+
+module.exports = {
+  parseDeliveryTime,
+  isOpeningHoursQuestion,
+  isAsapRequest,
+  isAffirmative
+};
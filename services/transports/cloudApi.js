@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Transporte pela WhatsApp Business Cloud API (Meta). As mensagens chegam pelo
+// webhook (rotas em index.js) e saem pela Graph API em `apiUrl`, que pode apontar
+// para um servidor local nos testes.
+//
+// Os telefones seguem o formato do whatsapp-web.js ("5511999999999@c.us"), assim
+// as conversas e pedidos já salvos continuam valendo ao trocar de transporte.
+
+const DEFAULT_API_URL = 'https://graph.facebook.com/v19.0';
+
+function paraWaId(telefone) {
+  return String(telefone).replace(/@c\.us$/, '');
+}
+
+function deWaId(waId) {
+  return `${waId}@c.us`;
+}
+
+function createCloudApiTransport(config = {}) {
+  const apiUrl = (config.apiUrl || process.env.WHATSAPP_CLOUD_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+  const token = config.token || process.env.WHATSAPP_CLOUD_TOKEN;
+  const phoneNumberId = config.phoneNumberId || process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID;
+  const appSecret = config.appSecret || process.env.WHATSAPP_CLOUD_APP_SECRET;
+  const verifyToken = config.verifyToken || process.env.WHATSAPP_CLOUD_VERIFY_TOKEN;
+
+  const http = axios.create({
+    baseURL: apiUrl,
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: config.timeoutMs || 30000
+  });
+
+  let messageHandler = null;
+
+  async function enviar(para, conteudo) {
+    await http.post(`/${phoneNumberId}/messages`, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: paraWaId(para),
+      ...conteudo
+    });
+  }
+
+  // A Cloud API só envia mídia já hospedada na Meta: subir o arquivo e usar o id
+  async function uploadMedia(arquivo, mimetype, nomeArquivo) {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimetype);
+    form.append('file', arquivo, { filename: nomeArquivo, contentType: mimetype });
+
+    const response = await http.post(`/${phoneNumberId}/media`, form, { headers: form.getHeaders() });
+    return response.data.id;
+  }
+
+  async function downloadMedia(mediaId) {
+    const { data: info } = await http.get(`/${mediaId}`);
+    const response = await http.get(info.url, { responseType: 'arraybuffer', baseURL: '' });
+    return {
+      data: Buffer.from(response.data).toString('base64'),
+      mimetype: info.mime_type
+    };
+  }
+
+  async function normalizarMensagem(message, contatos = []) {
+    const contato = contatos.find(item => item.wa_id === message.from);
+    const mensagem = {
+      from: deWaId(message.from),
+      id: message.id,
+      type: message.type,
+      text: '',
+      contactName: contato && contato.profile ? contato.profile.name : undefined
+    };
+
+    switch (message.type) {
+      case 'text':
+        mensagem.text = message.text ? message.text.body : '';
+        break;
+      case 'interactive': {
+        // Respostas de botões e listas chegam como texto para o bot
+        const resposta = message.interactive && (message.interactive.button_reply || message.interactive.list_reply);
+        mensagem.type = 'text';
+        mensagem.text = resposta ? resposta.title : '';
+        break;
+      }
+      case 'audio':
+        mensagem.media = await downloadMedia(message.audio.id);
+        break;
+      default:
+        mensagem.text = (message[message.type] && message[message.type].caption) || '';
+    }
+
+    return mensagem;
+  }
+
+  return {
+    name: 'cloud-api',
+    requiresPairing: false,
+
+    isConfigured() {
+      return !!(token && phoneNumberId && appSecret);
+    },
+
+    async start() {
+      if (!this.isConfigured()) {
+        throw new Error('WhatsApp Cloud API não configurada (WHATSAPP_CLOUD_TOKEN, WHATSAPP_CLOUD_PHONE_NUMBER_ID e WHATSAPP_CLOUD_APP_SECRET)');
+      }
+    },
+
+    async sendText(para, texto) {
+      await enviar(para, { type: 'text', text: { preview_url: false, body: texto } });
+    },
+
+    async sendImage(para, imagem, legenda = '') {
+      const arquivo = imagem.path ? fs.createReadStream(imagem.path) : Buffer.from(imagem.data, 'base64');
+      const mimetype = imagem.mimetype || 'image/jpeg';
+      const nomeArquivo = imagem.path ? path.basename(imagem.path) : 'imagem.jpg';
+
+      const mediaId = await uploadMedia(arquivo, mimetype, nomeArquivo);
+      await enviar(para, { type: 'image', image: { id: mediaId, caption: legenda } });
+    },
+
+    async sendVoice(para, caminhoAudio) {
+      const mediaId = await uploadMedia(fs.createReadStream(caminhoAudio), 'audio/mpeg', path.basename(caminhoAudio));
+      await enviar(para, { type: 'audio', audio: { id: mediaId } });
+    },
+
+    onMessage(handler) {
+      messageHandler = handler;
+    },
+
+    // Verificação da assinatura da Meta ("X-Hub-Signature-256: sha256=<hmac>") sobre o corpo bruto
+    verifySignature(corpoBruto, assinatura) {
+      if (!appSecret || !corpoBruto || !assinatura || !assinatura.startsWith('sha256=')) {
+        return false;
+      }
+
+      const esperado = crypto.createHmac('sha256', appSecret).update(corpoBruto).digest('hex');
+      const recebido = assinatura.slice('sha256='.length);
+
+      return recebido.length === esperado.length &&
+        crypto.timingSafeEqual(Buffer.from(recebido, 'utf8'), Buffer.from(esperado, 'utf8'));
+    },
+
+    // Cadastro do webhook no painel da Meta: devolver o challenge se o token confere
+    verifySubscription(query) {
+      if (query['hub.mode'] === 'subscribe' && verifyToken && query['hub.verify_token'] === verifyToken) {
+        return query['hub.challenge'];
+      }
+      return null;
+    },
+
+    // Repassar ao bot as mensagens de um evento do webhook (status de entrega são ignorados)
+    async handleWebhook(evento) {
+      if (!evento || evento.object !== 'whatsapp_business_account') {
+        return 0;
+      }
+
+      // Cada mensagem acompanha os contatos (nome do perfil) do mesmo evento
+      const mensagens = [];
+      (evento.entry || []).forEach(entry => {
+        (entry.changes || []).forEach(change => {
+          if (change.field === 'messages' && change.value && change.value.messages) {
+            const contatos = change.value.contacts || [];
+            mensagens.push(...change.value.messages.map(message => ({ message, contatos })));
+          }
+        });
+      });
+
+      for (const { message, contatos } of mensagens) {
+        const mensagem = await normalizarMensagem(message, contatos);
+        if (messageHandler) {
+          await messageHandler(mensagem);
+        }
+      }
+
+      return mensagens.length;
+    }
+  };
+}
+
+module.exports = { createCloudApiTransport, DEFAULT_API_URL };
@@ -0,0 +1,40 @@
+const { createWhatsAppWebTransport } = require('./whatsappWeb');
+const { createCloudApiTransport } = require('./cloudApi');
+const { createTelegramTransport } = require('./telegram');
+const { createWebChatTransport } = require('./webChat');
+
+// ======== TRANSPORTES DE MENSAGENS ==========
+// Todo transporte implementa a mesma interface:
+//   start()                          => conecta (QR code, validação de credenciais...)
+//   sendText(para, texto)
+//   sendImage(para, imagem, legenda) => imagem: { path } ou { data (base64), mimetype }
+//   sendVoice(para, caminhoAudio)    => nota de voz a partir de um arquivo mp3
+//   onMessage(handler)               => handler({ from, id, type, text, media, contactName })
+//   name, requiresPairing
+//   handles(id)                      => opcional, o cliente (ex: "telegram:123") é deste transporte
+// Mensagens recebidas têm `type` 'text', 'audio' (com `media` em base64) ou o tipo
+// de mídia original ('image', 'video', 'document'...). `contactName` é o nome do
+// perfil do cliente no canal, quando disponível.
+// O WhatsApp é escolhido pela variável WHATSAPP_TRANSPORT (padrão: whatsapp-web);
+// o Telegram é ativado junto quando TELEGRAM_BOT_TOKEN está definido e o chat web
+// do site (rotas /api/webchat) está sempre disponível.
+
+const transports = {
+  'whatsapp-web': createWhatsAppWebTransport,
+  'cloud-api': createCloudApiTransport,
+  telegram: createTelegramTransport,
+  web: createWebChatTransport
+};
+
+function createTransport(nome, opcoes = {}) {
+  const criar = transports[nome];
+  if (!criar) {
+    throw new Error(`Transporte de mensagens desconhecido: ${nome}`);
+  }
+  return criar(opcoes);
+}
+
+module.exports = {
+  transports,
+  createTransport
+};
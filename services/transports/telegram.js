@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Transporte pela Telegram Bot API. Recebe por webhook (TELEGRAM_WEBHOOK_URL,
+// rota em index.js, exige TELEGRAM_WEBHOOK_SECRET) ou, sem webhook configurado,
+// por long polling (getUpdates).
+//
+// Os clientes são identificados como "telegram:<chat_id>", para que as conversas
+// e pedidos nunca se misturem com os telefones do WhatsApp.
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+const PREFIXO = 'telegram:';
+const POLLING_TIMEOUT_S = 30;
+
+function paraChatId(id) {
+  return String(id).slice(PREFIXO.length);
+}
+
+function createTelegramTransport(config = {}) {
+  const apiUrl = (config.apiUrl || process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+  const token = config.token || process.env.TELEGRAM_BOT_TOKEN;
+  const webhookUrl = config.webhookUrl || process.env.TELEGRAM_WEBHOOK_URL;
+  const webhookSecret = config.webhookSecret || process.env.TELEGRAM_WEBHOOK_SECRET;
+
+  const http = axios.create({ baseURL: `${apiUrl}/bot${token}`, timeout: config.timeoutMs || 30000 });
+
+  let messageHandler = null;
+  let polling = false;
+
+  async function chamar(metodo, dados, opcoes) {
+    const response = await http.post(`/${metodo}`, dados, opcoes);
+    if (!response.data || !response.data.ok) {
+      throw new Error(`Telegram ${metodo} falhou: ${response.data && response.data.description}`);
+    }
+    return response.data.result;
+  }
+
+  async function enviarArquivo(metodo, para, campo, arquivo, extras = {}) {
+    const form = new FormData();
+    form.append('chat_id', paraChatId(para));
+    Object.entries(extras).forEach(([chave, valor]) => form.append(chave, valor));
+    form.append(campo, arquivo.conteudo, { filename: arquivo.nome, contentType: arquivo.mimetype });
+
+    await chamar(metodo, form, { headers: form.getHeaders() });
+  }
+
+  async function downloadFile(fileId) {
+    const { file_path: filePath } = await chamar('getFile', { file_id: fileId });
+    const response = await axios.get(`${apiUrl}/file/bot${token}/${filePath}`, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data).toString('base64');
+  }
+
+  async function normalizarMensagem(message) {
+    const remetente = message.from || {};
+    const mensagem = {
+      from: `${PREFIXO}${message.chat.id}`,
+      id: String(message.message_id),
+      type: 'text',
+      text: '',
+      contactName: [remetente.first_name, remetente.last_name].filter(Boolean).join(' ') || undefined
+    };
+
+    if (message.text !== undefined) {
+      // /start abre uma conversa nova com a mensagem de boas-vindas
+      mensagem.text = message.text.trim() === '/start' ? 'novo pedido' : message.text;
+    } else if (message.voice || message.audio) {
+      const audio = message.voice || message.audio;
+      mensagem.type = 'audio';
+      mensagem.media = { data: await downloadFile(audio.file_id), mimetype: audio.mime_type || 'audio/ogg' };
+    } else if (message.photo) {
+      mensagem.type = 'image';
+      mensagem.text = message.caption || '';
+    } else {
+      mensagem.type = ['video', 'document', 'sticker', 'location', 'contact'].find(tipo => message[tipo]) || 'unknown';
+    }
+
+    return mensagem;
+  }
+
+  async function processarUpdate(update) {
+    const message = update.message;
+
+    // Apenas conversas privadas, como no WhatsApp (grupos são ignorados)
+    if (!message || !message.chat || message.chat.type !== 'private') {
+      return false;
+    }
+
+    const mensagem = await normalizarMensagem(message);
+    if (messageHandler) {
+      await messageHandler(mensagem);
+    }
+    return true;
+  }
+
+  async function loopPolling() {
+    let offset = 0;
+
+    while (polling) {
+      try {
+        const updates = await chamar('getUpdates', {
+          offset,
+          timeout: POLLING_TIMEOUT_S,
+          allowed_updates: ['message']
+        }, { timeout: (POLLING_TIMEOUT_S + 10) * 1000 });
+
+        for (const update of updates) {
+          offset = update.update_id + 1;
+
+          // Cada cliente é atendido em paralelo, como nos demais transportes
+          processarUpdate(update).catch(error => {
+            console.error('Erro ao processar mensagem do Telegram:', error);
+          });
+        }
+      } catch (error) {
+        console.error('Erro no long polling do Telegram:', error.message);
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      }
+    }
+  }
+
+  return {
+    name: 'telegram',
+    requiresPairing: false,
+
+    isConfigured() {
+      return !!token;
+    },
+
+    // Identificadores de clientes atendidos por este transporte
+    handles(id) {
+      return String(id).startsWith(PREFIXO);
+    },
+
+    async start() {
+      if (!token) {
+        throw new Error('Telegram não configurado (TELEGRAM_BOT_TOKEN)');
+      }
+
+      if (webhookUrl) {
+        // Sem o segredo qualquer um poderia postar atualizações em nome dos clientes
+        if (!webhookSecret) {
+          throw new Error('Webhook do Telegram exige TELEGRAM_WEBHOOK_SECRET');
+        }
+        await chamar('setWebhook', {
+          url: webhookUrl,
+          allowed_updates: ['message'],
+          secret_token: webhookSecret
+        });
+        console.log(`Webhook do Telegram registrado em ${webhookUrl}`);
+        return;
+      }
+
+      // getUpdates não funciona com um webhook ativo
+      await chamar('deleteWebhook', {});
+      polling = true;
+      loopPolling();
+      console.log('Telegram recebendo mensagens por long polling');
+    },
+
+    async stop() {
+      polling = false;
+    },
+
+    async sendText(para, texto) {
+      await chamar('sendMessage', { chat_id: paraChatId(para), text: texto });
+    },
+
+    async sendImage(para, imagem, legenda = '') {
+      const arquivo = imagem.path
+        ? { conteudo: fs.createReadStream(imagem.path), nome: path.basename(imagem.path), mimetype: imagem.mimetype || 'image/jpeg' }
+        : { conteudo: Buffer.from(imagem.data, 'base64'), nome: 'imagem.jpg', mimetype: imagem.mimetype || 'image/jpeg' };
+
+      await enviarArquivo('sendPhoto', para, 'photo', arquivo, legenda ? { caption: legenda } : {});
+    },
+
+    async sendVoice(para, caminhoAudio) {
+      await enviarArquivo('sendVoice', para, 'voice', {
+        conteudo: fs.createReadStream(caminhoAudio),
+        nome: path.basename(caminhoAudio),
+        mimetype: 'audio/mpeg'
+      });
+    },
+
+    onMessage(handler) {
+      messageHandler = handler;
+    },
+
+    // Recebe pelo webhook (e não por long polling)?
+    usesWebhook() {
+      return !!webhookUrl;
+    },
+
+    // Webhook: o Telegram repete o secret_token no cabeçalho X-Telegram-Bot-Api-Secret-Token
+    verifySecret(cabecalho) {
+      return !!webhookSecret && cabecalho === webhookSecret;
+    },
+
+    handleWebhook(update) {
+      return processarUpdate(update);
+    }
+  };
+}
+
+module.exports = { createTelegramTransport, DEFAULT_API_URL };
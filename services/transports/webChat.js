@@ -0,0 +1,84 @@
+const fs = require('fs');
+
+// Canal do widget de chat do site. As mensagens do cliente chegam pelas rotas
+// /api/webchat (index.js), que respondem por Server-Sent Events; este transporte
+// só entrega o que o bot envia fora dessas respostas (ex: status do pedido) às
+// páginas inscritas em /api/webchat/sessions/:id/events.
+//
+// Os clientes são identificados como "web:<sessionId>".
+
+const PREFIXO = 'web:';
+
+function createWebChatTransport() {
+  // sessão => conjunto de funções que escrevem no stream de cada aba aberta
+  const inscritos = new Map();
+
+  function publicar(para, parte) {
+    const destinos = inscritos.get(para);
+    if (!destinos || destinos.size === 0) {
+      console.log(`Nenhuma página conectada para ${para}, mensagem do chat web descartada`);
+      return;
+    }
+    destinos.forEach(enviar => enviar('part', parte));
+  }
+
+  function paraDataUri(caminho, mimetype) {
+    return `data:${mimetype};base64,${fs.readFileSync(caminho).toString('base64')}`;
+  }
+
+  return {
+    name: 'web',
+    requiresPairing: false,
+
+    isConfigured() {
+      return true;
+    },
+
+    handles(id) {
+      return String(id).startsWith(PREFIXO);
+    },
+
+    sessionToClient(sessionId) {
+      return `${PREFIXO}${sessionId}`;
+    },
+
+    // Registrar uma página para receber mensagens da sessão; devolve a função de cancelamento
+    subscribe(para, enviar) {
+      if (!inscritos.has(para)) {
+        inscritos.set(para, new Set());
+      }
+      inscritos.get(para).add(enviar);
+
+      return () => {
+        const destinos = inscritos.get(para);
+        if (!destinos) return;
+        destinos.delete(enviar);
+        if (destinos.size === 0) {
+          inscritos.delete(para);
+        }
+      };
+    },
+
+    async start() {},
+
+    async sendText(para, texto) {
+      publicar(para, { type: 'text', text: texto });
+    },
+
+    // Os arquivos recebidos são temporários: seguem embutidos na própria mensagem
+    async sendImage(para, imagem, legenda = '') {
+      const mimetype = imagem.mimetype || 'image/jpeg';
+      const url = imagem.path ? paraDataUri(imagem.path, mimetype) : `data:${mimetype};base64,${imagem.data}`;
+      publicar(para, { type: 'image', url, caption: legenda });
+    },
+
+    async sendVoice(para, caminhoAudio) {
+      publicar(para, { type: 'audio', url: paraDataUri(caminhoAudio, 'audio/mpeg') });
+    },
+
+    // As mensagens do cliente chegam direto pelas rotas HTTP do widget
+    onMessage() {}
+  };
+}
+
+module.exports = { createWebChatTransport };
@@ -0,0 +1,63 @@
+const { MessageMedia } = require('whatsapp-web.js');
+
+// Transporte pelo WhatsApp Web (whatsapp-web.js + Puppeteer), pareado por QR code.
+// O cliente é criado em index.js, que também trata os eventos de QR code e conexão.
+function createWhatsAppWebTransport({ client }) {
+  return {
+    name: 'whatsapp-web',
+    requiresPairing: true,
+
+    async start() {
+      client.initialize();
+    },
+
+    async sendText(para, texto) {
+      await client.sendMessage(para, texto);
+    },
+
+    async sendImage(para, imagem, legenda = '') {
+      const media = imagem.path
+        ? MessageMedia.fromFilePath(imagem.path)
+        : new MessageMedia(imagem.mimetype, imagem.data);
+      await client.sendMessage(para, media, { caption: legenda });
+    },
+
+    async sendVoice(para, caminhoAudio) {
+      const media = MessageMedia.fromFilePath(caminhoAudio);
+      await client.sendMessage(para, media, {
+        sendAudioAsVoice: true,
+        mimetype: 'audio/mp3'
+      });
+    },
+
+    onMessage(handler) {
+      client.on('message', async (message) => {
+        // Ignorar mensagens de grupos
+        const chat = await message.getChat();
+        if (chat.isGroup) return;
+
+        // Nome do perfil do WhatsApp de quem enviou
+        const contactName = message._data && message._data.notifyName;
+
+        if (!message.hasMedia) {
+          await handler({ from: message.from, id: message.id.id, type: 'text', text: message.body, contactName });
+          return;
+        }
+
+        const media = await message.downloadMedia();
+        const isAudio = message.type === 'audio' || message.type === 'ptt';
+
+        await handler({
+          from: message.from,
+          id: message.id.id,
+          type: isAudio ? 'audio' : message.type,
+          text: message.body || '',
+          media: media ? { data: media.data, mimetype: media.mimetype } : null,
+          contactName
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createWhatsAppWebTransport };
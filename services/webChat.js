@@ -0,0 +1,146 @@
+// ======== CHAT WEB ==========
+// Converte as respostas do bot (texto com tags [TEXT_FORMAT], [VOICE_FORMAT]...)
+// em partes tipadas para o widget do site, que assim não precisa conhecer as tags:
+//   { type: 'text', text }
+//   { type: 'image', url, caption }
+//   { type: 'audio', url }
+//   { type: 'order_summary', pedido: { items, endereco, pagamento, taxaEntrega, valorTotal } }
+
+const TAG_REGEX = /\[(TEXT|VOICE|IMAGE|JSON|CONFIRMATION)_FORMAT\]([\s\S]*?)\[\/END\]/g;
+const SESSION_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidSessionId(sessionId) {
+  return SESSION_ID_REGEX.test(String(sessionId || ''));
+}
+
+// URLs relativas (ex: áudios em /api/media) precisam do endereço do servidor no site do cliente
+function resolverUrl(url, baseUrl) {
+  return baseUrl && url.startsWith('/') ? `${baseUrl}${url}` : url;
+}
+
+// Blocos [TEXT_FORMAT]; respostas sem nenhuma tag são texto puro
+function extrairTextos(texto) {
+  if (!texto) return [];
+
+  const blocos = [...texto.matchAll(/\[TEXT_FORMAT\]([\s\S]*?)\[\/END\]/g)].map(m => m[1].trim());
+  if (blocos.length === 0 && !/\[[A-Z]+_FORMAT\]/.test(texto)) {
+    blocos.push(texto.trim());
+  }
+
+  return blocos.filter(Boolean);
+}
+
+function resumoPedido(pedidoData) {
+  const items = pedidoData.items || [];
+  const taxaEntrega = pedidoData.taxaEntrega || 0;
+  const valorTotal = pedidoData.valorTotal !== undefined
+    ? pedidoData.valorTotal
+    : items.reduce((total, item) => total + parseFloat(item.preco || 0) * (item.quantidade || 1), 0) + taxaEntrega;
+
+  return {
+    items,
+    endereco: pedidoData.endereco,
+    pagamento: pedidoData.pagamento,
+    taxaEntrega,
+    valorTotal
+  };
+}
+
+// Resposta de processMessageInternally/processTaggedResponse => partes do widget
+function responseToParts(response, baseUrl) {
+  const partes = extrairTextos(response.text).map(text => ({ type: 'text', text }));
+
+  if (response.audio) {
+    partes.push({ type: 'audio', url: resolverUrl(response.audio, baseUrl) });
+  }
+
+  const imagens = [];
+  if (response.image) {
+    imagens.push({ url: response.image, caption: response.imageCaption });
+  }
+  (response.allImages || []).forEach(imagem => {
+    if (imagem.url && !imagens.some(i => i.url === imagem.url)) {
+      imagens.push({ url: imagem.url, caption: imagem.caption });
+    }
+  });
+  imagens.forEach(imagem => partes.push({
+    type: 'image',
+    url: resolverUrl(imagem.url, baseUrl),
+    caption: imagem.caption || ''
+  }));
+
+  if (response.pedido) {
+    partes.push({ type: 'order_summary', pedido: resumoPedido(response.pedido) });
+  }
+
+  return partes;
+}
+
+// Mensagem salva no histórico da Conversa => partes do widget. O histórico guarda a
+// resposta original do modelo: áudios viram texto e as imagens (ids do cardápio)
+// não são reenviadas; o resumo do pedido vem dos dados já precificados da conversa.
+function historyMessageToParts(conteudo, conversa) {
+  if (!conteudo) return [];
+  if (!/\[\/END\]/.test(conteudo)) {
+    return [{ type: 'text', text: conteudo.trim() }];
+  }
+
+  const partes = [];
+  for (const [, tag, corpo] of conteudo.matchAll(TAG_REGEX)) {
+    const texto = corpo.trim();
+    if (tag === 'JSON') {
+      if (conversa && conversa.pedidoData && conversa.pedidoData.items) {
+        partes.push({ type: 'order_summary', pedido: resumoPedido(conversa.pedidoData) });
+      }
+    } else if (tag !== 'IMAGE' && texto) {
+      partes.push({ type: 'text', text: texto });
+    }
+  }
+  return partes;
+}
+
+function conversationToHistory(conversa) {
+  return (conversa.mensagens || []).map(mensagem => ({
+    role: mensagem.tipo === 'user' ? 'user' : 'bot',
+    parts: mensagem.tipo === 'user'
+      ? [{ type: 'text', text: mensagem.conteudo }]
+      : historyMessageToParts(mensagem.conteudo, conversa),
+    data: mensagem.data
+  })).filter(mensagem => mensagem.parts.length > 0);
+}
+
+// Sessões abertas por IP numa janela deslizante. A abertura é pública e cada sessão
+// grava uma conversa, então um mesmo endereço não pode criá-las sem limite.
+// registrar(ip) => { permitido, tenteEmMs }
+function createSessionLimiter({ limite, janelaMs }) {
+  const aberturas = new Map();
+
+  return {
+    registrar(ip, agora = Date.now()) {
+      // Descartar os endereços sem aberturas recentes para o mapa não crescer
+      if (aberturas.size > 1000) {
+        aberturas.forEach((horarios, chave) => {
+          if (agora - horarios[horarios.length - 1] >= janelaMs) aberturas.delete(chave);
+        });
+      }
+
+      const recentes = (aberturas.get(ip) || []).filter(horario => agora - horario < janelaMs);
+      if (recentes.length >= limite) {
+        aberturas.set(ip, recentes);
+        return { permitido: false, tenteEmMs: janelaMs - (agora - recentes[0]) };
+      }
+
+      recentes.push(agora);
+      aberturas.set(ip, recentes);
+      return { permitido: true, tenteEmMs: 0 };
+    }
+  };
+}
+
+module.exports = {
+  isValidSessionId,
+  createSessionLimiter,
+  responseToParts,
+  historyMessageToParts,
+  conversationToHistory
+};
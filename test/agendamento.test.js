@@ -0,0 +1,261 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { llm, usarServidorBot, criarConversaEmConfirmacao } = require('./harness');
+const openingHours = require('../services/openingHours');
+const scheduling = require('../services/scheduling');
+const { parseDeliveryTime, isOpeningHoursQuestion, isAsapRequest } = require('../services/timeParser');
+const { Conversa, Pedido, HorarioFuncionamento } = require('../models');
+
+// Segunda, 12:00 em São Paulo
+const AGORA = new Date('2026-10-19T15:00:00Z');
+
+// Todos os dias das 18h às 23h
+const CALENDARIO = {
+  timezone: 'America/Sao_Paulo',
+  dias: [0, 1, 2, 3, 4, 5, 6].map(diaSemana => ({ diaSemana, intervalos: [{ abre: '18:00', fecha: '23:00' }] }))
+};
+
+describe('Agendamento de entregas', () => {
+  describe('horários em linguagem natural', () => {
+    const horario = mensagem => {
+      const resultado = parseDeliveryTime(mensagem, AGORA);
+      return resultado && resultado.data.toISOString();
+    };
+
+    it('entende horários relativos, do dia e com data', () => {
+      assert.equal(horario('pode entregar daqui a uma hora?'), '2026-10-19T16:00:00.000Z');
+      assert.equal(horario('em 40 minutos'), '2026-10-19T15:40:00.000Z');
+      assert.equal(horario('pode entregar às 20h?'), '2026-10-19T23:00:00.000Z');
+      assert.equal(horario('lá pelas 8 e meia'), '2026-10-19T23:30:00.000Z');
+      assert.equal(horario('amanhã às 8 da noite'), '2026-10-20T23:00:00.000Z');
+      assert.equal(horario('sábado às 19h30'), '2026-10-24T22:30:00.000Z');
+      assert.equal(horario('dia 25 às 19:00'), '2026-10-25T22:00:00.000Z');
+    });
+
+    it('joga para o dia seguinte um horário que já passou', () => {
+      assert.equal(horario('às 11 da manhã'), '2026-10-20T14:00:00.000Z');
+    });
+
+    it('ignora mensagens sem horário e perguntas sobre o funcionamento', () => {
+      assert.equal(parseDeliveryTime('quero uma calabresa grande', AGORA), null);
+      assert.equal(parseDeliveryTime('2 pizzas de mussarela', AGORA), null);
+      assert.equal(isOpeningHoursQuestion('vocês abrem às 18h?'), true);
+      assert.equal(isOpeningHoursQuestion('pode entregar às 20h?'), false);
+      assert.equal(isAsapRequest('pode ser o quanto antes'), true);
+    });
+
+    it('pede confirmação quando "às N" pode ser só o pedido', () => {
+      ['quero as duas', 'pode ser as duas', 'vou querer as 2', 'sim, pode ser as tres'].forEach(mensagem => {
+        const resultado = parseDeliveryTime(mensagem, AGORA);
+        assert.equal(resultado.confirmar, true, mensagem);
+      });
+      assert.equal(parseDeliveryTime('quero 1h de espera não', AGORA), null);
+
+      // Duração não é horário de entrega
+      ['demora 1 hora?', 'leva 2 horas pra entregar?', 'nao pode demorar mais de 1 hora'].forEach(mensagem => {
+        assert.equal(parseDeliveryTime(mensagem, AGORA), null, mensagem);
+      });
+      // "N horas" sem preposição nem pista também precisa do "sim" do cliente
+      assert.equal(parseDeliveryTime('20h', AGORA).confirmar, true);
+      assert.equal(parseDeliveryTime('entrega 20h', AGORA).confirmar, false);
+
+      // Com pista de agendamento o horário vale direto
+      assert.equal(parseDeliveryTime('pode entregar as duas?', AGORA).confirmar, false);
+      assert.equal(parseDeliveryTime('amanhã as 8', AGORA).confirmar, false);
+    });
+  });
+
+  describe('horários disponíveis', () => {
+    const parametros = { horario: CALENDARIO, agendamento: { capacidadePorHorario: 2 }, prazoMinutos: 50, agora: AGORA };
+    const iso = (data, hora) => openingHours.instanteLocal(data, hora * 60, CALENDARIO.timezone).toISOString();
+
+    it('lista os horários de entrega dentro do expediente', () => {
+      const horarios = scheduling.listSlots(parametros).map(slot => slot.horario.toISOString());
+      assert.equal(horarios[0], iso('2026-10-19', 19));
+      assert.equal(horarios[horarios.length - 1], iso('2026-10-19', 23));
+      assert.equal(horarios.length, 9);
+    });
+
+    it('recusa horários lotados ou fora do expediente sugerindo alternativas', () => {
+      const ocupacao = new Map([[iso('2026-10-19', 20), 2]]);
+
+      const lotado = scheduling.checkSlot({ ...parametros, ocupacao, instante: new Date(iso('2026-10-19', 20)) });
+      assert.equal(lotado.disponivel, false);
+      assert.equal(lotado.motivo, 'lotado');
+      assert.deepEqual(lotado.sugestoes.map(s => s.toISOString()), [iso('2026-10-19', 20.5), iso('2026-10-19', 21), iso('2026-10-19', 21.5)]);
+
+      const cedo = scheduling.checkSlot({ ...parametros, instante: new Date(iso('2026-10-19', 15)) });
+      assert.equal(cedo.motivo, 'fora_do_horario');
+      assert.equal(cedo.sugestoes[0].toISOString(), iso('2026-10-19', 19));
+
+      const livre = scheduling.checkSlot({ ...parametros, ocupacao, instante: new Date(iso('2026-10-19', 20.75)) });
+      assert.equal(livre.disponivel, true);
+      assert.equal(livre.slot.toISOString(), iso('2026-10-19', 20.5));
+    });
+
+    it('respeita o prazo de preparo e o limite de antecedência', () => {
+      assert.equal(scheduling.checkSlot({ ...parametros, instante: new Date(AGORA.getTime() + 20 * 60000) }).motivo, 'antecedencia');
+      assert.equal(scheduling.checkSlot({ ...parametros, instante: new Date(iso('2026-11-10', 20)) }).motivo, 'distante');
+      assert.equal(scheduling.checkSlot({ ...parametros, agendamento: { ativo: false }, instante: new Date(iso('2026-10-19', 20)) }).motivo, 'desativado');
+    });
+  });
+
+  describe('atendimento', () => {
+    const ambiente = usarServidorBot({
+      botConfig: { systemPrompt: 'Entrega: {{AGENDAMENTO}}.' },
+      // Sem calendário a loja atende o dia todo; um pedido por horário
+      preparar: async bot => {
+        await HorarioFuncionamento.create({ agendamento: { capacidadePorHorario: 1 } });
+        bot.invalidateDataCache();
+      }
+    });
+    const { api } = ambiente;
+
+    const amanha = () => openingHours.somarDias(openingHours.localTime(new Date()).data, 1);
+    const amanhaAs = hora => openingHours.instanteLocal(amanha(), hora * 60, openingHours.TIMEZONE_PADRAO);
+
+    it('registra o horário pedido pelo cliente e informa no prompt', async () => {
+      const telefone = '5511955550001@c.us';
+      await Conversa.create({ telefone, inicio: new Date(), state: 1, mensagens: [] });
+
+      llm.enqueue({ content: 'Claro! Anotado para amanhã às 20h. O que vai querer?' });
+      const conversa = await ambiente.bot.getOrCreateConversation(telefone, 'pode entregar amanhã às 20h?');
+      await ambiente.bot.processMessageInternally(telefone, 'pode entregar amanhã às 20h?', false, 'text', conversa);
+
+      const salva = await Conversa.findOne({ telefone });
+      assert.equal(salva.agendadoPara.toISOString(), amanhaAs(20).toISOString());
+
+      const prompt = llm.calls.find(chamada => chamada.type === 'chat').messages[0].content;
+      assert.match(prompt, /Entrega: entrega agendada para amanhã às 20:00\./);
+      assert.match(prompt, /O CLIENTE AGENDOU A ENTREGA PARA AMANHÃ ÀS 20:00/);
+    });
+
+    it('só agenda um horário ambíguo depois da confirmação do cliente', async () => {
+      const telefone = '5511955550005@c.us';
+      await Conversa.create({ telefone, inicio: new Date(), state: 1, mensagens: [] });
+
+      llm.enqueue({ content: 'Anotei as duas pizzas! Você quer a entrega às 14:00?' });
+      let conversa = await ambiente.bot.getOrCreateConversation(telefone, 'quero as duas');
+      await ambiente.bot.processMessageInternally(telefone, 'quero as duas', false, 'text', conversa);
+
+      conversa = await Conversa.findOne({ telefone });
+      assert.equal(conversa.agendadoPara, undefined);
+      assert.ok(conversa.horarioSugerido);
+      const prompt = llm.calls.find(chamada => chamada.type === 'chat').messages[0].content;
+      assert.match(prompt, /A ÚLTIMA MENSAGEM PODE SER UM PEDIDO DE ENTREGA PARA/);
+
+      // O "sim" logo depois confirma o horário sugerido
+      llm.enqueue({ content: 'Ok!' });
+      await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', conversa);
+      conversa = await Conversa.findOne({ telefone });
+      assert.ok(conversa.agendadoPara);
+      assert.equal(conversa.horarioSugerido, undefined);
+    });
+
+    it('recusa um horário lotado e sugere os próximos', async () => {
+      await Pedido.create({
+        telefone: '5511955550009@c.us',
+        endereco: 'Rua Augusta, 500',
+        formaPagamento: 'PIX',
+        valorTotal: 57,
+        status: 'Agendado',
+        agendadoPara: amanhaAs(20),
+        data: new Date(),
+        itens: [{ nome: 'Pizza Calabresa', tamanho: 'Grande', quantidade: 1, preco: 50 }]
+      });
+
+      const telefone = '5511955550002@c.us';
+      await Conversa.create({ telefone, inicio: new Date(), state: 1, mensagens: [] });
+      const conversa = await ambiente.bot.getOrCreateConversation(telefone, 'amanhã às 20h');
+      const resposta = await ambiente.bot.processMessageInternally(telefone, 'amanhã às 20h', false, 'text', conversa);
+
+      assert.match(resposta.text, /O horário de amanhã às 20:00 já está lotado\. Horários disponíveis: amanhã às 20:30, amanhã às 21:00, amanhã às 21:30\./);
+      assert.equal(llm.calls.length, 0);
+      assert.equal((await Conversa.findOne({ telefone })).agendadoPara, undefined);
+    });
+
+    it('registra o pedido agendado e o libera para a cozinha no horário de preparo', async () => {
+      const telefone = '5511955550003@c.us';
+      const conversa = await criarConversaEmConfirmacao(telefone, { agendadoPara: amanhaAs(20) });
+
+      const resposta = await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', conversa);
+      assert.match(resposta.text, /PEDIDO CONFIRMADO/);
+      assert.match(resposta.text, /Sua entrega está agendada para amanhã às 20:00\./);
+
+      const pedido = await Pedido.findOne({ telefone });
+      assert.equal(pedido.status, 'Agendado');
+      assert.equal(pedido.agendadoPara.toISOString(), amanhaAs(20).toISOString());
+
+      const naCozinha = async () => (await api('get', '/api/cozinha/pedidos')).data.grupos.Confirmado
+        .some(cartao => cartao.pedidoId === String(pedido._id));
+      assert.equal(await naCozinha(), false);
+
+      // Antes do prazo de preparo nada muda
+      assert.equal(await ambiente.bot.liberarPedidosAgendados(new Date(amanhaAs(20).getTime() - 60 * 60000)), 0);
+
+      const inicioPreparo = new Date(amanhaAs(20).getTime() - 50 * 60000);
+      assert.equal(await ambiente.bot.liberarPedidosAgendados(inicioPreparo), 1);
+      assert.equal(await ambiente.bot.liberarPedidosAgendados(inicioPreparo), 0);
+
+      const liberado = await Pedido.findById(pedido._id);
+      assert.equal(liberado.status, 'Confirmado');
+      assert.deepEqual(liberado.historicoStatus.slice(-1).map(h => [h.statusAnterior, h.alteradoPor]), [['Agendado', 'agendamento']]);
+      assert.equal(await naCozinha(), true);
+    });
+
+    it('não registra dois pedidos na última vaga confirmados ao mesmo tempo', async () => {
+      const telefones = ['5511955550005@c.us', '5511955550006@c.us'];
+      const conversas = await Promise.all(telefones.map(telefone => criarConversaEmConfirmacao(telefone, { agendadoPara: amanhaAs(20) })));
+
+      const respostas = await Promise.all(telefones.map((telefone, i) =>
+        ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', conversas[i])
+      ));
+
+      assert.equal(await Pedido.countDocuments({ agendadoPara: amanhaAs(20) }), 1);
+      assert.equal(respostas.filter(resposta => /PEDIDO CONFIRMADO/.test(resposta.text)).length, 1);
+      assert.ok(respostas.some(resposta => /O horário de amanhã às 20:00 já está lotado\./.test(resposta.text)));
+
+      // O cancelamento devolve a vaga
+      const pedido = await Pedido.findOne({ agendadoPara: amanhaAs(20) });
+      assert.equal((await api('patch', `/api/pedidos/${pedido._id}/status`, { status: 'Cancelado' })).status, 200);
+      const telefone = telefones.find(outro => outro !== pedido.telefone);
+      const resposta = await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', await Conversa.findOne({ telefone }));
+      assert.match(resposta.text, /PEDIDO CONFIRMADO/);
+    });
+
+    it('volta para entrega imediata quando o cliente desiste do agendamento', async () => {
+      const telefone = '5511955550004@c.us';
+      const conversa = await criarConversaEmConfirmacao(telefone, { agendadoPara: amanhaAs(20) });
+
+      await ambiente.bot.processMessageInternally(telefone, 'sim, mas pode ser o quanto antes', false, 'text', conversa);
+
+      const pedido = await Pedido.findOne({ telefone });
+      assert.equal(pedido.status, 'Confirmado');
+      assert.equal(pedido.agendadoPara, undefined);
+    });
+
+    it('lista os horários do dia com as vagas', async () => {
+      await Pedido.create({
+        telefone: '5511955550009@c.us',
+        endereco: 'Rua Augusta, 500',
+        formaPagamento: 'PIX',
+        valorTotal: 57,
+        status: 'Agendado',
+        agendadoPara: amanhaAs(20),
+        data: new Date(),
+        itens: [{ nome: 'Pizza Calabresa', tamanho: 'Grande', quantidade: 1, preco: 50 }]
+      });
+
+      const resposta = await api('get', `/api/agendamento/horarios?data=${amanha()}`);
+      assert.equal(resposta.status, 200);
+      assert.equal(resposta.data.intervaloMinutos, 30);
+      // Dia inteiro a cada 30 minutos, a partir de 01:00 (prazo de 50 minutos desde a meia-noite)
+      assert.equal(resposta.data.horarios.length, 46);
+
+      const vinte = resposta.data.horarios.find(slot => slot.horario === amanhaAs(20).toISOString());
+      assert.deepEqual({ ocupados: vinte.ocupados, vagas: vinte.vagas }, { ocupados: 1, vagas: 0 });
+
+      assert.equal((await api('get', '/api/agendamento/horarios?data=amanha')).status, 400);
+    });
+  });
+});
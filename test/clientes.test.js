@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { llm, usarServidorBot, criarConversaEmConfirmacao, PAULISTA, PAULISTA_VALIDADO } = require('./harness');
+const customers = require('../services/customers');
+const { Conversa, Pedido, Cliente } = require('../models');
+
+describe('Cadastro de clientes', () => {
+  const ambiente = usarServidorBot({
+    role: 'attendant',
+    botConfig: { systemPrompt: 'Cliente: {{CLIENTE_NOME}}. Endereço: {{CLIENTE_ENDERECO}}. Pagamento: {{CLIENTE_PAGAMENTO}}.' }
+  });
+  const { api } = ambiente;
+
+  it('soma os pedidos, o endereço de costume e o pagamento preferido', async () => {
+    const telefone = '5511944440001@c.us';
+    const pedido = (endereco, formaPagamento, valorTotal) => ({
+      telefone, endereco, formaPagamento, valorTotal, data: new Date()
+    });
+
+    await customers.recordOrder(pedido('Rua Augusta, 500', 'PIX', 40));
+    await customers.recordOrder(pedido(PAULISTA, 'Dinheiro (troco para R$ 50.00)', 57.5));
+    await customers.recordOrder(pedido('avenida paulista, 1000, bela vista, sao paulo - sp, 01310100', 'Dinheiro', 62));
+
+    const cliente = await Cliente.findOne({ telefone });
+    assert.equal(cliente.totalPedidos, 3);
+    assert.equal(cliente.valorTotalGasto, 159.5);
+    assert.equal(cliente.pagamentoPreferido, 'Dinheiro');
+    assert.deepEqual(cliente.enderecos.map(e => [e.endereco, e.vezesUsado]), [[PAULISTA, 2], ['Rua Augusta, 500', 1]]);
+    assert.match(customers.describeCustomer(cliente), /^Cliente já fez 3 pedidos conosco \(último em \d{2}\/\d{2}\/\d{4}, total de R\$ 159\.50\)\.\nEndereço de costume: Avenida Paulista/);
+  });
+
+  it('não perde pedidos somados ao mesmo tempo', async () => {
+    const telefone = '5511944440005@c.us';
+    await customers.recordOrder({ telefone, endereco: PAULISTA, formaPagamento: 'PIX', valorTotal: 50, data: new Date() });
+
+    await Promise.all([
+      customers.recordOrder({ telefone, endereco: PAULISTA, formaPagamento: 'PIX', valorTotal: 40, data: new Date() }),
+      customers.recordOrder({ telefone, endereco: 'Rua Augusta, 500', formaPagamento: 'Dinheiro', valorTotal: 60, data: new Date() })
+    ]);
+
+    const cliente = await Cliente.findOne({ telefone });
+    assert.equal(cliente.totalPedidos, 3);
+    assert.equal(cliente.valorTotalGasto, 150);
+    assert.deepEqual(cliente.enderecos.map(e => [e.endereco, e.vezesUsado]), [[PAULISTA, 2], ['Rua Augusta, 500', 1]]);
+    assert.deepEqual(cliente.contagemPagamentos.map(p => [p.forma, p.vezes]), [['PIX', 2], ['Dinheiro', 1]]);
+  });
+
+  it('atualiza o cadastro a cada pedido confirmado, sem contar a repetição', async () => {
+    const telefone = '5511944440002@c.us';
+    await customers.rememberName(telefone, 'Maria Souza');
+    const conversa = await criarConversaEmConfirmacao(telefone, {
+      nomeContato: 'Maria Souza',
+      addressData: PAULISTA_VALIDADO,
+      pedidoData: { pagamento: 'Dinheiro (troco para R$ 100.00)' }
+    });
+
+    await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', conversa);
+    const pedido = await Pedido.findOne({ telefone });
+
+    // "sim" repetido na mesma conversa devolve o pedido já registrado
+    await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', await Conversa.findById(conversa._id));
+
+    const cliente = await Cliente.findOne({ telefone });
+    assert.equal(cliente.nome, 'Maria Souza');
+    assert.equal(cliente.totalPedidos, 1);
+    assert.equal(cliente.valorTotalGasto, pedido.valorTotal);
+    assert.equal(cliente.ultimoPedidoId.toString(), pedido._id.toString());
+    assert.equal(cliente.pagamentoPreferido, 'Dinheiro');
+    assert.equal(cliente.enderecos[0].components.cep, '01310100');
+  });
+
+  it('apresenta o cliente recorrente no prompt e preenche o nome da conversa', async () => {
+    const telefone = '5511944440003@c.us';
+    await customers.rememberName(telefone, 'João');
+    await customers.recordOrder({ telefone, endereco: PAULISTA, formaPagamento: 'PIX', valorTotal: 57, data: new Date() });
+
+    llm.enqueue({ content: 'Oi, João! Vai ser na Avenida Paulista de novo?' });
+    const conversa = await ambiente.bot.getOrCreateConversation(telefone, 'oi');
+    assert.equal(conversa.nomeContato, 'João');
+    await ambiente.bot.processMessageInternally(telefone, 'oi', false, 'text', conversa);
+
+    const prompt = llm.calls.find(chamada => chamada.type === 'chat').messages[0].content;
+    assert.match(prompt, /^Cliente: João\. Endereço: Avenida Paulista, 1000.*\. Pagamento: PIX\./);
+    assert.match(prompt, /CLIENTE RECORRENTE:\nJoão já fez 1 pedido conosco/);
+  });
+
+  it('lista e edita os clientes pela API', async () => {
+    const telefone = '5511944440004@c.us';
+    await customers.recordOrder({ telefone, endereco: PAULISTA, formaPagamento: 'PIX', valorTotal: 57, data: new Date() });
+    await customers.rememberName('5511944440005@c.us', 'Ana');
+
+    const lista = await api('get', '/api/clientes?q=ana');
+    assert.equal(lista.status, 200);
+    assert.deepEqual(lista.data.data.map(cliente => cliente.nome), ['Ana']);
+
+    const editado = await api('patch', `/api/clientes/${encodeURIComponent(telefone)}`, { nome: ' Carla ', observacoes: 'Interfone quebrado, ligar ao chegar' });
+    assert.equal(editado.status, 200);
+    assert.equal(editado.data.data.nome, 'Carla');
+
+    // O nome do perfil do canal não sobrescreve o nome editado pela equipe
+    await customers.rememberName(telefone, 'carlinha ✨');
+    const detalhe = await api('get', `/api/clientes/${encodeURIComponent(telefone)}`);
+    assert.equal(detalhe.data.data.nome, 'Carla');
+    assert.equal(detalhe.data.data.observacoes, 'Interfone quebrado, ligar ao chegar');
+
+    assert.equal((await api('patch', `/api/clientes/${encodeURIComponent(telefone)}`, { nome: 42 })).status, 400);
+    assert.equal((await api('get', '/api/clientes/desconhecido')).status, 404);
+  });
+});
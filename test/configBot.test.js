@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { llm, usarServidorBot } = require('./harness');
+const { Conversa } = require('../models');
+
+describe('Configuração do bot', () => {
+  const ambiente = usarServidorBot();
+  const { api } = ambiente;
+
+  it('troca o provedor de LLM mas recusa o provedor de testes', async () => {
+    const compativel = await api('put', '/api/bot-config', { llm: { provider: 'openai-compatible', chatModel: 'llama3' } });
+    assert.equal(compativel.status, 200);
+    assert.equal(compativel.data.llm.provider, 'openai-compatible');
+
+    const mock = await api('put', '/api/bot-config', { llm: { provider: 'mock' } });
+    assert.equal(mock.status, 400);
+    assert.equal((await api('put', '/api/bot-config', { 'llm.provider': 'mock' })).status, 400);
+    assert.equal((await api('put', '/api/bot-config', { $set: { 'llm.provider': 'mock' } })).status, 400);
+
+    const atual = await api('get', '/api/bot-config');
+    assert.equal(atual.data.llm.provider, 'openai-compatible');
+  });
+
+  it('aplica a configuração salva já na próxima mensagem', async () => {
+    const telefone = '5511988880001@c.us';
+    await Conversa.create({
+      telefone,
+      inicio: new Date(),
+      state: 1,
+      mensagens: [{ tipo: 'user', conteudo: 'boa noite' }, { tipo: 'bot', conteudo: 'Boa noite!' }]
+    });
+
+    // Carrega o cache com a configuração antiga antes da troca
+    llm.enqueue({ content: 'Temos calabresa e margherita.' });
+    await ambiente.bot.processMessageInternally(telefone, 'quais sabores vocês têm?', false, 'text', await Conversa.findOne({ telefone }));
+
+    assert.equal((await api('put', '/api/bot-config', { systemPrompt: 'Você é o Beppe, da Pizzaria Teste.' })).status, 200);
+
+    llm.enqueue({ content: 'A calabresa grande custa R$ 55,00.' });
+    await ambiente.bot.processMessageInternally(telefone, 'quanto custa a calabresa?', false, 'text', await Conversa.findOne({ telefone }));
+
+    const prompt = llm.calls.filter(chamada => chamada.type === 'chat').at(-1).messages[0].content;
+    assert.match(prompt, /Você é o Beppe/);
+  });
+});
@@ -0,0 +1,31 @@
+const { describe, it, before, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { iniciarAmbiente, encerrarAmbiente, executarDialogo } = require('./harness');
+
+// Cada arquivo em fixtures/dialogos é uma conversa real roteirizada
+const DIRETORIO_DIALOGOS = path.join(__dirname, 'fixtures', 'dialogos');
+
+const dialogos = fs.readdirSync(DIRETORIO_DIALOGOS)
+  .filter(arquivo => arquivo.endsWith('.json'))
+  .sort()
+  .map(arquivo => ({ arquivo, ...require(path.join(DIRETORIO_DIALOGOS, arquivo)) }));
+
+describe('Fluxo de pedido pelo WhatsApp', () => {
+  let bot;
+
+  // O primeiro uso do MongoDB em memória pode precisar baixar o binário
+  before(async () => {
+    bot = await iniciarAmbiente();
+  }, { timeout: 120000 });
+
+  after(async () => {
+    await encerrarAmbiente();
+  });
+
+  dialogos.forEach(dialogo => {
+    it(`${dialogo.arquivo}: ${dialogo.descricao}`, async () => {
+      await executarDialogo(bot, dialogo);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { usarServidorBot, criarConversaEmConfirmacao } = require('./harness');
+const { changeNeeded, elapsedTime, nextKitchenStatus } = require('../services/kitchen');
+const { Pedido } = require('../models');
+
+// Cliente SSE mínimo: acumula os eventos recebidos enquanto o stream está aberto
+function abrirStream(url) {
+  return new Promise((resolve, reject) => {
+    const eventos = [];
+    let buffer = '';
+
+    const req = http.get(url, res => {
+      if (res.statusCode !== 200) {
+        reject(new Error(`Stream respondeu ${res.statusCode}`));
+        return;
+      }
+
+      res.setEncoding('utf8');
+      res.on('data', parte => {
+        buffer += parte;
+        let fim;
+        while ((fim = buffer.indexOf('\n\n')) >= 0) {
+          const bloco = buffer.slice(0, fim);
+          buffer = buffer.slice(fim + 2);
+          const evento = /^event: (.*)$/m.exec(bloco);
+          const dados = /^data: (.*)$/m.exec(bloco);
+          if (evento && dados) {
+            eventos.push({ evento: evento[1], dados: JSON.parse(dados[1]) });
+          }
+        }
+      });
+
+      resolve({
+        eventos,
+        async aguardar(condicao, limiteMs = 3000) {
+          const inicio = Date.now();
+          let encontrado;
+          while (!(encontrado = eventos.find(condicao))) {
+            if (Date.now() - inicio > limiteMs) {
+              throw new Error(`Evento não recebido: ${JSON.stringify(eventos)}`);
+            }
+            await new Promise(r => setTimeout(r, 20));
+          }
+          return encontrado;
+        },
+        fechar() {
+          req.destroy();
+        }
+      });
+    });
+
+    req.on('error', erro => {
+      if (erro.code !== 'ECONNRESET') reject(erro);
+    });
+  });
+}
+
+const minutosAtras = minutos => new Date(Date.now() - minutos * 60000);
+
+describe('Painel da cozinha', () => {
+  const ambiente = usarServidorBot({ role: 'kitchen' });
+  const { api } = ambiente;
+
+  async function criarPedido(dados) {
+    return Pedido.create({
+      telefone: '5511933330001@c.us',
+      endereco: 'Avenida Paulista, 1000, Bela Vista, São Paulo - SP, 01310100',
+      formaPagamento: 'PIX',
+      valorTotal: 62,
+      taxaEntrega: 7,
+      status: 'Confirmado',
+      historicoStatus: [{ status: 'Confirmado', alteradoPor: 'bot' }],
+      data: new Date(),
+      itens: [{ nome: 'Pizza Calabresa', identificador: 'pizza-salgada_pizza-calabresa', tamanho: 'Grande', quantidade: 1, preco: 55 }],
+      ...dados
+    });
+  }
+
+  it('calcula troco, tempo decorrido e próxima etapa', () => {
+    assert.deepEqual(changeNeeded('Dinheiro (troco para R$ 100.00)', 62), { trocoPara: 100, troco: 38 });
+    assert.deepEqual(changeNeeded('Dinheiro (troco para R$ 1.000,00)', 62.5), { trocoPara: 1000, troco: 937.5 });
+    assert.equal(changeNeeded('PIX', 62), null);
+
+    const agora = new Date('2026-01-10T20:00:00Z');
+    assert.equal(elapsedTime({ data: new Date('2026-01-10T19:50:00Z') }, 50, agora).nivel, 'ok');
+    assert.equal(elapsedTime({ data: new Date('2026-01-10T19:20:00Z') }, 50, agora).nivel, 'atencao');
+    const atrasado = elapsedTime({ data: new Date('2026-01-10T19:05:00Z') }, 50, agora);
+    assert.equal(atrasado.nivel, 'atrasado');
+    assert.equal(atrasado.decorridoMinutos, 55);
+    assert.equal(atrasado.restanteMinutos, -5);
+
+    assert.equal(nextKitchenStatus('Confirmado'), 'Em preparo');
+    assert.equal(nextKitchenStatus('Saiu para entrega'), 'Entregue');
+    assert.equal(nextKitchenStatus('Entregue'), null);
+    assert.equal(nextKitchenStatus('Cancelado'), null);
+  });
+
+  it('lista os pedidos em andamento agrupados por status', async () => {
+    const meioAMeio = await criarPedido({
+      formaPagamento: 'Dinheiro (troco para R$ 100.00)',
+      data: minutosAtras(55),
+      itens: [{
+        nome: '1/2 Calabresa / 1/2 Margherita',
+        tamanho: 'Grande',
+        quantidade: 1,
+        preco: 55,
+        sabores: [
+          { nome: 'Calabresa', identificador: 'pizza-salgada_pizza-calabresa', fracao: 0.5 },
+          { nome: 'Margherita', identificador: 'pizza-salgada_pizza-margherita', fracao: 0.5 }
+        ]
+      }]
+    });
+    await criarPedido({ status: 'Em preparo', data: minutosAtras(10) });
+    await criarPedido({ status: 'Entregue' });
+
+    const resposta = await api('get', '/api/cozinha/pedidos');
+
+    assert.equal(resposta.status, 200);
+    assert.equal(resposta.data.prazoMinutos, 50);
+    assert.deepEqual(Object.keys(resposta.data.grupos), ['Confirmado', 'Em preparo', 'Saiu para entrega']);
+    assert.equal(resposta.data.grupos['Em preparo'].length, 1);
+    assert.equal(resposta.data.grupos['Saiu para entrega'].length, 0);
+
+    const [cartao] = resposta.data.grupos.Confirmado;
+    assert.equal(cartao.pedidoId, String(meioAMeio._id));
+    assert.equal(cartao.endereco, 'Avenida Paulista, 1000, Bela Vista, São Paulo - SP, 01310100');
+    assert.equal(cartao.pagamento, 'Dinheiro (troco para R$ 100.00)');
+    assert.deepEqual(cartao.troco, { trocoPara: 100, troco: 38 });
+    assert.equal(cartao.proximoStatus, 'Em preparo');
+    assert.equal(cartao.tempo.nivel, 'atrasado');
+    assert.equal(cartao.itens[0].meioAMeio, true);
+    assert.deepEqual(cartao.itens[0].sabores.map(sabor => sabor.descricao), ['1/2 Calabresa', '1/2 Margherita']);
+  });
+
+  it('exige usuário autenticado', async () => {
+    const resposta = await axios.get(`${ambiente.baseUrl}/api/cozinha/pedidos`, { validateStatus: () => true });
+    assert.equal(resposta.status, 401);
+  });
+
+  it('avança o pedido pelas etapas com o bump', async () => {
+    const pedido = await criarPedido();
+
+    for (const esperado of ['Em preparo', 'Saiu para entrega', 'Entregue']) {
+      const resposta = await api('post', `/api/cozinha/pedidos/${pedido._id}/bump`);
+      assert.equal(resposta.status, 200);
+      assert.equal(resposta.data.pedido.status, esperado);
+    }
+
+    const final = await api('post', `/api/cozinha/pedidos/${pedido._id}/bump`);
+    assert.equal(final.status, 400);
+
+    const salvo = await Pedido.findById(pedido._id);
+    assert.equal(salvo.status, 'Entregue');
+    assert.deepEqual(salvo.historicoStatus.map(h => h.alteradoPor), ['bot', 'kitchen@pizzaria.test', 'kitchen@pizzaria.test', 'kitchen@pizzaria.test']);
+  });
+
+  it('transmite pedidos novos e alterados pelo stream', async () => {
+    const existente = await criarPedido();
+    const stream = await abrirStream(`${ambiente.baseUrl}/api/cozinha/stream?access_token=${ambiente.token}`);
+
+    try {
+      const snapshot = await stream.aguardar(e => e.evento === 'snapshot');
+      assert.equal(snapshot.dados.grupos.Confirmado.length, 1);
+
+      // Bump de outra tela
+      await api('post', `/api/cozinha/pedidos/${existente._id}/bump`);
+      const alterado = await stream.aguardar(e => e.evento === 'pedido' && e.dados.pedidoId === String(existente._id));
+      assert.equal(alterado.dados.status, 'Em preparo');
+
+      // Pedido confirmado pelo cliente no WhatsApp
+      const telefone = '5511933330002@c.us';
+      const conversa = await criarConversaEmConfirmacao(telefone, {
+        pedidoData: { items: [{ nome: 'Pizza Margherita', tamanho: 'Grande', quantidade: 1, preco: 50 }] }
+      });
+      await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', conversa);
+
+      const novo = await stream.aguardar(e => e.evento === 'pedido' && e.dados.status === 'Confirmado');
+      const registrado = await Pedido.findOne({ telefone });
+      assert.equal(novo.dados.pedidoId, String(registrado._id));
+      assert.equal(novo.dados.valorTotal, registrado.valorTotal);
+      assert.equal(novo.dados.tempo.prazoMinutos, 50);
+    } finally {
+      stream.fechar();
+    }
+  });
+});
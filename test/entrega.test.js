@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { usarServidorBot } = require('./harness');
+
+describe('Configuração de entrega', () => {
+  const { api } = usarServidorBot();
+
+  it('salva e devolve as mensagens personalizadas, inclusive a de fora do raio', async () => {
+    const messages = {
+      outsideAreaMessage: 'Ainda não chegamos em {{CIDADE}}.',
+      partialAddressMessage: 'Qual o número na {{RUA}}?',
+      outsideRadiusMessage: 'Fica a {{DISTANCIA}} km, só vamos até {{MAX_DISTANCIA}} km.'
+    };
+
+    const salva = await api('put', '/api/delivery-config', { messages });
+    assert.equal(salva.status, 200);
+    assert.deepEqual(salva.data.messages, messages);
+
+    const lida = await api('get', '/api/delivery-config');
+    assert.equal(lida.status, 200);
+    assert.deepEqual(lida.data.messages, messages);
+  });
+});
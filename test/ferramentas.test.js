@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { llm, usarServidorBot } = require('./harness');
+const { Conversa } = require('../models');
+
+describe('Protocolo de ferramentas', () => {
+  const ambiente = usarServidorBot();
+
+  // Conversa já iniciada: a saudação foi respondida
+  function criarConversa(telefone) {
+    return Conversa.create({
+      telefone,
+      inicio: new Date(),
+      state: 1,
+      mensagens: [
+        { tipo: 'user', conteudo: 'boa noite' },
+        { tipo: 'bot', conteudo: 'Boa noite! O que vai querer hoje?' }
+      ]
+    });
+  }
+
+  async function enviar(telefone, mensagem) {
+    const conversa = await ambiente.bot.getOrCreateConversation(telefone, mensagem);
+    return ambiente.bot.processMessageInternally(telefone, mensagem, false, 'text', conversa);
+  }
+
+  it('põe o lembrete na mensagem que está sendo respondida', async () => {
+    const telefone = '5511977770001@c.us';
+    await criarConversa(telefone);
+
+    llm.enqueue({ content: 'A Calabresa grande sai por R$ 55,00.' });
+    await enviar(telefone, 'quanto custa a calabresa?');
+
+    const mensagensCliente = llm.calls[0].messages.filter(m => m.role === 'user');
+    assert.equal(mensagensCliente.length, 2);
+    assert.equal(mensagensCliente[0].content, 'boa noite');
+    assert.match(mensagensCliente[1].content, /^quanto custa a calabresa\?\n\nLEMBRETE:/);
+  });
+
+  it('pede o texto final sem ferramentas quando as rodadas se esgotam', async () => {
+    const foto = { tool_calls: [{ name: 'show_image', arguments: { identificadores: ['pizza-salgada_pizza-calabresa'] } }] };
+    llm.enqueue(foto, foto, foto, { content: 'Aqui está a nossa Calabresa!' });
+
+    const telefone = '5511977770002@c.us';
+    await criarConversa(telefone);
+    const resposta = await enviar(telefone, 'o que vocês recomendam hoje?');
+
+    assert.equal(llm.calls.length, 4);
+    assert.ok(llm.calls.slice(0, 3).every(chamada => chamada.tools));
+    assert.equal(llm.calls[3].tools, undefined);
+    assert.match(resposta.text, /Aqui está a nossa Calabresa!/);
+    assert.doesNotMatch(resposta.text, /Posso ajudar com mais alguma coisa/);
+  });
+});
+
+describe('Protocolo de tags', () => {
+  const ambiente = usarServidorBot({ botConfig: { responseProtocol: 'tags' } });
+
+  it('põe o lembrete de formato na mensagem que está sendo respondida', async () => {
+    const telefone = '5511977770011@c.us';
+    await Conversa.create({
+      telefone,
+      inicio: new Date(),
+      state: 1,
+      mensagens: [
+        { tipo: 'user', conteudo: 'boa noite' },
+        { tipo: 'bot', conteudo: 'Boa noite! O que vai querer hoje?' }
+      ]
+    });
+
+    llm.enqueue({ content: '[TEXT_FORMAT]A Calabresa grande sai por R$ 55,00.[/END]' });
+    const conversa = await ambiente.bot.getOrCreateConversation(telefone, 'quanto custa a calabresa?');
+    await ambiente.bot.processMessageInternally(telefone, 'quanto custa a calabresa?', false, 'text', conversa);
+
+    const mensagensCliente = llm.calls[0].messages.filter(m => m.role === 'user');
+    assert.equal(mensagensCliente[0].content, 'boa noite');
+    assert.match(mensagensCliente.at(-1).content, /^quanto custa a calabresa\?\n\nLEMBRETE:/);
+  });
+});
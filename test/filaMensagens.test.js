@@ -0,0 +1,187 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { llm, iniciarAmbiente, encerrarAmbiente, popularBanco } = require('./harness');
+const { agruparTurnos, createMessageQueue } = require('../services/messageQueue');
+const { Conversa, MensagemPendente, TravaConversa } = require('../models');
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function aguardar(condicao, limiteMs = 5000) {
+  const inicio = Date.now();
+  while (!(await condicao())) {
+    if (Date.now() - inicio > limiteMs) {
+      throw new Error('Tempo esgotado aguardando a fila de mensagens');
+    }
+    await esperar(20);
+  }
+}
+
+// Mensagem no formato entregue pelo whatsapp-web.js
+function mensagemWhatsApp(from, body, id) {
+  return {
+    from,
+    body,
+    id: { id },
+    hasMedia: false,
+    getChat: async () => ({ isGroup: false })
+  };
+}
+
+describe('Fila de mensagens por cliente', () => {
+  let bot;
+  const enviadas = [];
+
+  before(async () => {
+    process.env.MESSAGE_DEBOUNCE_MS = '150';
+    bot = await iniciarAmbiente();
+    bot.client.sendMessage = async (para, conteudo) => {
+      enviadas.push({ para, conteudo });
+    };
+  }, { timeout: 120000 });
+
+  after(async () => {
+    await encerrarAmbiente();
+  });
+
+  beforeEach(async () => {
+    await popularBanco(bot);
+    await Promise.all([MensagemPendente.deleteMany({}), TravaConversa.deleteMany({})]);
+    enviadas.length = 0;
+    llm.reset();
+  });
+
+  it('agrupa textos seguidos em um turno e mantém áudios e reinícios separados', () => {
+    const turnos = agruparTurnos([
+      { tipo: 'text', texto: 'oi', canal: 'whatsapp-web', mensagemId: '1' },
+      { tipo: 'text', texto: 'quero uma pizza', canal: 'whatsapp-web', mensagemId: '2' },
+      { tipo: 'audio', media: { data: 'AAAA', mimetype: 'audio/ogg' }, canal: 'whatsapp-web', mensagemId: '3' },
+      { tipo: 'text', texto: 'grande', canal: 'whatsapp-web', mensagemId: '4' },
+      { tipo: 'text', texto: 'Novo pedido', canal: 'whatsapp-web', mensagemId: '5' },
+      { tipo: 'text', texto: 'calabresa', canal: 'whatsapp-web', mensagemId: '6' }
+    ]);
+
+    assert.deepEqual(turnos.map(({ type, text, ids }) => ({ type, text, ids })), [
+      { type: 'text', text: 'oi\nquero uma pizza', ids: ['1', '2'] },
+      { type: 'audio', text: '', ids: ['3'] },
+      { type: 'text', text: 'grande', ids: ['4'] },
+      { type: 'text', text: 'Novo pedido', ids: ['5'] },
+      { type: 'text', text: 'calabresa', ids: ['6'] }
+    ]);
+  });
+
+  it('responde uma única vez a uma rajada de mensagens do WhatsApp', async () => {
+    const telefone = '5511955550001@c.us';
+    llm.enqueue({ content: 'Boa noite! Anotei: uma pizza grande de calabresa. Algo mais?' });
+
+    for (const [i, texto] of ['boa noite', 'quero uma pizza grande', 'de calabresa'].entries()) {
+      bot.client.emit('message', mensagemWhatsApp(telefone, texto, `burst-${i}`));
+      await esperar(30);
+    }
+
+    await aguardar(() => enviadas.length > 0);
+    await esperar(300);
+
+    assert.equal(llm.calls.filter(chamada => chamada.type === 'chat').length, 1);
+    assert.deepEqual(enviadas, [{ para: telefone, conteudo: 'Boa noite! Anotei: uma pizza grande de calabresa. Algo mais?' }]);
+
+    const conversas = await Conversa.find({ telefone });
+    assert.equal(conversas.length, 1);
+    const doCliente = conversas[0].mensagens.filter(mensagem => mensagem.tipo === 'user');
+    assert.deepEqual(doCliente.map(mensagem => mensagem.conteudo), ['boa noite\nquero uma pizza grande\nde calabresa']);
+    assert.equal(await MensagemPendente.countDocuments({ telefone }), 0);
+    assert.equal(await TravaConversa.countDocuments({ _id: telefone }), 0);
+  });
+
+  it('nunca atende o mesmo cliente em paralelo, mesmo com dois processos', async () => {
+    const atendidos = [];
+    let simultaneos = 0;
+    let maximoSimultaneos = 0;
+
+    async function processTurn(telefone, turno) {
+      simultaneos++;
+      maximoSimultaneos = Math.max(maximoSimultaneos, simultaneos);
+      await esperar(80);
+      atendidos.push(turno.text);
+      simultaneos--;
+    }
+
+    // Duas instâncias do bot compartilhando o mesmo banco
+    const filaA = createMessageQueue({ processTurn, debounceMs: 30, retryMs: 20 });
+    const filaB = createMessageQueue({ processTurn, debounceMs: 30, retryMs: 20 });
+    const telefone = '5511955550002@c.us';
+
+    await filaA.enqueue(telefone, { canal: 'cloud-api', id: 'a1', type: 'text', text: 'primeira' });
+    await filaB.enqueue(telefone, { canal: 'cloud-api', id: 'b1', type: 'text', text: 'segunda' });
+    await esperar(60);
+    // Chega enquanto o primeiro turno está em andamento
+    await filaB.enqueue(telefone, { canal: 'cloud-api', id: 'b2', type: 'text', text: 'terceira' });
+
+    await aguardar(() => atendidos.length === 2 && filaA.isIdle() && filaB.isIdle());
+
+    assert.equal(maximoSimultaneos, 1);
+    assert.deepEqual(atendidos, ['primeira\nsegunda', 'terceira']);
+  });
+
+  it('espera a trava de outro processo ser liberada', async () => {
+    const atendidos = [];
+    const fila = createMessageQueue({
+      processTurn: async (telefone, turno) => atendidos.push(turno.text),
+      debounceMs: 20,
+      retryMs: 20
+    });
+    const telefone = '5511955550003@c.us';
+
+    await TravaConversa.create({ _id: telefone, dono: 'outro-processo', expiraEm: new Date(Date.now() + 60000) });
+    await fila.enqueue(telefone, { canal: 'cloud-api', id: 'c1', type: 'text', text: 'oi' });
+
+    await esperar(150);
+    assert.deepEqual(atendidos, []);
+
+    await TravaConversa.deleteOne({ _id: telefone });
+    await aguardar(() => atendidos.length === 1);
+    assert.deepEqual(atendidos, ['oi']);
+  });
+
+  it('recusa salvar uma conversa alterada por outro processo', async () => {
+    const conversa = await Conversa.create({ telefone: '5511955550004@c.us', state: 0, mensagens: [] });
+
+    const processoA = await Conversa.findById(conversa._id);
+    const processoB = await Conversa.findById(conversa._id);
+
+    processoA.state = 1;
+    await processoA.save();
+
+    processoB.state = 2;
+    await assert.rejects(processoB.save(), mongoose.Error.VersionError);
+    assert.equal((await Conversa.findById(conversa._id)).state, 1);
+  });
+
+  it('junta o turno à conversa alterada por outro processo sem chamar o LLM de novo', async () => {
+    const telefone = '5511955550005@c.us';
+    const conversa = await Conversa.create({
+      telefone,
+      inicio: new Date(),
+      state: 1,
+      mensagens: [{ tipo: 'user', conteudo: 'boa noite' }, { tipo: 'bot', conteudo: 'Boa noite!' }]
+    });
+
+    // O turno começa com esta cópia; outro processo grava uma mensagem antes dele salvar
+    const copiaDoTurno = await Conversa.findById(conversa._id);
+    const outroProcesso = await Conversa.findById(conversa._id);
+    outroProcesso.mensagens.push({ tipo: 'bot', conteudo: 'Aviso enviado por outro processo' });
+    await outroProcesso.save();
+
+    llm.enqueue({ content: 'Temos calabresa e margherita.' });
+    const resposta = await bot.processMessageInternally(telefone, 'quais sabores vocês têm?', false, 'text', copiaDoTurno);
+
+    assert.match(resposta.text, /Temos calabresa e margherita/);
+    assert.equal(llm.calls.filter(chamada => chamada.type === 'chat').length, 1);
+    const salva = await Conversa.findById(conversa._id);
+    assert.deepEqual(salva.mensagens.map(mensagem => mensagem.conteudo).slice(2), [
+      'Aviso enviado por outro processo',
+      'quais sabores vocês têm?',
+      '[TEXT_FORMAT]Temos calabresa e margherita.[/END]'
+    ]);
+  });
+});
@@ -0,0 +1,319 @@
+const { before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// ======== AMBIENTE DE TESTE DAS CONVERSAS ==========
+// Roda diálogos roteirizados por processMessageInternally com MongoDB em
+// memória, LLM simulado (services/llm/mock.js) e consulta de CEP respondida
+// por test/fixtures/ceps.json. Nenhuma chamada sai para a rede.
+//
+// Formato de um diálogo (test/fixtures/dialogos/*.json):
+// {
+//   "descricao": "...",
+//   "telefone": "5511900000001@c.us",        // um telefone diferente por diálogo
+//   "botConfig": { "responseProtocol": "tags" }, // opcional, sobrescreve a loja
+//   "passos": [{
+//     "cliente": "mensagem do cliente",
+//     "llm": [{ "content": "...", "tool_calls": [...] }], // respostas do LLM, em ordem
+//     "espera": { "estado": 1, "texto": "regex", "imagens": ["id"], "conversa": {...} }
+//   }],
+//   "pedido": { ...campos esperados do Pedido salvo } // ou null: nenhum pedido
+// }
+// "llm" vazio ou ausente exige que o passo seja resolvido sem chamar o LLM.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'segredo-de-teste';
+
+const { setLlmProvider, createMockProvider } = require('../services/llm');
+const { setGeocoder } = require('../services/geocoder');
+const { signToken, hashPassword } = require('../services/auth');
+const {
+  BotConfig,
+  PizzariaHistoria,
+  CardapioItem,
+  Categoria,
+  FormaPagamento,
+  Conversa,
+  Pedido,
+  DeliveryConfig,
+  HorarioFuncionamento,
+  Cliente,
+  Promocao,
+  ReservaHorario,
+  Usuario
+} = require('../models');
+const loja = require('./fixtures/loja.json');
+const ceps = require('./fixtures/ceps.json');
+
+const llm = createMockProvider();
+const mensagensEnviadas = [];
+
+let mongod = null;
+let adapterOriginal = null;
+
+// Adaptador do axios: responde a BrasilAPI com as fixtures, deixa passar servidores
+// locais (stubs dos testes) e bloqueia o resto
+async function adapterSemRede(config) {
+  const url = axios.getUri(config);
+  if (/^https?:\/\/(127\.0\.0\.1|localhost)[:/]/.test(url)) {
+    return axios.getAdapter(adapterOriginal)(config);
+  }
+
+  const cepMatch = /brasilapi\.com\.br\/api\/cep\/v\d\/(\d{8})/.exec(url);
+
+  if (cepMatch && ceps[cepMatch[1]]) {
+    return { data: ceps[cepMatch[1]], status: 200, statusText: 'OK', headers: {}, config, request: {} };
+  }
+
+  const erro = new Error(cepMatch ? `CEP ${cepMatch[1]} não encontrado` : `Requisição externa bloqueada nos testes: ${url}`);
+  erro.config = config;
+  erro.response = { status: 404, data: {}, headers: {}, config };
+  throw erro;
+}
+
+async function iniciarAmbiente() {
+  // O bot registra cada etapa no console; TEST_LOGS=1 mantém essas mensagens
+  if (!process.env.TEST_LOGS) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  // MONGODB_TEST_URI permite usar um MongoDB já disponível (ex: serviço do CI)
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    mongod = await MongoMemoryServer.create();
+    uri = mongod.getUri();
+  }
+
+  await mongoose.connect(uri);
+
+  adapterOriginal = axios.defaults.adapter;
+  axios.defaults.adapter = adapterSemRede;
+  setGeocoder(async () => null);
+  setLlmProvider(llm);
+
+  const bot = require('../index');
+  bot.client.sendMessage = async (para, conteudo) => {
+    mensagensEnviadas.push({ para, conteudo });
+  };
+
+  return bot;
+}
+
+async function encerrarAmbiente() {
+  setLlmProvider(null);
+  setGeocoder(null);
+  axios.defaults.adapter = adapterOriginal;
+
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+    mongod = null;
+  }
+}
+
+// Limpar o banco e cadastrar a loja de teste
+async function popularBanco(bot, botConfigExtra = {}) {
+  await Promise.all([BotConfig, PizzariaHistoria, CardapioItem, Categoria, FormaPagamento, Conversa, Pedido, DeliveryConfig,
+    HorarioFuncionamento, Cliente, Promocao, ReservaHorario].map(model => model.deleteMany({})));
+
+  await BotConfig.create({ ...loja.botConfig, ...botConfigExtra });
+  await PizzariaHistoria.create(loja.historia);
+  await Categoria.insertMany(loja.categorias);
+  await CardapioItem.insertMany(loja.cardapio);
+  await FormaPagamento.insertMany(loja.formasPagamento);
+  await DeliveryConfig.create(loja.deliveryConfig);
+
+  bot.invalidateDataCache();
+}
+
+// Servidor HTTP numa porta livre (o bot ou uma API externa simulada)
+function ouvir(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// Único usuário do painel, com o perfil pedido; devolve o token de acesso
+async function entrarComo(role) {
+  await Usuario.deleteMany({});
+  const usuario = await Usuario.create({
+    nome: `Equipe (${role})`,
+    email: `${role}@pizzaria.test`,
+    senhaHash: await hashPassword('segredo123'),
+    role,
+    ativo: true
+  });
+  return signToken(usuario);
+}
+
+// Ambiente da suíte com o servidor HTTP do bot: a cada teste o banco é populado
+// (`preparar` completa o cenário) e um usuário com o perfil `role` entra no painel.
+// Devolve o contexto preenchido pelos hooks: { bot, baseUrl, token, api }
+function usarServidorBot({ role = 'owner', botConfig = {}, preparar } = {}) {
+  const contexto = {
+    api: (metodo, caminho, corpo) => axios({
+      method: metodo,
+      url: `${contexto.baseUrl}${caminho}`,
+      data: corpo,
+      headers: { Authorization: `Bearer ${contexto.token}` },
+      validateStatus: () => true
+    })
+  };
+
+  before(async () => {
+    contexto.bot = await iniciarAmbiente();
+    const { server, baseUrl } = await ouvir(contexto.bot.app);
+    contexto.server = server;
+    contexto.baseUrl = baseUrl;
+  }, { timeout: 120000 });
+
+  after(async () => {
+    contexto.server.close();
+    await encerrarAmbiente();
+  });
+
+  beforeEach(async () => {
+    await popularBanco(contexto.bot, botConfig);
+    llm.reset();
+    if (preparar) {
+      await preparar(contexto.bot);
+    }
+    contexto.token = await entrarComo(role);
+  });
+
+  return contexto;
+}
+
+const PAULISTA = 'Avenida Paulista, 1000, Bela Vista, São Paulo - SP, 01310100';
+
+// Endereço já validado pelo geocoder, como fica em conversa.addressData
+const PAULISTA_VALIDADO = {
+  formattedAddress: PAULISTA,
+  components: { street: 'Avenida Paulista', number: '1000', neighborhood: 'Bela Vista', city: 'São Paulo', cep: '01310100' }
+};
+
+// Conversa no estado de confirmação (6), com o resumo já precificado.
+// `pedidoData` completa o pedido padrão; os demais campos vão direto para a conversa
+async function criarConversaEmConfirmacao(telefone, { pedidoData = {}, ...dados } = {}) {
+  return Conversa.create({
+    telefone,
+    inicio: new Date(),
+    state: 6,
+    mensagens: [],
+    ...dados,
+    pedidoData: {
+      items: [{ nome: 'Pizza Calabresa', identificador: 'pizza-salgada_pizza-calabresa', tamanho: 'Grande', quantidade: 1, preco: 50 }],
+      endereco: PAULISTA,
+      pagamento: 'PIX',
+      taxaEntrega: 7,
+      ...pedidoData
+    }
+  });
+}
+
+// Valores do Mongo (ObjectId, Date, subdocumentos) em formato comparável com o JSON
+function normalizar(valor) {
+  return JSON.parse(JSON.stringify(valor));
+}
+
+// Comparar apenas os campos presentes no valor esperado; null exige campo ausente
+function assertParcial(real, esperado, caminho) {
+  if (esperado === null) {
+    assert.ok(real === undefined || real === null, `${caminho}: esperado ausente, recebido ${JSON.stringify(real)}`);
+  } else if (Array.isArray(esperado)) {
+    assert.ok(Array.isArray(real), `${caminho}: esperado uma lista, recebido ${JSON.stringify(real)}`);
+    assert.equal(real.length, esperado.length, `${caminho}: quantidade de itens`);
+    esperado.forEach((item, i) => assertParcial(real[i], item, `${caminho}[${i}]`));
+  } else if (esperado && typeof esperado === 'object') {
+    assert.ok(real && typeof real === 'object', `${caminho}: esperado um objeto, recebido ${JSON.stringify(real)}`);
+    Object.entries(esperado).forEach(([campo, valor]) => assertParcial(real[campo], valor, `${caminho}.${campo}`));
+  } else {
+    assert.deepEqual(real, esperado, `${caminho}`);
+  }
+}
+
+function textoSemTags(texto) {
+  return (texto || '').replace(/\[\/?[A-Z_]+\]/g, '').trim();
+}
+
+function verificarPasso(espera, resposta, conversa, rotulo) {
+  if (!espera) return;
+
+  if (espera.estado !== undefined) {
+    assert.equal(conversa.state, espera.estado, `${rotulo}: estado da conversa`);
+  }
+
+  if (espera.texto !== undefined) {
+    const texto = textoSemTags(resposta.text);
+    assert.match(texto, new RegExp(espera.texto, 'i'), `${rotulo}: texto da resposta`);
+  }
+
+  if (espera.imagens !== undefined) {
+    const imagens = (resposta.allImages || []).map(imagem => imagem.id);
+    assert.deepEqual(imagens, espera.imagens, `${rotulo}: imagens enviadas`);
+  }
+
+  if (espera.conversa !== undefined) {
+    assertParcial(normalizar(conversa), espera.conversa, `${rotulo}: conversa`);
+  }
+}
+
+// Rodar um diálogo do início ao fim, conferindo cada passo e o pedido salvo
+async function executarDialogo(bot, dialogo) {
+  await popularBanco(bot, dialogo.botConfig);
+  llm.reset();
+  mensagensEnviadas.length = 0;
+
+  const respostas = [];
+
+  for (const [i, passo] of dialogo.passos.entries()) {
+    const rotulo = `passo ${i + 1} ("${passo.cliente}")`;
+    const roteiro = passo.llm || [];
+
+    llm.enqueue(...roteiro);
+    const chamadasAntes = llm.calls.filter(chamada => chamada.type === 'chat').length;
+
+    const conversa = await bot.getOrCreateConversation(dialogo.telefone, passo.cliente);
+    const resposta = await bot.processMessageInternally(dialogo.telefone, passo.cliente, false, 'text', conversa);
+    respostas.push(resposta);
+
+    const chamadas = llm.calls.filter(chamada => chamada.type === 'chat').length - chamadasAntes;
+    assert.equal(chamadas, roteiro.length, `${rotulo}: chamadas ao LLM`);
+    assert.ok(resposta && resposta.success !== false, `${rotulo}: resposta com erro ${JSON.stringify(resposta)}`);
+
+    const conversaSalva = await Conversa.findById(conversa._id);
+    verificarPasso(passo.espera, resposta, conversaSalva, rotulo);
+  }
+
+  if (dialogo.pedido !== undefined) {
+    const pedidos = await Pedido.find({ telefone: dialogo.telefone });
+
+    if (dialogo.pedido === null) {
+      assert.equal(pedidos.length, 0, 'nenhum pedido deveria ter sido registrado');
+    } else {
+      assert.equal(pedidos.length, 1, 'quantidade de pedidos registrados');
+      assertParcial(normalizar(pedidos[0]), dialogo.pedido, 'pedido');
+    }
+  }
+
+  return { respostas, mensagensEnviadas: [...mensagensEnviadas] };
+}
+
+module.exports = {
+  llm,
+  iniciarAmbiente,
+  encerrarAmbiente,
+  popularBanco,
+  ouvir,
+  entrarComo,
+  usarServidorBot,
+  PAULISTA,
+  PAULISTA_VALIDADO,
+  criarConversaEmConfirmacao,
+  executarDialogo,
+  assertParcial
+};
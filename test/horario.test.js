@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { llm, usarServidorBot, criarConversaEmConfirmacao } = require('./harness');
+const openingHours = require('../services/openingHours');
+const { Conversa, Pedido } = require('../models');
+
+// Terça a domingo das 18h às 23h; sexta e sábado até 1h da madrugada (segunda fechado)
+const SEMANA = [0, 2, 3, 4, 5, 6].map(diaSemana => ({
+  diaSemana,
+  intervalos: [{ abre: '18:00', fecha: diaSemana === 5 || diaSemana === 6 ? '01:00' : '23:00' }]
+}));
+
+describe('Horário de funcionamento', () => {
+  describe('calendário', () => {
+    const horario = openingHours.normalizeOpeningHours({ timezone: 'America/Sao_Paulo', dias: SEMANA });
+
+    it('sem calendário cadastrado a loja fica sempre aberta', () => {
+      const situacao = openingHours.storeStatus(null, new Date('2026-10-19T15:00:00Z'));
+      assert.equal(situacao.aberto, true);
+      assert.equal(situacao.configurado, false);
+    });
+
+    it('calcula abertura, fechamento e intervalos que passam da meia-noite', () => {
+      // Sexta, 20:00 em São Paulo
+      const sexta = openingHours.storeStatus(horario, new Date('2026-10-16T23:00:00Z'));
+      assert.equal(sexta.aberto, true);
+      assert.equal(sexta.fechaEm.toISOString(), '2026-10-17T04:00:00.000Z');
+
+      // Sábado, 00:30: ainda no expediente de sexta
+      assert.equal(openingHours.storeStatus(horario, new Date('2026-10-17T03:30:00Z')).aberto, true);
+
+      // Segunda, 12:00: fechado até terça às 18h
+      const agora = new Date('2026-10-19T15:00:00Z');
+      const segunda = openingHours.storeStatus(horario, agora);
+      assert.equal(segunda.aberto, false);
+      assert.equal(segunda.proximaAbertura.toISOString(), '2026-10-20T21:00:00.000Z');
+      assert.equal(openingHours.describeMoment(segunda.proximaAbertura, horario.timezone, agora), 'amanhã às 18:00');
+      assert.match(openingHours.closedMessage(horario, segunda, agora), /^No momento estamos fechados\. Abrimos amanhã às 18:00\. .*cardápio/);
+    });
+
+    it('aplica feriados e horários especiais', () => {
+      const agora = new Date('2026-10-19T15:00:00Z');
+      const comExcecoes = openingHours.normalizeOpeningHours({
+        dias: SEMANA,
+        excecoes: [
+          { data: '2026-10-19', fechado: false, intervalos: [{ abre: '11:00', fecha: '15:00' }] },
+          { data: '2026-10-20', descricao: 'Feriado', fechado: true }
+        ]
+      });
+
+      assert.equal(openingHours.storeStatus(comExcecoes, agora).aberto, true);
+
+      const depoisDoAlmoco = new Date('2026-10-19T19:00:00Z');
+      const situacao = openingHours.storeStatus(comExcecoes, depoisDoAlmoco);
+      assert.equal(situacao.aberto, false);
+      assert.equal(openingHours.describeMoment(situacao.proximaAbertura, comExcecoes.timezone, depoisDoAlmoco), 'quarta-feira (21/10) às 18:00');
+
+      const texto = openingHours.formatSchedule(comExcecoes, agora);
+      assert.match(texto, /^Segunda-feira: fechado\nTerça-feira: 18:00 às 23:00/);
+      assert.match(texto, /Sexta-feira: 18:00 às 01:00/);
+      assert.match(texto, /20\/10 \(Feriado\): fechado/);
+    });
+
+    it('valida o calendário enviado', () => {
+      assert.deepEqual(openingHours.validateOpeningHours({ dias: SEMANA, timezone: 'America/Sao_Paulo' }), []);
+
+      const erros = openingHours.validateOpeningHours({
+        timezone: 'Lugar/Nenhum',
+        foraDoHorario: 'ignorar',
+        dias: [{ diaSemana: 7, intervalos: [{ abre: '18h', fecha: '23:00' }] }],
+        excecoes: [{ data: '2026-02-30' }]
+      });
+      assert.equal(erros.length, 5);
+    });
+  });
+
+  describe('atendimento', () => {
+    const ambiente = usarServidorBot({
+      botConfig: {
+        systemPrompt: 'Hoje é {{CURRENT_DATE}}, {{CURRENT_TIME}}. A loja está {{STATUS_LOJA}}.\nHorários:\n{{HORARIO_FUNCIONAMENTO}}'
+      }
+    });
+    const { api } = ambiente;
+
+    // Calendário em que a loja está fechada agora e abre amanhã às 18h
+    async function fecharHoje(extra = {}) {
+      const hoje = openingHours.localTime(new Date()).data;
+      const todosOsDias = [0, 1, 2, 3, 4, 5, 6].map(diaSemana => ({
+        diaSemana,
+        intervalos: [{ abre: '18:00', fecha: '23:00' }]
+      }));
+
+      const resposta = await api('put', '/api/horario-funcionamento', {
+        timezone: 'America/Sao_Paulo',
+        dias: todosOsDias,
+        excecoes: [{ data: hoje, descricao: 'Reforma', fechado: true }],
+        ...extra
+      });
+      assert.equal(resposta.status, 200);
+      return resposta.data;
+    }
+
+    it('gerencia o calendário e os feriados pela API', async () => {
+      const semCalendario = await api('get', '/api/horario-funcionamento');
+      assert.equal(semCalendario.status, 200);
+      assert.equal(semCalendario.data.situacao.aberto, true);
+
+      const calendario = await fecharHoje();
+      assert.equal(calendario.situacao.aberto, false);
+      assert.match(calendario.situacao.mensagem, /Abrimos amanhã às 18:00/);
+
+      const invalido = await api('put', '/api/horario-funcionamento', { dias: [{ diaSemana: 1, intervalos: [{ abre: '25:00', fecha: '23:00' }] }] });
+      assert.equal(invalido.status, 400);
+
+      const natal = await api('put', '/api/horario-funcionamento/excecoes/2026-12-25', { descricao: 'Natal' });
+      assert.equal(natal.status, 200);
+      assert.deepEqual(natal.data.excecoes.map(e => e.data).slice(-1), ['2026-12-25']);
+
+      const removido = await api('delete', '/api/horario-funcionamento/excecoes/2026-12-25');
+      assert.equal(removido.status, 200);
+      assert.equal(removido.data.excecoes.some(e => e.data === '2026-12-25'), false);
+      assert.equal((await api('delete', '/api/horario-funcionamento/excecoes/2026-12-25')).status, 404);
+    });
+
+    it('informa a situação da loja no prompt e libera consultas ao cardápio', async () => {
+      await fecharHoje();
+      const telefone = '5511966660001@c.us';
+      await Conversa.create({ telefone, inicio: new Date(), state: 1, mensagens: [] });
+
+      llm.enqueue({ content: 'Estamos fechados agora, abrimos amanhã às 18h. A Calabresa grande custa R$ 55,00.' });
+      const conversa = await ambiente.bot.getOrCreateConversation(telefone, 'quanto custa a calabresa?');
+      const resposta = await ambiente.bot.processMessageInternally(telefone, 'quanto custa a calabresa?', false, 'text', conversa);
+
+      assert.match(resposta.text, /Calabresa grande custa/);
+      const prompt = llm.calls.find(chamada => chamada.type === 'chat').messages[0].content;
+      assert.match(prompt, new RegExp(`Hoje é ${openingHours.localTime(new Date()).data}, \\d{2}:\\d{2}\\.`));
+      assert.match(prompt, /A loja está fechada \(abre amanhã às 18:00\)\./);
+      assert.match(prompt, /Segunda-feira: 18:00 às 23:00/);
+      assert.match(prompt, /A PIZZARIA ESTÁ FECHADA AGORA E ABRE AMANHÃ ÀS 18:00/);
+      assert.match(prompt, /NÃO monte nem confirme pedidos/);
+    });
+
+    it('avisa na saudação quando a loja está fechada', async () => {
+      await fecharHoje();
+
+      const resposta = await axios.post(`${ambiente.baseUrl}/api/webchat/sessions`);
+      const texto = resposta.data.parts.filter(parte => parte.type === 'text').map(parte => parte.text).join('\n');
+      assert.match(texto, /No momento estamos fechados\. Abrimos amanhã às 18:00\./);
+    });
+
+    it('recusa a confirmação com a loja fechada', async () => {
+      await fecharHoje();
+      const telefone = '5511966660002@c.us';
+      const conversa = await criarConversaEmConfirmacao(telefone);
+
+      const resposta = await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', conversa);
+
+      assert.match(resposta.text, /estamos fechados\. Abrimos amanhã às 18:00/);
+      assert.equal(await Pedido.countDocuments({ telefone }), 0);
+      assert.equal((await Conversa.findById(conversa._id)).state, 6);
+    });
+
+    it('agenda o pedido para o primeiro horário depois da abertura no modo "agendar"', async () => {
+      await fecharHoje({ foraDoHorario: 'agendar' });
+      const telefone = '5511966660003@c.us';
+      const conversa = await criarConversaEmConfirmacao(telefone);
+
+      const resposta = await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', conversa);
+
+      assert.match(resposta.text, /PEDIDO CONFIRMADO/);
+      // Abre às 18h; com o prazo de 50 minutos, a primeira entrega possível é às 19h
+      assert.match(resposta.text, /Sua entrega está agendada para amanhã às 19:00/);
+
+      const pedido = await Pedido.findOne({ telefone });
+      const { proximaAbertura } = openingHours.storeStatus((await api('get', '/api/horario-funcionamento')).data);
+      assert.equal(pedido.agendadoPara.getTime(), proximaAbertura.getTime() + 60 * 60000);
+      assert.equal(pedido.status, 'Agendado');
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { usarServidorBot } = require('./harness');
+const { Conversa, Pedido } = require('../models');
+
+describe('Listagens de pedidos e conversas', () => {
+  const { api } = usarServidorBot();
+
+  it('pagina sempre, com o limite padrão, e deixa de fora os campos pesados', async () => {
+    await Pedido.create([
+      { telefone: '5511955550001@c.us', status: 'Entregue', valorTotal: 50, data: new Date('2026-10-17T23:00:00Z') },
+      { telefone: '5511955550002@c.us', status: 'Em preparo', valorTotal: 62, data: new Date('2026-10-18T23:00:00Z') }
+    ]);
+    await Conversa.create({ telefone: '5511955550001@c.us', inicio: new Date(), state: 1, mensagens: [{ tipo: 'user', conteudo: 'oi' }] });
+
+    const pedidos = await api('get', '/api/pedidos');
+    assert.equal(pedidos.status, 200);
+    assert.deepEqual(pedidos.data.data.map(pedido => pedido.valorTotal), [62, 50]);
+    assert.deepEqual(pedidos.data.pagination, { page: 1, limit: 20, total: 2, pages: 1 });
+    assert.equal(pedidos.data.data[0].historicoStatus, undefined);
+
+    const filtrados = await api('get', '/api/pedidos?status=Entregue');
+    assert.deepEqual(filtrados.data.data.map(pedido => pedido.valorTotal), [50]);
+
+    const pagina = await api('get', '/api/pedidos?page=2&limit=1');
+    assert.deepEqual(pagina.data.data.map(pedido => pedido.valorTotal), [50]);
+    assert.deepEqual(pagina.data.pagination, { page: 2, limit: 1, total: 2, pages: 2 });
+
+    // As mensagens ficam só no detalhe da conversa
+    const conversas = await api('get', '/api/conversas');
+    assert.equal(conversas.data.pagination.total, 1);
+    assert.equal(conversas.data.data[0].mensagens, undefined);
+  });
+});
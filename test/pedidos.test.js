@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { llm, usarServidorBot, criarConversaEmConfirmacao } = require('./harness');
+const { placeOrder, idempotencyKey } = require('../services/orderService');
+const { Conversa, Pedido } = require('../models');
+
+describe('Registro idempotente de pedidos', () => {
+  const ambiente = usarServidorBot();
+
+  it('devolve o pedido já registrado quando a confirmação se repete', async () => {
+    const conversa = await criarConversaEmConfirmacao('5511944440001@c.us');
+
+    const primeira = await placeOrder(conversa, conversa.pedidoData);
+    const segunda = await placeOrder(conversa, conversa.pedidoData);
+
+    assert.equal(primeira.created, true);
+    assert.equal(segunda.created, false);
+    assert.equal(String(segunda.pedido._id), String(primeira.pedido._id));
+    assert.equal(primeira.pedido.valorTotal, 57);
+    assert.equal(primeira.pedido.chaveIdempotencia, idempotencyKey(conversa));
+
+    const salva = await Conversa.findById(conversa._id);
+    assert.equal(salva.state, 7);
+    assert.equal(String(salva.pedidoId), String(primeira.pedido._id));
+    assert.equal(await Pedido.countDocuments({ telefone: '5511944440001@c.us' }), 1);
+  });
+
+  it('não registra outro pedido a partir de uma cópia desatualizada da conversa', async () => {
+    const conversa = await criarConversaEmConfirmacao('5511944440002@c.us');
+    const copiaAntiga = await Conversa.findById(conversa._id);
+
+    const { pedido } = await placeOrder(conversa, conversa.pedidoData);
+
+    // A cópia antiga encontra o pedido pela chave; salvar por cima dela é recusado
+    await assert.rejects(placeOrder(copiaAntiga, copiaAntiga.pedidoData), mongoose.Error.VersionError);
+
+    const atual = await Conversa.findById(conversa._id);
+    const repeticao = await placeOrder(atual, atual.pedidoData);
+    assert.equal(repeticao.created, false);
+    assert.equal(String(repeticao.pedido._id), String(pedido._id));
+    assert.equal(await Pedido.countDocuments({ telefone: '5511944440002@c.us' }), 1);
+  });
+
+  it('"ok" de novo após uma confirmação interrompida devolve o mesmo pedido', async () => {
+    const telefone = '5511944440003@c.us';
+    const conversa = await criarConversaEmConfirmacao(telefone);
+
+    // O pedido foi gravado, mas a conversa não chegou a ser atualizada
+    const registrado = await Pedido.create({
+      telefone,
+      chaveIdempotencia: idempotencyKey(conversa),
+      valorTotal: 57,
+      taxaEntrega: 7,
+      endereco: conversa.pedidoData.endereco,
+      formaPagamento: 'PIX',
+      status: 'Confirmado',
+      itens: [{ nome: 'Pizza Calabresa', tamanho: 'Grande', quantidade: 1, preco: 50 }]
+    });
+
+    const resposta = await ambiente.bot.processMessageInternally(telefone, 'ok', false, 'text', conversa);
+
+    assert.match(resposta.text, /PEDIDO CONFIRMADO/);
+    assert.match(resposta.text, /R\$ 57\.00/);
+    const pedidos = await Pedido.find({ telefone });
+    assert.equal(pedidos.length, 1);
+    assert.equal(String(pedidos[0]._id), String(registrado._id));
+
+    const salva = await Conversa.findById(conversa._id);
+    assert.equal(salva.state, 7);
+    assert.equal(String(salva.pedidoId), String(registrado._id));
+    assert.equal(llm.calls.length, 0);
+  });
+
+  it('um segundo "sim" depois do pedido confirmado não cria outro pedido', async () => {
+    const telefone = '5511944440004@c.us';
+    await criarConversaEmConfirmacao(telefone);
+
+    for (const mensagem of ['sim', 'sim']) {
+      llm.enqueue({ content: 'Seu pedido já está a caminho! Posso ajudar em algo mais?' });
+      const conversa = await ambiente.bot.getOrCreateConversation(telefone, mensagem);
+      await ambiente.bot.processMessageInternally(telefone, mensagem, false, 'text', conversa);
+    }
+
+    assert.equal(await Pedido.countDocuments({ telefone }), 1);
+  });
+});
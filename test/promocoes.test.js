@@ -0,0 +1,180 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { llm, usarServidorBot, criarConversaEmConfirmacao, PAULISTA_VALIDADO } = require('./harness');
+const promotions = require('../services/promotions');
+const { Conversa, Pedido, Promocao } = require('../models');
+
+const CARDAPIO = [
+  { _id: 'calabresa', nome: 'Pizza Calabresa', identificador: 'pizza-salgada_pizza-calabresa', categoria: 'Pizza Salgada', tamanhos: [{ nome: 'Média', preco: 45 }, { nome: 'Grande', preco: 55 }] },
+  { _id: 'margherita', nome: 'Pizza Margherita', identificador: 'pizza-salgada_pizza-margherita', categoria: 'Pizza Salgada', tamanhos: [{ nome: 'Média', preco: 42 }, { nome: 'Grande', preco: 52 }] },
+  { _id: 'coca', nome: 'Coca-Cola 2L', identificador: 'bebida_coca-cola-2l', categoria: 'Bebida', preco: 12, tamanhos: [] }
+];
+
+const CALABRESA = { nome: 'Pizza Calabresa', identificador: 'pizza-salgada_pizza-calabresa', tamanho: 'Grande', quantidade: 1, preco: 55 };
+const MARGHERITA = { nome: 'Pizza Margherita', identificador: 'pizza-salgada_pizza-margherita', tamanho: 'Média', quantidade: 1, preco: 42 };
+const COCA = { nome: 'Coca-Cola 2L', identificador: 'bebida_coca-cola-2l', quantidade: 1, preco: 12 };
+
+// Terça-feira, 19:00 em São Paulo
+const TERCA_NOITE = new Date('2026-10-20T22:00:00Z');
+
+describe('Regras de promoção', () => {
+  const aplicar = (promocoes, items, extras = {}) => promotions.applyPromotions({
+    promocoes: promocoes.map((promocao, i) => ({ _id: `promo${i}`, ativo: true, ...promocao })),
+    items,
+    cardapioItems: CARDAPIO,
+    agora: TERCA_NOITE,
+    ...extras
+  });
+
+  it('aplica percentual só na categoria e valor fixo a partir do pedido mínimo', () => {
+    const percentual = aplicar([{ nome: 'Terça da Pizza', tipo: 'percentual', valor: 10, categorias: ['Pizza Salgada'] }], [CALABRESA, COCA]);
+    assert.deepEqual(percentual.descontos.map(d => [d.nome, d.valor]), [['Terça da Pizza', 5.5]]);
+
+    const fixo = { nome: 'Dez off', codigo: 'DEZ', tipo: 'valor_fixo', valor: 10, valorMinimo: 80 };
+    assert.equal(aplicar([fixo], [CALABRESA], { cupom: 'dez' }).cupom.motivo, 'valor_minimo');
+    const aplicado = aplicar([fixo], [CALABRESA, MARGHERITA], { cupom: 'dez' });
+    assert.equal(aplicado.cupom.aplicado, true);
+    assert.deepEqual(aplicado.descontos.map(d => [d.codigo, d.valor]), [['DEZ', 10]]);
+
+    // Cupom sem promoção cadastrada
+    assert.equal(aplicar([fixo], [CALABRESA], { cupom: 'XYZ' }).cupom.motivo, 'invalido');
+  });
+
+  it('dá o brinde a cada duas pizzas, incluindo a bebida quando falta', () => {
+    const leve2 = { nome: 'Leve 2 ganhe refri', tipo: 'brinde', categorias: ['Pizza Salgada'], quantidadeMinima: 2, brinde: 'bebida_coca-cola-2l' };
+
+    const semBebida = aplicar([leve2], [{ ...CALABRESA, quantidade: 2 }]);
+    assert.deepEqual(semBebida.items.map(item => [item.nome, item.quantidade, item.preco]), [['Pizza Calabresa', 2, 55], ['Coca-Cola 2L', 1, 12]]);
+    assert.equal(semBebida.descontos[0].valor, 12);
+
+    // A bebida já pedida não conta para o brinde e só uma sai de graça
+    const comBebidas = aplicar([leve2], [CALABRESA, MARGHERITA, { ...COCA, quantidade: 2 }]);
+    assert.equal(comBebidas.items.length, 3);
+    assert.equal(comBebidas.descontos[0].valor, 12);
+
+    assert.equal(aplicar([leve2], [CALABRESA, COCA]).descontos.length, 0);
+  });
+
+  it('respeita dias, horários, período e o limite por cliente', () => {
+    const noite = { nome: 'Happy hour', tipo: 'percentual', valor: 20, diasSemana: [2], horaInicio: '18:00', horaFim: '20:00' };
+    assert.equal(aplicar([noite], [CALABRESA]).descontos[0].valor, 11);
+    assert.equal(aplicar([noite], [CALABRESA], { agora: new Date('2026-10-20T23:30:00Z') }).descontos.length, 0);
+    assert.equal(aplicar([{ ...noite, diasSemana: [5] }], [CALABRESA]).descontos.length, 0);
+    assert.equal(aplicar([{ ...noite, fim: new Date('2026-10-19T00:00:00Z') }], [CALABRESA]).descontos.length, 0);
+
+    const primeira = { nome: 'Primeira compra', codigo: 'BEMVINDO', tipo: 'valor_fixo', valor: 15, limitePorCliente: 1 };
+    const usado = aplicar([primeira], [CALABRESA], { cupom: 'BEMVINDO', usos: new Map([['promo0', 1]]) });
+    assert.equal(usado.cupom.motivo, 'limite');
+    assert.match(promotions.couponMessage(usado.cupom), /já usou o cupom \*BEMVINDO\*/);
+  });
+
+  it('nunca desconta mais que o valor dos itens', () => {
+    const resultado = aplicar([
+      { nome: 'Metade', tipo: 'percentual', valor: 60 },
+      { nome: 'Cinquenta off', tipo: 'valor_fixo', valor: 50 }
+    ], [CALABRESA]);
+    assert.deepEqual(resultado.descontos.map(d => d.valor), [33, 22]);
+  });
+
+  it('reconhece o cupom na mensagem', () => {
+    assert.equal(promotions.extractCouponCode('tenho o cupom bemvindo', ['BEMVINDO']), 'BEMVINDO');
+    assert.equal(promotions.extractCouponCode('Código de desconto: PIZZA10', []), 'PIZZA10');
+    assert.equal(promotions.extractCouponCode('BEMVINDO', ['BEMVINDO']), 'BEMVINDO');
+    assert.equal(promotions.extractCouponCode('o cupom não funcionou', ['BEMVINDO']), null);
+    assert.equal(promotions.extractCouponCode('quero uma calabresa grande', ['BEMVINDO']), null);
+    assert.equal(promotions.extractCouponCode('codigo: 4589 no portão', ['BEMVINDO']), null);
+    assert.equal(promotions.extractCouponCode('o código do prédio é 1234B', []), null);
+    assert.equal(promotions.extractCouponCode('código BEMVINDO', ['BEMVINDO']), 'BEMVINDO');
+
+    // Código ativo que é uma palavra comum só vale sozinho ou depois de "cupom"
+    assert.equal(promotions.extractCouponCode('quero uma pizza de calabresa', ['PIZZA']), null);
+    assert.equal(promotions.extractCouponCode('Pizza!', ['PIZZA']), 'PIZZA');
+    assert.equal(promotions.extractCouponCode('usa o cupom pizza', ['PIZZA']), 'PIZZA');
+  });
+});
+
+describe('Promoções no atendimento', () => {
+  const ambiente = usarServidorBot();
+  const { api } = ambiente;
+
+  // Resumo com uma Calabresa grande e uma Margherita média (R$ 97 em itens + R$ 7 de entrega)
+  const emConfirmacao = telefone => criarConversaEmConfirmacao(telefone, {
+    addressData: PAULISTA_VALIDADO,
+    pedidoData: { items: [CALABRESA, MARGHERITA] }
+  });
+
+  async function enviar(telefone, mensagem) {
+    const conversa = await Conversa.findOne({ telefone }).sort({ inicio: -1 });
+    return ambiente.bot.processMessageInternally(telefone, mensagem, false, 'text', conversa);
+  }
+
+  it('aplica o cupom no resumo e registra o desconto no pedido', async () => {
+    const telefone = '5511933330001@c.us';
+    await Promocao.create({ nome: 'Dez por cento', codigo: 'PIZZA10', tipo: 'percentual', valor: 10, categorias: ['Pizza Salgada'] });
+    await emConfirmacao(telefone);
+
+    const resumo = await enviar(telefone, 'tenho o cupom pizza10');
+
+    assert.equal(llm.calls.length, 0);
+    assert.match(resumo.text, /Cupom \*PIZZA10\* aplicado!/);
+    assert.match(resumo.text, /\*Desconto \(cupom PIZZA10\):\* -R\$ 9\.70/);
+    assert.match(resumo.text, /\*Total:\* R\$ 94\.30/);
+    assert.equal(resumo.pedido.valorTotal, 94.3);
+
+    const confirmacao = await enviar(telefone, 'sim');
+    assert.match(confirmacao.text, /Desconto \(cupom PIZZA10\):\* -R\$ 9\.70/);
+
+    const pedido = await Pedido.findOne({ telefone });
+    assert.equal(pedido.valorTotal, 94.3);
+    assert.equal(pedido.valorDesconto, 9.7);
+    assert.deepEqual(pedido.descontos.map(d => [d.codigo, d.valor]), [['PIZZA10', 9.7]]);
+  });
+
+  it('recusa cupom desconhecido e cupom já usado pelo cliente', async () => {
+    const telefone = '5511933330002@c.us';
+    const promocao = await Promocao.create({ nome: 'Primeira compra', codigo: 'BEMVINDO', tipo: 'valor_fixo', valor: 15, limitePorCliente: 1 });
+    await emConfirmacao(telefone);
+
+    const desconhecido = await enviar(telefone, 'cupom PROMO2026');
+    assert.match(desconhecido.text, /Não encontrei o cupom \*PROMO2026\*/);
+
+    await Pedido.create({
+      telefone,
+      status: 'Entregue',
+      valorTotal: 50,
+      descontos: [{ promocao: promocao._id, nome: promocao.nome, codigo: 'BEMVINDO', valor: 15 }]
+    });
+    const usado = await enviar(telefone, 'BEMVINDO');
+    assert.match(usado.text, /Você já usou o cupom \*BEMVINDO\* o número máximo de vezes\./);
+    assert.match(usado.text, /\*Total:\* R\$ 104\.00/);
+    assert.equal(llm.calls.length, 0);
+  });
+
+  it('cria, lista, edita e remove promoções pela API', async () => {
+    const criada = await api('post', '/api/promocoes', {
+      nome: 'Leve 2 ganhe refri',
+      tipo: 'brinde',
+      categorias: ['Pizza Salgada'],
+      quantidadeMinima: 2,
+      brinde: 'bebida_coca-cola-2l',
+      codigo: ' refri2 '
+    });
+    assert.equal(criada.status, 201);
+    assert.equal(criada.data.data.codigo, 'REFRI2');
+
+    assert.equal((await api('post', '/api/promocoes', { nome: 'Outra', tipo: 'percentual', valor: 5, codigo: 'REFRI2' })).status, 400);
+    assert.equal((await api('post', '/api/promocoes', { nome: 'Inválida', tipo: 'percentual', valor: 150 })).status, 400);
+
+    const id = criada.data.data._id;
+    const editada = await api('patch', `/api/promocoes/${id}`, { ativo: false, horaInicio: '18:00', horaFim: '23:00' });
+    assert.equal(editada.status, 200);
+    assert.equal(editada.data.data.ativo, false);
+    assert.equal((await api('patch', `/api/promocoes/${id}`, { horaInicio: '25:00' })).status, 400);
+
+    const lista = await api('get', '/api/promocoes');
+    assert.deepEqual(lista.data.data.map(promocao => promocao.nome), ['Leve 2 ganhe refri']);
+
+    assert.equal((await api('delete', `/api/promocoes/${id}`)).status, 200);
+    assert.equal((await api('delete', `/api/promocoes/${id}`)).status, 404);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { llm, usarServidorBot, PAULISTA } = require('./harness');
+const customers = require('../services/customers');
+const { CardapioItem, Conversa, Pedido } = require('../models');
+
+describe('Repetir o último pedido', () => {
+  const ambiente = usarServidorBot();
+
+  // Pedido antigo já registrado, com os preços da época, e o cadastro do cliente
+  async function criarPedidoAnterior(telefone, dados = {}) {
+    const pedido = await Pedido.create({
+      telefone,
+      endereco: PAULISTA,
+      formaPagamento: 'PIX',
+      valorTotal: 102,
+      taxaEntrega: 7,
+      status: 'Entregue',
+      data: new Date('2026-10-16T23:00:00Z'),
+      itens: [
+        { nome: 'Pizza Calabresa', identificador: 'pizza-salgada_pizza-calabresa', tamanho: 'Grande', quantidade: 1, preco: 50 },
+        { nome: 'Pizza Margherita', identificador: 'pizza-salgada_pizza-margherita', tamanho: 'Média', quantidade: 1, preco: 45 }
+      ],
+      ...dados
+    });
+
+    await customers.recordOrder(pedido, {
+      addressData: {
+        formattedAddress: PAULISTA,
+        components: { street: 'Avenida Paulista', number: '1000', neighborhood: 'Bela Vista', city: 'São Paulo', state: 'SP', cep: '01310100' }
+      }
+    });
+    return pedido;
+  }
+
+  async function enviar(telefone, mensagem) {
+    const conversa = await ambiente.bot.getOrCreateConversation(telefone, mensagem);
+    return ambiente.bot.processMessageInternally(telefone, mensagem, false, 'text', conversa);
+  }
+
+  it('reconhece os pedidos de repetição', () => {
+    ['o mesmo de sempre', 'Repete o último pedido', 'quero o de sempre', 'pode repetir meu pedido?', 'o mesmo da última vez']
+      .forEach(mensagem => assert.equal(customers.isRepeatOrderRequest(mensagem), true, mensagem));
+    ['quero uma calabresa', 'como de sempre a pizza chegou quente', 'o pedido ainda não chegou']
+      .forEach(mensagem => assert.equal(customers.isRepeatOrderRequest(mensagem), false, mensagem));
+  });
+
+  it('monta o último pedido com os preços de hoje e vai direto à confirmação', async () => {
+    const telefone = '5511922220001@c.us';
+    await criarPedidoAnterior(telefone);
+
+    const resposta = await enviar(telefone, 'o mesmo de sempre');
+
+    assert.equal(llm.calls.length, 0);
+    assert.equal(resposta.state, 6);
+    assert.match(resposta.text, /Montei de novo o seu último pedido, de 16\/10, com os preços de hoje\./);
+    assert.match(resposta.text, /1x \*Pizza Calabresa\* \(Grande\): R\$55\.00/);
+    assert.match(resposta.text, /1x \*Pizza Margherita\* \(Média\): R\$42\.00/);
+    assert.match(resposta.text, /\*Endereço de entrega:\* Avenida Paulista, 1000/);
+    assert.match(resposta.text, /\*Forma de pagamento:\* PIX/);
+    assert.match(resposta.text, /\*Total:\* R\$ 104\.00/);
+    assert.equal(resposta.pedido.valorTotal, 104);
+
+    const conversa = await Conversa.findOne({ telefone }).sort({ inicio: -1 });
+    assert.equal(conversa.state, 6);
+    assert.equal(conversa.pedidoData.taxaEntrega, 7);
+
+    // Confirmação registra o pedido repetido
+    await ambiente.bot.processMessageInternally(telefone, 'sim', false, 'text', conversa);
+    const novo = await Pedido.findOne({ telefone, status: 'Confirmado' });
+    assert.equal(novo.valorTotal, 104);
+    assert.equal(novo.endereco, PAULISTA);
+  });
+
+  it('não usa o endereço validado antes na conversa quando o cadastro não tem o do último pedido', async () => {
+    const telefone = '5511922220004@c.us';
+    const pedido = await Pedido.create({
+      telefone,
+      endereco: PAULISTA,
+      formaPagamento: 'PIX',
+      valorTotal: 57,
+      status: 'Entregue',
+      data: new Date('2026-10-16T23:00:00Z'),
+      itens: [{ nome: 'Pizza Calabresa', identificador: 'pizza-salgada_pizza-calabresa', tamanho: 'Grande', quantidade: 1, preco: 50 }]
+    });
+    await customers.recordOrder(pedido);
+    await Conversa.create({
+      telefone,
+      inicio: new Date(),
+      state: 4,
+      mensagens: [{ tipo: 'user', conteudo: 'boa noite' }],
+      addressData: {
+        formattedAddress: 'Rua Augusta, 500, Consolação, São Paulo - SP, 01305000',
+        components: { street: 'Rua Augusta', number: '500', neighborhood: 'Consolação', city: 'São Paulo', cep: '01305000' }
+      }
+    });
+
+    const resposta = await enviar(telefone, 'o mesmo de sempre');
+
+    assert.equal(resposta.state, 6);
+    const conversa = await Conversa.findOne({ telefone }).sort({ inicio: -1 });
+    assert.equal(conversa.pedidoData.endereco, PAULISTA);
+    assert.equal(conversa.addressData && conversa.addressData.formattedAddress, undefined);
+  });
+
+  it('deixa de fora os itens indisponíveis e avisa o cliente', async () => {
+    const telefone = '5511922220002@c.us';
+    await criarPedidoAnterior(telefone);
+    await CardapioItem.updateOne({ identificador: 'pizza-salgada_pizza-margherita' }, { $set: { disponivel: false } });
+
+    const resposta = await enviar(telefone, 'repete o último pedido');
+
+    assert.match(resposta.text, /Este item ficou de fora porque não está disponível hoje: \*Pizza Margherita\*\./);
+    assert.doesNotMatch(resposta.text, /1x \*Pizza Margherita\*/);
+    assert.match(resposta.text, /\*Total:\* R\$ 62\.00/);
+  });
+
+  it('ignora pedidos cancelados e responde quando não há pedido anterior', async () => {
+    const telefone = '5511922220003@c.us';
+    await Pedido.create({
+      telefone,
+      endereco: PAULISTA,
+      formaPagamento: 'PIX',
+      valorTotal: 62,
+      status: 'Cancelado',
+      data: new Date(),
+      itens: [{ nome: 'Pizza Calabresa', tamanho: 'Grande', quantidade: 1, preco: 55 }]
+    });
+
+    const resposta = await enviar(telefone, 'o de sempre');
+
+    assert.match(resposta.text, /Não encontrei nenhum pedido anterior seu/);
+    assert.equal(llm.calls.length, 0);
+    assert.notEqual((await Conversa.findOne({ telefone })).state, 6);
+  });
+});
@@ -0,0 +1,406 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const { llm, iniciarAmbiente, encerrarAmbiente, popularBanco, ouvir } = require('./harness');
+const { createCloudApiTransport } = require('../services/transports/cloudApi');
+const { createTelegramTransport } = require('../services/transports/telegram');
+const { Conversa, CardapioItem } = require('../models');
+
+// Graph API simulada: registra o que o bot envia e serve as mídias recebidas
+function criarGraphApiFalsa() {
+  const registro = { mensagens: [], uploads: 0, downloads: 0 };
+  const graph = express();
+  graph.use(express.json());
+
+  graph.post('/:phoneNumberId/messages', (req, res) => {
+    registro.mensagens.push({ phoneNumberId: req.params.phoneNumberId, auth: req.get('Authorization'), ...req.body });
+    res.json({ messaging_product: 'whatsapp', messages: [{ id: `wamid.${registro.mensagens.length}` }] });
+  });
+
+  graph.post('/:phoneNumberId/media', (req, res) => {
+    req.resume();
+    registro.uploads++;
+    req.on('end', () => res.json({ id: `media-${registro.uploads}` }));
+  });
+
+  graph.get('/audio-1', (req, res) => {
+    res.json({ url: `${registro.baseUrl}/arquivos/audio-1.ogg`, mime_type: 'audio/ogg' });
+  });
+
+  graph.get('/arquivos/audio-1.ogg', (req, res) => {
+    registro.downloads++;
+    res.type('audio/ogg').send(Buffer.from('OggS audio simulado'));
+  });
+
+  return { graph, registro };
+}
+
+// Bot API do Telegram simulada
+function criarTelegramFalso() {
+  const registro = { chamadas: [], downloads: 0 };
+  const telegram = express();
+  telegram.use(express.json());
+
+  telegram.post('/bot:token/:metodo', (req, res) => {
+    const chamada = { metodo: req.params.metodo, token: req.params.token, corpo: req.body, multipart: '' };
+
+    if (req.is('multipart/form-data')) {
+      const partes = [];
+      req.on('data', parte => partes.push(parte));
+      req.on('end', () => {
+        chamada.multipart = Buffer.concat(partes).toString('latin1');
+        registro.chamadas.push(chamada);
+        res.json({ ok: true, result: { message_id: registro.chamadas.length } });
+      });
+      return;
+    }
+
+    registro.chamadas.push(chamada);
+    if (chamada.metodo === 'getFile') {
+      return res.json({ ok: true, result: { file_id: req.body.file_id, file_path: 'voice/file_1.oga' } });
+    }
+    res.json({ ok: true, result: { message_id: registro.chamadas.length } });
+  });
+
+  telegram.get('/file/bot:token/voice/file_1.oga', (req, res) => {
+    registro.downloads++;
+    res.type('audio/ogg').send(Buffer.from('OggS audio simulado'));
+  });
+
+  telegram.get('/imagens/calabresa.jpg', (req, res) => {
+    res.type('image/jpeg').send(Buffer.from('JPEG calabresa'));
+  });
+
+  return { telegram, registro };
+}
+
+function assinar(corpo, segredo) {
+  return `sha256=${crypto.createHmac('sha256', segredo).update(corpo).digest('hex')}`;
+}
+
+function updateTelegram(message) {
+  return {
+    update_id: Date.now(),
+    message: {
+      message_id: 1,
+      date: 1700000000,
+      from: { id: message.chatId, is_bot: false, first_name: 'Cliente' },
+      chat: { id: message.chatId, type: message.chatType || 'private' },
+      ...message.conteudo
+    }
+  };
+}
+
+function eventoMensagem(message) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'waba-1',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { phone_number_id: '1234567890' },
+          contacts: [{ wa_id: message.from, profile: { name: 'Maria Souza' } }],
+          messages: [{ id: `wamid.in.${Date.now()}`, timestamp: '1700000000', ...message }]
+        }
+      }]
+    }]
+  };
+}
+
+// O webhook responde antes de processar; aguardar as mensagens chegarem à Graph API
+async function aguardar(condicao, limiteMs = 5000) {
+  const inicio = Date.now();
+  while (!condicao()) {
+    if (Date.now() - inicio > limiteMs) {
+      throw new Error('Tempo esgotado aguardando o envio das mensagens');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const SEGREDO = 'segredo-do-app';
+
+describe('Transportes de mensagens', () => {
+  let graphApi;
+  let telegramApi;
+  let servidorBot;
+  let registro;
+  let registroTelegram;
+
+  before(async () => {
+    const falsa = criarGraphApiFalsa();
+    registro = falsa.registro;
+    graphApi = await ouvir(falsa.graph);
+    registro.baseUrl = graphApi.baseUrl;
+
+    const telegramFalso = criarTelegramFalso();
+    registroTelegram = telegramFalso.registro;
+    telegramApi = await ouvir(telegramFalso.telegram);
+
+    process.env.WHATSAPP_TRANSPORT = 'cloud-api';
+    process.env.WHATSAPP_CLOUD_API_URL = graphApi.baseUrl;
+    process.env.WHATSAPP_CLOUD_TOKEN = 'token-de-teste';
+    process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID = '1234567890';
+    process.env.WHATSAPP_CLOUD_APP_SECRET = SEGREDO;
+    process.env.WHATSAPP_CLOUD_VERIFY_TOKEN = 'token-de-verificacao';
+    process.env.TELEGRAM_API_URL = telegramApi.baseUrl;
+    process.env.TELEGRAM_BOT_TOKEN = '123:ABC';
+    process.env.TELEGRAM_WEBHOOK_SECRET = 'segredo-telegram';
+    process.env.TELEGRAM_WEBHOOK_URL = 'https://bot.pizzaria.test/webhooks/telegram';
+    process.env.MESSAGE_DEBOUNCE_MS = '20';
+
+    const bot = await iniciarAmbiente();
+    await popularBanco(bot);
+    servidorBot = await ouvir(bot.app);
+  }, { timeout: 120000 });
+
+  after(async () => {
+    servidorBot.server.close();
+    graphApi.server.close();
+    telegramApi.server.close();
+    await encerrarAmbiente();
+  });
+
+  beforeEach(() => {
+    registro.mensagens.length = 0;
+    registroTelegram.chamadas.length = 0;
+    llm.reset();
+  });
+
+  describe('WhatsApp Cloud API', () => {
+    it('confirma o cadastro do webhook apenas com o token certo', async () => {
+      const url = `${servidorBot.baseUrl}/webhooks/whatsapp`;
+
+      const ok = await axios.get(url, {
+        params: { 'hub.mode': 'subscribe', 'hub.verify_token': 'token-de-verificacao', 'hub.challenge': '4242' }
+      });
+      assert.equal(ok.status, 200);
+      assert.equal(String(ok.data), '4242');
+
+      // O challenge volta como texto puro, nunca como HTML
+      const html = await axios.get(url, {
+        params: { 'hub.mode': 'subscribe', 'hub.verify_token': 'token-de-verificacao', 'hub.challenge': '<script>alert(1)</script>' }
+      });
+      assert.match(html.headers['content-type'], /^text\/plain/);
+      assert.equal(html.data, '<script>alert(1)</script>');
+
+      const recusado = await axios.get(url, {
+        params: { 'hub.mode': 'subscribe', 'hub.verify_token': 'errado', 'hub.challenge': '4242' },
+        validateStatus: () => true
+      });
+      assert.equal(recusado.status, 403);
+    });
+
+    it('recusa eventos com assinatura inválida', async () => {
+      const corpo = JSON.stringify(eventoMensagem({ from: '5511977770001', type: 'text', text: { body: 'oi' } }));
+
+      const resposta = await axios.post(`${servidorBot.baseUrl}/webhooks/whatsapp`, corpo, {
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': assinar(corpo, 'outro-segredo') },
+        validateStatus: () => true
+      });
+
+      assert.equal(resposta.status, 401);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.equal(registro.mensagens.length, 0);
+      assert.equal(llm.calls.length, 0);
+    });
+
+    it('responde pela Graph API a uma mensagem de texto', async () => {
+      llm.enqueue({ content: 'Boa noite! O que vai querer hoje?' });
+      const corpo = JSON.stringify(eventoMensagem({ from: '5511977770002', type: 'text', text: { body: 'boa noite' } }));
+
+      const resposta = await axios.post(`${servidorBot.baseUrl}/webhooks/whatsapp`, corpo, {
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': assinar(corpo, SEGREDO) }
+      });
+      assert.equal(resposta.status, 200);
+
+      await aguardar(() => registro.mensagens.length > 0);
+      assert.deepEqual(registro.mensagens[0], {
+        phoneNumberId: '1234567890',
+        auth: 'Bearer token-de-teste',
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: '5511977770002',
+        type: 'text',
+        text: { preview_url: false, body: 'Boa noite! O que vai querer hoje?' }
+      });
+
+      // A conversa fica no mesmo formato de telefone usado pelo whatsapp-web.js
+      const conversa = await Conversa.findOne({ telefone: '5511977770002@c.us' });
+      assert.ok(conversa, 'conversa registrada com o telefone no formato do whatsapp-web.js');
+      assert.equal(conversa.mensagens[0].conteudo, 'boa noite');
+      assert.equal(conversa.nomeContato, 'Maria Souza');
+    });
+
+    it('baixa e transcreve notas de voz antes de responder', async () => {
+      llm.enqueue({ content: 'Entendi seu áudio! Qual pizza vai querer?' });
+      const corpo = JSON.stringify(eventoMensagem({
+        from: '5511977770003',
+        type: 'audio',
+        audio: { id: 'audio-1', mime_type: 'audio/ogg; codecs=opus', voice: true }
+      }));
+
+      await axios.post(`${servidorBot.baseUrl}/webhooks/whatsapp`, corpo, {
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': assinar(corpo, SEGREDO) }
+      });
+
+      await aguardar(() => registro.mensagens.length > 0);
+      assert.equal(registro.downloads, 1);
+      assert.ok(llm.calls.some(chamada => chamada.type === 'transcribe'));
+      assert.equal(registro.mensagens[0].to, '5511977770003');
+      assert.equal(registro.mensagens[0].text.body, 'Entendi seu áudio! Qual pizza vai querer?');
+    });
+
+    it('envia imagens e notas de voz subindo a mídia antes', async () => {
+      const transporte = createCloudApiTransport({
+        apiUrl: graphApi.baseUrl,
+        token: 'token-de-teste',
+        phoneNumberId: '1234567890',
+        appSecret: SEGREDO
+      });
+
+      const arquivo = path.join(os.tmpdir(), `voz-${Date.now()}.mp3`);
+      fs.writeFileSync(arquivo, Buffer.from('ID3 audio simulado'));
+
+      try {
+        const uploadsAntes = registro.uploads;
+        await transporte.sendImage('5511977770004@c.us', { data: Buffer.from('imagem').toString('base64'), mimetype: 'image/png' }, 'Calabresa');
+        await transporte.sendVoice('5511977770004@c.us', arquivo);
+
+        assert.equal(registro.uploads - uploadsAntes, 2);
+        assert.deepEqual(registro.mensagens.map(m => [m.to, m.type]), [
+          ['5511977770004', 'image'],
+          ['5511977770004', 'audio']
+        ]);
+        assert.equal(registro.mensagens[0].image.caption, 'Calabresa');
+        assert.match(registro.mensagens[1].audio.id, /^media-\d+$/);
+      } finally {
+        fs.unlinkSync(arquivo);
+      }
+    });
+  });
+
+  describe('Telegram', () => {
+    function postarUpdate(update, segredo = 'segredo-telegram') {
+      return axios.post(`${servidorBot.baseUrl}/webhooks/telegram`, update, {
+        headers: { 'X-Telegram-Bot-Api-Secret-Token': segredo },
+        validateStatus: () => true
+      });
+    }
+
+    it('recusa o webhook sem o token secreto', async () => {
+      const resposta = await postarUpdate(updateTelegram({ chatId: 555, conteudo: { text: 'oi' } }), 'errado');
+
+      assert.equal(resposta.status, 401);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.equal(registroTelegram.chamadas.length, 0);
+    });
+
+    it('não aceita atualizações sem segredo configurado nem registra o webhook sem ele', async () => {
+      const { TELEGRAM_WEBHOOK_SECRET: segredo, TELEGRAM_WEBHOOK_URL: webhookUrl } = process.env;
+      delete process.env.TELEGRAM_WEBHOOK_SECRET;
+      delete process.env.TELEGRAM_WEBHOOK_URL;
+      try {
+        const semSegredo = createTelegramTransport({ apiUrl: telegramApi.baseUrl, token: '123:ABC', webhookUrl });
+        assert.equal(semSegredo.verifySecret(undefined), false);
+        await assert.rejects(semSegredo.start(), /TELEGRAM_WEBHOOK_SECRET/);
+        assert.equal(registroTelegram.chamadas.length, 0);
+
+        // Em long polling a rota do webhook não existe
+        assert.equal(createTelegramTransport({ token: '123:ABC' }).usesWebhook(), false);
+      } finally {
+        Object.assign(process.env, { TELEGRAM_WEBHOOK_SECRET: segredo, TELEGRAM_WEBHOOK_URL: webhookUrl });
+      }
+    });
+
+    it('responde no chat e guarda a conversa com o id qualificado pelo canal', async () => {
+      llm.enqueue({ content: 'Olá! Qual pizza vai querer?' });
+
+      const resposta = await postarUpdate(updateTelegram({ chatId: 555, conteudo: { text: 'oi' } }));
+      assert.equal(resposta.status, 200);
+
+      await aguardar(() => registroTelegram.chamadas.length > 0);
+      assert.deepEqual(registroTelegram.chamadas[0], {
+        metodo: 'sendMessage',
+        token: '123:ABC',
+        corpo: { chat_id: '555', text: 'Olá! Qual pizza vai querer?' },
+        multipart: ''
+      });
+
+      const conversa = await Conversa.findOne({ telefone: 'telegram:555' });
+      assert.ok(conversa);
+      assert.equal(conversa.mensagens[0].conteudo, 'oi');
+      assert.equal(conversa.nomeContato, 'Cliente');
+    });
+
+    it('não mistura conversas de canais diferentes com o mesmo número', async () => {
+      llm.enqueue({ content: 'Oi pelo Telegram!' }, { content: 'Oi pelo WhatsApp!' });
+
+      await postarUpdate(updateTelegram({ chatId: 5511977770010, conteudo: { text: 'quero uma pizza' } }));
+      await aguardar(() => registroTelegram.chamadas.length > 0);
+
+      const corpo = JSON.stringify(eventoMensagem({ from: '5511977770010', type: 'text', text: { body: 'boa noite' } }));
+      await axios.post(`${servidorBot.baseUrl}/webhooks/whatsapp`, corpo, {
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': assinar(corpo, SEGREDO) }
+      });
+      await aguardar(() => registro.mensagens.length > 0);
+
+      const doTelegram = await Conversa.findOne({ telefone: 'telegram:5511977770010' });
+      const doWhatsApp = await Conversa.findOne({ telefone: '5511977770010@c.us' });
+      assert.notEqual(String(doTelegram._id), String(doWhatsApp._id));
+      assert.deepEqual(doTelegram.mensagens.map(m => m.conteudo), ['quero uma pizza', '[TEXT_FORMAT]Oi pelo Telegram![/END]']);
+      assert.equal(doTelegram.state, 1);
+      assert.equal(doWhatsApp.state, 0);
+    });
+
+    it('envia a foto da pizza para [IMAGE_FORMAT]', async () => {
+      await CardapioItem.updateOne(
+        { identificador: 'pizza-salgada_pizza-calabresa' },
+        { imagemGeral: `${telegramApi.baseUrl}/imagens/calabresa.jpg` }
+      );
+
+      await postarUpdate(updateTelegram({ chatId: 556, conteudo: { text: 'me mostra a calabresa' } }));
+      await aguardar(() => registroTelegram.chamadas.some(chamada => chamada.metodo === 'sendPhoto'));
+
+      const foto = registroTelegram.chamadas.find(chamada => chamada.metodo === 'sendPhoto');
+      assert.match(foto.multipart, /name="chat_id"\r\n\r\n556\r\n/);
+      assert.match(foto.multipart, /name="photo"; filename="image_\d+\.jpg"/);
+      assert.match(foto.multipart, /JPEG calabresa/);
+      assert.equal(llm.calls.length, 0);
+    });
+
+    it('transcreve mensagens de voz e envia notas de voz', async () => {
+      llm.enqueue({ content: 'Anotado pelo áudio!' });
+
+      await postarUpdate(updateTelegram({
+        chatId: 557,
+        conteudo: { voice: { file_id: 'voz-1', duration: 2, mime_type: 'audio/ogg' } }
+      }));
+      await aguardar(() => registroTelegram.chamadas.some(chamada => chamada.metodo === 'sendMessage'));
+
+      assert.equal(registroTelegram.chamadas[0].metodo, 'getFile');
+      assert.equal(registroTelegram.downloads, 1);
+      assert.ok(llm.calls.some(chamada => chamada.type === 'transcribe'));
+
+      const transporte = createTelegramTransport({ apiUrl: telegramApi.baseUrl, token: '123:ABC' });
+      const arquivo = path.join(os.tmpdir(), `voz-${Date.now()}.mp3`);
+      fs.writeFileSync(arquivo, Buffer.from('ID3 audio simulado'));
+
+      try {
+        await transporte.sendVoice('telegram:557', arquivo);
+        const voz = registroTelegram.chamadas[registroTelegram.chamadas.length - 1];
+        assert.equal(voz.metodo, 'sendVoice');
+        assert.match(voz.multipart, /name="voice"; filename="voz-\d+\.mp3"/);
+      } finally {
+        fs.unlinkSync(arquivo);
+      }
+    });
+  });
+});
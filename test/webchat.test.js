@@ -0,0 +1,172 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { llm, usarServidorBot } = require('./harness');
+const { createWebChatTransport } = require('../services/transports/webChat');
+const { createSessionLimiter } = require('../services/webChat');
+const { Conversa, Pedido } = require('../models');
+const dialogo = require('./fixtures/dialogos/meio-a-meio.json');
+
+// O servidor de teste faz o papel do ngrok: o IP do visitante vem em X-Forwarded-For
+process.env.TRUST_PROXY = 'loopback';
+
+// Corpo text/event-stream => [{ evento, dados }]
+function lerEventos(corpo) {
+  return corpo.split('\n\n')
+    .filter(bloco => bloco.trim() && !bloco.startsWith(':'))
+    .map(bloco => ({
+      evento: /^event: (.*)$/m.exec(bloco)[1],
+      dados: JSON.parse(/^data: (.*)$/m.exec(bloco)[1])
+    }));
+}
+
+describe('Chat web', () => {
+  const servidorBot = usarServidorBot();
+
+  async function criarSessao() {
+    const resposta = await axios.post(`${servidorBot.baseUrl}/api/webchat/sessions`);
+    assert.equal(resposta.status, 201);
+    return resposta.data;
+  }
+
+  async function enviar(sessionId, message) {
+    const resposta = await axios.post(`${servidorBot.baseUrl}/api/webchat/sessions/${sessionId}/messages`, { message }, {
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    return { status: resposta.status, tipo: resposta.headers['content-type'], corpo: resposta.data };
+  }
+
+  it('abre uma sessão sem autenticação, já com as boas-vindas', async () => {
+    const sessao = await criarSessao();
+
+    assert.match(sessao.sessionId, /^[0-9a-f-]{36}$/);
+    assert.equal(sessao.state, 0);
+    assert.deepEqual(sessao.parts, [{ type: 'text', text: 'Olá! Bem-vindo à Pizzaria Teste!' }]);
+
+    const conversa = await Conversa.findOne({ telefone: `web:${sessao.sessionId}` });
+    assert.ok(conversa, 'conversa registrada com o identificador da sessão');
+    assert.equal(conversa.mensagens.length, 1);
+  });
+
+  it('responde por Server-Sent Events em partes tipadas até o pedido confirmado', async () => {
+    const { sessionId } = await criarSessao();
+    const eventosPorPasso = [];
+
+    for (const passo of dialogo.passos) {
+      llm.enqueue(...passo.llm);
+      const resposta = await enviar(sessionId, passo.cliente);
+
+      assert.equal(resposta.status, 200);
+      assert.match(resposta.tipo, /^text\/event-stream/);
+      eventosPorPasso.push(lerEventos(resposta.corpo));
+    }
+
+    // Toda resposta começa com "typing" e termina com "done" trazendo o estado
+    eventosPorPasso.forEach((eventos, i) => {
+      assert.equal(eventos[0].evento, 'typing');
+      assert.equal(eventos[eventos.length - 1].evento, 'done', `passo ${i + 1}: ${JSON.stringify(eventos)}`);
+      assert.ok(eventos.every(e => ['typing', 'part', 'done'].includes(e.evento)));
+    });
+
+    const partes = eventos => eventos.filter(e => e.evento === 'part').map(e => e.dados);
+
+    assert.deepEqual(partes(eventosPorPasso[0]), [
+      { type: 'text', text: 'Boa noite! Eu sou a Bella, da Pizzaria Teste. O que vai querer hoje?' }
+    ]);
+
+    // Pedido de foto: imagem com URL, sem tags no texto
+    const fotos = partes(eventosPorPasso[1]);
+    const imagem = fotos.find(parte => parte.type === 'image');
+    assert.ok(imagem && /^(https?:|data:image)/.test(imagem.url), JSON.stringify(fotos));
+    assert.ok(fotos.every(parte => !/\[[A-Z_]+\]/.test(parte.text || '')));
+
+    // Resumo para confirmação: texto e cartão do pedido com os valores do servidor
+    const resumo = partes(eventosPorPasso[6]);
+    assert.equal(resumo[0].type, 'text');
+    assert.match(resumo[0].text, /Vamos conferir seu pedido/);
+    const cartao = resumo.find(parte => parte.type === 'order_summary');
+    assert.ok(cartao, JSON.stringify(resumo));
+    assert.equal(cartao.pedido.valorTotal, 62);
+    assert.equal(cartao.pedido.taxaEntrega, 7);
+    assert.equal(cartao.pedido.pagamento, 'PIX');
+    assert.equal(cartao.pedido.items.length, 1);
+    assert.equal(eventosPorPasso[6].at(-1).dados.state, 6);
+
+    assert.equal(eventosPorPasso[7].at(-1).dados.state, 7);
+    const pedidos = await Pedido.find({ telefone: `web:${sessionId}` });
+    assert.equal(pedidos.length, 1);
+    assert.equal(pedidos[0].valorTotal, 62);
+  });
+
+  it('devolve o histórico da conversa em partes tipadas', async () => {
+    const { sessionId } = await criarSessao();
+    llm.enqueue({ content: 'Boa noite! O que vai querer hoje?' });
+    await enviar(sessionId, 'boa noite');
+
+    const resposta = await axios.get(`${servidorBot.baseUrl}/api/webchat/sessions/${sessionId}/messages`);
+
+    assert.equal(resposta.data.success, true);
+    assert.deepEqual(resposta.data.messages.map(({ role, parts }) => ({ role, parts })), [
+      { role: 'bot', parts: [{ type: 'text', text: 'Olá! Bem-vindo à Pizzaria Teste!' }] },
+      { role: 'user', parts: [{ type: 'text', text: 'boa noite' }] },
+      { role: 'bot', parts: [{ type: 'text', text: 'Boa noite! O que vai querer hoje?' }] }
+    ]);
+  });
+
+  it('recusa sessões desconhecidas e mensagens vazias', async () => {
+    const desconhecida = await enviar('00000000-0000-4000-8000-000000000000', 'oi');
+    assert.equal(desconhecida.status, 404);
+
+    const invalida = await enviar('web:abc', 'oi');
+    assert.equal(invalida.status, 404);
+
+    const { sessionId } = await criarSessao();
+    const vazia = await enviar(sessionId, '   ');
+    assert.equal(vazia.status, 400);
+    assert.equal(llm.calls.length, 0);
+  });
+
+  it('limita as sessões abertas por IP', async () => {
+    const limitador = createSessionLimiter({ limite: 2, janelaMs: 60000 });
+    assert.equal(limitador.registrar('1.1.1.1', 0).permitido, true);
+    assert.equal(limitador.registrar('1.1.1.1', 1000).permitido, true);
+    assert.deepEqual(limitador.registrar('1.1.1.1', 30000), { permitido: false, tenteEmMs: 30000 });
+    assert.equal(limitador.registrar('2.2.2.2', 30000).permitido, true);
+    assert.equal(limitador.registrar('1.1.1.1', 60000).permitido, true);
+
+    // Pelo servidor, atrás do proxy: um visitante esgota o limite padrão e o outro segue abrindo
+    const abrir = ip => axios.post(`${servidorBot.baseUrl}/api/webchat/sessions`, null, {
+      headers: { 'X-Forwarded-For': ip },
+      validateStatus: () => true
+    });
+
+    let resposta;
+    for (let i = 0; i < 20; i++) {
+      resposta = await abrir('203.0.113.1');
+      if (resposta.status !== 201) break;
+    }
+    assert.equal(resposta.status, 429);
+    assert.ok(Number(resposta.headers['retry-after']) > 0);
+    assert.equal((await abrir('203.0.113.2')).status, 201);
+    assert.equal(llm.calls.length, 0);
+  });
+
+  it('entrega às páginas inscritas as mensagens enviadas fora de uma resposta', async () => {
+    const webChat = createWebChatTransport();
+    const recebidos = [];
+    const cancelar = webChat.subscribe('web:sessao-1', (evento, dados) => recebidos.push({ evento, dados }));
+
+    assert.ok(webChat.handles('web:sessao-1'));
+    assert.ok(!webChat.handles('5511999999999@c.us'));
+
+    await webChat.sendText('web:sessao-1', 'Seu pedido saiu para entrega!');
+    await webChat.sendText('web:sessao-2', 'Outra sessão');
+    cancelar();
+    await webChat.sendText('web:sessao-1', 'Depois de fechar a página');
+
+    assert.deepEqual(recebidos, [
+      { evento: 'part', dados: { type: 'text', text: 'Seu pedido saiu para entrega!' } }
+    ]);
+  });
+});